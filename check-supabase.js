@@ -1,35 +1,64 @@
 /**
- * Quick script to verify Supabase connection and table structure
- * Run: node check-supabase.js
+ * Database admin CLI
+ *
+ *   node check-supabase.js [check]                 verify the connection and table structure
+ *   node check-supabase.js migrate [--dry-run]     apply migrations/*.sql (needs DATABASE_URL)
+ *   node check-supabase.js backfill [--dry-run]    fill in ip/tx_hash of rows missing them
+ *   node check-supabase.js reconcile               report rows that disagree with the chain
+ *
+ * backfill and reconcile match rows against the server's registration records;
+ * with --from-block <n> [--to-block <n>] [--block-range <n>] they also scan the
+ * IPRegistered logs of our SPG collections. They check the deployment's network
+ * unless --network <name> picks another enabled profile.
  */
 
 require('dotenv').config();
 const axios = require('axios');
+const { createPublicClient, http } = require('viem');
+const { describeDatabase, pingDatabase, listImageRows } = require('./lib/db');
+const { applyMigrations } = require('./lib/migrations');
+const { createReconciler } = require('./lib/reconcile');
+const { createCollectionManager } = require('./lib/collections');
+const { DEFAULT_NETWORK, ENABLED_NETWORKS, getNetworkProfile } = require('./lib/networks');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
+function parseArgs(argv) {
+    const [command = 'check', ...rest] = argv;
+    const options = { dryRun: false, network: DEFAULT_NETWORK };
+    for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === '--dry-run') options.dryRun = true;
+        else if (rest[i] === '--from-block') options.fromBlock = BigInt(rest[++i]);
+        else if (rest[i] === '--to-block') options.toBlock = BigInt(rest[++i]);
+        else if (rest[i] === '--block-range') options.blockRange = BigInt(rest[++i]);
+        else if (rest[i] === '--network') options.network = rest[++i];
+        else throw new Error(`Unknown option ${rest[i]}`);
+    }
+    return { command, options };
+}
+
 async function checkSupabase() {
     console.log('\n🔍 Supabase Connection Check\n');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
-    
+
     // Check credentials
     if (!SUPABASE_URL) {
         console.log('❌ SUPABASE_URL not found in .env');
         console.log('   Add: SUPABASE_URL=https://your-project.supabase.co\n');
         return;
     }
-    
+
     if (!SUPABASE_KEY) {
         console.log('❌ SUPABASE_SERVICE_ROLE_KEY not found in .env');
         console.log('   Add: SUPABASE_SERVICE_ROLE_KEY=your_key_here\n');
         return;
     }
-    
+
     console.log('✅ Credentials found:');
     console.log(`   URL: ${SUPABASE_URL}`);
     console.log(`   Key: ${SUPABASE_KEY.substring(0, 30)}...\n`);
-    
+
     // Test connection
     try {
         const url = `${SUPABASE_URL}/rest/v1/images?select=wallet_address,image_cid,metadata_cid,ip,tx_hash&limit=1`;
@@ -38,22 +67,22 @@ async function checkSupabase() {
             'Authorization': `Bearer ${SUPABASE_KEY}`,
             'Content-Type': 'application/json',
         };
-        
+
         console.log('🔌 Testing connection to images table...');
         const response = await axios.get(url, { headers, timeout: 10000 });
-        
+
         console.log('✅ Connection successful!\n');
-        
+
         if (response.data && response.data.length > 0) {
             console.log('📊 Sample row from images table:');
             console.log(JSON.stringify(response.data[0], null, 2));
             console.log('');
-            
+
             // Check if columns exist
             const row = response.data[0];
             const hasIpColumn = 'ip' in row;
             const hasTxHashColumn = 'tx_hash' in row;
-            
+
             if (hasIpColumn && hasTxHashColumn) {
                 console.log('✅ Both columns exist: ip, tx_hash');
             } else {
@@ -76,10 +105,10 @@ async function checkSupabase() {
             console.log('   - ip (should be TEXT)');
             console.log('   - tx_hash (should be TEXT)\n');
         }
-        
+
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
         console.log('✅ Setup looks good! Ready to update database.\n');
-        
+
     } catch (error) {
         console.log('❌ Connection failed!\n');
         console.log(`Error: ${error.message}`);
@@ -94,5 +123,95 @@ async function checkSupabase() {
     }
 }
 
-checkSupabase();
+// Postgres / SQLite: the columns are guaranteed by the migrations, so a query is enough
+async function checkDatabase() {
+    const { backend } = describeDatabase();
+    if (backend === 'supabase' || backend === 'none') {
+        return checkSupabase();
+    }
+    console.log(`\n🔍 Database Connection Check (${backend})\n`);
+    try {
+        await pingDatabase();
+        const missing = await listImageRows({ registered: false });
+        console.log('✅ Connection successful!');
+        console.log(`   Rows missing ip/tx_hash: ${missing.length}\n`);
+    } catch (error) {
+        console.log(`❌ Connection failed: ${error.message}\n`);
+        process.exitCode = 1;
+    }
+}
+
+async function migrate({ dryRun }) {
+    console.log(`\n🗄️  Applying migrations${dryRun ? ' (dry run)' : ''}...\n`);
+    for (const { name, status } of await applyMigrations({ dryRun })) {
+        console.log(`   ${status === 'applied' ? '✅' : '•'} ${name}: ${status}`);
+    }
+    console.log('');
+}
+
+function createReconcilerFromEnv({ network: name }) {
+    const network = getNetworkProfile(name);
+    if (!network) {
+        throw new Error(`Network "${name}" is not enabled (ENABLED_NETWORKS: ${ENABLED_NETWORKS.join(', ')})`);
+    }
+    console.log(`   Network: ${network.name} (${network.rpcUrl})`);
+    return createReconciler({
+        publicClient: createPublicClient({ transport: http(network.rpcUrl) }),
+        collections: createCollectionManager({ storyClient: null, network }),
+        network,
+    });
+}
+
+async function backfill(options) {
+    console.log(`\n🔁 Backfilling images rows missing ip/tx_hash${options.dryRun ? ' (dry run)' : ''}...\n`);
+    const reconciler = createReconcilerFromEnv(options);
+    const rows = await listImageRows({ registered: false });
+    console.log(`   ${rows.length} row(s) missing ip/tx_hash`);
+    if (rows.length === 0) return;
+
+    const index = await reconciler.buildIndex(options);
+    const report = await reconciler.backfill(rows, index, options);
+
+    for (const item of report.backfilled) {
+        console.log(`   ${options.dryRun ? 'Would set' : '✅ Set'} ${item.imageCid} → ${item.ipId} (${item.source}, tx ${item.txHash})`);
+    }
+    for (const item of report.failed) {
+        console.log(`   ✗ ${item.imageCid}: ${item.error}`);
+    }
+    console.log(`\n   ${options.dryRun ? 'Would backfill' : 'Backfilled'}: ${report.backfilled.length}`);
+    console.log(`   No registration found: ${report.unmatched.length}`);
+    console.log(`   Failed: ${report.failed.length}\n`);
+    if (report.failed.length > 0) process.exitCode = 1;
+}
+
+async function reconcile(options) {
+    console.log('\n🧮 Comparing images rows with the chain...\n');
+    const reconciler = createReconcilerFromEnv(options);
+    const rows = await listImageRows({ registered: true });
+    const index = await reconciler.buildIndex(options);
+    const mismatches = await reconciler.findMismatches(rows, index);
+
+    for (const mismatch of mismatches) {
+        console.log(`   ❌ ${mismatch.imageCid}`);
+        console.log(`      ip: ${mismatch.ip}`);
+        console.log(`      tx_hash: ${mismatch.txHash}`);
+        mismatch.problems.forEach(problem => console.log(`      - ${problem}`));
+    }
+    console.log(`\n   Checked ${rows.length} row(s), ${mismatches.length} mismatch(es)\n`);
+    if (mismatches.length > 0) process.exitCode = 1;
+}
+
+const COMMANDS = { check: checkDatabase, migrate, backfill, reconcile };
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command "${command}" (expected ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    await COMMANDS[command](options);
+}
 
+main().then(() => process.exit()).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
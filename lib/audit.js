@@ -0,0 +1,53 @@
+/**
+ * Audit trail
+ * Every registration request is recorded against the API client that made it
+ * (or "anonymous"), whatever its outcome, along with changes to the clients
+ * themselves. Entries live in the state store (`audit_log`), oldest first:
+ *
+ *   { id, at, action, outcome, clientId, clientName, requestId, ip,
+ *     jobId, imageCid, network, details }
+ *
+ * actions: registration, derivative_registration, batch_registration,
+ *          client.created, client.updated, client.key_rotated, client.revoked
+ * outcomes: queued, duplicate, replayed, rejected, ok
+ */
+
+const { randomUUID } = require('crypto');
+const store = require('./store');
+const { logger } = require('./logger');
+
+const AUDIT_NAMESPACE = 'audit_log';
+
+// Record an audit entry. Never throws - a failed audit write is logged, the request goes on.
+async function recordAudit({ action, outcome, client = null, actor, req, jobId = null, imageCid = null, network = null, details }) {
+    const entry = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        action,
+        outcome,
+        clientId: client ? client.id : (actor || 'anonymous'),
+        clientName: client ? client.name : null,
+        requestId: req ? req.requestId : null,
+        ip: req ? req.ip : null,
+        jobId,
+        imageCid,
+        network,
+        details: details === undefined ? null : details,
+    };
+    try {
+        await store.put(AUDIT_NAMESPACE, entry.id, entry);
+    } catch (error) {
+        logger.error('Could not write audit entry', { action, outcome, clientId: entry.clientId, jobId, error: error.message });
+    }
+    return entry;
+}
+
+async function listAudit({ clientId, action, jobId, limit, offset } = {}) {
+    const where = {};
+    if (clientId) where.clientId = clientId;
+    if (action) where.action = action;
+    if (jobId) where.jobId = jobId;
+    return store.list(AUDIT_NAMESPACE, { where, limit, offset });
+}
+
+module.exports = { recordAudit, listAudit };
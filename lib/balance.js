@@ -0,0 +1,110 @@
+/**
+ * Wallet balance monitoring
+ * The signer wallets pay gas for every registration, so their balances on each
+ * enabled network are checked periodically instead of only at startup. Balances
+ * are exported as a metric, and crossing a threshold logs an alert once
+ * (alert: "wallet_balance_low") rather than on every check:
+ *
+ *   BALANCE_WARN_IP      - below this the balance is "low" (default 0.1)
+ *   BALANCE_CRITICAL_IP  - below this it is "critical"; /ready fails once every
+ *                          signer of a network is critical (default 0.01)
+ *   BALANCE_CHECK_INTERVAL_MS - how often balances are read (default 5 minutes)
+ */
+
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const BALANCE_WARN_IP = parseFloat(process.env.BALANCE_WARN_IP || '0.1');
+const BALANCE_CRITICAL_IP = parseFloat(process.env.BALANCE_CRITICAL_IP || '0.01');
+const BALANCE_CHECK_INTERVAL_MS = parseInt(process.env.BALANCE_CHECK_INTERVAL_MS || '300000');
+
+const SEVERITY = { unknown: 0, ok: 0, low: 1, critical: 2 };
+
+function levelOf(balance) {
+    if (balance < BALANCE_CRITICAL_IP) return 'critical';
+    if (balance < BALANCE_WARN_IP) return 'low';
+    return 'ok';
+}
+
+// `networks` maps network names to { profile, publicClient, signers }
+function createBalanceMonitor({ networks }) {
+    let timer = null;
+    // Last reading per network and signer address: { balance, level, checkedAt, error }
+    const readings = {};
+
+    async function checkSigner(name, { profile, publicClient }, address) {
+        const key = `${name}/${address}`;
+        const previous = readings[key] || { balance: null, level: 'unknown' };
+        try {
+            const balance = Number(await publicClient.getBalance({ address })) / 1e18;
+            const level = levelOf(balance);
+            readings[key] = { balance, level, checkedAt: new Date().toISOString(), error: null };
+            metrics.walletBalance.set({ network: name, address }, balance);
+
+            if (SEVERITY[level] > SEVERITY[previous.level]) {
+                logger.error('Wallet balance low', {
+                    alert: 'wallet_balance_low',
+                    severity: level,
+                    network: name,
+                    address,
+                    balance,
+                    threshold: level === 'critical' ? BALANCE_CRITICAL_IP : BALANCE_WARN_IP,
+                    faucetUrl: profile.faucetUrl || undefined,
+                });
+            } else if (level === 'ok' && SEVERITY[previous.level] > 0) {
+                logger.info('Wallet balance recovered', { network: name, address, balance });
+            } else {
+                logger.debug('Wallet balance', { network: name, address, balance, level });
+            }
+        } catch (error) {
+            // Keep the last known level - an RPC hiccup is not a balance change
+            readings[key] = { ...previous, checkedAt: new Date().toISOString(), error: error.message };
+            logger.warn('Could not check wallet balance', { network: name, address, error: error.message });
+        }
+    }
+
+    async function checkAll() {
+        for (const [name, context] of Object.entries(networks)) {
+            for (const address of context.signers.addresses) {
+                await checkSigner(name, context, address);
+            }
+        }
+        return status();
+    }
+
+    // Per network: the worst level of its signers and the last reading of each
+    // (balance null until the first successful check)
+    function status() {
+        return Object.fromEntries(Object.entries(networks).map(([name, context]) => {
+            const signers = context.signers.addresses.map(address => ({
+                address,
+                balance: null,
+                level: 'unknown',
+                checkedAt: null,
+                error: null,
+                ...readings[`${name}/${address}`],
+            }));
+            const checked = signers.filter(signer => signer.level !== 'unknown');
+            const level = checked.length === 0 ? 'unknown'
+                : checked.every(signer => signer.level === 'critical') ? 'critical'
+                    : checked.some(signer => signer.level !== 'ok') ? 'low' : 'ok';
+            return [name, { level, signers }];
+        }));
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(checkAll, BALANCE_CHECK_INTERVAL_MS);
+            setImmediate(checkAll);
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, checkAll, status };
+}
+
+module.exports = { createBalanceMonitor, BALANCE_WARN_IP, BALANCE_CRITICAL_IP };
@@ -0,0 +1,299 @@
+/**
+ * Batch registration pipeline
+ * Registers many captures in one job. Items are pinned concurrently (bounded by
+ * BATCH_PIN_CONCURRENCY), minted through the SDK's batched workflows (multicall)
+ * in chunks of BATCH_MINT_CHUNK, then get their registration manifests and are
+ * synced to the database one by one.
+ * Failures are tracked per item so one bad capture never fails the whole batch.
+ * Items that fail to mint are retried with the job's backoff - the minted ones
+ * are checkpointed and kept - and only count as failed (released and reported
+ * through registration.failed) once the job's last attempt could not mint them.
+ */
+
+const { releaseRegistration } = require('./idempotency');
+const { emitEvent } = require('./webhooks');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+const { registrationsFromReceipt } = require('./chain');
+
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS || '200');
+const BATCH_PIN_CONCURRENCY = parseInt(process.env.BATCH_PIN_CONCURRENCY || '5');
+const BATCH_MINT_CHUNK = parseInt(process.env.BATCH_MINT_CHUNK || '20');
+
+// Run `fn` over `items` with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+// Items are sent from the signer pool like single registrations (see lib/registration.js)
+function createBatchPipeline({ collections, registration, signers }) {
+    const { steps, buildResult } = registration;
+
+    // Stage 1: pin metadata for every item
+    async function pinning(input) {
+        logger.info('Pinning batch metadata', { captures: input.items.length });
+        const items = await mapWithConcurrency(input.items, BATCH_PIN_CONCURRENCY, async (item) => {
+            try {
+                return { index: item.index, pinned: await steps.pinning(item.input) };
+            } catch (error) {
+                logger.error('Batch item failed to pin', { index: item.index, imageCid: item.input.imageCid, error: error.message });
+                return { index: item.index, error: error.message };
+            }
+        });
+        return { items };
+    }
+
+    // Register one chunk with a single batched call, matching results back by metadata hash
+    async function mintChunk(nftContract, entries) {
+        const response = await signers.withSigner(({ storyClient }) => storyClient.ipAsset.batchRegisterIpAssetsWithOptimizedWorkflows({
+            requests: entries.map(({ item, pinned }) => ({
+                spgNftContract: nftContract,
+                recipient: signers.primary.address,
+                licenseTermsData: steps.licenseTermsFor(item.input, pinned),
+                ipMetadata: steps.ipMetadataFor(pinned),
+            })),
+        }));
+
+        const byHash = new Map();
+        for (const result of response.registrationResults) {
+            const licenseTerms = new Map(result.ipAssetsWithLicenseTerms.map(asset => [asset.ipId.toLowerCase(), asset]));
+            for (const registered of registrationsFromReceipt(result.receipt)) {
+                const asset = licenseTerms.get(registered.ipId.toLowerCase());
+                byHash.set(registered.metadataHash.toLowerCase(), {
+                    ipId: registered.ipId,
+                    tokenId: registered.tokenId,
+                    licenseTermsIds: asset && asset.licenseTermsIds ? asset.licenseTermsIds.map(id => id.toString()) : undefined,
+                    txHash: signers.minedHash(result.txHash),
+                    nftContract,
+                });
+            }
+        }
+
+        return entries.map(({ item, pinned }) =>
+            byHash.get(`0x${pinned.ipHash}`.toLowerCase())
+            || { error: 'Registration not found in batch transaction receipt' }
+        );
+    }
+
+    // Fallback when a batched call fails: register the chunk's items one at a time
+    async function mintIndividually(nftContract, entries, fromBlock) {
+        return mapWithConcurrency(entries, 1, async ({ item, pinned }) => {
+            try {
+                const recovered = await steps.recoverMinted(pinned, fromBlock);
+                if (recovered) return recovered;
+
+                const response = await signers.withSigner(({ storyClient }) => storyClient.ipAsset.registerIpAsset({
+                    nft: { type: 'mint', spgNftContract: nftContract, recipient: signers.primary.address },
+                    licenseTermsData: steps.licenseTermsFor(item.input, pinned),
+                    ipMetadata: steps.ipMetadataFor(pinned),
+                }));
+                return {
+                    ipId: response.ipId,
+                    tokenId: response.tokenId?.toString(),
+                    licenseTermsIds: response.licenseTermsIds?.map(id => id.toString()),
+                    txHash: signers.minedHash(response.txHash),
+                    nftContract,
+                };
+            } catch (error) {
+                return { error: error.message };
+            }
+        });
+    }
+
+    // Stage 2: mint everything that pinned successfully
+    async function minting(input, outputs, { job, checkpoint, saveCheckpoint, lastAttempt }) {
+        const itemsByIndex = new Map(input.items.map(item => [item.index, item]));
+        const pinnedByIndex = new Map(outputs.pinning.items.map(entry => [entry.index, entry.pinned]));
+        // Items minted (and recorded) by earlier attempts
+        const minted = new Map(Object.entries((checkpoint && checkpoint.minted) || {}).map(([index, result]) => [Number(index), result]));
+        const results = new Map(minted);
+        let pending = outputs.pinning.items
+            .filter(entry => entry.pinned && !minted.has(entry.index))
+            .map(entry => ({ item: itemsByIndex.get(entry.index), pinned: entry.pinned }));
+
+        // Resume: skip items an interrupted attempt minted without getting to record them
+        let fromBlock;
+        if (checkpoint) {
+            fromBlock = checkpoint.fromBlock;
+            for (const entry of pending) {
+                const recovered = await steps.recoverMinted(entry.pinned, fromBlock);
+                if (recovered) results.set(entry.item.index, recovered);
+            }
+            pending = pending.filter(entry => !results.has(entry.item.index));
+        } else {
+            fromBlock = await steps.currentBlock();
+            await saveCheckpoint({ fromBlock, minted: {} });
+        }
+
+        // One batched call per collection and chunk
+        const byCollection = new Map();
+        for (const entry of pending) {
+            const key = entry.item.input.collectionKey;
+            byCollection.set(key, [...(byCollection.get(key) || []), entry]);
+        }
+
+        for (const [collectionKey, entries] of byCollection) {
+            let nftContract;
+            try {
+                nftContract = await collections.getCollection(collectionKey);
+            } catch (error) {
+                entries.forEach(entry => results.set(entry.item.index, { error: error.message }));
+                continue;
+            }
+
+            for (const part of chunk(entries, BATCH_MINT_CHUNK)) {
+                logger.info('Registering IP assets in one batch call', { count: part.length, nftContract });
+                let chunkResults;
+                try {
+                    chunkResults = await mintChunk(nftContract, part);
+                } catch (error) {
+                    logger.warn('Batch call failed, registering items individually', { error: error.message });
+                    chunkResults = await mintIndividually(nftContract, part, fromBlock);
+                }
+                part.forEach((entry, i) => results.set(entry.item.index, chunkResults[i]));
+            }
+        }
+
+        // Record and checkpoint what this attempt minted, so a retry only mints the rest
+        for (const [index, result] of results) {
+            if (result.error || minted.has(index)) continue;
+            await steps.record(itemsByIndex.get(index).input, pinnedByIndex.get(index), result, job.id);
+            minted.set(index, result);
+        }
+        await saveCheckpoint({ fromBlock, minted: Object.fromEntries(minted) });
+
+        const failed = [...results.values()].filter(result => result.error);
+        if (failed.length > 0 && !lastAttempt) {
+            throw new Error(`${failed.length} of ${results.size} batch items failed to mint, retrying them: ${failed[0].error}`);
+        }
+
+        const items = [];
+        for (const item of input.items) {
+            const result = results.get(item.index);
+            if (result && !result.error) {
+                items.push({ index: item.index, minted: result });
+            } else {
+                await releaseRegistration(item.input.imageCid, job.id);
+                if (result) items.push({ index: item.index, error: result.error });
+                const pinError = (outputs.pinning.items.find(entry => entry.index === item.index) || {}).error;
+                metrics.registrations.inc({ network: item.input.network, outcome: 'failed' });
+                await emitEvent('registration.failed', `${job.id}:${item.input.imageCid}`, {
+                    jobId: job.id,
+                    imageCid: item.input.imageCid,
+                    deviceAddress: item.input.deviceAddress,
+                    network: item.input.network,
+                    stage: result ? 'minting' : 'pinning',
+                    error: result ? result.error : pinError,
+                });
+            }
+        }
+
+        const succeeded = items.filter(entry => entry.minted).length;
+        logger.info('Batch minted', { succeeded, total: input.items.length });
+        return { items };
+    }
+
+    // Stage 3: pin a registration manifest for every minted item
+    async function provenance(input, outputs) {
+        const itemsByIndex = new Map(input.items.map(item => [item.index, item]));
+        const pinnedByIndex = new Map(outputs.pinning.items.map(entry => [entry.index, entry.pinned]));
+        const items = await mapWithConcurrency(
+            outputs.minting.items.filter(entry => entry.minted),
+            BATCH_PIN_CONCURRENCY,
+            async (entry) => {
+                try {
+                    const manifest = await steps.provenance(itemsByIndex.get(entry.index).input, {
+                        pinning: pinnedByIndex.get(entry.index),
+                        minting: entry.minted,
+                    });
+                    return { index: entry.index, ...manifest };
+                } catch (error) {
+                    logger.error('Batch item registration manifest failed', { index: entry.index, error: error.message });
+                    return { index: entry.index, error: error.message };
+                }
+            }
+        );
+        return { items };
+    }
+
+    // Stage 4: write every minted item back to the database
+    async function dbSync(input, outputs) {
+        const itemsByIndex = new Map(input.items.map(item => [item.index, item]));
+        const items = await mapWithConcurrency(
+            outputs.minting.items.filter(entry => entry.minted),
+            BATCH_PIN_CONCURRENCY,
+            async (entry) => {
+                try {
+                    const synced = await steps.dbSync(itemsByIndex.get(entry.index).input, { minting: entry.minted });
+                    return { index: entry.index, synced: Boolean(synced.updated), queued: Boolean(synced.queued), error: synced.error };
+                } catch (error) {
+                    return { index: entry.index, synced: false, error: error.message };
+                }
+            }
+        );
+        return { items };
+    }
+
+    // Per-item report: registered, or failed with the stage it failed at
+    function buildBatchResult(input, outputs) {
+        const find = (stage, index) => outputs[stage].items.find(entry => entry.index === index) || {};
+
+        const items = input.items.map(item => {
+            const pinnedEntry = find('pinning', item.index);
+            if (pinnedEntry.error) {
+                return { index: item.index, imageCid: item.input.imageCid, status: 'failed', stage: 'pinning', error: pinnedEntry.error };
+            }
+            const mintedEntry = find('minting', item.index);
+            if (!mintedEntry.minted) {
+                return { index: item.index, imageCid: item.input.imageCid, status: 'failed', stage: 'minting', error: mintedEntry.error };
+            }
+            const syncEntry = find('db-sync', item.index);
+            const provenanceEntry = outputs.provenance ? find('provenance', item.index) : {};
+            return {
+                index: item.index,
+                status: 'registered',
+                dbSynced: Boolean(syncEntry.synced),
+                dbQueued: Boolean(syncEntry.queued),
+                dbError: syncEntry.error,
+                provenanceError: provenanceEntry.error,
+                ...buildResult(item.input, { pinning: pinnedEntry.pinned, minting: mintedEntry.minted, provenance: provenanceEntry }),
+            };
+        });
+
+        return {
+            total: items.length,
+            succeeded: items.filter(item => item.status === 'registered').length,
+            failed: items.filter(item => item.status === 'failed').length,
+            items,
+        };
+    }
+
+    return {
+        stages: [
+            { name: 'pinning', run: pinning },
+            { name: 'minting', run: minting },
+            { name: 'provenance', run: provenance },
+            { name: 'db-sync', run: dbSync },
+        ],
+        buildResult: buildBatchResult,
+    };
+}
+
+module.exports = { createBatchPipeline, mapWithConcurrency, BATCH_MAX_ITEMS };
@@ -0,0 +1,127 @@
+/**
+ * Depth capture schema
+ * Validates depth metadata - the `depthMetadata` request field, or the JSON
+ * pinned behind `metadataCid` - against the versioned JSON schemas in
+ * schemas/depth-capture.v<N>.json, selected by the payload's schemaVersion.
+ *
+ * CAPTURE_SCHEMA_MODE=enforce (default) rejects invalid metadata with a 400;
+ * `warn` only logs the problems, for devices that still send the old format.
+ * Validated fields are promoted into the IP/NFT metadata (see promotedFields).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const { logger } = require('./logger');
+
+const CAPTURE_SCHEMA_MODE = process.env.CAPTURE_SCHEMA_MODE || 'enforce';
+// GPS is personal data, so it only ends up in public metadata when enabled
+const CAPTURE_PROMOTE_GPS = process.env.CAPTURE_PROMOTE_GPS === 'true';
+
+const SCHEMAS_DIR = path.join(__dirname, '..', 'schemas');
+
+const ajv = new Ajv2020({ allErrors: true, strict: true });
+addFormats(ajv);
+
+// schemaVersion -> { schema, validate }
+const SCHEMAS = new Map(
+    fs.readdirSync(SCHEMAS_DIR)
+        .map(name => /^depth-capture\.v(\d+)\.json$/.exec(name))
+        .filter(Boolean)
+        .map(([name, version]) => {
+            const schema = JSON.parse(fs.readFileSync(path.join(SCHEMAS_DIR, name), 'utf8'));
+            return [Number(version), { schema, validate: ajv.compile(schema) }];
+        })
+);
+const LATEST_VERSION = Math.max(...SCHEMAS.keys());
+
+// Ajv errors as { path, message } (path is a JSON pointer into the metadata)
+function formatErrors(errors) {
+    return errors.map(error => {
+        const field = error.params.missingProperty || error.params.additionalProperty;
+        return {
+            path: field ? `${error.instancePath}/${field}` : (error.instancePath || '/'),
+            message: error.keyword === 'additionalProperties' ? 'is not allowed' : error.message,
+            ...(error.keyword === 'enum' ? { allowed: error.params.allowedValues } : {}),
+        };
+    });
+}
+
+// An invalid payload: a 400 payload, or (CAPTURE_SCHEMA_MODE=warn) a log line and
+// the metadata passed through unvalidated (version null)
+function reject(source, details, metadata, schemaVersion) {
+    if (CAPTURE_SCHEMA_MODE === 'warn') {
+        logger.warn('Depth metadata does not match the capture schema', { source, problems: details });
+        return { metadata, version: null };
+    }
+    return {
+        error: {
+            error: `Invalid ${source}`,
+            schema: `deepshare/depth-capture/v${schemaVersion}`,
+            details,
+        },
+    };
+}
+
+// Validate depth metadata. Returns { error } with a 400 payload, or { metadata, version }.
+function validateDepthMetadata(metadata, source = 'depthMetadata') {
+    if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        return reject(source, [{ path: '/', message: 'must be an object' }], metadata, LATEST_VERSION);
+    }
+    const version = metadata.schemaVersion;
+    const entry = SCHEMAS.get(version);
+    if (!entry) {
+        const details = [{ path: '/schemaVersion', message: `must be one of ${[...SCHEMAS.keys()].join(', ')}`, provided: version }];
+        return reject(source, details, metadata, LATEST_VERSION);
+    }
+    if (!entry.validate(metadata)) {
+        return reject(source, formatErrors(entry.validate.errors), metadata, version);
+    }
+    return { metadata, version };
+}
+
+// Depth metadata inside a metadataCid document - either the whole JSON or its data.depthData
+function depthMetadataFromDocument(bytes) {
+    let document;
+    try {
+        document = JSON.parse(bytes.toString('utf8'));
+    } catch (error) {
+        return reject('metadataCid document', [{ path: '/', message: `is not JSON (${error.message})` }], null, LATEST_VERSION);
+    }
+    const metadata = document && document.data && document.data.depthData ? document.data.depthData : document;
+    return validateDepthMetadata(metadata, 'metadataCid depth metadata');
+}
+
+// Validated fields promoted into the IP metadata attributes (and NFT traits).
+// Takes a validateDepthMetadata result; returns [{ key, value }], empty when unvalidated.
+function promotedFields({ metadata, version }) {
+    if (!version) {
+        return [];
+    }
+    const { sensor, depthMap, resolution, intrinsics, gps } = metadata;
+    return [
+        { key: 'CaptureSchema', value: `v${version}` },
+        ...(sensor ? [{ key: 'DepthSensor', value: [sensor.type, sensor.manufacturer, sensor.model].filter(Boolean).join(' ') }] : []),
+        { key: 'DepthFormat', value: depthMap.format },
+        { key: 'DepthResolution', value: `${depthMap.width}x${depthMap.height}` },
+        ...(resolution ? [{ key: 'ImageResolution', value: `${resolution.width}x${resolution.height}` }] : []),
+        ...(intrinsics ? [{ key: 'CameraIntrinsics', value: `fx=${intrinsics.fx} fy=${intrinsics.fy} cx=${intrinsics.cx} cy=${intrinsics.cy}` }] : []),
+        ...(gps && CAPTURE_PROMOTE_GPS ? [{ key: 'GPS', value: `${gps.latitude},${gps.longitude}` }] : []),
+    ];
+}
+
+function describeCaptureSchemas() {
+    return {
+        latestVersion: LATEST_VERSION,
+        mode: CAPTURE_SCHEMA_MODE,
+        schemas: Object.fromEntries([...SCHEMAS].map(([version, { schema }]) => [version, schema])),
+    };
+}
+
+module.exports = {
+    validateDepthMetadata,
+    depthMetadataFromDocument,
+    promotedFields,
+    describeCaptureSchemas,
+};
@@ -0,0 +1,147 @@
+/**
+ * Evidence cases
+ * A case bundles the captures that make up one piece of evidence into a Story IP
+ * group. The group is registered by the primary signer (which then owns it) with
+ * one set of PIL terms attached, and every member must carry those same terms -
+ * so a case is created with the licenseTermsId its captures were registered under.
+ *
+ * Royalties paid to the group are split evenly between its members
+ * (CASE_GROUP_POOL, Story's EvenSplitGroupPool by default). Story freezes a group's
+ * membership once it has derivatives or minted license tokens.
+ *
+ * Cases are kept in the `cases` namespace with their name and description;
+ * membership is always read back from the chain.
+ */
+
+const { isAddress, getAddress } = require('viem');
+const store = require('./store');
+const { checkGroupMembers, listGroupMembers } = require('./chain');
+const { logger } = require('./logger');
+
+const CASE_GROUP_POOL = process.env.CASE_GROUP_POOL || '0xf96f2c30b41Cb6e0290de43C8528ae83d4f33F89';
+// Most members one request may add or remove
+const CASE_MAX_IPS_PER_REQUEST = parseInt(process.env.CASE_MAX_IPS_PER_REQUEST || '50');
+
+const CASES_NAMESPACE = 'cases';
+
+// Check a list of ipIds from a request. Returns { error } or { ipIds } (checksummed, deduplicated).
+function parseIpIds(ipIds, { required = true } = {}) {
+    if (ipIds === undefined && !required) {
+        return { ipIds: [] };
+    }
+    if (!Array.isArray(ipIds) || (required && ipIds.length === 0)) {
+        return { error: { error: 'ipIds must be a non-empty array of IP asset addresses' } };
+    }
+    if (ipIds.length > CASE_MAX_IPS_PER_REQUEST) {
+        return { error: { error: `At most ${CASE_MAX_IPS_PER_REQUEST} ipIds per request`, provided: ipIds.length } };
+    }
+    const invalid = ipIds.filter(ipId => typeof ipId !== 'string' || !isAddress(ipId));
+    if (invalid.length > 0) {
+        return { error: { error: 'ipIds must be IP asset addresses', invalid } };
+    }
+    return { ipIds: [...new Set(ipIds.map(ipId => getAddress(ipId)))] };
+}
+
+// Check a case request. Returns { error } or { name, description, licenseTermsId, ipIds }.
+function parseCase({ name, description, licenseTermsId, ipIds } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: { error: 'name must be a non-empty string', provided: name } };
+    }
+    if (!/^\d+$/.test(String(licenseTermsId || '')) || BigInt(licenseTermsId) === 0n) {
+        return { error: { error: 'licenseTermsId must be the id of the PIL terms the case\'s captures carry', provided: licenseTermsId } };
+    }
+    const members = parseIpIds(ipIds, { required: false });
+    if (members.error) {
+        return { error: members.error };
+    }
+    return {
+        name: name.trim(),
+        description: description === undefined || description === null ? null : String(description),
+        licenseTermsId: String(licenseTermsId),
+        ipIds: members.ipIds,
+    };
+}
+
+// `storyClient` is the primary signer's client: the group owner has to be the one to change it
+function createCaseService({ storyClient, publicClient, network }) {
+    async function describeCase(record) {
+        return { ...record, memberIpIds: await listGroupMembers(publicClient, record.groupIpId) };
+    }
+
+    // Register the group (adding the initial members in the same transaction).
+    // Returns { status, error } when a member cannot join, or the case.
+    async function createCase({ name, description, licenseTermsId, ipIds }) {
+        const problems = await checkGroupMembers(publicClient, ipIds, licenseTermsId);
+        if (problems.length > 0) {
+            return { status: 400, error: { error: 'Some IP assets cannot join the case', ipIds: problems } };
+        }
+
+        const licenseData = { licenseTermsId: BigInt(licenseTermsId) };
+        const response = ipIds.length > 0
+            ? await storyClient.groupClient.registerGroupAndAttachLicenseAndAddIps({ groupPool: CASE_GROUP_POOL, licenseData, ipIds })
+            : await storyClient.groupClient.registerGroupAndAttachLicense({ groupPool: CASE_GROUP_POOL, licenseData });
+
+        const record = {
+            groupIpId: response.groupId,
+            name,
+            description,
+            licenseTermsId,
+            network: network.name,
+            txHash: response.txHash,
+            createdAt: new Date().toISOString(),
+        };
+        await store.put(CASES_NAMESPACE, record.groupIpId, record);
+        logger.info('Case created', { groupIpId: record.groupIpId, name, members: ipIds.length, txHash: response.txHash });
+        return { case: await describeCase(record) };
+    }
+
+    async function getCase(groupIpId) {
+        const record = await store.get(CASES_NAMESPACE, getAddress(groupIpId));
+        if (!record || record.network !== network.name) {
+            return null;
+        }
+        return describeCase(record);
+    }
+
+    async function listCases({ limit, offset } = {}) {
+        return store.list(CASES_NAMESPACE, { where: { network: network.name }, limit, offset });
+    }
+
+    // Returns null for unknown cases, { status, error } when a member cannot be added, or { case, txHash }
+    async function addToCase(groupIpId, ipIds) {
+        const current = await getCase(groupIpId);
+        if (!current) {
+            return null;
+        }
+        const adding = ipIds.filter(ipId => !current.memberIpIds.includes(ipId));
+        if (adding.length === 0) {
+            return { case: current, txHash: null };
+        }
+        const problems = await checkGroupMembers(publicClient, adding, current.licenseTermsId);
+        if (problems.length > 0) {
+            return { status: 400, error: { error: 'Some IP assets cannot join the case', ipIds: problems } };
+        }
+        const { txHash } = await storyClient.groupClient.addIpsToGroup({ groupIpId: current.groupIpId, ipIds: adding });
+        logger.info('Added IP assets to case', { groupIpId: current.groupIpId, ipIds: adding, txHash });
+        return { case: await getCase(groupIpId), txHash };
+    }
+
+    // Returns null for unknown cases, { status, error } for ipIds that are not members, or { case, txHash }
+    async function removeFromCase(groupIpId, ipIds) {
+        const current = await getCase(groupIpId);
+        if (!current) {
+            return null;
+        }
+        const unknown = ipIds.filter(ipId => !current.memberIpIds.includes(ipId));
+        if (unknown.length > 0) {
+            return { status: 400, error: { error: 'Some IP assets are not members of the case', ipIds: unknown } };
+        }
+        const { txHash } = await storyClient.groupClient.removeIpsFromGroup({ groupIpId: current.groupIpId, ipIds });
+        logger.info('Removed IP assets from case', { groupIpId: current.groupIpId, ipIds, txHash });
+        return { case: await getCase(groupIpId), txHash };
+    }
+
+    return { createCase, getCase, listCases, addToCase, removeFromCase };
+}
+
+module.exports = { createCaseService, parseCase, parseIpIds };
@@ -0,0 +1,343 @@
+/**
+ * Direct on-chain reads for things the Story SDK does not expose
+ * (event lookups on the core protocol contracts, group members, dispute state).
+ */
+
+const { parseAbi, parseAbiItem, parseEventLogs, hexToString, zeroAddress, zeroHash } = require('viem');
+
+// Numeric chain IDs of the Story networks the SDK knows by name
+const STORY_CHAIN_IDS = { aeneid: 1315, mainnet: 1514 };
+
+// Story protocol core contracts (same address on aeneid and mainnet)
+const CORE_METADATA_MODULE_ADDRESS = '0x6E81a25C99C6e8430aeC7353325EB138aFE5DC16';
+const IP_ASSET_REGISTRY_ADDRESS = '0x77319B4031e6eF1250907aa00018B8B1c67a244b';
+const LICENSE_REGISTRY_ADDRESS = '0x529a750E02d8E2f15649c13D69a465286a780e24';
+const PIL_LICENSE_TEMPLATE_ADDRESS = '0x2E896b0b2Fdb7457499B56AAaA4AE55BCB4Cd316';
+const DISPUTE_MODULE_ADDRESS = '0x9b7A9c70AFF961C799110954fc06F3093aeb94C5';
+
+const metadataUriSetEvent = parseAbiItem(
+    'event MetadataURISet(address indexed ipId, string metadataURI, bytes32 metadataHash)'
+);
+const nftTokenUriSetEvent = parseAbiItem(
+    'event NFTTokenURISet(address indexed ipId, string nftTokenURI, bytes32 nftMetadataHash)'
+);
+const ipRegisteredEvent = parseAbiItem(
+    'event IPRegistered(address ipId, uint256 indexed chainId, address indexed tokenContract, uint256 indexed tokenId, string name, string uri, uint256 registrationDate)'
+);
+const ipAssetRegistryAbi = parseAbi([
+    'function isRegistered(address id) view returns (bool)',
+    'function isRegisteredGroup(address groupId) view returns (bool)',
+    'function totalMembers(address groupId) view returns (uint256)',
+    'function getGroupMembers(address groupId, uint256 startIndex, uint256 size) view returns (address[])',
+]);
+const disputeModuleAbi = parseAbi([
+    'function disputes(uint256 disputeId) view returns (address targetIpId, address disputeInitiator, uint256 disputeTimestamp, address arbitrationPolicy, bytes32 disputeEvidenceHash, bytes32 targetTag, bytes32 currentTag, uint256 infringerDisputeId)',
+    'function isIpTagged(address ipId) view returns (bool)',
+]);
+const licenseRegistryAbi = parseAbi([
+    'function hasIpAttachedLicenseTerms(address ipId, address licenseTemplate, uint256 licenseTermsId) view returns (bool)',
+    'function getDerivativeIpCount(address parentIpId) view returns (uint256)',
+    'function getDerivativeIp(address parentIpId, uint256 index) view returns (address)',
+    'function getParentIpCount(address childIpId) view returns (uint256)',
+    'function getParentIp(address childIpId, uint256 index) view returns (address)',
+    'function getAttachedLicenseTermsCount(address ipId) view returns (uint256)',
+    'function getAttachedLicenseTerms(address ipId, uint256 index) view returns (address licenseTemplate, uint256 licenseTermsId)',
+]);
+const ipAccountAbi = parseAbi([
+    'function token() view returns (uint256 chainId, address tokenContract, uint256 tokenId)',
+]);
+const erc721Abi = parseAbi([
+    'function ownerOf(uint256 tokenId) view returns (address)',
+]);
+
+// Public RPCs reject log queries over large block ranges, so they are split into windows
+const LOG_QUERY_BLOCK_RANGE = BigInt(process.env.LOG_QUERY_BLOCK_RANGE || '10000');
+
+// Run a log query from `fromBlock` to `toBlock` (default: the latest block) in windows of
+// `blockRange` blocks, oldest first. `visit(logs)` gets each window's logs; returning
+// true stops the scan early.
+async function scanLogs(publicClient, query, { fromBlock, toBlock, blockRange = LOG_QUERY_BLOCK_RANGE }, visit) {
+    const last = toBlock === undefined ? await publicClient.getBlockNumber() : BigInt(toBlock);
+    const step = BigInt(blockRange);
+    for (let start = BigInt(fromBlock); start <= last; start += step) {
+        const end = start + step - 1n < last ? start + step - 1n : last;
+        const logs = await publicClient.getLogs({ ...query, fromBlock: start, toBlock: end });
+        if (visit(logs)) {
+            return;
+        }
+    }
+}
+
+// Find an IP asset whose ipMetadataHash matches, searching logs from `fromBlock`.
+// Returns { ipId, txHash, tokenId, nftContract, metadataURI } or null.
+async function findRegistrationByMetadataHash(publicClient, ipMetadataHash, fromBlock) {
+    let match = null;
+    await scanLogs(publicClient, { address: CORE_METADATA_MODULE_ADDRESS, event: metadataUriSetEvent }, { fromBlock }, logs => {
+        match = logs.find(log => log.args.metadataHash.toLowerCase() === ipMetadataHash.toLowerCase()) || null;
+        return Boolean(match);
+    });
+    if (!match) {
+        return null;
+    }
+
+    const receipt = await publicClient.getTransactionReceipt({ hash: match.transactionHash });
+    const [registered] = parseEventLogs({ abi: [ipRegisteredEvent], logs: receipt.logs })
+        .filter(event => event.args.ipId.toLowerCase() === match.args.ipId.toLowerCase());
+
+    return {
+        ipId: match.args.ipId,
+        txHash: match.transactionHash,
+        tokenId: registered ? registered.args.tokenId.toString() : undefined,
+        nftContract: registered ? registered.args.tokenContract : undefined,
+        metadataURI: match.args.metadataURI,
+    };
+}
+
+// All IP assets registered in a transaction, with the metadata hashes each was registered
+// with and the registration time (unix seconds) recorded by the IP asset registry
+function registrationsFromReceipt(receipt) {
+    const registered = parseEventLogs({ abi: [ipRegisteredEvent], logs: receipt.logs });
+    const nftUris = parseEventLogs({ abi: [nftTokenUriSetEvent], logs: receipt.logs });
+    return parseEventLogs({ abi: [metadataUriSetEvent], logs: receipt.logs }).map(event => {
+        const sameIp = log => log.args.ipId.toLowerCase() === event.args.ipId.toLowerCase();
+        const ip = registered.find(sameIp);
+        const nft = nftUris.find(sameIp);
+        return {
+            ipId: event.args.ipId,
+            metadataHash: event.args.metadataHash,
+            nftMetadataHash: nft ? nft.args.nftMetadataHash : undefined,
+            tokenId: ip ? ip.args.tokenId.toString() : undefined,
+            nftContract: ip ? ip.args.tokenContract : undefined,
+            registrationDate: ip ? ip.args.registrationDate.toString() : undefined,
+        };
+    });
+}
+
+// Whether an address is a registered IP asset
+async function isRegisteredIp(publicClient, ipId) {
+    return publicClient.readContract({
+        address: IP_ASSET_REGISTRY_ADDRESS,
+        abi: ipAssetRegistryAbi,
+        functionName: 'isRegistered',
+        args: [ipId],
+    });
+}
+
+// IP assets registered for tokens of the given NFT contracts between two blocks,
+// queried in windows of `blockRange` blocks (RPCs cap the range of a log query).
+// Returns [{ ipId, nftContract, tokenId, uri, txHash, blockNumber }].
+async function listCollectionRegistrations(publicClient, nftContracts, { fromBlock, toBlock, blockRange }) {
+    const registrations = [];
+    const query = { address: IP_ASSET_REGISTRY_ADDRESS, event: ipRegisteredEvent, args: { tokenContract: nftContracts } };
+    await scanLogs(publicClient, query, { fromBlock, toBlock, blockRange }, logs => {
+        for (const log of logs) {
+            registrations.push({
+                ipId: log.args.ipId,
+                nftContract: log.args.tokenContract,
+                tokenId: log.args.tokenId.toString(),
+                uri: log.args.uri,
+                txHash: log.transactionHash,
+                blockNumber: log.blockNumber.toString(),
+            });
+        }
+        return false;
+    });
+    return registrations;
+}
+
+async function hasAttachedLicenseTerms(publicClient, ipId, licenseTermsId) {
+    return publicClient.readContract({
+        address: LICENSE_REGISTRY_ADDRESS,
+        abi: licenseRegistryAbi,
+        functionName: 'hasIpAttachedLicenseTerms',
+        args: [ipId, PIL_LICENSE_TEMPLATE_ADDRESS, BigInt(licenseTermsId)],
+    });
+}
+
+// Check that every parent is a registered IP asset with the given PIL terms attached.
+// Returns a list of { parentIpId, licenseTermsId, error } problems (empty when all is well).
+async function checkDerivativeParents(publicClient, parentIpIds, licenseTermsIds) {
+    const problems = [];
+    for (const [i, parentIpId] of parentIpIds.entries()) {
+        const licenseTermsId = licenseTermsIds[i];
+        if (!await isRegisteredIp(publicClient, parentIpId)) {
+            problems.push({ parentIpId, licenseTermsId, error: 'Parent is not a registered IP asset' });
+            continue;
+        }
+        if (!await hasAttachedLicenseTerms(publicClient, parentIpId, licenseTermsId)) {
+            problems.push({ parentIpId, licenseTermsId, error: 'License terms are not attached to the parent' });
+        }
+    }
+    return problems;
+}
+
+// Check that IP assets can join a group licensed under `licenseTermsId`: each must be a
+// registered IP asset (not a group) with those PIL terms attached.
+// Returns a list of { ipId, error } problems (empty when all is well).
+async function checkGroupMembers(publicClient, ipIds, licenseTermsId) {
+    const problems = [];
+    for (const ipId of ipIds) {
+        if (!await isRegisteredIp(publicClient, ipId)) {
+            problems.push({ ipId, error: 'Not a registered IP asset' });
+        } else if (await isGroup(publicClient, ipId)) {
+            problems.push({ ipId, error: 'Groups cannot be members of another group' });
+        } else if (!await hasAttachedLicenseTerms(publicClient, ipId, licenseTermsId)) {
+            problems.push({ ipId, error: `License terms ${licenseTermsId} of the group are not attached to the IP asset` });
+        }
+    }
+    return problems;
+}
+
+async function isGroup(publicClient, ipId) {
+    return publicClient.readContract({
+        address: IP_ASSET_REGISTRY_ADDRESS,
+        abi: ipAssetRegistryAbi,
+        functionName: 'isRegisteredGroup',
+        args: [ipId],
+    });
+}
+
+// Member IP assets of a group, read in pages of 100
+async function listGroupMembers(publicClient, groupIpId) {
+    const total = await publicClient.readContract({
+        address: IP_ASSET_REGISTRY_ADDRESS,
+        abi: ipAssetRegistryAbi,
+        functionName: 'totalMembers',
+        args: [groupIpId],
+    });
+    const members = [];
+    for (let start = 0n; start < total; start += 100n) {
+        members.push(...await publicClient.readContract({
+            address: IP_ASSET_REGISTRY_ADDRESS,
+            abi: ipAssetRegistryAbi,
+            functionName: 'getGroupMembers',
+            args: [groupIpId, start, 100n],
+        }));
+    }
+    return members;
+}
+
+const decodeTag = (tag) => tag === zeroHash ? null : hexToString(tag, { size: 32 });
+
+// A dispute as recorded by the dispute module, or null for unknown dispute ids.
+// currentTag is IN_DISPUTE while it is open, the target tag once upheld, and null
+// when it was dismissed or cancelled.
+async function readDispute(publicClient, disputeId) {
+    const [targetIpId, disputeInitiator, disputeTimestamp, arbitrationPolicy, disputeEvidenceHash, targetTag, currentTag, infringerDisputeId] =
+        await publicClient.readContract({
+            address: DISPUTE_MODULE_ADDRESS,
+            abi: disputeModuleAbi,
+            functionName: 'disputes',
+            args: [BigInt(disputeId)],
+        });
+    if (targetIpId === zeroAddress) {
+        return null;
+    }
+    return {
+        disputeId: String(disputeId),
+        targetIpId,
+        disputeInitiator,
+        disputeTimestamp: Number(disputeTimestamp),
+        arbitrationPolicy,
+        disputeEvidenceHash,
+        targetTag: decodeTag(targetTag),
+        currentTag: decodeTag(currentTag),
+        infringerDisputeId: infringerDisputeId === 0n ? null : infringerDisputeId.toString(),
+    };
+}
+
+// Whether an IP asset carries a dispute tag (an upheld dispute, or one in progress)
+async function isIpTagged(publicClient, ipId) {
+    return publicClient.readContract({
+        address: DISPUTE_MODULE_ADDRESS,
+        abi: disputeModuleAbi,
+        functionName: 'isIpTagged',
+        args: [ipId],
+    });
+}
+
+// Read an indexed list from the license registry (count function + item-at-index function)
+async function readRegistryList(publicClient, countFunction, itemFunction, ipId) {
+    const count = await publicClient.readContract({
+        address: LICENSE_REGISTRY_ADDRESS,
+        abi: licenseRegistryAbi,
+        functionName: countFunction,
+        args: [ipId],
+    });
+    const items = [];
+    for (let i = 0n; i < count; i++) {
+        items.push(await publicClient.readContract({
+            address: LICENSE_REGISTRY_ADDRESS,
+            abi: licenseRegistryAbi,
+            functionName: itemFunction,
+            args: [ipId, i],
+        }));
+    }
+    return items;
+}
+
+// Direct derivatives (children) of an IP asset
+async function listDerivatives(publicClient, ipId) {
+    return readRegistryList(publicClient, 'getDerivativeIpCount', 'getDerivativeIp', ipId);
+}
+
+// Direct parents of a derivative IP asset
+async function listParents(publicClient, ipId) {
+    return readRegistryList(publicClient, 'getParentIpCount', 'getParentIp', ipId);
+}
+
+// On-chain view of an IP asset: the NFT behind it and its owner, attached license
+// terms, parents and derivatives. Returns { registered: false } for unknown ipIds.
+async function readIpAsset(publicClient, ipId) {
+    if (!await isRegisteredIp(publicClient, ipId)) {
+        return { ipId, registered: false };
+    }
+
+    const [, tokenContract, tokenId] = await publicClient.readContract({
+        address: ipId,
+        abi: ipAccountAbi,
+        functionName: 'token',
+    });
+    const owner = await publicClient.readContract({
+        address: tokenContract,
+        abi: erc721Abi,
+        functionName: 'ownerOf',
+        args: [tokenId],
+    });
+    const licenseTerms = await readRegistryList(publicClient, 'getAttachedLicenseTermsCount', 'getAttachedLicenseTerms', ipId);
+
+    return {
+        ipId,
+        registered: true,
+        owner,
+        nftContract: tokenContract,
+        tokenId: tokenId.toString(),
+        licenseTerms: licenseTerms.map(([licenseTemplate, licenseTermsId]) => ({
+            licenseTemplate,
+            licenseTermsId: licenseTermsId.toString(),
+        })),
+        parentIpIds: await listParents(publicClient, ipId),
+        derivativeIpIds: await listDerivatives(publicClient, ipId),
+    };
+}
+
+module.exports = {
+    STORY_CHAIN_IDS,
+    CORE_METADATA_MODULE_ADDRESS,
+    IP_ASSET_REGISTRY_ADDRESS,
+    LICENSE_REGISTRY_ADDRESS,
+    PIL_LICENSE_TEMPLATE_ADDRESS,
+    DISPUTE_MODULE_ADDRESS,
+    isRegisteredIp,
+    listCollectionRegistrations,
+    checkDerivativeParents,
+    checkGroupMembers,
+    listGroupMembers,
+    readDispute,
+    isIpTagged,
+    listDerivatives,
+    listParents,
+    readIpAsset,
+    findRegistrationByMetadataHash,
+    registrationsFromReceipt,
+};
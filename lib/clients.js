@@ -0,0 +1,330 @@
+/**
+ * API clients
+ * Callers of the registration endpoints identify themselves as an API client
+ * (created through /admin/clients) with either
+ *
+ *   an API key  - `X-API-Key: dsk_...` or `Authorization: Bearer dsk_...`; only a
+ *                 SHA-256 hash of the key is stored, the key itself is returned once
+ *   a JWT       - `Authorization: Bearer <jwt>`, HS256-signed with AUTH_JWT_SECRET,
+ *                 `sub` is the client id (checked against AUTH_JWT_ISSUER /
+ *                 AUTH_JWT_AUDIENCE when set)
+ *
+ * Anonymous calls are rejected unless REQUIRE_API_AUTH=false - they would queue
+ * registrations paid for by the server wallet with no daily quota. Each client can carry its
+ * own rate limit and daily quota (see lib/quotas.js) and a policy that narrows the
+ * server's license policy:
+ *
+ *   { mintingFee: { min, max }, commercialRevShare: { min, max } }
+ *
+ * fees in IP tokens, revenue shares in percent; a bound left out is not checked.
+ *
+ * A client can also belong to a `tenant` (see TENANT_NETWORKS) and be given the
+ * `networks` it may register on (see lib/networks.js).
+ */
+
+const { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } = require('crypto');
+const { parseEther } = require('viem');
+const store = require('./store');
+const { ENABLED_NETWORKS } = require('./networks');
+
+const REQUIRE_API_AUTH = process.env.REQUIRE_API_AUTH !== 'false';
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET;
+const AUTH_JWT_ISSUER = process.env.AUTH_JWT_ISSUER;
+const AUTH_JWT_AUDIENCE = process.env.AUTH_JWT_AUDIENCE;
+// Accepted clock skew for exp/nbf
+const JWT_CLOCK_SKEW_SECONDS = 60;
+
+const CLIENTS_NAMESPACE = 'api_clients';
+const KEYS_NAMESPACE = 'api_client_keys';
+
+const hashKey = (key) => createHash('sha256').update(key).digest('hex');
+const newKey = () => `dsk_${randomBytes(24).toString('hex')}`;
+
+// Clients without their key hash
+function describeClient({ keyHash, ...client }) {
+    return client;
+}
+
+function parseRange(value, name, { integer = false, max = 100 } = {}) {
+    if (value === undefined || value === null) {
+        return { range: null };
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `policy.${name} must be an object with min and/or max` };
+    }
+    const range = {};
+    for (const bound of ['min', 'max']) {
+        if (value[bound] === undefined || value[bound] === null) continue;
+        const number = Number(value[bound]);
+        if (integer) {
+            if (!Number.isInteger(number) || number < 0 || number > max) {
+                return { error: `policy.${name}.${bound} must be a whole number between 0 and ${max}`, provided: value[bound] };
+            }
+            range[bound] = number;
+            continue;
+        }
+        try {
+            if (parseEther(String(value[bound])) < 0n) throw new Error('negative');
+        } catch (error) {
+            return { error: `policy.${name}.${bound} must be a non-negative decimal amount of IP tokens`, provided: value[bound] };
+        }
+        range[bound] = String(value[bound]);
+    }
+    if (range.min !== undefined && range.max !== undefined && Number(range.min) > Number(range.max)) {
+        return { error: `policy.${name}.min is above its max` };
+    }
+    return { range };
+}
+
+function parseLimit(value, name) {
+    if (value === undefined || value === null) {
+        return { limit: null };
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) {
+        return { error: `${name} must be a non-negative whole number (0 blocks the client)`, provided: value };
+    }
+    return { limit: number };
+}
+
+// Check a client request (create or update). Returns { error } or the normalised fields;
+// with `partial` only the fields present are returned.
+function parseClient(body = {}, { partial = false } = {}) {
+    const fields = {};
+    if (!partial || body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: { error: 'name must be a non-empty string', provided: body.name } };
+        }
+        fields.name = body.name.trim();
+    }
+    if (body.description !== undefined) {
+        fields.description = body.description === null ? null : String(body.description);
+    }
+    for (const [key, name] of [['rateLimitPerMinute', 'rateLimitPerMinute'], ['dailyQuota', 'dailyQuota']]) {
+        if (!partial || body[key] !== undefined) {
+            const { error, limit } = parseLimit(body[key], name);
+            if (error) {
+                return { error: { error } };
+            }
+            fields[key] = limit;
+        }
+    }
+    if (!partial || body.tenant !== undefined) {
+        if (body.tenant !== undefined && body.tenant !== null && (typeof body.tenant !== 'string' || !body.tenant.trim())) {
+            return { error: { error: 'tenant must be a non-empty string or null', provided: body.tenant } };
+        }
+        fields.tenant = body.tenant ? body.tenant.trim() : null;
+    }
+    if (!partial || body.networks !== undefined) {
+        const networks = body.networks === undefined ? null : body.networks;
+        if (networks !== null && (!Array.isArray(networks) || networks.some(name => !ENABLED_NETWORKS.includes(name)))) {
+            return { error: { error: 'networks must be null or an array of enabled networks', provided: body.networks, enabled: ENABLED_NETWORKS } };
+        }
+        fields.networks = networks;
+    }
+    if (!partial || body.policy !== undefined) {
+        const policy = body.policy || {};
+        const mintingFee = parseRange(policy.mintingFee, 'mintingFee');
+        const commercialRevShare = parseRange(policy.commercialRevShare, 'commercialRevShare', { integer: true });
+        const failed = mintingFee.error ? mintingFee : commercialRevShare.error ? commercialRevShare : null;
+        if (failed) {
+            return { error: { error: failed.error, provided: failed.provided } };
+        }
+        fields.policy = { mintingFee: mintingFee.range, commercialRevShare: commercialRevShare.range };
+    }
+    return { fields };
+}
+
+async function createClient(fields) {
+    const key = newKey();
+    const client = {
+        id: randomUUID(),
+        description: null,
+        ...fields,
+        keyHash: hashKey(key),
+        keyPrefix: key.slice(0, 12),
+        status: 'active',
+        createdAt: new Date().toISOString(),
+    };
+    await store.put(CLIENTS_NAMESPACE, client.id, client);
+    await store.put(KEYS_NAMESPACE, client.keyHash, { keyHash: client.keyHash, clientId: client.id });
+    return { client: describeClient(client), apiKey: key };
+}
+
+async function getClient(id) {
+    const client = await store.get(CLIENTS_NAMESPACE, id);
+    return client ? describeClient(client) : null;
+}
+
+async function listClients({ status, limit, offset } = {}) {
+    const clients = await store.list(CLIENTS_NAMESPACE, { where: status ? { status } : {}, limit, offset });
+    return clients.map(describeClient);
+}
+
+async function updateClient(id, fields) {
+    const client = await store.get(CLIENTS_NAMESPACE, id);
+    if (!client || client.status !== 'active') {
+        return null;
+    }
+    const updated = { ...client, ...fields, updatedAt: new Date().toISOString() };
+    await store.put(CLIENTS_NAMESPACE, id, updated);
+    return describeClient(updated);
+}
+
+// Issue a new API key; the old one stops working immediately
+async function rotateClientKey(id) {
+    const client = await store.get(CLIENTS_NAMESPACE, id);
+    if (!client || client.status !== 'active') {
+        return null;
+    }
+    const key = newKey();
+    const updated = { ...client, keyHash: hashKey(key), keyPrefix: key.slice(0, 12), keyRotatedAt: new Date().toISOString() };
+    await store.remove(KEYS_NAMESPACE, client.keyHash);
+    await store.put(CLIENTS_NAMESPACE, id, updated);
+    await store.put(KEYS_NAMESPACE, updated.keyHash, { keyHash: updated.keyHash, clientId: id });
+    return { client: describeClient(updated), apiKey: key };
+}
+
+// Revoke a client - its key and tokens stop working, its audit trail is kept
+async function revokeClient(id) {
+    const client = await store.get(CLIENTS_NAMESPACE, id);
+    if (!client || client.status !== 'active') {
+        return null;
+    }
+    const revoked = { ...client, status: 'revoked', revokedAt: new Date().toISOString() };
+    await store.remove(KEYS_NAMESPACE, client.keyHash);
+    await store.put(CLIENTS_NAMESPACE, id, revoked);
+    return describeClient(revoked);
+}
+
+const base64url = (buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Verify an HS256 JWT. Returns { clientId } or { error }.
+function verifyJwt(token) {
+    if (!AUTH_JWT_SECRET) {
+        return { error: 'JWT authentication is not configured (AUTH_JWT_SECRET not set)' };
+    }
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    let header, payload;
+    try {
+        header = decodeSegment(headerPart);
+        payload = decodeSegment(payloadPart);
+    } catch (error) {
+        return { error: 'Malformed token' };
+    }
+    if (header.alg !== 'HS256') {
+        return { error: `Unsupported token algorithm "${header.alg}" (expected HS256)` };
+    }
+    const expected = Buffer.from(base64url(createHmac('sha256', AUTH_JWT_SECRET).update(`${headerPart}.${payloadPart}`).digest()));
+    const provided = Buffer.from(signaturePart || '');
+    if (expected.length !== provided.length || !timingSafeEqual(expected, provided)) {
+        return { error: 'Invalid token signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp !== 'number' || payload.exp + JWT_CLOCK_SKEW_SECONDS < now) {
+        return { error: typeof payload.exp === 'number' ? 'Token has expired' : 'Token has no exp claim' };
+    }
+    if (typeof payload.nbf === 'number' && payload.nbf - JWT_CLOCK_SKEW_SECONDS > now) {
+        return { error: 'Token is not valid yet' };
+    }
+    if (AUTH_JWT_ISSUER && payload.iss !== AUTH_JWT_ISSUER) {
+        return { error: 'Token issuer is not accepted' };
+    }
+    const audiences = [].concat(payload.aud || []);
+    if (AUTH_JWT_AUDIENCE && !audiences.includes(AUTH_JWT_AUDIENCE)) {
+        return { error: 'Token audience is not accepted' };
+    }
+    if (typeof payload.sub !== 'string' || !payload.sub) {
+        return { error: 'Token has no sub claim (the client id)' };
+    }
+    return { clientId: payload.sub };
+}
+
+// Identify the caller of a request. Returns { client } (null for anonymous calls) or { status, error }.
+async function authenticateRequest(req) {
+    const authorization = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+    const credential = req.get('x-api-key') || (bearer && bearer[1]);
+
+    if (!credential) {
+        if (authorization) {
+            return { status: 401, error: { error: 'Authorization must be "Bearer <API key or JWT>"' } };
+        }
+        if (REQUIRE_API_AUTH) {
+            return { status: 401, error: { error: 'Authentication required - send an API key (X-API-Key) or a bearer token' } };
+        }
+        return { client: null };
+    }
+
+    let clientId;
+    if (credential.split('.').length === 3) {
+        const verified = verifyJwt(credential);
+        if (verified.error) {
+            return { status: 401, error: { error: verified.error } };
+        }
+        clientId = verified.clientId;
+    } else {
+        const key = await store.get(KEYS_NAMESPACE, hashKey(credential));
+        if (!key) {
+            return { status: 401, error: { error: 'Invalid API key' } };
+        }
+        clientId = key.clientId;
+    }
+
+    const client = await store.get(CLIENTS_NAMESPACE, clientId);
+    if (!client || client.status !== 'active') {
+        return { status: 401, error: { error: 'API client is unknown or revoked' } };
+    }
+    return { client: describeClient(client) };
+}
+
+// Check a registration's economics against the client's policy. Returns a list of violations.
+function checkClientPolicy(client, input) {
+    const policy = (client && client.policy) || {};
+    const fee = policy.mintingFee || {};
+    const revShare = policy.commercialRevShare || {};
+    const violations = [];
+    const inRange = (value, range) => (range.min === undefined || value >= range.min) && (range.max === undefined || value <= range.max);
+
+    const feeRange = {
+        min: fee.min !== undefined ? parseEther(fee.min) : undefined,
+        max: fee.max !== undefined ? parseEther(fee.max) : undefined,
+    };
+    for (const [index, spec] of (input.licenses || []).entries()) {
+        // Non-commercial flavors carry neither a fee nor a revenue share
+        if (!['commercialRemix', 'commercialUse'].includes(spec.flavor)) continue;
+        if (!inRange(BigInt(spec.mintingFeeWei), feeRange)) {
+            violations.push({ license: index, field: 'mintingFee', allowed: fee });
+        }
+        if (spec.flavor === 'commercialRemix' && !inRange(spec.commercialRevShare, revShare)) {
+            violations.push({ license: index, field: 'commercialRevShare', allowed: revShare });
+        }
+    }
+
+    // Derivatives: what the server may pay for (and share with) the parents' licenses
+    if (input.derivative) {
+        const { maxMintingFeeWei, maxRevenueShare } = input.derivative;
+        if (feeRange.max !== undefined && BigInt(maxMintingFeeWei) > feeRange.max) {
+            violations.push({ field: 'maxMintingFee', allowed: { max: fee.max } });
+        }
+        if (revShare.max !== undefined && maxRevenueShare > revShare.max) {
+            violations.push({ field: 'maxRevenueShare', allowed: { max: revShare.max } });
+        }
+    }
+    return violations;
+}
+
+module.exports = {
+    REQUIRE_API_AUTH,
+    parseClient,
+    createClient,
+    getClient,
+    listClients,
+    updateClient,
+    rotateClientKey,
+    revokeClient,
+    authenticateRequest,
+    checkClientPolicy,
+};
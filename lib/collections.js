@@ -0,0 +1,304 @@
+/**
+ * SPG NFT collection management
+ * Collections are resolved from config first (SPG_NFT_CONTRACT / SPG_NFT_CONTRACTS),
+ * then from the persistent store. They are only created on-chain once, guarded by
+ * an in-process lock plus a lease row in the store so that concurrent first
+ * requests - even on different instances - never create duplicates. A lease older
+ * than COLLECTION_LEASE_TTL_MS (its creator crashed) is taken over by the next request,
+ * with a conditional update so that only one request takes it over.
+ *
+ * Partition values come from the request body, so only the default collection and
+ * the values in COLLECTION_PARTITION_VALUES are created on first use; any other
+ * tenant/device class needs a collection configured or created by an admin.
+ *
+ * Every network profile has its own collections: the deployment's network keeps
+ * the `spg_collections` namespace and SPG_NFT_CONTRACT(S), other networks use
+ * `spg_collections_<network>` and NETWORK_<NAME>_SPG_NFT_CONTRACT.
+ *
+ * Collections only let minters mint: with a signer pool, the primary signer (the
+ * collection owner) grants the minter role to the other signers on first use.
+ */
+
+const { zeroAddress, isAddress, keccak256, toHex, parseAbi } = require('viem');
+const store = require('./store');
+const { DEFAULT_NETWORK, getNetworkProfile } = require('./networks');
+const { logger } = require('./logger');
+
+const DEFAULT_KEY = 'default';
+
+// Which request field (if any) selects a separate collection: none | tenant | deviceClass
+const COLLECTION_PARTITION = process.env.COLLECTION_PARTITION || 'none';
+const AUTO_CREATE_COLLECTION = (process.env.AUTO_CREATE_COLLECTION || 'true') === 'true';
+const COLLECTION_LOCK_TIMEOUT_MS = parseInt(process.env.COLLECTION_LOCK_TIMEOUT_MS || '120000');
+const COLLECTION_LEASE_TTL_MS = parseInt(process.env.COLLECTION_LEASE_TTL_MS || '600000');
+// Partition values (comma-separated) whose collection may be created on first use
+const COLLECTION_PARTITION_VALUES = (process.env.COLLECTION_PARTITION_VALUES || '')
+    .split(',').map(value => value.trim()).filter(Boolean);
+
+// SPGNFTLib.MINTER_ROLE
+const MINTER_ROLE = keccak256(toHex('MINTER_ROLE'));
+const accessControlAbi = parseAbi([
+    'function hasRole(bytes32 role, address account) view returns (bool)',
+    'function grantRole(bytes32 role, address account)',
+]);
+
+function namespaceFor(network) {
+    return network.name === DEFAULT_NETWORK ? 'spg_collections' : `spg_collections_${network.name}`;
+}
+
+// Collections pinned in config always win over stored ones
+function loadConfiguredCollections(network) {
+    const configured = {};
+    if (network.name === DEFAULT_NETWORK && process.env.SPG_NFT_CONTRACTS) {
+        try {
+            Object.assign(configured, JSON.parse(process.env.SPG_NFT_CONTRACTS));
+        } catch (error) {
+            throw new Error(`SPG_NFT_CONTRACTS is not valid JSON: ${error.message}`);
+        }
+    }
+    if (network.spgNftContract) {
+        configured[DEFAULT_KEY] = network.spgNftContract;
+    }
+    for (const [key, address] of Object.entries(configured)) {
+        if (!isAddress(address)) {
+            throw new Error(`Configured collection "${key}" (${network.name}) is not a valid address: ${address}`);
+        }
+    }
+    return configured;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const partitionKey = (value) => COLLECTION_PARTITION === 'tenant' ? `tenant:${value}` : `device-class:${value}`;
+const AUTO_CREATE_KEYS = new Set([DEFAULT_KEY, ...COLLECTION_PARTITION_VALUES.map(partitionKey)]);
+
+const leaseExpired = (record) => record.status === 'creating' &&
+    Date.now() - new Date(record.startedAt).getTime() > COLLECTION_LEASE_TTL_MS;
+
+// `signers` is the signer pool (lib/transactions.js); storyClient is its primary's client
+function createCollectionManager({ storyClient, publicClient, network = getNetworkProfile(), signers = null }) {
+    const namespace = namespaceFor(network);
+    const configured = loadConfiguredCollections(network);
+    const resolved = new Map();  // key -> address, cache of ready collections
+    const pending = new Map();   // key -> Promise, single-flight per key
+    const minters = new Map();   // address -> Promise, minter roles checked/granted
+
+    // Map request fields to a collection key according to COLLECTION_PARTITION
+    function resolveKey({ tenant, deviceClass } = {}) {
+        if (COLLECTION_PARTITION === 'tenant' && tenant) return partitionKey(tenant);
+        if (COLLECTION_PARTITION === 'deviceClass' && deviceClass) return partitionKey(deviceClass);
+        return DEFAULT_KEY;
+    }
+
+    // Check that a registration may use the collection for `key`: it exists, or may be
+    // created on first use. Returns null, or a 400 payload.
+    async function checkKey(key) {
+        if (configured[key] || resolved.has(key) || (AUTO_CREATE_COLLECTION && AUTO_CREATE_KEYS.has(key))) {
+            return null;
+        }
+        if (await store.get(namespace, key)) {
+            return null;
+        }
+        return {
+            error: `No SPG NFT collection for "${key}"`,
+            hint: 'Partition values need a collection created via POST /admin/collections or listed in COLLECTION_PARTITION_VALUES',
+        };
+    }
+
+    async function createOnChain(key) {
+        const label = key === DEFAULT_KEY ? '' : ` (${key})`;
+        logger.info('Creating SPG NFT collection', { key, network: network.name });
+
+        const newCollection = await storyClient.nftClient.createNFTCollection({
+            name: `DeepShare Evidence Collection${label}`,
+            symbol: 'DEEPSHARE',
+            isPublicMinting: false, // Only server can mint
+            mintOpen: true,
+            mintFeeRecipient: zeroAddress,
+            contractURI: '',
+        });
+
+        const txHash = signers ? signers.minedHash(newCollection.txHash) : newCollection.txHash;
+        logger.info('Collection created', { key, network: network.name, nftContract: newCollection.spgNftContract, txHash });
+        return { spgNftContract: newCollection.spgNftContract, txHash };
+    }
+
+    // Take the lease for `key` (or over an expired one), create the collection and persist it
+    async function claimAndCreate(key, expired = null) {
+        const lease = { key, status: 'creating', startedAt: new Date().toISOString() };
+        // Takeovers replace the exact lease that was seen expiring, so of several
+        // requests that saw it only one wins
+        const claimed = expired
+            ? await store.update(namespace, key, lease, { match: { status: 'creating', startedAt: expired.startedAt } })
+            : await store.create(namespace, key, lease);
+
+        if (!claimed) {
+            return waitForCollection(key);
+        }
+        if (expired) {
+            logger.warn('Took over expired collection lease - its creator may have deployed a collection that is now unused', {
+                key, network: network.name, startedAt: expired.startedAt,
+            });
+        }
+
+        // Only write over our own lease - it may have expired and been taken over meanwhile
+        const ownLease = { match: { status: 'creating', startedAt: lease.startedAt } };
+        try {
+            const { spgNftContract, txHash } = await createOnChain(key);
+            const stored = await store.update(namespace, key, {
+                key,
+                status: 'ready',
+                spgNftContract,
+                txHash,
+                createdAt: new Date().toISOString(),
+            }, ownLease);
+            if (!stored) {
+                logger.warn('Collection lease was taken over while creating - the new collection stays unused', {
+                    key, network: network.name, nftContract: spgNftContract,
+                });
+                return waitForCollection(key);
+            }
+            return spgNftContract;
+        } catch (error) {
+            // Release the lease so a later attempt can retry
+            await store.remove(namespace, key, ownLease).catch(() => {});
+            throw error;
+        }
+    }
+
+    // Another request (or instance) holds the lease - wait for it to finish
+    async function waitForCollection(key) {
+        const deadline = Date.now() + COLLECTION_LOCK_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            const record = await store.get(namespace, key);
+            if (!record) {
+                // The creator failed and released the lease - try again ourselves
+                return claimAndCreate(key);
+            }
+            if (record.status === 'ready') {
+                return record.spgNftContract;
+            }
+            if (leaseExpired(record)) {
+                // The creator crashed without releasing the lease
+                return claimAndCreate(key, record);
+            }
+            await sleep(2000);
+        }
+        throw new Error(
+            `Timed out waiting for collection "${key}" to be created. ` +
+            `If the creating instance crashed, its lease is taken over after ${COLLECTION_LEASE_TTL_MS / 1000}s ` +
+            `(or check the chain and import the address via POST /admin/collections).`
+        );
+    }
+
+    // Let every pool signer mint into the collection (once per collection and process)
+    async function grantMinterRoles(spgNftContract) {
+        for (const member of signers.members.slice(1)) {
+            const hasRole = await publicClient.readContract({
+                address: spgNftContract,
+                abi: accessControlAbi,
+                functionName: 'hasRole',
+                args: [MINTER_ROLE, member.address],
+            });
+            if (hasRole) continue;
+
+            logger.info('Granting minter role to pool signer', { network: network.name, nftContract: spgNftContract, signer: member.address });
+            await signers.primary.transactions.execute({
+                address: spgNftContract,
+                abi: accessControlAbi,
+                functionName: 'grantRole',
+                args: [MINTER_ROLE, member.address],
+            });
+        }
+    }
+
+    async function ensureMinters(spgNftContract) {
+        if (!signers || signers.members.length < 2) return;
+        if (!minters.has(spgNftContract)) {
+            // Forget failures so the next registration tries again
+            minters.set(spgNftContract, grantMinterRoles(spgNftContract).catch(error => {
+                minters.delete(spgNftContract);
+                throw new Error(`Could not grant the minter role on ${spgNftContract} to the signer pool: ${error.message}`);
+            }));
+        }
+        await minters.get(spgNftContract);
+    }
+
+    // Get the collection for `key`, creating it on first use if allowed
+    async function getCollection(key, options) {
+        const spgNftContract = await findCollection(key, options);
+        await ensureMinters(spgNftContract);
+        return spgNftContract;
+    }
+
+    async function findCollection(key = DEFAULT_KEY, { create = AUTO_CREATE_COLLECTION && AUTO_CREATE_KEYS.has(key) } = {}) {
+        if (configured[key]) return configured[key];
+        if (resolved.has(key)) return resolved.get(key);
+
+        const record = await store.get(namespace, key);
+        if (record && record.status === 'ready') {
+            resolved.set(key, record.spgNftContract);
+            return record.spgNftContract;
+        }
+
+        if (!create && !record) {
+            throw new Error(
+                `No SPG NFT collection configured for "${key}". ` +
+                `Set SPG_NFT_CONTRACT or create one via POST /admin/collections.`
+            );
+        }
+
+        if (!pending.has(key)) {
+            const promise = (record ? waitForCollection(key) : claimAndCreate(key))
+                .then(address => {
+                    resolved.set(key, address);
+                    return address;
+                })
+                .finally(() => pending.delete(key));
+            pending.set(key, promise);
+        }
+        return pending.get(key);
+    }
+
+    // Record an already deployed collection (e.g. after a manual deploy)
+    async function importCollection(key, spgNftContract) {
+        if (!isAddress(spgNftContract)) {
+            throw new Error(`Invalid collection address: ${spgNftContract}`);
+        }
+        await store.put(namespace, key, {
+            key,
+            status: 'ready',
+            spgNftContract,
+            importedAt: new Date().toISOString(),
+        });
+        resolved.set(key, spgNftContract);
+        return spgNftContract;
+    }
+
+    async function listCollections() {
+        const stored = await store.list(namespace, { limit: 1000 });
+        const configuredList = Object.entries(configured).map(([key, spgNftContract]) => ({
+            key,
+            status: 'ready',
+            spgNftContract,
+            source: 'config',
+        }));
+        return [
+            ...configuredList,
+            ...stored
+                .filter(record => !configured[record.key])
+                .map(record => ({ ...record, source: 'store' })),
+        ];
+    }
+
+    return {
+        resolveKey,
+        checkKey,
+        getCollection,
+        importCollection,
+        listCollections,
+        isConfigured: (key) => Boolean(configured[key]),
+    };
+}
+
+module.exports = { createCollectionManager, DEFAULT_COLLECTION_KEY: DEFAULT_KEY };
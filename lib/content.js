@@ -0,0 +1,317 @@
+/**
+ * Content hashing and CID verification
+ * Fetches the raw IPFS blocks behind a CID, checks every block against its
+ * multihash and reassembles the file, so the SHA-256 we put on-chain is the
+ * hash of the real image/depth bytes rather than of the CID string.
+ *
+ * Supported: CIDv0 and CIDv1, raw (0x55) and dag-pb/UnixFS (0x70) codecs,
+ * sha2-256 multihashes. Anything else is rejected unless
+ * ALLOW_UNVERIFIED_CONTENT=true, in which case the bytes are hashed unverified.
+ */
+
+const { createHash } = require('crypto');
+const { fetchBlockFromIPFS, fetchBytesFromIPFS } = require('./ipfs');
+const { logger } = require('./logger');
+
+const ALLOW_UNVERIFIED_CONTENT = process.env.ALLOW_UNVERIFIED_CONTENT === 'true';
+const MAX_CONTENT_BYTES = parseInt(process.env.MAX_CONTENT_BYTES || String(100 * 1024 * 1024));
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function sha256(bytes) {
+    return createHash('sha256').update(bytes).digest();
+}
+
+// ---- multibase ------------------------------------------------------------
+
+function base58Decode(text) {
+    let bytes = [0];
+    for (const char of text) {
+        let carry = BASE58_ALPHABET.indexOf(char);
+        if (carry < 0) throw new Error(`Invalid base58 character "${char}"`);
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    for (const char of text) {
+        if (char !== '1') break;
+        bytes.push(0);
+    }
+    return Buffer.from(bytes.reverse());
+}
+
+function base58Encode(buffer) {
+    let digits = [0];
+    for (const byte of buffer) {
+        let carry = byte;
+        for (let i = 0; i < digits.length; i++) {
+            carry += digits[i] << 8;
+            digits[i] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    let text = '';
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        text += '1';
+    }
+    return text + digits.reverse().map(digit => BASE58_ALPHABET[digit]).join('');
+}
+
+function base32Decode(text) {
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+    for (const char of text.toLowerCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index < 0) throw new Error(`Invalid base32 character "${char}"`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function base32Encode(buffer) {
+    let text = '';
+    let bits = 0;
+    let value = 0;
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            text += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        text += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return text;
+}
+
+// ---- varint / CID -----------------------------------------------------------
+
+function readVarint(buffer, offset) {
+    let value = 0;
+    let shift = 0;
+    let position = offset;
+    while (position < buffer.length) {
+        const byte = buffer[position++];
+        value += (byte & 0x7f) * 2 ** shift;
+        if ((byte & 0x80) === 0) {
+            return [value, position];
+        }
+        shift += 7;
+    }
+    throw new Error('Truncated varint');
+}
+
+// Parse binary CID bytes into { version, codec, hashCode, digest, bytes }
+function decodeCidBytes(bytes) {
+    // CIDv0 is a bare sha2-256 multihash
+    if (bytes.length === 34 && bytes[0] === HASH_SHA2_256 && bytes[1] === 0x20) {
+        return { version: 0, codec: CODEC_DAG_PB, hashCode: HASH_SHA2_256, digest: bytes.subarray(2), bytes };
+    }
+    let [version, offset] = readVarint(bytes, 0);
+    if (version !== 1) throw new Error(`Unsupported CID version ${version}`);
+    let codec, hashCode, length;
+    [codec, offset] = readVarint(bytes, offset);
+    [hashCode, offset] = readVarint(bytes, offset);
+    [length, offset] = readVarint(bytes, offset);
+    return { version, codec, hashCode, digest: bytes.subarray(offset, offset + length), bytes };
+}
+
+function parseCid(cid) {
+    if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+        return decodeCidBytes(base58Decode(cid));
+    }
+    const prefix = cid[0];
+    const body = cid.slice(1);
+    if (prefix === 'b' || prefix === 'B') return decodeCidBytes(base32Decode(body));
+    if (prefix === 'z') return decodeCidBytes(base58Decode(body));
+    if (prefix === 'f' || prefix === 'F') return decodeCidBytes(Buffer.from(body, 'hex'));
+    throw new Error(`Unsupported CID encoding: ${cid}`);
+}
+
+function formatCid(parsed) {
+    return parsed.version === 0 ? base58Encode(parsed.bytes) : `b${base32Encode(parsed.bytes)}`;
+}
+
+// ---- dag-pb / UnixFS ----------------------------------------------------------
+
+// Minimal protobuf reader: returns [{ field, wireType, value }]
+function readProtobuf(buffer) {
+    const fields = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        let key;
+        [key, offset] = readVarint(buffer, offset);
+        const field = Math.floor(key / 8);
+        const wireType = key & 7;
+        if (wireType === 0) {
+            let value;
+            [value, offset] = readVarint(buffer, offset);
+            fields.push({ field, wireType, value });
+        } else if (wireType === 2) {
+            let length;
+            [length, offset] = readVarint(buffer, offset);
+            fields.push({ field, wireType, value: buffer.subarray(offset, offset + length) });
+            offset += length;
+        } else {
+            throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+    return fields;
+}
+
+// PBNode { Data = 1; repeated PBLink Links = 2 }, PBLink { Hash = 1 }, UnixFS Data { Type = 1; Data = 2 }
+function decodeDagPbNode(block) {
+    const fields = readProtobuf(block);
+    const links = fields
+        .filter(({ field }) => field === 2)
+        .map(({ value }) => readProtobuf(value).find(({ field }) => field === 1).value);
+    const dataField = fields.find(({ field }) => field === 1);
+    let data = Buffer.alloc(0);
+    let type = null;
+    if (dataField) {
+        const unixfs = readProtobuf(dataField.value);
+        const typeField = unixfs.find(({ field }) => field === 1);
+        const bytesField = unixfs.find(({ field }) => field === 2);
+        type = typeField ? typeField.value : null;
+        data = bytesField ? Buffer.from(bytesField.value) : data;
+    }
+    return { links, type, data };
+}
+
+const UNIXFS_FILE = 2;
+const UNIXFS_RAW = 0;
+
+// ---- verified fetch -----------------------------------------------------------
+
+async function fetchVerifiedBlock(parsed) {
+    const block = await fetchBlockFromIPFS(formatCid(parsed));
+    if (!sha256(block).equals(Buffer.from(parsed.digest))) {
+        throw new Error(`Block ${formatCid(parsed)} does not match its CID`);
+    }
+    return block;
+}
+
+// Walk the DAG depth-first, verifying every block and collecting file bytes in order
+async function assembleFile(parsed, state) {
+    const block = await fetchVerifiedBlock(parsed);
+
+    if (parsed.codec === CODEC_RAW) {
+        state.size += block.length;
+        if (state.size > MAX_CONTENT_BYTES) throw new Error('Content exceeds MAX_CONTENT_BYTES');
+        state.chunks.push(block);
+        return;
+    }
+
+    const node = decodeDagPbNode(block);
+    if (node.type !== null && node.type !== UNIXFS_FILE && node.type !== UNIXFS_RAW) {
+        throw new Error(`CID ${formatCid(parsed)} is not a file (UnixFS type ${node.type})`);
+    }
+    state.size += node.data.length;
+    if (state.size > MAX_CONTENT_BYTES) throw new Error('Content exceeds MAX_CONTENT_BYTES');
+    state.chunks.push(node.data);
+
+    for (const link of node.links) {
+        const child = decodeCidBytes(Buffer.from(link));
+        if (child.hashCode !== HASH_SHA2_256) throw new Error('Unsupported hash function in DAG');
+        await assembleFile(child, state);
+    }
+}
+
+// Detect the media type from magic bytes
+function detectMediaType(bytes) {
+    const ascii = (start, end) => bytes.subarray(start, end).toString('latin1');
+
+    if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') return 'image/png';
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return 'image/tiff';
+    if (ascii(4, 8) === 'ftyp') {
+        const brand = ascii(8, 12);
+        if (['heic', 'heix', 'hevc', 'heim', 'heis'].includes(brand)) return 'image/heic';
+        if (['mif1', 'msf1'].includes(brand)) return 'image/heif';
+        if (brand === 'avif') return 'image/avif';
+        if (brand.startsWith('qt')) return 'video/quicktime';
+        return 'video/mp4';
+    }
+    if (ascii(0, 5) === '%PDF-') return 'application/pdf';
+
+    const text = bytes.toString('utf8').trim();
+    if (text.startsWith('{') || text.startsWith('[')) {
+        try {
+            JSON.parse(text);
+            return 'application/json';
+        } catch (error) {
+            // not JSON - fall through
+        }
+    }
+    return 'application/octet-stream';
+}
+
+// Fetch the content behind a CID and describe it.
+// Returns { cid, bytes, sha256 (0x-hex), size, mediaType, verified }.
+async function fetchVerifiedContent(cid) {
+    let parsed;
+    try {
+        parsed = parseCid(cid);
+    } catch (error) {
+        throw new Error(`Invalid CID ${cid}: ${error.message}`);
+    }
+
+    const supported = parsed.hashCode === HASH_SHA2_256 && [CODEC_RAW, CODEC_DAG_PB].includes(parsed.codec);
+    let bytes;
+    let verified = false;
+
+    if (supported) {
+        const state = { chunks: [], size: 0 };
+        await assembleFile(parsed, state);
+        bytes = Buffer.concat(state.chunks);
+        verified = true;
+    } else if (ALLOW_UNVERIFIED_CONTENT) {
+        logger.warn('Cannot verify CID, hashing unverified bytes', { cid, codec: `0x${parsed.codec.toString(16)}` });
+        bytes = await fetchBytesFromIPFS(cid);
+    } else {
+        throw new Error(`Cannot verify CID ${cid}: only sha2-256 raw/dag-pb CIDs are supported`);
+    }
+
+    return {
+        cid,
+        bytes,
+        sha256: `0x${sha256(bytes).toString('hex')}`,
+        size: bytes.length,
+        mediaType: detectMediaType(bytes),
+        verified,
+    };
+}
+
+module.exports = {
+    MAX_CONTENT_BYTES,
+    parseCid,
+    formatCid,
+    detectMediaType,
+    fetchVerifiedContent,
+};
@@ -0,0 +1,206 @@
+/**
+ * Images table
+ * Reads and writes the IP registration columns (ip, tx_hash) of the `images`
+ * table shared with the IPFS upload service, through one of:
+ *   supabase - Supabase REST (SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY)
+ *   postgres - a plain Postgres database (DATABASE_URL)
+ *   sqlite   - a local SQLite file (SQLITE_PATH), for development
+ *
+ * Writes throw on failure (the caller queues them in the outbox). When the
+ * upload service has not created the row yet, it is inserted here unless
+ * DB_CREATE_MISSING_ROWS=false.
+ */
+
+const axios = require('axios');
+const { DB_BACKEND, getSql, isSqlBackend } = require('./sql');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const DB_CREATE_MISSING_ROWS = process.env.DB_CREATE_MISSING_ROWS !== 'false';
+
+const IMAGE_COLUMNS = 'image_cid,wallet_address,metadata_cid,ip,tx_hash';
+
+// Supabase REST adapter
+function createSupabaseImages() {
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        throw new Error('DB_BACKEND=supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    const baseUrl = `${SUPABASE_URL}/rest/v1/images`;
+    const headers = {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${SUPABASE_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation',
+    };
+
+    return {
+        type: 'supabase',
+
+        async find(imageCid) {
+            const response = await axios.get(
+                `${baseUrl}?image_cid=eq.${encodeURIComponent(imageCid)}&select=${IMAGE_COLUMNS}`,
+                { headers, timeout: 10000 }
+            );
+            return response.data.length > 0 ? response.data[0] : null;
+        },
+
+        // Returns the updated row, or null when no row matched
+        async update(imageCid, changes) {
+            const response = await axios.patch(
+                `${baseUrl}?image_cid=eq.${encodeURIComponent(imageCid)}&select=${IMAGE_COLUMNS}`,
+                changes,
+                { headers, timeout: 10000 }
+            );
+            return response.data.length > 0 ? response.data[0] : null;
+        },
+
+        async insert(row) {
+            const response = await axios.post(`${baseUrl}?select=${IMAGE_COLUMNS}`, row, { headers, timeout: 10000 });
+            return response.data[0] || null;
+        },
+
+        // Rows with (registered) or without (!registered) both ip and tx_hash
+        async list({ registered, limit, offset }) {
+            const filter = registered ? 'ip=not.is.null&tx_hash=not.is.null' : 'or=(ip.is.null,tx_hash.is.null)';
+            const response = await axios.get(
+                `${baseUrl}?${filter}&select=${IMAGE_COLUMNS}&order=image_cid.asc&limit=${limit}&offset=${offset}`,
+                { headers, timeout: 10000 }
+            );
+            return response.data;
+        },
+
+        async ping() {
+            await axios.get(`${baseUrl}?select=image_cid&limit=1`, { headers, timeout: 5000 });
+        },
+    };
+}
+
+// Postgres / SQLite adapter
+function createSqlImages() {
+    const sql = getSql();
+
+    return {
+        type: sql.type,
+
+        async find(imageCid) {
+            const rows = await sql.query(`SELECT ${IMAGE_COLUMNS} FROM images WHERE image_cid = $1`, [imageCid]);
+            return rows[0] || null;
+        },
+
+        async update(imageCid, changes) {
+            const rows = await sql.query(
+                `UPDATE images SET ip = $2, tx_hash = $3 WHERE image_cid = $1 RETURNING ${IMAGE_COLUMNS}`,
+                [imageCid, changes.ip, changes.tx_hash]
+            );
+            return rows[0] || null;
+        },
+
+        // Upsert, in case the upload service created the row meanwhile
+        async insert(row) {
+            const rows = await sql.query(
+                `INSERT INTO images (image_cid, wallet_address, metadata_cid, ip, tx_hash) VALUES ($1, $2, $3, $4, $5)
+                 ON CONFLICT (image_cid) DO UPDATE SET ip = excluded.ip, tx_hash = excluded.tx_hash
+                 RETURNING ${IMAGE_COLUMNS}`,
+                [row.image_cid, row.wallet_address, row.metadata_cid, row.ip, row.tx_hash]
+            );
+            return rows[0] || null;
+        },
+
+        async list({ registered, limit, offset }) {
+            const filter = registered ? 'ip IS NOT NULL AND tx_hash IS NOT NULL' : '(ip IS NULL OR tx_hash IS NULL)';
+            return sql.query(
+                `SELECT ${IMAGE_COLUMNS} FROM images WHERE ${filter} ORDER BY image_cid LIMIT $1 OFFSET $2`,
+                [limit, offset]
+            );
+        },
+
+        async ping() {
+            await sql.query('SELECT 1');
+        },
+    };
+}
+
+function createImages() {
+    if (DB_BACKEND === 'supabase') return createSupabaseImages();
+    if (isSqlBackend()) return createSqlImages();
+    if (DB_BACKEND !== 'none') {
+        throw new Error(`Unknown DB_BACKEND "${DB_BACKEND}" (expected supabase, postgres, sqlite or none)`);
+    }
+    return null;
+}
+
+const images = createImages();
+
+function isDatabaseConfigured() {
+    return images !== null;
+}
+
+// Read the IP registration columns of an images row
+async function findImageRow(imageCid) {
+    return images ? images.find(imageCid) : null;
+}
+
+// Every images row with (registered: true) or missing (registered: false) ip/tx_hash
+async function listImageRows({ registered, pageSize = 500 }) {
+    if (!images) {
+        throw new Error('No database configured');
+    }
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await images.list({ registered, limit: pageSize, offset });
+        rows.push(...page);
+        if (page.length < pageSize) return rows;
+    }
+}
+
+// Write an IP registration to its images row, creating the row if allowed.
+// Throws when the write fails or does not stick (e.g. blocked by RLS).
+async function syncImageRegistration({ imageCid, walletAddress, metadataCid, ip, txHash }) {
+    if (!images) {
+        throw new Error('No database configured');
+    }
+
+    let row = await images.update(imageCid, { ip, tx_hash: txHash });
+    if (!row) {
+        if (!DB_CREATE_MISSING_ROWS) {
+            throw new Error(`No images row with image_cid ${imageCid} (the IPFS service has not created it yet)`);
+        }
+        logger.info('images row not found, creating it', { imageCid });
+        row = await images.insert({
+            image_cid: imageCid,
+            wallet_address: walletAddress || null,
+            metadata_cid: metadataCid || null,
+            ip,
+            tx_hash: txHash,
+        });
+    }
+
+    if (!row || row.ip !== ip || row.tx_hash !== txHash) {
+        // Supabase answers an RLS-blocked write with an empty result instead of an error
+        throw new Error(`Write to images row ${imageCid} did not persist (check RLS / SUPABASE_SERVICE_ROLE_KEY)`);
+    }
+    logger.info('images row updated', { backend: images.type, imageCid, ip, txHash });
+    return row;
+}
+
+async function pingDatabase() {
+    if (!images) {
+        throw new Error('No database configured');
+    }
+    await images.ping();
+}
+
+function describeDatabase() {
+    return { backend: DB_BACKEND, createMissingRows: DB_CREATE_MISSING_ROWS };
+}
+
+module.exports = {
+    isDatabaseConfigured,
+    findImageRow,
+    listImageRows,
+    syncImageRegistration,
+    pingDatabase,
+    describeDatabase,
+};
@@ -0,0 +1,264 @@
+/**
+ * Device signature verification
+ * Devices sign every capture so evidence cannot be attributed to a device by
+ * anyone who merely knows its address. Two formats are accepted:
+ *
+ * EIP-712 (signatureType "eip712", default)
+ *   domain:  { name: 'DeepShare', version: '1', chainId }
+ *   Capture: { imageCid: string, metadataCid: string, capturedAt: uint256, nonce: string }
+ *
+ * EIP-191 personal_sign (signatureType "eip191") over the text:
+ *   DeepShare capture\nimageCid: <cid>\nmetadataCid: <cid or empty>\ncapturedAt: <unix seconds>\nnonce: <nonce>
+ *
+ * Nonces are single-use per device. Devices can optionally be restricted to an
+ * allowlist (DEVICE_ALLOWLIST) and/or the enrolled device registry.
+ *
+ * Devices also authorize claims of their royalty revenue (EIP-712 only, same domain):
+ *   RevenueClaim: { device: address, payoutAddress: address, issuedAt: uint256, nonce: string }
+ * A claim signature is valid for CLAIM_SIGNATURE_MAX_AGE_SECONDS (default 600).
+ */
+
+const { recoverTypedDataAddress, recoverMessageAddress, isAddress, getAddress } = require('viem');
+const store = require('./store');
+const { STORY_CHAIN_IDS } = require('./chain');
+
+const REQUIRE_DEVICE_SIGNATURE = (process.env.REQUIRE_DEVICE_SIGNATURE || 'true') === 'true';
+const REQUIRE_ENROLLED_DEVICE = process.env.REQUIRE_ENROLLED_DEVICE === 'true';
+const DEVICE_ALLOWLIST = (process.env.DEVICE_ALLOWLIST || '')
+    .split(',')
+    .map(address => address.trim().toLowerCase())
+    .filter(Boolean);
+// Captures can be synced long after they were taken, so age is unlimited by default
+const SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.SIGNATURE_MAX_AGE_SECONDS || '0');
+const SIGNATURE_MAX_FUTURE_SKEW_SECONDS = 300;
+
+const CLAIM_SIGNATURE_MAX_AGE_SECONDS = parseInt(process.env.CLAIM_SIGNATURE_MAX_AGE_SECONDS || '600');
+
+const NONCE_NAMESPACE = 'device_nonces';
+const DEVICE_NAMESPACE = 'devices';
+
+const CAPTURE_TYPES = {
+    Capture: [
+        { name: 'imageCid', type: 'string' },
+        { name: 'metadataCid', type: 'string' },
+        { name: 'capturedAt', type: 'uint256' },
+        { name: 'nonce', type: 'string' },
+    ],
+};
+
+const CLAIM_TYPES = {
+    RevenueClaim: [
+        { name: 'device', type: 'address' },
+        { name: 'payoutAddress', type: 'address' },
+        { name: 'issuedAt', type: 'uint256' },
+        { name: 'nonce', type: 'string' },
+    ],
+};
+
+function signingDomain(chainId) {
+    return {
+        name: 'DeepShare',
+        version: '1',
+        chainId: STORY_CHAIN_IDS[chainId] || Number(chainId),
+    };
+}
+
+function captureMessage({ imageCid, metadataCid, capturedAt, nonce }) {
+    return [
+        'DeepShare capture',
+        `imageCid: ${imageCid}`,
+        `metadataCid: ${metadataCid || ''}`,
+        `capturedAt: ${capturedAt}`,
+        `nonce: ${nonce}`,
+    ].join('\n');
+}
+
+async function recoverSigner({ signatureType, signature, payload, chainId }) {
+    if (signatureType === 'eip191') {
+        return recoverMessageAddress({ message: captureMessage(payload), signature });
+    }
+    return recoverTypedDataAddress({
+        domain: signingDomain(chainId),
+        types: CAPTURE_TYPES,
+        primaryType: 'Capture',
+        message: {
+            imageCid: payload.imageCid,
+            metadataCid: payload.metadataCid || '',
+            capturedAt: BigInt(payload.capturedAt),
+            nonce: payload.nonce,
+        },
+        signature,
+    });
+}
+
+async function isEnrolled(address) {
+    if (DEVICE_ALLOWLIST.includes(address.toLowerCase())) {
+        return true;
+    }
+    const device = await store.get(DEVICE_NAMESPACE, address.toLowerCase());
+    return Boolean(device) && !device.revoked;
+}
+
+// Check the signature on a registration request without consuming its nonce.
+// Returns { error } (400/401/403 payload + status) or { signature } to keep with the job.
+async function verifyDeviceSignature(body, { chainId }) {
+    const { imageCid, metadataCid, deviceAddress, signature, signatureType = 'eip712', capturedAt, nonce } = body;
+
+    if (!isAddress(deviceAddress)) {
+        return { status: 400, error: { error: 'deviceAddress is not a valid address', provided: deviceAddress } };
+    }
+
+    if (REQUIRE_ENROLLED_DEVICE && !(await isEnrolled(deviceAddress))) {
+        return { status: 403, error: { error: 'Device is not enrolled', deviceAddress } };
+    }
+
+    if (!signature) {
+        if (REQUIRE_DEVICE_SIGNATURE) {
+            return {
+                status: 401,
+                error: { error: 'Missing device signature', required: ['signature', 'capturedAt', 'nonce'] },
+            };
+        }
+        return { signature: null };
+    }
+
+    if (!['eip712', 'eip191'].includes(signatureType)) {
+        return { status: 400, error: { error: 'signatureType must be eip712 or eip191', provided: signatureType } };
+    }
+    if (!capturedAt || !/^\d+$/.test(String(capturedAt)) || !nonce) {
+        return { status: 400, error: { error: 'Signed captures need capturedAt (unix seconds) and nonce' } };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (Number(capturedAt) > now + SIGNATURE_MAX_FUTURE_SKEW_SECONDS) {
+        return { status: 400, error: { error: 'capturedAt is in the future', capturedAt } };
+    }
+    if (SIGNATURE_MAX_AGE_SECONDS > 0 && now - Number(capturedAt) > SIGNATURE_MAX_AGE_SECONDS) {
+        return { status: 401, error: { error: 'Signature has expired', capturedAt } };
+    }
+
+    let signer;
+    try {
+        signer = await recoverSigner({
+            signatureType,
+            signature,
+            payload: { imageCid, metadataCid, capturedAt, nonce: String(nonce) },
+            chainId,
+        });
+    } catch (error) {
+        return { status: 400, error: { error: 'Malformed signature', details: error.message } };
+    }
+
+    if (getAddress(signer) !== getAddress(deviceAddress)) {
+        return { status: 401, error: { error: 'Signature does not match deviceAddress', signer } };
+    }
+
+    return {
+        signature: {
+            signatureType,
+            signature,
+            signer: getAddress(signer),
+            capturedAt: Number(capturedAt),
+            nonce: String(nonce),
+        },
+    };
+}
+
+// Check a device's signature on a revenue claim without consuming its nonce.
+// Returns { status, error } or { payoutAddress, signature } (pass `signature` to consumeNonce).
+async function verifyClaimSignature(deviceAddress, { payoutAddress, issuedAt, nonce, signature } = {}, { chainId }) {
+    const payout = payoutAddress === undefined ? deviceAddress : payoutAddress;
+    if (!isAddress(payout || '')) {
+        return { status: 400, error: { error: 'payoutAddress is not a valid address', provided: payoutAddress } };
+    }
+    if (!signature || !issuedAt || !/^\d+$/.test(String(issuedAt)) || !nonce) {
+        return {
+            status: 401,
+            error: { error: 'Revenue claims need the device\'s signature', required: ['signature', 'issuedAt', 'nonce'] },
+        };
+    }
+    const age = Math.floor(Date.now() / 1000) - Number(issuedAt);
+    if (age > CLAIM_SIGNATURE_MAX_AGE_SECONDS || age < -SIGNATURE_MAX_FUTURE_SKEW_SECONDS) {
+        return { status: 401, error: { error: 'Claim signature has expired or is not valid yet', issuedAt } };
+    }
+
+    let signer;
+    try {
+        signer = await recoverTypedDataAddress({
+            domain: signingDomain(chainId),
+            types: CLAIM_TYPES,
+            primaryType: 'RevenueClaim',
+            message: { device: deviceAddress, payoutAddress: payout, issuedAt: BigInt(issuedAt), nonce: String(nonce) },
+            signature,
+        });
+    } catch (error) {
+        return { status: 400, error: { error: 'Malformed signature', details: error.message } };
+    }
+    if (getAddress(signer) !== getAddress(deviceAddress)) {
+        return { status: 401, error: { error: 'Signature does not match the device', signer } };
+    }
+
+    // Claim nonces are kept apart from capture nonces
+    return { payoutAddress: getAddress(payout), signature: { signer: getAddress(signer), nonce: `claim:${nonce}` } };
+}
+
+// Mark a nonce as used. Returns false if it was used before (replay).
+async function consumeNonce(deviceSignature) {
+    if (!deviceSignature) {
+        return true;
+    }
+    return store.create(NONCE_NAMESPACE, `${deviceSignature.signer.toLowerCase()}:${deviceSignature.nonce}`, {
+        signer: deviceSignature.signer,
+        nonce: deviceSignature.nonce,
+        usedAt: new Date().toISOString(),
+    });
+}
+
+// Give back a nonce whose capture was never queued, so the device's retry is not a replay
+async function releaseNonce(deviceSignature) {
+    if (deviceSignature) {
+        await store.remove(NONCE_NAMESPACE, `${deviceSignature.signer.toLowerCase()}:${deviceSignature.nonce}`);
+    }
+}
+
+// Enrolled device registry (managed through /admin/devices)
+async function enrollDevice(address, { label, deviceClass } = {}) {
+    const device = {
+        address: getAddress(address),
+        label: label || null,
+        deviceClass: deviceClass || null,
+        revoked: false,
+        enrolledAt: new Date().toISOString(),
+    };
+    await store.put(DEVICE_NAMESPACE, address.toLowerCase(), device);
+    return device;
+}
+
+async function revokeDevice(address) {
+    const device = await store.get(DEVICE_NAMESPACE, address.toLowerCase());
+    if (!device) {
+        return null;
+    }
+    const revoked = { ...device, revoked: true, revokedAt: new Date().toISOString() };
+    await store.put(DEVICE_NAMESPACE, address.toLowerCase(), revoked);
+    return revoked;
+}
+
+async function listDevices({ limit, offset } = {}) {
+    return store.list(DEVICE_NAMESPACE, { limit, offset });
+}
+
+module.exports = {
+    CAPTURE_TYPES,
+    CLAIM_TYPES,
+    signingDomain,
+    captureMessage,
+    recoverSigner,
+    verifyDeviceSignature,
+    verifyClaimSignature,
+    consumeNonce,
+    releaseNonce,
+    enrollDevice,
+    revokeDevice,
+    listDevices,
+};
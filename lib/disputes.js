@@ -0,0 +1,184 @@
+/**
+ * Disputes
+ * Challenges an infringing or fraudulent registration through Story's dispute
+ * module. The statement and references behind a dispute are pinned to IPFS as an
+ * evidence document, whose CID goes on-chain with the dispute:
+ *
+ *   { format: 'deepshare-dispute-evidence/v1', network, targetIpId, targetTag,
+ *     statement, references: { cids, ipIds, caseIpId }, createdAt }
+ *
+ * Disputes are arbitrated by UMA: the server wallet (primary signer) posts a bond
+ * in WIP (IP is wrapped automatically, the minimum bond unless one is given) and the
+ * target can counter within the liveness window (DISPUTE_LIVENESS_SECONDS, default
+ * 30 days). Raised disputes are kept in the `disputes` namespace; their status is
+ * always read from the chain:
+ *
+ *   open      - IN_DISPUTE, waiting for the liveness window / arbitration
+ *   upheld    - the target carries the dispute's tag
+ *   dismissed - the tag was cleared (the dispute failed or was cancelled)
+ *
+ * The evidence document has to get a CIDv0, which is what the pinata backend returns.
+ */
+
+const { DisputeTargetTag } = require('@story-protocol/core-sdk');
+const { isAddress, getAddress, parseEther } = require('viem');
+const store = require('./store');
+const { uploadJSONToIPFS, gatewayUrl } = require('./ipfs');
+const { parseCid } = require('./content');
+const { isRegisteredIp, readDispute, isIpTagged } = require('./chain');
+const { logger } = require('./logger');
+
+const DISPUTE_LIVENESS_SECONDS = parseInt(process.env.DISPUTE_LIVENESS_SECONDS || String(30 * 24 * 60 * 60));
+
+const DISPUTES_NAMESPACE = 'disputes';
+const EVIDENCE_FORMAT = 'deepshare-dispute-evidence/v1';
+
+// Tags a dispute can ask for (IN_DISPUTE is only ever set by the protocol)
+const DISPUTE_TAGS = Object.values(DisputeTargetTag).filter(tag => tag !== DisputeTargetTag.IN_DISPUTE);
+
+// Check a dispute request. Returns { error } or { targetTag, statement, references, liveness, bondWei }.
+function parseDispute({ targetTag, statement, evidenceCids, ipIds, caseIpId, liveness, bond } = {}) {
+    if (!DISPUTE_TAGS.includes(targetTag)) {
+        return { error: { error: 'targetTag is not a dispute tag', provided: targetTag, allowed: DISPUTE_TAGS } };
+    }
+    if (typeof statement !== 'string' || !statement.trim()) {
+        return { error: { error: 'statement must describe the grounds of the dispute' } };
+    }
+
+    const cids = evidenceCids === undefined ? [] : evidenceCids;
+    if (!Array.isArray(cids)) {
+        return { error: { error: 'evidenceCids must be an array of IPFS CIDs', provided: evidenceCids } };
+    }
+    for (const cid of cids) {
+        try {
+            parseCid(String(cid));
+        } catch (error) {
+            return { error: { error: 'Invalid evidence CID', provided: cid, details: error.message } };
+        }
+    }
+    const supporting = ipIds === undefined ? [] : ipIds;
+    if (!Array.isArray(supporting) || supporting.some(ipId => typeof ipId !== 'string' || !isAddress(ipId))) {
+        return { error: { error: 'ipIds must be an array of IP asset addresses', provided: ipIds } };
+    }
+    if (caseIpId !== undefined && (typeof caseIpId !== 'string' || !isAddress(caseIpId))) {
+        return { error: { error: 'caseIpId must be the address of a case group', provided: caseIpId } };
+    }
+
+    const livenessSeconds = liveness === undefined ? DISPUTE_LIVENESS_SECONDS : Number(liveness);
+    if (!Number.isInteger(livenessSeconds) || livenessSeconds <= 0) {
+        return { error: { error: 'liveness must be a whole number of seconds', provided: liveness } };
+    }
+    let bondWei = null;
+    if (bond !== undefined) {
+        try {
+            bondWei = parseEther(String(bond));
+        } catch (error) {
+            return { error: { error: 'bond must be a decimal amount of IP tokens', provided: bond } };
+        }
+    }
+
+    return {
+        targetTag,
+        statement: statement.trim(),
+        references: {
+            cids,
+            ipIds: supporting.map(ipId => getAddress(ipId)),
+            caseIpId: caseIpId ? getAddress(caseIpId) : null,
+        },
+        liveness: livenessSeconds,
+        bondWei,
+    };
+}
+
+function statusOf(onChain) {
+    if (onChain.currentTag === DisputeTargetTag.IN_DISPUTE) return 'open';
+    if (onChain.currentTag) return 'upheld';
+    return 'dismissed';
+}
+
+// `storyClient` is the primary signer's client, which posts the bond
+function createDisputeService({ storyClient, publicClient, network }) {
+    const recordId = (disputeId) => `${network.name}:${disputeId}`;
+
+    // Pin the evidence document and raise the dispute.
+    // Returns { status, error } when the target is not an IP asset, or the dispute.
+    async function raiseDispute(targetIpId, { targetTag, statement, references, liveness, bondWei }) {
+        if (!await isRegisteredIp(publicClient, targetIpId)) {
+            return { status: 400, error: { error: 'Target is not a registered IP asset', targetIpId } };
+        }
+
+        const evidenceCid = await uploadJSONToIPFS({
+            format: EVIDENCE_FORMAT,
+            network: network.name,
+            targetIpId,
+            targetTag,
+            statement,
+            references,
+            createdAt: new Date().toISOString(),
+        });
+        if (!evidenceCid.startsWith('Qm')) {
+            throw new Error(`Dispute evidence needs a CIDv0, the pinning backend returned ${evidenceCid} (use PINNING_BACKEND=pinata)`);
+        }
+
+        const response = await storyClient.dispute.raiseDispute({
+            targetIpId,
+            cid: evidenceCid,
+            targetTag,
+            liveness,
+            ...(bondWei !== null ? { bond: bondWei } : {}),
+        });
+        const disputeId = response.disputeId.toString();
+
+        const record = {
+            id: recordId(disputeId),
+            disputeId,
+            network: network.name,
+            targetIpId,
+            targetTag,
+            evidenceCid,
+            evidenceUrl: gatewayUrl(evidenceCid),
+            references,
+            liveness,
+            bondWei: bondWei !== null ? bondWei.toString() : null,
+            txHash: response.txHash,
+            raisedAt: new Date().toISOString(),
+        };
+        await store.put(DISPUTES_NAMESPACE, record.id, record);
+        logger.info('Dispute raised', { disputeId, targetIpId, targetTag, evidenceCid, txHash: response.txHash });
+        return { dispute: await withStatus(record) };
+    }
+
+    async function withStatus(record) {
+        const onChain = await readDispute(publicClient, record.disputeId);
+        return {
+            ...record,
+            status: onChain ? statusOf(onChain) : 'unknown',
+            currentTag: onChain ? onChain.currentTag : null,
+            livenessEndsAt: onChain ? new Date((onChain.disputeTimestamp + record.liveness) * 1000).toISOString() : null,
+        };
+    }
+
+    // A dispute by id - ours with its evidence, or any other with what the chain knows. Null if unknown.
+    async function getDispute(disputeId) {
+        const record = await store.get(DISPUTES_NAMESPACE, recordId(disputeId));
+        if (record) {
+            return withStatus(record);
+        }
+        const onChain = await readDispute(publicClient, disputeId);
+        return onChain ? { ...onChain, network: network.name, status: statusOf(onChain) } : null;
+    }
+
+    // Disputes raised here against an IP asset, and whether it is currently tagged
+    async function listDisputes(targetIpId, { limit, offset } = {}) {
+        const records = await store.list(DISPUTES_NAMESPACE, { where: { network: network.name, targetIpId }, limit, offset });
+        const disputes = [];
+        for (const record of records) {
+            disputes.push(await withStatus(record));
+        }
+        return { ipId: targetIpId, tagged: await isIpTagged(publicClient, targetIpId), disputes };
+    }
+
+    return { raiseDispute, getDispute, listDisputes };
+}
+
+module.exports = { createDisputeService, parseDispute, DISPUTE_TAGS };
@@ -0,0 +1,183 @@
+/**
+ * Registration deduplication
+ * - Idempotency-Key header: a retried request with the same key gets the original job back
+ * - One registration per imageCid: tracked in the `registrations` namespace of the
+ *   state store (claimed before the job is queued, so concurrent requests cannot both
+ *   mint), with the images table as a fallback for rows registered before this existed
+ *
+ * There is no on-chain lookup by imageCid: the ipMetadataHash of an asset covers its
+ * whole metadata document (timestamps and manifest included), so two requests for the
+ * same CID never produce the same hash. The minting stage only matches the hash of its
+ * own pinned metadata, to recover an asset its interrupted attempt already minted.
+ * Registrations that are in neither the state store nor the images table (e.g. made by
+ * another deployment) are not detected.
+ */
+
+const { createHash } = require('crypto');
+const store = require('./store');
+const { findImageRow } = require('./db');
+
+const KEYS_NAMESPACE = 'idempotency_keys';
+const REGISTRATIONS_NAMESPACE = 'registrations';
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// Key-order independent JSON so equivalent bodies hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function hashRequest(body) {
+    return createHash('sha256').update(stableStringify(body || {})).digest('hex');
+}
+
+// Look up an Idempotency-Key. Returns null, { jobId } or { conflict: true }.
+async function lookupIdempotencyKey(key, requestHash) {
+    const record = await store.get(KEYS_NAMESPACE, key);
+    if (!record || record.expiresAt < Date.now()) {
+        return null;
+    }
+    if (record.requestHash !== requestHash) {
+        return { conflict: true };
+    }
+    return { jobId: record.jobId };
+}
+
+async function rememberIdempotencyKey(key, requestHash, jobId) {
+    await store.put(KEYS_NAMESPACE, key, {
+        key,
+        requestHash,
+        jobId,
+        expiresAt: Date.now() + IDEMPOTENCY_TTL_MS,
+    });
+}
+
+// A pending claim only counts while its job can still mint
+async function isLiveClaim(record, getJob) {
+    if (record.status !== 'pending') {
+        return true;
+    }
+    const job = await getJob(record.jobId);
+    if (!job) {
+        // The claim is taken just before its job is queued
+        return Date.now() - Date.parse(record.claimedAt) < 60000;
+    }
+    return job.status !== 'failed' || Boolean(job.outputs.minting);
+}
+
+// Find an earlier registration of this image, in the state store or the images table
+async function findExistingRegistration(imageCid, getJob) {
+    const record = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+    if (record && await isLiveClaim(record, getJob)) {
+        return record;
+    }
+
+    const row = await findImageRow(imageCid).catch(() => null);
+    if (row && row.ip && row.tx_hash) {
+        return {
+            imageCid,
+            status: 'registered',
+            ipId: row.ip.split('/').pop(),  // ip column stores the explorer URL
+            txHash: row.tx_hash,
+            source: 'database',
+        };
+    }
+    return null;
+}
+
+// Claim the imageCid for a new job. Returns { claimed: true } or { claimed: false, existing }.
+async function claimRegistration(imageCid, jobId, { force = false, previous = null, getJob }) {
+    const claim = {
+        imageCid,
+        jobId,
+        status: 'pending',
+        claimedAt: new Date().toISOString(),
+        previousRegistrations: previous
+            ? [...(previous.previousRegistrations || []), { ...previous, previousRegistrations: undefined }]
+            : [],
+    };
+
+    if (force) {
+        await store.put(REGISTRATIONS_NAMESPACE, imageCid, claim);
+        return { claimed: true };
+    }
+
+    if (await store.create(REGISTRATIONS_NAMESPACE, imageCid, claim)) {
+        return { claimed: true };
+    }
+
+    // Someone holds the claim - take it over only if their job died before minting
+    const existing = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+    if (existing && await isLiveClaim(existing, getJob)) {
+        return { claimed: false, existing };
+    }
+    await store.put(REGISTRATIONS_NAMESPACE, imageCid, claim);
+    return { claimed: true };
+}
+
+// Called once the asset is minted - replaces the pending claim with the result
+async function recordRegistration(imageCid, registration) {
+    const claim = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+    await store.put(REGISTRATIONS_NAMESPACE, imageCid, {
+        ...claim,
+        ...registration,
+        imageCid,
+        status: 'registered',
+        registeredAt: new Date().toISOString(),
+    });
+}
+
+// Add fields (e.g. the provenance manifest) to the recorded registration of ipId,
+// unless the image has been re-registered since
+async function annotateRegistration(imageCid, ipId, fields) {
+    const record = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+    if (record && record.ipId === ipId) {
+        await store.put(REGISTRATIONS_NAMESPACE, imageCid, { ...record, ...fields });
+    }
+}
+
+// Drop a pending claim whose registration failed, so the image can be registered again.
+// A forced re-registration puts back the registration it was going to replace.
+async function releaseRegistration(imageCid, jobId) {
+    const claim = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+    if (!claim || claim.jobId !== jobId || claim.status !== 'pending') {
+        return;
+    }
+    const previous = claim.previousRegistrations || [];
+    if (previous.length > 0) {
+        await store.put(REGISTRATIONS_NAMESPACE, imageCid, { ...previous[previous.length - 1], previousRegistrations: previous.slice(0, -1) });
+    } else {
+        await store.remove(REGISTRATIONS_NAMESPACE, imageCid);
+    }
+}
+
+// Registered assets whose image bytes hash to `imageHash` (0x-hex SHA-256), newest first.
+// Only registrations recorded with their image hash are found.
+async function findRegistrationsByImageHash(imageHash) {
+    const records = await store.list(REGISTRATIONS_NAMESPACE, { where: { imageHash: imageHash.toLowerCase(), status: 'registered' } });
+    return records.sort((a, b) => String(b.registeredAt).localeCompare(String(a.registeredAt)));
+}
+
+// Registered assets of one device (registrations recorded before devices were tracked are not included)
+async function listRegistrationsByDevice(deviceAddress, { network, limit, offset } = {}) {
+    const where = network ? { deviceAddress, status: 'registered', network } : { deviceAddress, status: 'registered' };
+    return store.list(REGISTRATIONS_NAMESPACE, { where, limit, offset });
+}
+
+module.exports = {
+    hashRequest,
+    lookupIdempotencyKey,
+    rememberIdempotencyKey,
+    findExistingRegistration,
+    claimRegistration,
+    recordRegistration,
+    annotateRegistration,
+    releaseRegistration,
+    listRegistrationsByDevice,
+    findRegistrationsByImageHash,
+};
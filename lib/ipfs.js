@@ -0,0 +1,256 @@
+/**
+ * IPFS helpers
+ * Pins JSON through a pluggable backend and fetches content and raw blocks
+ * through an ordered list of gateways, failing over to the next on error.
+ *
+ * Backends (PINNING_BACKEND):
+ *   pinata - Pinata pinning API (PINATA_JWT or PINATA_API_KEY/PINATA_SECRET_KEY)
+ *   kubo   - a self-hosted Kubo node's HTTP RPC API (KUBO_API_URL)
+ *   local  - content-addressed files in DATA_DIR/ipfs, for development only
+ *
+ * URIs written on-chain and into metadata are built from METADATA_URI_BASE
+ * (e.g. ipfs:// or an HTTP gateway); human-facing links from PUBLIC_GATEWAY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createHash } = require('crypto');
+const axios = require('axios');
+const { logger } = require('./logger');
+require('dotenv').config();
+
+const PINNING_BACKEND = process.env.PINNING_BACKEND || 'pinata';
+
+// Gateways tried in order when fetching (IPFS_GATEWAY is the old single-gateway setting)
+const IPFS_GATEWAYS = (process.env.IPFS_GATEWAYS || process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud,https://ipfs.io')
+    .split(',')
+    .map(gateway => gateway.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+
+// Base of the URIs registered on-chain (ipMetadataURI, nftMetadataURI, license terms uri)
+const METADATA_URI_BASE = process.env.METADATA_URI_BASE || 'https://ipfs.io/ipfs/';
+// Gateway used for links meant to be opened in a browser
+const PUBLIC_GATEWAY = (process.env.PUBLIC_GATEWAY || IPFS_GATEWAYS[0]).replace(/\/+$/, '');
+
+const LOCAL_IPFS_DIR = path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'ipfs');
+
+// ---- pinning backends ---------------------------------------------------------
+
+// Pinata pinning API
+function createPinataBackend() {
+    const headers = process.env.PINATA_JWT
+        ? { 'Authorization': `Bearer ${process.env.PINATA_JWT}` }
+        : { 'pinata_api_key': process.env.PINATA_API_KEY, 'pinata_secret_api_key': process.env.PINATA_SECRET_KEY };
+    const configured = Boolean(process.env.PINATA_JWT || (process.env.PINATA_API_KEY && process.env.PINATA_SECRET_KEY));
+
+    return {
+        type: 'pinata',
+
+        async pinJSON(jsonData) {
+            if (!configured) {
+                throw new Error('Pinata credentials are not configured (PINATA_JWT or PINATA_API_KEY/PINATA_SECRET_KEY)');
+            }
+            const response = await axios.post('https://api.pinata.cloud/pinning/pinJSONToIPFS', jsonData, {
+                headers: { 'Content-Type': 'application/json', ...headers },
+                timeout: 30000,
+            });
+            return response.data.IpfsHash;
+        },
+
+        // Readiness: the credentials are accepted
+        async check() {
+            if (!configured) {
+                throw new Error('Pinata credentials are not configured');
+            }
+            await axios.get('https://api.pinata.cloud/data/testAuthentication', { headers, timeout: 10000 });
+            return 'credentials accepted';
+        },
+    };
+}
+
+// Self-hosted Kubo node (POST /api/v0/add). CIDv1 with raw leaves, so small
+// documents get the same CID as in the local store.
+function createKuboBackend() {
+    const apiUrl = (process.env.KUBO_API_URL || 'http://127.0.0.1:5001').replace(/\/+$/, '');
+    const headers = process.env.KUBO_API_AUTH ? { 'Authorization': process.env.KUBO_API_AUTH } : {};
+
+    return {
+        type: 'kubo',
+
+        async pinJSON(jsonData) {
+            const form = new FormData();
+            form.append('file', new Blob([JSON.stringify(jsonData)], { type: 'application/json' }), 'metadata.json');
+            const response = await axios.post(`${apiUrl}/api/v0/add?cid-version=1&raw-leaves=true&pin=true`, form, {
+                headers,
+                timeout: 30000,
+            });
+            return response.data.Hash;
+        },
+
+        async check() {
+            const response = await axios.post(`${apiUrl}/api/v0/version`, null, { headers, timeout: 10000 });
+            return `kubo ${response.data.Version}`;
+        },
+    };
+}
+
+// Content-addressed files on disk, keyed by a CIDv1 (raw codec, sha2-256) of the bytes.
+// The files are the raw blocks, so they are also served to the block fetcher.
+function createLocalBackend() {
+    const fileFor = (cid) => path.join(LOCAL_IPFS_DIR, cid);
+
+    return {
+        type: 'local',
+
+        async pinJSON(jsonData) {
+            // Required here: content.js depends on this module
+            const { formatCid } = require('./content');
+            const bytes = Buffer.from(JSON.stringify(jsonData));
+            const digest = createHash('sha256').update(bytes).digest();
+            const cid = formatCid({ version: 1, bytes: Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]) });
+
+            fs.mkdirSync(LOCAL_IPFS_DIR, { recursive: true });
+            fs.writeFileSync(`${fileFor(cid)}.tmp`, bytes);
+            fs.renameSync(`${fileFor(cid)}.tmp`, fileFor(cid));
+            return cid;
+        },
+
+        async check() {
+            fs.mkdirSync(LOCAL_IPFS_DIR, { recursive: true });
+            fs.accessSync(LOCAL_IPFS_DIR, fs.constants.W_OK);
+            return `writable ${LOCAL_IPFS_DIR}`;
+        },
+
+        // Bytes stored under a CID, or null if this store does not have it
+        read(cid) {
+            try {
+                return fs.readFileSync(fileFor(path.basename(cid)));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+    };
+}
+
+const PINNING_BACKENDS = {
+    pinata: createPinataBackend,
+    kubo: createKuboBackend,
+    local: createLocalBackend,
+};
+
+if (!PINNING_BACKENDS[PINNING_BACKEND]) {
+    throw new Error(`Unknown PINNING_BACKEND "${PINNING_BACKEND}" (expected ${Object.keys(PINNING_BACKENDS).join(', ')})`);
+}
+const pinning = PINNING_BACKENDS[PINNING_BACKEND]();
+
+// ---- gateway fetches ----------------------------------------------------------
+
+// GET `/ipfs/<cid><suffix>` from each gateway in turn until one succeeds.
+// Content pinned to the local store is read from disk first.
+async function fetchWithFailover(cid, suffix, options) {
+    if (pinning.read) {
+        const local = pinning.read(cid);
+        if (local) {
+            return local;
+        }
+    }
+
+    const errors = [];
+    for (const gateway of IPFS_GATEWAYS) {
+        try {
+            const response = await axios.get(`${gateway}/ipfs/${cid}${suffix}`, { ...options, responseType: 'arraybuffer' });
+            return Buffer.from(response.data);
+        } catch (error) {
+            logger.warn('IPFS gateway failed', { gateway, cid, error: error.message });
+            errors.push(`${gateway}: ${error.message}`);
+        }
+    }
+    throw new Error(errors.length > 0 ? errors.join('; ') : 'No IPFS gateways configured');
+}
+
+// Helper function to fetch metadata from IPFS (parsed as JSON when it is JSON)
+async function fetchFromIPFS(cid) {
+    try {
+        const bytes = await fetchWithFailover(cid, '', { timeout: 30000 });
+        const text = bytes.toString('utf8');
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return text;
+        }
+    } catch (error) {
+        logger.error('IPFS fetch failed', { cid, error: error.message });
+        throw new Error(`Failed to fetch CID ${cid} from IPFS: ${error.message}`);
+    }
+}
+
+// Helper function to fetch raw file bytes from IPFS
+async function fetchBytesFromIPFS(cid) {
+    try {
+        return await fetchWithFailover(cid, '', { timeout: 60000 });
+    } catch (error) {
+        logger.error('IPFS fetch failed', { cid, error: error.message });
+        throw new Error(`Failed to fetch CID ${cid} from IPFS: ${error.message}`);
+    }
+}
+
+// Helper function to fetch a single raw block (trustless gateway format) for verification
+async function fetchBlockFromIPFS(cid) {
+    try {
+        return await fetchWithFailover(cid, '?format=raw', {
+            timeout: 30000,
+            headers: { 'Accept': 'application/vnd.ipld.raw' },
+        });
+    } catch (error) {
+        logger.error('IPFS block fetch failed', { cid, error: error.message });
+        throw new Error(`Failed to fetch block ${cid} from IPFS: ${error.message}`);
+    }
+}
+
+// Helper function to pin JSON through the configured backend
+async function uploadJSONToIPFS(jsonData) {
+    try {
+        const ipfsHash = await pinning.pinJSON(jsonData);
+        logger.debug('Pinned JSON to IPFS', { backend: pinning.type, cid: ipfsHash });
+        return ipfsHash;
+    } catch (error) {
+        logger.error('IPFS pinning failed', { backend: pinning.type, error: error.message });
+        throw new Error(`Failed to upload JSON to IPFS: ${error.message}`);
+    }
+}
+
+// URI recorded on-chain / in metadata for a CID
+function metadataUri(cid) {
+    return `${METADATA_URI_BASE}${cid}`;
+}
+
+// Browser-friendly HTTP link to a CID
+function gatewayUrl(cid) {
+    return `${PUBLIC_GATEWAY}/ipfs/${cid}`;
+}
+
+// Readiness check of the pinning backend - resolves to a short description, throws when unusable
+async function checkPinning() {
+    return pinning.check();
+}
+
+function describeStorage() {
+    return {
+        pinningBackend: pinning.type,
+        gateways: IPFS_GATEWAYS,
+        metadataUriBase: METADATA_URI_BASE,
+        publicGateway: PUBLIC_GATEWAY,
+    };
+}
+
+module.exports = {
+    fetchFromIPFS,
+    fetchBytesFromIPFS,
+    fetchBlockFromIPFS,
+    uploadJSONToIPFS,
+    metadataUri,
+    gatewayUrl,
+    describeStorage,
+    checkPinning,
+};
@@ -0,0 +1,199 @@
+/**
+ * Durable job queue
+ * Jobs are persisted in the state store and move through a fixed list of stages.
+ * The output of every finished stage is saved before the next one starts, so a
+ * job picked up again after a crash resumes at the stage where it stopped.
+ * Failed stages are retried with exponential backoff.
+ *
+ * A stage is `{ name, run(input, outputs, context) }`. Stages with side effects
+ * that cannot be repeated safely (on-chain transactions) can persist a
+ * checkpoint through `context.saveCheckpoint()` before acting, and inspect
+ * `context.checkpoint` on the next attempt; `context.lastAttempt` tells a stage
+ * that a failure now fails the job for good. Errors with `permanent: true`
+ * (e.g. invalid input) fail the job without further retries. `onFailed(job)` is
+ * called once a job has failed for good.
+ *
+ * A job runs under a lock (lib/locks.js) that is extended while its stages run
+ * and expires after JOB_LOCK_TTL_MS once its worker is gone. A worker that loses
+ * the lock stops before its next stage, leaving the job to the new holder.
+ *
+ * Log lines written while a job runs carry its jobId, queue, network, stage and
+ * the requestId of the request that queued it (`extra.requestId` on enqueue).
+ */
+
+const { randomUUID } = require('crypto');
+const store = require('./store');
+const { createLockManager } = require('./locks');
+const { logger, withLogContext } = require('./logger');
+const metrics = require('./metrics');
+
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '5');
+const JOB_BACKOFF_BASE_MS = parseInt(process.env.JOB_BACKOFF_BASE_MS || '5000');
+const JOB_BACKOFF_MAX_MS = parseInt(process.env.JOB_BACKOFF_MAX_MS || '300000');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000');
+const JOB_LOCK_TTL_MS = parseInt(process.env.JOB_LOCK_TTL_MS || '600000');
+
+const LOCK_NAMESPACE = 'job_locks';
+const WORKER_ID = `${process.env.K_REVISION || 'local'}-${process.pid}-${randomUUID().slice(0, 8)}`;
+
+function backoffDelay(attempts) {
+    return Math.min(JOB_BACKOFF_BASE_MS * 2 ** (attempts - 1), JOB_BACKOFF_MAX_MS);
+}
+
+function createJobQueue({ namespace, stages, buildResult, onFailed = async () => {} }) {
+    let running = 0;
+    let timer = null;
+
+    const locks = createLockManager({ namespace: LOCK_NAMESPACE, owner: WORKER_ID, ttlMs: JOB_LOCK_TTL_MS });
+
+    async function save(job, changes) {
+        Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+        await store.put(namespace, job.id, job);
+        return job;
+    }
+
+    async function enqueue(input, extra = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            stage: stages[0].name,
+            input,
+            outputs: {},
+            checkpoints: {},
+            attempts: 0,
+            nextAttemptAt: Date.now(),
+            lastError: null,
+            result: null,
+            history: [],
+            createdAt: now,
+            updatedAt: now,
+            ...extra,
+        };
+        await store.create(namespace, job.id, job);
+        setImmediate(poll);
+        return job;
+    }
+
+    async function getJob(id) {
+        return store.get(namespace, id);
+    }
+
+    // Run the remaining stages of a job we hold `lock` for
+    async function runJob(job, lock) {
+        const startIndex = stages.findIndex(stage => stage.name === job.stage);
+        const lockLost = () => {
+            if (lock.lost) logger.warn('Job lock lost, leaving the job to its new holder');
+            return lock.lost;
+        };
+
+        for (const stage of stages.slice(startIndex)) {
+            if (lockLost()) return;
+            await save(job, { status: 'running', stage: stage.name, attempts: job.attempts + 1 });
+            const startedAt = Date.now();
+
+            try {
+                const output = await withLogContext({ stage: stage.name }, () => stage.run(job.input, job.outputs, {
+                    job,
+                    // Data saved by an earlier (interrupted) attempt of this stage
+                    checkpoint: (job.checkpoints || {})[stage.name] || null,
+                    lastAttempt: job.attempts >= JOB_MAX_ATTEMPTS,
+                    saveCheckpoint: (data) => save(job, {
+                        checkpoints: { ...job.checkpoints, [stage.name]: data },
+                    }),
+                }));
+                metrics.stageDuration.observe({ queue: namespace, stage: stage.name, outcome: 'success' }, (Date.now() - startedAt) / 1000);
+                if (lockLost()) return;
+                job.history.push({ stage: stage.name, status: 'completed', at: new Date().toISOString(), durationMs: Date.now() - startedAt });
+                await save(job, {
+                    outputs: { ...job.outputs, [stage.name]: output },
+                    attempts: 0,
+                    lastError: null,
+                });
+            } catch (error) {
+                logger.error('Job stage failed', { stage: stage.name, attempt: job.attempts, error: error.message });
+                metrics.stageDuration.observe({ queue: namespace, stage: stage.name, outcome: 'error' }, (Date.now() - startedAt) / 1000);
+                metrics.stageFailures.inc({ queue: namespace, stage: stage.name });
+                if (lockLost()) return;
+                job.history.push({ stage: stage.name, status: 'failed', at: new Date().toISOString(), error: error.message });
+
+                if (error.permanent || job.attempts >= JOB_MAX_ATTEMPTS) {
+                    await save(job, { status: 'failed', lastError: error.message, nextAttemptAt: null });
+                    metrics.jobs.inc({ queue: namespace, status: 'failed' });
+                    await onFailed(job).catch(hookError => logger.error('onFailed hook failed', { error: hookError.message }));
+                } else {
+                    const delay = backoffDelay(job.attempts);
+                    logger.warn('Retrying job', { stage: stage.name, delayMs: delay });
+                    await save(job, { status: 'retrying', lastError: error.message, nextAttemptAt: Date.now() + delay });
+                }
+                return;
+            }
+        }
+
+        await save(job, {
+            status: 'completed',
+            stage: 'done',
+            result: buildResult(job.input, job.outputs),
+            nextAttemptAt: null,
+        });
+        metrics.jobs.inc({ queue: namespace, status: 'completed' });
+        logger.info('Job completed');
+    }
+
+    async function tryRun(jobId) {
+        running++;
+        let lock = null;
+        try {
+            lock = await locks.acquire(jobId);
+            if (!lock) return;
+
+            // Re-read under the lock - another worker may have finished it meanwhile
+            const job = await getJob(jobId);
+            if (job && ['queued', 'retrying', 'running'].includes(job.status)) {
+                const context = { requestId: job.requestId, jobId, queue: namespace, network: job.input.network };
+                await withLogContext(context, () => runJob(job, lock));
+            }
+        } catch (error) {
+            logger.error('Job crashed', { jobId, queue: namespace, error });
+        } finally {
+            running--;
+            if (lock) await lock.release();
+        }
+    }
+
+    // Pick up runnable jobs. 'running' jobs are only claimable once their lock expired.
+    async function poll() {
+        if (running >= JOB_CONCURRENCY) return;
+        try {
+            const now = Date.now();
+            const due = [];
+            for (const status of ['queued', 'retrying', 'running']) {
+                due.push(...await store.list(namespace, { where: { status }, due: now, limit: 50 }));
+            }
+
+            for (const job of due) {
+                if (running >= JOB_CONCURRENCY) break;
+                tryRun(job.id);
+            }
+        } catch (error) {
+            logger.error('Job poll failed', { queue: namespace, error: error.message });
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(poll, JOB_POLL_INTERVAL_MS);
+            setImmediate(poll);
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { enqueue, getJob, start, stop };
+}
+
+module.exports = { createJobQueue };
@@ -0,0 +1,226 @@
+/**
+ * License specs
+ * A registration can attach several PIL license terms, each built from a spec:
+ *   { flavor, mintingFee, commercialRevShare, currency, expiration, territory }
+ *
+ * flavor is one of the PIL flavors below. Specs are checked against the
+ * server's license policy (LICENSE_* env vars) and normalised into JSON-safe
+ * job input; the PIL terms themselves are built when the asset is minted.
+ * Territory restrictions are not part of the on-chain terms, so they go into
+ * an off-chain terms document pinned to IPFS and referenced by the terms' uri.
+ */
+
+const { PILFlavor } = require('@story-protocol/core-sdk');
+const { parseEther, isAddress, getAddress } = require('viem');
+const { ENABLED_NETWORKS, getNetworkProfile } = require('./networks');
+
+// Flavor name -> which economic parameters it takes
+const LICENSE_FLAVORS = {
+    commercialRemix: { fee: true, revShare: true },
+    commercialUse: { fee: true, revShare: false },
+    creativeCommonsAttribution: { fee: false, revShare: false },
+    nonCommercialSocialRemixing: { fee: false, revShare: false },
+};
+
+function listEnv(name, fallback) {
+    const value = process.env[name];
+    if (!value) return fallback;
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Currency tokens of the enabled network profiles, the deployment's first (the default currency)
+function networkCurrencies() {
+    return [...new Set(ENABLED_NETWORKS.map(name => getNetworkProfile(name).currencyToken))];
+}
+
+// Server-wide license policy
+const LICENSE_POLICY = {
+    flavors: listEnv('LICENSE_ALLOWED_FLAVORS', Object.keys(LICENSE_FLAVORS)),
+    currencies: listEnv('LICENSE_ALLOWED_CURRENCIES', networkCurrencies()).map(address => getAddress(address)),
+    maxMintingFee: process.env.LICENSE_MAX_MINTING_FEE || null,     // in IP tokens, unlimited when unset
+    maxCommercialRevShare: parseInt(process.env.LICENSE_MAX_REV_SHARE || '100'),
+    maxSpecs: parseInt(process.env.LICENSE_MAX_SPECS || '5'),
+    territories: listEnv('LICENSE_ALLOWED_TERRITORIES', []).map(code => code.toUpperCase()),  // empty = any
+};
+
+// Validate one spec against the policy. Returns { error } or { spec }.
+function parseLicenseSpec(raw, policy, defaults) {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'License spec must be an object' };
+    }
+
+    const flavor = raw.flavor || 'commercialRemix';
+    const capabilities = LICENSE_FLAVORS[flavor];
+    if (!capabilities) {
+        return { error: `Unknown license flavor "${flavor}"`, allowed: Object.keys(LICENSE_FLAVORS) };
+    }
+    if (!policy.flavors.includes(flavor)) {
+        return { error: `License flavor "${flavor}" is not allowed on this server`, allowed: policy.flavors };
+    }
+
+    // Fee
+    let mintingFeeWei = 0n;
+    if (capabilities.fee) {
+        try {
+            mintingFeeWei = parseEther(String(raw.mintingFee !== undefined ? raw.mintingFee : defaults.mintingFee));
+        } catch (error) {
+            return { error: 'mintingFee must be a decimal amount of IP tokens', provided: raw.mintingFee };
+        }
+        if (mintingFeeWei < 0n) {
+            return { error: 'mintingFee must not be negative', provided: raw.mintingFee };
+        }
+        if (policy.maxMintingFee !== null && mintingFeeWei > parseEther(String(policy.maxMintingFee))) {
+            return { error: `mintingFee exceeds the allowed maximum of ${policy.maxMintingFee}`, provided: raw.mintingFee };
+        }
+    } else if (raw.mintingFee !== undefined && Number(raw.mintingFee) !== 0) {
+        return { error: `License flavor "${flavor}" does not take a minting fee` };
+    }
+
+    // Revenue share
+    let commercialRevShare = 0;
+    if (capabilities.revShare) {
+        commercialRevShare = raw.commercialRevShare !== undefined ? Number(raw.commercialRevShare) : defaults.commercialRevShare;
+        if (!Number.isInteger(commercialRevShare) || commercialRevShare < 0 || commercialRevShare > 100) {
+            return { error: 'Commercial revenue share must be between 0 and 100', provided: raw.commercialRevShare };
+        }
+        if (commercialRevShare > policy.maxCommercialRevShare) {
+            return { error: `commercialRevShare exceeds the allowed maximum of ${policy.maxCommercialRevShare}`, provided: commercialRevShare };
+        }
+    } else if (raw.commercialRevShare !== undefined && Number(raw.commercialRevShare) !== 0) {
+        return { error: `License flavor "${flavor}" does not take a revenue share` };
+    }
+
+    // Currency (non-commercial terms have none)
+    let currency = null;
+    if (flavor !== 'nonCommercialSocialRemixing') {
+        const requested = raw.currency || policy.currencies[0];
+        if (!isAddress(requested) || !policy.currencies.includes(getAddress(requested))) {
+            return { error: 'currency is not an allowed license currency', provided: raw.currency, allowed: policy.currencies };
+        }
+        currency = getAddress(requested);
+    }
+
+    // Expiration - license lifetime in seconds, 0 = never expires
+    const expiration = raw.expiration !== undefined ? Number(raw.expiration) : 0;
+    if (!Number.isInteger(expiration) || expiration < 0) {
+        return { error: 'expiration must be a whole number of seconds (0 = never)', provided: raw.expiration };
+    }
+
+    // Territory - ISO country/region codes the license is limited to
+    const territory = (raw.territory === undefined ? [] : [].concat(raw.territory)).map(code => String(code).toUpperCase());
+    if (policy.territories.length > 0) {
+        const unknown = territory.find(code => !policy.territories.includes(code));
+        if (unknown) {
+            return { error: `Territory "${unknown}" is not allowed`, allowed: policy.territories };
+        }
+    }
+
+    const spec = {
+        flavor,
+        mintingFeeWei: mintingFeeWei.toString(),  // bigint kept as string so the job stays JSON
+        commercialRevShare,
+        currency,
+        expiration,
+        territory,
+    };
+
+    // Let the SDK run its own consistency checks on the resulting terms
+    try {
+        buildLicenseTerms(spec, '');
+    } catch (error) {
+        return { error: 'Invalid license terms', details: error.message };
+    }
+
+    return { spec };
+}
+
+// Parse `licenses` from a registration body. Without it, the legacy mintingFee/commercialRevShare
+// fields describe a single commercial remix license. Returns { error } or { specs }.
+function parseLicenseSpecs(body, defaults, policy = LICENSE_POLICY) {
+    const raw = body.licenses !== undefined
+        ? body.licenses
+        : [{ flavor: 'commercialRemix', mintingFee: body.mintingFee, commercialRevShare: body.commercialRevShare }];
+
+    if (!Array.isArray(raw) || raw.length === 0) {
+        return { error: { error: 'licenses must be a non-empty array of license specs' } };
+    }
+    if (raw.length > policy.maxSpecs) {
+        return { error: { error: `At most ${policy.maxSpecs} licenses can be attached`, provided: raw.length } };
+    }
+
+    const specs = [];
+    for (const [index, item] of raw.entries()) {
+        const { error, spec, ...details } = parseLicenseSpec(item, policy, defaults);
+        if (error) {
+            return { error: { error, index, ...details } };
+        }
+        specs.push(spec);
+    }
+    return { specs };
+}
+
+// Off-chain terms document for specs with restrictions the PIL cannot express on-chain
+function offChainTerms(spec) {
+    if (spec.territory.length === 0) {
+        return null;
+    }
+    return {
+        territory: spec.territory,
+        channelsOfDistribution: [],
+        attribution: true,
+        contentStandards: [],
+        sublicensable: false,
+        aiLearningModels: false,
+        restrictionOnCrossPlatformUse: false,
+        governingLaw: '',
+        alternativeDispute: '',
+        additionalParameters: {},
+    };
+}
+
+// Build the PIL terms for a spec
+function buildLicenseTerms(spec, uri) {
+    const override = { expiration: BigInt(spec.expiration), uri: uri || '' };
+    switch (spec.flavor) {
+        case 'commercialRemix':
+            return PILFlavor.commercialRemix({
+                commercialRevShare: spec.commercialRevShare,
+                defaultMintingFee: BigInt(spec.mintingFeeWei),
+                currency: spec.currency,
+                override,
+            });
+        case 'commercialUse':
+            return PILFlavor.commercialUse({
+                defaultMintingFee: BigInt(spec.mintingFeeWei),
+                currency: spec.currency,
+                override,
+            });
+        case 'creativeCommonsAttribution':
+            return PILFlavor.creativeCommonsAttribution({ currency: spec.currency, override });
+        case 'nonCommercialSocialRemixing':
+            return PILFlavor.nonCommercialSocialRemixing({ override });
+        default:
+            throw new Error(`Unknown license flavor "${spec.flavor}"`);
+    }
+}
+
+// Describe the policy for clients (GET /license-policy)
+function describeLicensePolicy(policy = LICENSE_POLICY) {
+    return {
+        flavors: policy.flavors.map(flavor => ({ flavor, ...LICENSE_FLAVORS[flavor] })),
+        currencies: policy.currencies,
+        maxMintingFee: policy.maxMintingFee,
+        maxCommercialRevShare: policy.maxCommercialRevShare,
+        maxSpecs: policy.maxSpecs,
+        territories: policy.territories.length > 0 ? policy.territories : 'any',
+    };
+}
+
+module.exports = {
+    LICENSE_FLAVORS,
+    LICENSE_POLICY,
+    parseLicenseSpecs,
+    offChainTerms,
+    buildLicenseTerms,
+    describeLicensePolicy,
+};
@@ -0,0 +1,73 @@
+/**
+ * Expiring locks in the state store
+ * A lock is a `{ owner, leaseId, expiresAt }` document keyed by what it guards.
+ * Locks expire after their TTL so that the work of a crashed holder gets picked
+ * up again. An expired lock is taken over with a conditional update on its
+ * leaseId, so of several contenders only one gets it, and a lock is only ever
+ * released by its own holder.
+ *
+ * While held, a lock is extended every third of its TTL. A holder whose lock
+ * could not be extended (it expired and was taken over) finds `lost` set and
+ * should stop before doing more work.
+ */
+
+const { randomUUID } = require('crypto');
+const store = require('./store');
+const { logger } = require('./logger');
+
+// Locks in `namespace` taken by `owner` (an ID unique to this process)
+function createLockManager({ namespace, owner, ttlMs }) {
+    const newLease = () => ({ owner, leaseId: randomUUID(), expiresAt: Date.now() + ttlMs });
+
+    // Keep a taken lock alive until it is released
+    function hold(id, lease) {
+        const lock = {
+            id,
+            lost: false,
+            async release() {
+                clearInterval(timer);
+                await store.remove(namespace, id, { match: { owner, leaseId: lease.leaseId } }).catch(() => {});
+            },
+        };
+        const timer = setInterval(async () => {
+            try {
+                const extended = await store.update(namespace, id, { ...lease, expiresAt: Date.now() + ttlMs }, {
+                    match: { owner, leaseId: lease.leaseId },
+                });
+                if (!extended && !lock.lost) {
+                    lock.lost = true;
+                    clearInterval(timer);
+                    logger.warn('Lock was taken over while held', { namespace, id });
+                }
+            } catch (error) {
+                logger.warn('Could not extend lock', { namespace, id, error: error.message });
+            }
+        }, Math.max(Math.floor(ttlMs / 3), 1));
+        timer.unref();
+        return lock;
+    }
+
+    // Take the lock for `id`, or over an expired one. Returns the lock, or null while
+    // someone else holds it.
+    async function acquire(id) {
+        const lease = newLease();
+        if (await store.create(namespace, id, lease)) {
+            return hold(id, lease);
+        }
+        const existing = await store.get(namespace, id);
+        if (!existing || existing.expiresAt >= Date.now()) {
+            return null;
+        }
+        // Locks taken before leaseIds existed can only be told apart by their owner
+        const match = existing.leaseId ? { leaseId: existing.leaseId } : { owner: existing.owner };
+        if (!(await store.update(namespace, id, lease, { match }))) {
+            return null;
+        }
+        logger.warn('Took over expired lock', { namespace, id, owner: existing.owner });
+        return hold(id, lease);
+    }
+
+    return { acquire };
+}
+
+module.exports = { createLockManager };
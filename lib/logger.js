@@ -0,0 +1,60 @@
+/**
+ * Structured logging
+ * One JSON object per line on stdout (stderr for warn/error) - time, level,
+ * msg and any fields - so log pipelines can index and alert on them.
+ *
+ * Context set with withLogContext() (the request ID of an HTTP request, the
+ * job ID and stage of a job) is added to every line logged inside it,
+ * including from library code that knows nothing about requests or jobs.
+ *
+ * LOG_LEVEL: debug, info (default), warn or error.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const SERVICE = 'deepshare-story-server';
+
+const context = new AsyncLocalStorage();
+
+// Errors do not survive JSON.stringify - keep what is useful of them
+function serialize(value) {
+    if (value instanceof Error) {
+        return { message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack };
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    return value;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        service: SERVICE,
+        msg,
+        ...context.getStore(),
+        ...Object.fromEntries(Object.entries(fields).map(([key, value]) => [key, serialize(value)])),
+    };
+    const line = `${JSON.stringify(entry, (key, value) => typeof value === 'bigint' ? value.toString() : value)}\n`;
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+}
+
+// Run fn with fields added to every log line inside it (nested contexts are merged)
+function withLogContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+const logger = {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+};
+
+module.exports = { logger, withLogContext };
@@ -0,0 +1,127 @@
+/**
+ * Prometheus metrics
+ * Served by GET /metrics: HTTP traffic, registrations, per-stage job latencies
+ * and failures, database/webhook problems, transactions, dependency readiness and
+ * the signer wallet balances, plus the default Node.js process metrics.
+ */
+
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'deepshare_' });
+
+const registers = [registry];
+
+const httpRequests = new client.Counter({
+    name: 'deepshare_http_requests_total',
+    help: 'HTTP requests by route and status code',
+    labelNames: ['method', 'route', 'status'],
+    registers,
+});
+
+const httpDuration = new client.Histogram({
+    name: 'deepshare_http_request_duration_seconds',
+    help: 'HTTP request latency by route',
+    labelNames: ['method', 'route'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers,
+});
+
+const registrations = new client.Counter({
+    name: 'deepshare_registrations_total',
+    help: 'Captures confirmed on-chain or given up on, by network',
+    labelNames: ['network', 'outcome'],
+    registers,
+});
+
+const jobs = new client.Counter({
+    name: 'deepshare_jobs_total',
+    help: 'Registration jobs finished, by queue and final status',
+    labelNames: ['queue', 'status'],
+    registers,
+});
+
+const stageDuration = new client.Histogram({
+    name: 'deepshare_job_stage_duration_seconds',
+    help: 'Duration of job stage attempts (pinning, minting, provenance, db-sync)',
+    labelNames: ['queue', 'stage', 'outcome'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300],
+    registers,
+});
+
+const stageFailures = new client.Counter({
+    name: 'deepshare_job_stage_failures_total',
+    help: 'Failed job stage attempts (each retry counts)',
+    labelNames: ['queue', 'stage'],
+    registers,
+});
+
+const dbSyncFailures = new client.Counter({
+    name: 'deepshare_db_sync_failures_total',
+    help: 'Images table writes that failed and went to the outbox',
+    labelNames: ['network'],
+    registers,
+});
+
+const webhookDeliveries = new client.Counter({
+    name: 'deepshare_webhook_deliveries_total',
+    help: 'Webhook delivery attempts by outcome (delivered, retry, failed)',
+    labelNames: ['outcome'],
+    registers,
+});
+
+const transactions = new client.Counter({
+    name: 'deepshare_transactions_total',
+    help: 'Transactions broadcast by the transaction manager (event: sent, replaced)',
+    labelNames: ['network', 'signer', 'event'],
+    registers,
+});
+
+const pendingTransactions = new client.Gauge({
+    name: 'deepshare_pending_transactions',
+    help: 'Transactions sent by a signer and not mined yet',
+    labelNames: ['network', 'signer'],
+    registers,
+});
+
+const walletBalance = new client.Gauge({
+    name: 'deepshare_wallet_balance_ip',
+    help: 'Server wallet balance in IP tokens, by network',
+    labelNames: ['network', 'address'],
+    registers,
+});
+
+const dependencyUp = new client.Gauge({
+    name: 'deepshare_dependency_up',
+    help: 'Result of the last readiness check of a dependency (1 ok, 0 failing)',
+    labelNames: ['dependency'],
+    registers,
+});
+
+const apiRejections = new client.Counter({
+    name: 'deepshare_api_rejections_total',
+    help: 'Registration requests refused by an API client limit',
+    labelNames: ['client', 'reason'],
+    registers,
+});
+
+async function renderMetrics() {
+    return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+    httpRequests,
+    httpDuration,
+    registrations,
+    jobs,
+    stageDuration,
+    stageFailures,
+    dbSyncFailures,
+    webhookDeliveries,
+    transactions,
+    pendingTransactions,
+    walletBalance,
+    dependencyUp,
+    apiRejections,
+    renderMetrics,
+};
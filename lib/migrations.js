@@ -0,0 +1,75 @@
+/**
+ * Schema migrations
+ * Applies migrations/*.sql in file-name order to the Postgres database at
+ * DATABASE_URL (for Supabase: the project's connection string), each in its
+ * own transaction. Applied files are recorded in `schema_migrations`.
+ * SQLite databases create their schema themselves (see lib/sql.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DB_BACKEND } = require('./sql');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function listMigrationFiles() {
+    return fs.readdirSync(MIGRATIONS_DIR).filter(name => name.endsWith('.sql')).sort();
+}
+
+// Returns [{ name, status: 'applied' | 'already applied' | 'pending' }].
+// With dryRun, nothing is executed and outstanding files are reported as pending.
+async function applyMigrations({ dryRun = false } = {}) {
+    if (DB_BACKEND === 'sqlite') {
+        return listMigrationFiles().map(name => ({ name, status: 'not needed (sqlite)' }));
+    }
+    if (!process.env.DATABASE_URL) {
+        throw new Error('Applying migrations needs DATABASE_URL (Supabase: Project Settings → Database → Connection string)');
+    }
+
+    let pg;
+    try {
+        pg = require('pg');
+    } catch (error) {
+        throw new Error('Applying migrations needs the "pg" package (npm install pg)');
+    }
+    const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+    await client.connect();
+
+    try {
+        await client.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            name TEXT PRIMARY KEY,
+            applied_at TIMESTAMPTZ NOT NULL DEFAULT now()
+        )`);
+        const { rows } = await client.query('SELECT name FROM schema_migrations');
+        const applied = new Set(rows.map(row => row.name));
+
+        const results = [];
+        for (const name of listMigrationFiles()) {
+            if (applied.has(name)) {
+                results.push({ name, status: 'already applied' });
+                continue;
+            }
+            if (dryRun) {
+                results.push({ name, status: 'pending' });
+                continue;
+            }
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8');
+            try {
+                await client.query('BEGIN');
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${name} failed: ${error.message}`);
+            }
+            results.push({ name, status: 'applied' });
+        }
+        return results;
+    } finally {
+        await client.end();
+    }
+}
+
+module.exports = { applyMigrations };
@@ -0,0 +1,210 @@
+/**
+ * Network profiles
+ * Everything that differs between the Story networks we register on: RPC,
+ * chain ID, explorer/scan URLs, faucet, license currency token and SPG collection.
+ *
+ * NETWORK picks the deployment's profile (CHAIN_ID is honoured for older
+ * configs). ENABLED_NETWORKS lists further profiles a request may select with
+ * its `network` field, or through TENANT_NETWORKS ({"<tenant>": "<network>"}),
+ * e.g. staging tenants on aeneid next to a mainnet deployment.
+ *
+ * Writes (registrations, mints, claims) spend the selected network's wallet, so
+ * the choice is authorized: a request's tenant is its API client's (a `tenant` in
+ * the body must match it), and the network must be one the caller is allowed -
+ * the client's `networks`, else its tenant's network plus PUBLIC_NETWORKS (default:
+ * the deployment's only). Anonymous callers get PUBLIC_NETWORKS. Reads and admin
+ * requests may select any enabled network.
+ *
+ * Profile values can be overridden with NETWORK_<NAME>_<FIELD> env vars (RPC_URL,
+ * EXPLORER_URL, SCAN_URL, FAUCET_URL, CURRENCY_TOKEN, SPG_NFT_CONTRACT); plain
+ * RPC_URL and SPG_NFT_CONTRACT still apply to the deployment's profile.
+ */
+
+const { WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
+require('dotenv').config();
+
+const BUILTIN_PROFILES = {
+    aeneid: {
+        chainId: 1315,
+        sdkChainId: 'aeneid',
+        rpcUrl: 'https://aeneid.storyrpc.io',
+        explorerUrl: 'https://aeneid.explorer.story.foundation',
+        scanUrl: 'https://aeneid.storyscan.io',
+        faucetUrl: 'https://faucet.story.foundation/',
+        currencyToken: WIP_TOKEN_ADDRESS,
+        testnet: true,
+    },
+    mainnet: {
+        chainId: 1514,
+        sdkChainId: 'mainnet',
+        rpcUrl: 'https://mainnet.storyrpc.io',
+        explorerUrl: 'https://explorer.story.foundation',
+        scanUrl: 'https://www.storyscan.io',
+        faucetUrl: null,
+        currencyToken: WIP_TOKEN_ADDRESS,
+        testnet: false,
+    },
+    // Local devnet - an anvil/hardhat fork of aeneid, so the protocol contracts are there
+    local: {
+        chainId: 1315,
+        sdkChainId: 'aeneid',
+        rpcUrl: 'http://127.0.0.1:8545',
+        explorerUrl: null,
+        scanUrl: null,
+        faucetUrl: null,
+        currencyToken: WIP_TOKEN_ADDRESS,
+        testnet: true,
+    },
+};
+
+const OVERRIDABLE_FIELDS = {
+    RPC_URL: 'rpcUrl',
+    EXPLORER_URL: 'explorerUrl',
+    SCAN_URL: 'scanUrl',
+    FAUCET_URL: 'faucetUrl',
+    CURRENCY_TOKEN: 'currencyToken',
+    SPG_NFT_CONTRACT: 'spgNftContract',
+};
+
+const DEFAULT_NETWORK = process.env.NETWORK || process.env.CHAIN_ID || 'aeneid';
+
+function loadProfile(name) {
+    const builtin = BUILTIN_PROFILES[name];
+    if (!builtin) {
+        throw new Error(`Unknown network "${name}" (expected ${Object.keys(BUILTIN_PROFILES).join(', ')})`);
+    }
+    const profile = { name, ...builtin, spgNftContract: null };
+    for (const [suffix, field] of Object.entries(OVERRIDABLE_FIELDS)) {
+        const value = process.env[`NETWORK_${name.toUpperCase()}_${suffix}`];
+        if (value) profile[field] = value;
+    }
+    // Pre-profile settings, still honoured for the deployment's network
+    if (name === DEFAULT_NETWORK) {
+        if (process.env.RPC_URL && !process.env[`NETWORK_${name.toUpperCase()}_RPC_URL`]) {
+            profile.rpcUrl = process.env.RPC_URL;
+        }
+        profile.spgNftContract = profile.spgNftContract || process.env.SPG_NFT_CONTRACT || null;
+    }
+    return profile;
+}
+
+const ENABLED_NETWORKS = [...new Set([
+    DEFAULT_NETWORK,
+    ...(process.env.ENABLED_NETWORKS || '').split(',').map(name => name.trim()).filter(Boolean),
+])];
+
+const PROFILES = Object.fromEntries(ENABLED_NETWORKS.map(name => [name, loadProfile(name)]));
+
+function parseTenantNetworks() {
+    if (!process.env.TENANT_NETWORKS) return {};
+    try {
+        return JSON.parse(process.env.TENANT_NETWORKS);
+    } catch (error) {
+        throw new Error(`TENANT_NETWORKS is not valid JSON: ${error.message}`);
+    }
+}
+const TENANT_NETWORKS = parseTenantNetworks();
+
+for (const [tenant, name] of Object.entries(TENANT_NETWORKS)) {
+    if (!PROFILES[name]) {
+        throw new Error(`TENANT_NETWORKS maps "${tenant}" to "${name}", which is not in ENABLED_NETWORKS`);
+    }
+}
+
+const PUBLIC_NETWORKS = process.env.PUBLIC_NETWORKS
+    ? process.env.PUBLIC_NETWORKS.split(',').map(name => name.trim()).filter(Boolean)
+    : [DEFAULT_NETWORK];
+
+for (const name of PUBLIC_NETWORKS) {
+    if (!PROFILES[name]) {
+        throw new Error(`PUBLIC_NETWORKS lists "${name}", which is not in ENABLED_NETWORKS`);
+    }
+}
+
+function getNetworkProfile(name = DEFAULT_NETWORK) {
+    return PROFILES[name] || null;
+}
+
+// Networks an API client (null for anonymous callers) may write to
+function allowedNetworks(client) {
+    if (client && client.networks) {
+        return client.networks;
+    }
+    const tenantNetwork = client && client.tenant && TENANT_NETWORKS[client.tenant];
+    return tenantNetwork ? [...new Set([tenantNetwork, ...PUBLIC_NETWORKS])] : PUBLIC_NETWORKS;
+}
+
+// Network for a request: explicit `network`, else the tenant's, else the deployment's.
+// With a `caller` ({ client }) the tenant and network must be ones the caller is allowed;
+// without one (reads, admin requests) any enabled network can be selected.
+// Returns { status, error } or { network } (the profile name).
+function resolveNetwork({ network, tenant } = {}, { caller = null } = {}) {
+    if (caller) {
+        const clientTenant = (caller.client && caller.client.tenant) || null;
+        if (tenant && tenant !== clientTenant) {
+            return { status: 403, error: { error: 'tenant is not the tenant of this API client', provided: tenant } };
+        }
+        tenant = clientTenant;
+    }
+    const name = network || (tenant && TENANT_NETWORKS[tenant]) || DEFAULT_NETWORK;
+    if (!PROFILES[name]) {
+        return { status: 400, error: { error: `Network "${name}" is not enabled on this server`, enabled: ENABLED_NETWORKS } };
+    }
+    if (caller && !allowedNetworks(caller.client).includes(name)) {
+        return { status: 403, error: { error: `Network "${name}" is not allowed for this caller`, allowed: allowedNetworks(caller.client) } };
+    }
+    return { network: name };
+}
+
+function explorerIpUrl(profile, ipId) {
+    return profile.explorerUrl ? `${profile.explorerUrl}/ipa/${ipId}` : null;
+}
+
+function transactionUrl(profile, txHash) {
+    return profile.scanUrl ? `${profile.scanUrl}/tx/${txHash}` : null;
+}
+
+// Public description of the enabled profiles (GET /networks)
+function describeNetworks() {
+    return {
+        default: DEFAULT_NETWORK,
+        networks: ENABLED_NETWORKS.map(name => {
+            const { rpcUrl, sdkChainId, ...profile } = PROFILES[name];
+            return profile;
+        }),
+        public: PUBLIC_NETWORKS,
+        tenants: TENANT_NETWORKS,
+    };
+}
+
+// One pipeline per network behind a single job queue: every stage runs the
+// same-named stage of the pipeline for the job's network
+function dispatchByNetwork(pipelines) {
+    const pick = (input) => {
+        const pipeline = pipelines[input.network || DEFAULT_NETWORK];
+        if (!pipeline) {
+            throw new Error(`Network "${input.network}" is not enabled on this server`);
+        }
+        return pipeline;
+    };
+    const { stages } = Object.values(pipelines)[0];
+    return {
+        stages: stages.map(({ name }, i) => ({
+            name,
+            run: (input, outputs, context) => pick(input).stages[i].run(input, outputs, context),
+        })),
+        buildResult: (input, outputs) => pick(input).buildResult(input, outputs),
+    };
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    ENABLED_NETWORKS,
+    getNetworkProfile,
+    resolveNetwork,
+    allowedNetworks,
+    explorerIpUrl,
+    transactionUrl,
+    describeNetworks,
+    dispatchByNetwork,
+};
@@ -0,0 +1,114 @@
+/**
+ * Database outbox
+ * Database writes that failed after an asset was minted are kept in the state
+ * store (`db_outbox` namespace) and retried by a background worker with
+ * exponential backoff until they succeed, so the images table always learns
+ * about what is on-chain.
+ *
+ * Entries are keyed by `<kind>:<key>`; queueing a newer write for the same key
+ * replaces the older one. Writes are idempotent, so two instances retrying the
+ * same entry is harmless.
+ */
+
+const store = require('./store');
+const { syncImageRegistration } = require('./db');
+const { logger } = require('./logger');
+
+const OUTBOX_NAMESPACE = 'db_outbox';
+const OUTBOX_POLL_INTERVAL_MS = parseInt(process.env.OUTBOX_POLL_INTERVAL_MS || '15000');
+const OUTBOX_BACKOFF_BASE_MS = parseInt(process.env.OUTBOX_BACKOFF_BASE_MS || '10000');
+const OUTBOX_BACKOFF_MAX_MS = parseInt(process.env.OUTBOX_BACKOFF_MAX_MS || '3600000');
+
+// Write functions by entry kind
+const WRITERS = {
+    'image-registration': syncImageRegistration,
+};
+
+function backoffDelay(attempts) {
+    return Math.min(OUTBOX_BACKOFF_BASE_MS * 2 ** (attempts - 1), OUTBOX_BACKOFF_MAX_MS);
+}
+
+// Queue a failed write for retry
+async function enqueueWrite(kind, key, payload, error) {
+    const id = `${kind}:${key}`;
+    const existing = await store.get(OUTBOX_NAMESPACE, id);
+    const entry = {
+        id,
+        kind,
+        key,
+        payload,
+        status: 'pending',
+        attempts: 1,
+        lastError: error,
+        nextAttemptAt: Date.now() + backoffDelay(1),
+        createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    };
+    await store.put(OUTBOX_NAMESPACE, id, entry);
+    logger.warn('Queued write in the outbox', { kind, key, error });
+    return entry;
+}
+
+async function listOutbox({ limit, offset } = {}) {
+    return store.list(OUTBOX_NAMESPACE, { where: { status: 'pending' }, limit, offset });
+}
+
+async function retryEntry(entry) {
+    try {
+        await WRITERS[entry.kind](entry.payload);
+        await store.remove(OUTBOX_NAMESPACE, entry.id);
+        logger.info('Outbox write succeeded', { id: entry.id, attempts: entry.attempts + 1 });
+    } catch (error) {
+        const attempts = entry.attempts + 1;
+        const delay = backoffDelay(attempts);
+        logger.warn('Outbox write failed again', { id: entry.id, attempts, delayMs: delay, error: error.message });
+        await store.put(OUTBOX_NAMESPACE, entry.id, {
+            ...entry,
+            attempts,
+            lastError: error.message,
+            nextAttemptAt: Date.now() + delay,
+        });
+    }
+}
+
+function createOutboxWorker() {
+    let timer = null;
+    let polling = false;
+
+    // Retry entries that are due (or every entry, with `all`)
+    async function poll({ all = false } = {}) {
+        if (polling) return;
+        polling = true;
+        try {
+            const due = all
+                ? await listOutbox({ limit: 50 })
+                : await store.list(OUTBOX_NAMESPACE, { where: { status: 'pending' }, due: Date.now(), limit: 50 });
+            for (const entry of due) {
+                if (!WRITERS[entry.kind]) {
+                    logger.error('Outbox entry has unknown kind', { id: entry.id, kind: entry.kind });
+                    continue;
+                }
+                await retryEntry(entry);
+            }
+        } catch (error) {
+            logger.error('Outbox poll failed', { error: error.message });
+        } finally {
+            polling = false;
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(() => poll(), OUTBOX_POLL_INTERVAL_MS);
+            setImmediate(() => poll());
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    return { start, stop, poll };
+}
+
+module.exports = { enqueueWrite, listOutbox, createOutboxWorker };
@@ -0,0 +1,320 @@
+/**
+ * Provenance manifests
+ * C2PA-style JSON manifests that let tools outside Story check where a capture
+ * came from. Manifests are signed by the server wallet (EIP-191 over the SHA-256
+ * of their canonical JSON) and pinned to IPFS:
+ *
+ *   capture manifest      - built while pinning: the device's capture assertion and
+ *                           signer, content hashes and actions. Referenced from the
+ *                           IP metadata, so the on-chain metadata hash covers it.
+ *   registration manifest - built after minting: the capture manifest's assertions
+ *                           plus the resulting ipId/txHash, with the capture manifest
+ *                           as its ingredient.
+ *
+ * verifyManifest checks a registration manifest against the chain.
+ */
+
+const { createHash } = require('crypto');
+const { recoverMessageAddress, getAddress, isAddress, isHex } = require('viem');
+const { fetchFromIPFS } = require('./ipfs');
+const { recoverSigner } = require('./deviceAuth');
+const { isRegisteredIp, registrationsFromReceipt } = require('./chain');
+
+const MANIFEST_FORMAT = 'deepshare.provenance/v1';
+const CLAIM_GENERATOR = 'DeepShare IP Registration Server';
+const DIGITAL_CAPTURE = 'http://cv.iptc.org/newscodes/digitalsourcetype/digitalCapture';
+
+// Extra signers (besides this server's wallet) whose manifests count as trusted
+const PROVENANCE_TRUSTED_SIGNERS = (process.env.PROVENANCE_TRUSTED_SIGNERS || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .map(address => getAddress(address));
+
+// JSON with object keys sorted at every level, so a manifest hashes the same after a round trip
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// SHA-256 (hex) of a manifest without its signature
+function manifestDigest(manifest) {
+    const { signature, ...unsigned } = manifest;
+    return createHash('sha256').update(canonicalJson(unsigned)).digest('hex');
+}
+
+const signedMessage = (digest) => `DeepShare provenance manifest\nsha256: ${digest}`;
+
+async function signManifest(manifest, account) {
+    const digest = manifestDigest(manifest);
+    return {
+        ...manifest,
+        signature: {
+            alg: 'eip191-sha256',
+            signer: account.address,
+            digest,
+            value: await account.signMessage({ message: signedMessage(digest) }),
+        },
+    };
+}
+
+const assertion = (manifest, label) => (manifest.assertions || []).find(entry => entry.label === label);
+const isHash = (value) => isHex(value, { strict: true }) && value.length === 66;
+
+// Unsigned capture manifest. `content` holds the verified image/media descriptions and
+// `depth` the validated depth metadata (see lib/captureSchema.js).
+function buildCaptureManifest({ input, content, depth, capturedAt, network }) {
+    const { derivative, deviceSignature } = input;
+    return {
+        format: MANIFEST_FORMAT,
+        type: 'capture',
+        claim_generator: CLAIM_GENERATOR,
+        title: `DeepShare capture ${input.imageCid}`,
+        media_type: content.image.mediaType,
+        created: new Date().toISOString(),
+        assertions: [
+            {
+                label: 'c2pa.hash.data',
+                data: { name: 'image', alg: 'sha256', hash: content.image.sha256, cid: input.imageCid, size: content.image.size },
+            },
+            ...(input.metadataCid ? [{
+                label: 'deepshare.depth',
+                data: {
+                    alg: 'sha256',
+                    hash: content.media.sha256,
+                    cid: input.metadataCid,
+                    schemaVersion: depth.version,
+                },
+            }] : []),
+            {
+                label: 'deepshare.capture',
+                data: {
+                    deviceAddress: getAddress(input.deviceAddress),
+                    capturedAt: capturedAt.toISOString(),
+                    // The device's own signature over the capture (see lib/deviceAuth.js)
+                    deviceSignature: deviceSignature ? {
+                        signatureType: deviceSignature.signatureType,
+                        signature: deviceSignature.signature,
+                        signer: deviceSignature.signer,
+                        capturedAt: deviceSignature.capturedAt,
+                        nonce: deviceSignature.nonce,
+                        chainId: network.chainId,
+                    } : null,
+                },
+            },
+            {
+                label: 'c2pa.actions',
+                data: {
+                    actions: derivative
+                        ? [{ action: 'c2pa.edited', when: capturedAt.toISOString(), parameters: { derivativeType: derivative.derivativeType } }]
+                        : [{ action: 'c2pa.created', when: capturedAt.toISOString(), digitalSourceType: DIGITAL_CAPTURE }],
+                },
+            },
+        ],
+        ingredients: derivative
+            ? derivative.parentIpIds.map((ipId, i) => ({
+                relationship: 'parentOf',
+                ipId,
+                licenseTermsId: String(derivative.licenseTermsIds[i]),
+            }))
+            : [],
+    };
+}
+
+// Unsigned registration manifest for a minted capture
+function buildRegistrationManifest({ captureManifest, captureManifestCid, pinned, minted, network }) {
+    const { signature, ...capture } = captureManifest;
+    return {
+        ...capture,
+        type: 'registration',
+        created: new Date().toISOString(),
+        assertions: [
+            ...capture.assertions,
+            {
+                label: 'deepshare.story.registration',
+                data: {
+                    network: network.name,
+                    chainId: network.chainId,
+                    ipId: minted.ipId,
+                    txHash: minted.txHash,
+                    nftContract: minted.nftContract,
+                    tokenId: minted.tokenId !== undefined ? String(minted.tokenId) : null,
+                    ipMetadataCid: pinned.ipIpfsHash,
+                    ipMetadataHash: `0x${pinned.ipHash}`,
+                    nftMetadataCid: pinned.nftIpfsHash,
+                },
+            },
+        ],
+        ingredients: [
+            ...capture.ingredients,
+            { relationship: 'componentOf', manifest: captureManifestCid, digest: signature.digest },
+        ],
+    };
+}
+
+// Check a manifest's signature. Returns { ok, signer, details }.
+async function checkSignature(manifest, trustedSigners) {
+    const { signature } = manifest;
+    if (!signature || !signature.value || !signature.signer) {
+        return { ok: false, details: 'manifest is not signed' };
+    }
+    if (!isAddress(String(signature.signer))) {
+        return { ok: false, details: 'malformed signature: signer is not an address' };
+    }
+    const digest = manifestDigest(manifest);
+    if (signature.digest !== digest) {
+        return { ok: false, details: 'manifest content does not match the signed digest' };
+    }
+    let signer;
+    try {
+        signer = await recoverMessageAddress({ message: signedMessage(digest), signature: signature.value });
+    } catch (error) {
+        return { ok: false, details: `malformed signature: ${error.message}` };
+    }
+    if (getAddress(signer) !== getAddress(signature.signer)) {
+        return { ok: false, signer, details: 'signature was not made by the named signer' };
+    }
+    const trusted = trustedSigners.includes(getAddress(signer));
+    return { ok: trusted, signer, details: trusted ? 'signed by a trusted signer' : 'signer is not trusted by this server' };
+}
+
+// The device's capture signature, recovered against the image/depth CIDs in the manifest
+async function checkDeviceSignature(manifest) {
+    const capture = assertion(manifest, 'deepshare.capture');
+    const image = assertion(manifest, 'c2pa.hash.data');
+    const depth = assertion(manifest, 'deepshare.depth');
+    if (!capture || !image) {
+        return { ok: false, details: 'manifest has no capture assertion' };
+    }
+    const signed = capture.data.deviceSignature;
+    if (!signed) {
+        return { ok: null, details: 'capture was not signed by the device' };
+    }
+    try {
+        const signer = await recoverSigner({
+            signatureType: signed.signatureType,
+            signature: signed.signature,
+            payload: {
+                imageCid: image.data.cid,
+                metadataCid: depth ? depth.data.cid : '',
+                capturedAt: signed.capturedAt,
+                nonce: signed.nonce,
+            },
+            chainId: signed.chainId,
+        });
+        const ok = getAddress(signer) === getAddress(capture.data.deviceAddress);
+        return { ok, signer, details: ok ? 'signed by the capturing device' : 'device signature does not match deviceAddress' };
+    } catch (error) {
+        return { ok: false, details: `malformed device signature: ${error.message}` };
+    }
+}
+
+// Verify a registration manifest: signatures, the capture manifest it was built
+// from, and the on-chain registration. `publicClientFor({ network, chainId })`
+// returns a client for the manifest's network (or null if it is not enabled).
+// Returns { valid, type, ipId, txHash, checks: { name: { ok, details } } }.
+async function verifyManifest(manifest, { publicClientFor, serverAddress }) {
+    const trustedSigners = [getAddress(serverAddress), ...PROVENANCE_TRUSTED_SIGNERS];
+    const checks = {};
+
+    checks.signature = await checkSignature(manifest, trustedSigners);
+    checks.deviceSignature = await checkDeviceSignature(manifest);
+
+    const registration = assertion(manifest, 'deepshare.story.registration');
+    if (!registration) {
+        checks.registration = { ok: false, details: 'not a registration manifest (no deepshare.story.registration assertion)' };
+        return summarize(manifest, null, checks);
+    }
+    const { ipId, txHash, ipMetadataCid, ipMetadataHash } = registration.data || {};
+    const malformed = [
+        !isAddress(String(ipId)) && 'ipId is not an address',
+        !isHash(txHash) && 'txHash is not a 32-byte hex string',
+        !isHash(ipMetadataHash) && 'ipMetadataHash is not a 32-byte hex string',
+    ].filter(Boolean);
+    if (malformed.length > 0) {
+        checks.registration = { ok: false, details: `malformed registration assertion: ${malformed.join(', ')}` };
+        return summarize(manifest, null, checks);
+    }
+
+    // The capture manifest referenced from the IP metadata must be the one this was built from
+    const ingredient = (manifest.ingredients || []).find(entry => entry.relationship === 'componentOf' && entry.manifest);
+    if (!ingredient) {
+        checks.captureManifest = { ok: false, details: 'no capture manifest ingredient' };
+    } else {
+        try {
+            const captureManifest = await fetchFromIPFS(ingredient.manifest);
+            const signature = await checkSignature(captureManifest, trustedSigners);
+            const sameAssertions = canonicalJson(captureManifest.assertions)
+                === canonicalJson(manifest.assertions.filter(entry => entry.label !== 'deepshare.story.registration'));
+            checks.captureManifest = {
+                ok: signature.ok && manifestDigest(captureManifest) === ingredient.digest && sameAssertions,
+                details: !signature.ok ? `capture manifest: ${signature.details}`
+                    : manifestDigest(captureManifest) !== ingredient.digest ? 'capture manifest digest does not match the ingredient'
+                        : !sameAssertions ? 'assertions differ from the capture manifest' : 'matches',
+            };
+        } catch (error) {
+            checks.captureManifest = { ok: false, details: `could not fetch ${ingredient.manifest}: ${error.message}` };
+        }
+    }
+
+    const publicClient = publicClientFor(registration.data);
+    if (!publicClient) {
+        checks.onChain = { ok: false, details: `network ${registration.data.network} (chain ${registration.data.chainId}) is not enabled on this server` };
+        return summarize(manifest, registration, checks);
+    }
+
+    checks.registered = (await isRegisteredIp(publicClient, ipId))
+        ? { ok: true, details: 'ipId is a registered IP asset' }
+        : { ok: false, details: 'ipId is not registered on-chain' };
+
+    const receipt = await publicClient.getTransactionReceipt({ hash: txHash }).catch(() => null);
+    const registered = receipt && registrationsFromReceipt(receipt)
+        .find(entry => entry.ipId.toLowerCase() === ipId.toLowerCase());
+    checks.transaction = !receipt ? { ok: false, details: 'txHash not found on-chain' }
+        : !registered ? { ok: false, details: 'txHash did not register this ipId' }
+            : registered.metadataHash.toLowerCase() !== ipMetadataHash.toLowerCase()
+                ? { ok: false, details: 'on-chain metadata hash differs from the manifest' }
+                : { ok: true, details: 'txHash registered ipId with the manifest\'s metadata hash' };
+
+    try {
+        const ipMetadata = await fetchFromIPFS(ipMetadataCid);
+        const hash = `0x${createHash('sha256').update(JSON.stringify(ipMetadata)).digest('hex')}`;
+        const reference = ipMetadata.provenance && ipMetadata.provenance.manifest;
+        checks.ipMetadata = hash !== ipMetadataHash.toLowerCase() ? { ok: false, details: 'IP metadata does not match its hash' }
+            : !ingredient || reference !== `ipfs://${ingredient.manifest}` ? { ok: false, details: 'IP metadata does not reference the capture manifest' }
+                : { ok: true, details: 'IP metadata references the capture manifest' };
+    } catch (error) {
+        checks.ipMetadata = { ok: false, details: `could not fetch ${ipMetadataCid}: ${error.message}` };
+    }
+
+    return summarize(manifest, registration, checks);
+}
+
+// Valid when no check failed (a capture without a device signature is not a failure)
+function summarize(manifest, registration, checks) {
+    return {
+        valid: Object.values(checks).every(check => check.ok !== false),
+        type: manifest.type || null,
+        ipId: registration ? registration.data.ipId : null,
+        txHash: registration ? registration.data.txHash : null,
+        signer: checks.signature.signer || null,
+        checks,
+    };
+}
+
+module.exports = {
+    MANIFEST_FORMAT,
+    manifestDigest,
+    signManifest,
+    buildCaptureManifest,
+    buildRegistrationManifest,
+    verifyManifest,
+};
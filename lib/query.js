@@ -0,0 +1,159 @@
+/**
+ * Evidence read API
+ * Combines what the server stored about a registration (image/metadata CIDs,
+ * device, job, transaction) with the asset's live on-chain state (owner,
+ * license terms, parents and derivatives).
+ */
+
+const store = require('./store');
+const { readIpAsset } = require('./chain');
+const { findImageRow } = require('./db');
+const { listRegistrationsByDevice } = require('./idempotency');
+
+const REGISTRATIONS_NAMESPACE = 'registrations';
+
+// `network` is the profile whose registrations and chain state are read
+function createEvidenceQueries({ storyClient, publicClient, network, getJob }) {
+    // License terms never change once registered, so their details are cached
+    const termsCache = new Map();
+
+    async function describeLicenseTerms(licenseTermsId) {
+        if (!termsCache.has(licenseTermsId)) {
+            const { terms } = await storyClient.license.getLicenseTerms(BigInt(licenseTermsId));
+            termsCache.set(licenseTermsId, {
+                commercialUse: terms.commercialUse,
+                commercialAttribution: terms.commercialAttribution,
+                commercialRevShare: Number(terms.commercialRevShare) / 1e6,  // stored on-chain with 6 decimals
+                defaultMintingFeeWei: terms.defaultMintingFee.toString(),
+                currency: terms.currency,
+                derivativesAllowed: terms.derivativesAllowed,
+                derivativesReciprocal: terms.derivativesReciprocal,
+                transferable: terms.transferable,
+                expiration: terms.expiration.toString(),
+                royaltyPolicy: terms.royaltyPolicy,
+                uri: terms.uri,
+            });
+        }
+        return termsCache.get(licenseTermsId);
+    }
+
+    async function onChainState(ipId) {
+        const asset = await readIpAsset(publicClient, ipId);
+        if (!asset.registered) {
+            return asset;
+        }
+        const licenseTerms = [];
+        for (const attached of asset.licenseTerms) {
+            licenseTerms.push({ ...attached, terms: await describeLicenseTerms(attached.licenseTermsId) });
+        }
+        return { ...asset, licenseTerms };
+    }
+
+    // What the server stored for a registration. Metadata CIDs of registrations
+    // recorded before they were kept on the record are read from the job.
+    async function storedRegistration(record) {
+        let { ipMetadataCid, nftMetadataCid } = record;
+        if (!ipMetadataCid && record.jobId) {
+            const pinned = pinnedOutputFor(await getJob(record.jobId), record.imageCid);
+            ipMetadataCid = pinned ? pinned.ipIpfsHash : undefined;
+            nftMetadataCid = pinned ? pinned.nftIpfsHash : undefined;
+        }
+        return {
+            imageCid: record.imageCid,
+            metadataCid: record.metadataCid || null,
+            ipMetadataCid: ipMetadataCid || null,
+            nftMetadataCid: nftMetadataCid || null,
+            deviceAddress: record.deviceAddress || null,
+            txHash: record.txHash || null,
+            jobId: record.jobId || null,
+            registeredAt: record.registeredAt || null,
+            supersedes: record.supersedes || null,
+            provenanceManifestCid: record.provenanceManifestCid || null,
+            previousRegistrations: record.previousRegistrations || [],
+            source: record.source || 'server',
+        };
+    }
+
+    // GET /ip/:ipId
+    async function getIp(ipId) {
+        const [record] = await store.list(REGISTRATIONS_NAMESPACE, { where: { network: network.name, ipId }, limit: 1 });
+        const chain = await onChainState(ipId);
+        if (!record && !chain.registered) {
+            return null;
+        }
+        return {
+            ipId,
+            registration: record ? await storedRegistration(record) : null,
+            onChain: chain,
+        };
+    }
+
+    // CID of the registration manifest recorded for an asset (null if there is none)
+    async function findProvenanceManifest(ipId) {
+        const [record] = await store.list(REGISTRATIONS_NAMESPACE, { where: { network: network.name, ipId }, limit: 1 });
+        return record ? record.provenanceManifestCid || null : null;
+    }
+
+    // GET /images/:imageCid - the state store first, the images table for older rows
+    async function getImage(imageCid) {
+        let record = await store.get(REGISTRATIONS_NAMESPACE, imageCid);
+        if (!record) {
+            const row = await findImageRow(imageCid).catch(() => null);
+            if (!row) {
+                return null;
+            }
+            record = {
+                imageCid,
+                status: row.ip ? 'registered' : 'unregistered',
+                ipId: row.ip ? row.ip.split('/').pop() : null,  // ip column stores the explorer URL
+                txHash: row.tx_hash,
+                metadataCid: row.metadata_cid,
+                source: 'database',
+            };
+        }
+
+        return {
+            imageCid,
+            status: record.status,
+            ipId: record.ipId || null,
+            registration: await storedRegistration(record),
+            onChain: record.ipId ? await onChainState(record.ipId) : null,
+        };
+    }
+
+    // GET /devices/:address/ips
+    async function listDeviceIps(deviceAddress, { limit, offset }) {
+        const records = await listRegistrationsByDevice(deviceAddress, { network: network.name, limit, offset });
+        const items = [];
+        for (const record of records) {
+            items.push({
+                ipId: record.ipId,
+                imageCid: record.imageCid,
+                registration: await storedRegistration(record),
+                onChain: await onChainState(record.ipId),
+            });
+        }
+        return {
+            deviceAddress,
+            items,
+            limit,
+            offset,
+            nextOffset: records.length === limit ? offset + limit : null,
+        };
+    }
+
+    return { getIp, getImage, listDeviceIps, findProvenanceManifest };
+}
+
+// Pinning output of one image in a single or batch registration job
+function pinnedOutputFor(job, imageCid) {
+    const pinned = job && job.outputs.pinning;
+    if (!pinned || !pinned.items) {
+        return pinned || null;
+    }
+    const item = job.input.items.find(entry => entry.input.imageCid === imageCid);
+    const entry = item && pinned.items.find(output => output.index === item.index);
+    return entry ? entry.pinned || null : null;
+}
+
+module.exports = { createEvidenceQueries, pinnedOutputFor };
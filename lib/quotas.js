@@ -0,0 +1,138 @@
+/**
+ * Rate limits and quotas for the registration endpoints
+ * Every registration spends the server wallet's gas and the pinning quota, so
+ * callers are limited in two ways:
+ *
+ *   rate limit  - requests per minute, per API client (anonymous callers per IP
+ *                 address); a fixed one-minute window kept in memory, so with several
+ *                 instances each one allows the full rate
+ *   daily quota - captures queued per API client and UTC day (a batch counts its
+ *                 queued captures), kept in the state store (`api_usage`)
+ *
+ * Clients without their own limits get API_DEFAULT_RATE_LIMIT_PER_MINUTE (default 60)
+ * and API_DEFAULT_DAILY_QUOTA (default 1000); 0 blocks the client.
+ */
+
+const store = require('./store');
+const metrics = require('./metrics');
+
+const API_DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_DEFAULT_RATE_LIMIT_PER_MINUTE || '60');
+const API_DEFAULT_DAILY_QUOTA = parseInt(process.env.API_DEFAULT_DAILY_QUOTA || '1000');
+
+const USAGE_NAMESPACE = 'api_usage';
+const WINDOW_MS = 60 * 1000;
+
+// Caller key -> { windowStart, count }
+const windows = new Map();
+// Per-client chain of quota updates, so concurrent requests of one client do not lose counts
+const usageLocks = new Map();
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const rateLimitOf = (client) => client && client.rateLimitPerMinute !== null && client.rateLimitPerMinute !== undefined
+    ? client.rateLimitPerMinute : API_DEFAULT_RATE_LIMIT_PER_MINUTE;
+const dailyQuotaOf = (client) => client && client.dailyQuota !== null && client.dailyQuota !== undefined
+    ? client.dailyQuota : API_DEFAULT_DAILY_QUOTA;
+
+// Count a request against the caller's rate limit. Returns { allowed, limit, remaining, resetAt }.
+function takeRateLimit(client, ip) {
+    const key = client ? `client:${client.id}` : `ip:${ip}`;
+    const limit = rateLimitOf(client);
+    const now = Date.now();
+
+    let window = windows.get(key);
+    if (!window || now - window.windowStart >= WINDOW_MS) {
+        window = { windowStart: now, count: 0 };
+        windows.set(key, window);
+    }
+    const allowed = window.count < limit;
+    if (allowed) {
+        window.count++;
+    }
+    return { allowed, limit, remaining: Math.max(limit - window.count, 0), resetAt: window.windowStart + WINDOW_MS };
+}
+
+// Forget finished windows now and then so the map does not grow with every caller seen
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+        if (now - window.windowStart >= WINDOW_MS) windows.delete(key);
+    }
+}, WINDOW_MS).unref();
+
+function withUsageLock(clientId, fn) {
+    const previous = usageLocks.get(clientId) || Promise.resolve();
+    const run = previous.then(fn, fn);
+    const settled = run.catch(() => {});
+    usageLocks.set(clientId, settled);
+    settled.then(() => {
+        if (usageLocks.get(clientId) === settled) usageLocks.delete(clientId);
+    });
+    return run;
+}
+
+async function getUsage(clientId, day = today()) {
+    const usage = await store.get(USAGE_NAMESPACE, `${clientId}:${day}`);
+    return usage || { clientId, day, registrations: 0 };
+}
+
+// Reserve `count` registrations of the client's daily quota. Returns { allowed, quota, used }.
+// Reservations that end up not being used are given back with releaseQuota().
+async function reserveQuota(client, count = 1) {
+    const quota = dailyQuotaOf(client);
+    return withUsageLock(client.id, async () => {
+        const usage = await getUsage(client.id);
+        if (usage.registrations + count > quota) {
+            return { allowed: false, quota, used: usage.registrations };
+        }
+        const updated = { ...usage, registrations: usage.registrations + count, updatedAt: new Date().toISOString() };
+        await store.put(USAGE_NAMESPACE, `${client.id}:${updated.day}`, updated);
+        return { allowed: true, quota, used: updated.registrations };
+    });
+}
+
+async function releaseQuota(client, count = 1) {
+    if (count <= 0) return;
+    await withUsageLock(client.id, async () => {
+        const usage = await getUsage(client.id);
+        const updated = { ...usage, registrations: Math.max(usage.registrations - count, 0), updatedAt: new Date().toISOString() };
+        await store.put(USAGE_NAMESPACE, `${client.id}:${updated.day}`, updated);
+    });
+}
+
+// Express middleware for the registration endpoints; needs req.client (see authenticate in server.js)
+function rateLimit(req, res, next) {
+    const result = takeRateLimit(req.client, req.ip);
+    res.set('X-RateLimit-Limit', String(result.limit));
+    res.set('X-RateLimit-Remaining', String(result.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+    if (!result.allowed) {
+        metrics.apiRejections.inc({ client: req.client ? req.client.id : 'anonymous', reason: 'rate_limit' });
+        res.set('Retry-After', String(Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 1)));
+        return res.status(429).json({ error: `Rate limit of ${result.limit} requests per minute exceeded` });
+    }
+    next();
+}
+
+// Usage of the last `days` days, newest first
+async function listUsage(clientId, days = 30) {
+    const usage = [];
+    for (let i = 0; i < days; i++) {
+        const day = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        usage.push(await getUsage(clientId, day));
+    }
+    return usage;
+}
+
+function describeLimits(client) {
+    return { rateLimitPerMinute: rateLimitOf(client), dailyQuota: dailyQuotaOf(client) };
+}
+
+module.exports = {
+    rateLimit,
+    reserveQuota,
+    releaseQuota,
+    getUsage,
+    listUsage,
+    describeLimits,
+};
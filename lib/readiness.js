@@ -0,0 +1,85 @@
+/**
+ * Readiness checks
+ * GET /ready reports whether this instance can take registrations: every
+ * dependency is probed (with a timeout) and the result is exported as the
+ * deepshare_dependency_up metric. /health stays a plain liveness check.
+ *
+ *   store          - the state store (jobs, registrations, outbox) answers
+ *   database       - the images table backend answers (skipped when none is configured)
+ *   ipfs           - the pinning backend accepts our credentials / is writable
+ *   rpc:<network>  - the network's RPC returns a block number
+ *   wallet:<network> - not every signer wallet is below BALANCE_CRITICAL_IP
+ *   signer         - the external signing service holds our signers (SIGNER_BACKEND=remote)
+ */
+
+const store = require('./store');
+const { isDatabaseConfigured, pingDatabase } = require('./db');
+const { checkPinning } = require('./ipfs');
+const { SIGNER_BACKEND, checkSigningService } = require('./signers');
+const metrics = require('./metrics');
+
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || '3000');
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// `networks` maps network names to { publicClient, signers }; `balances` is the balance monitor
+function createReadinessCheck({ networks, balances }) {
+    const checks = {
+        store: async () => {
+            await store.get('readiness', 'probe');
+        },
+        database: async () => {
+            if (!isDatabaseConfigured()) {
+                return { skipped: true, details: 'no database configured' };
+            }
+            await pingDatabase();
+        },
+        ipfs: async () => ({ details: await checkPinning() }),
+    };
+    for (const [name, { publicClient }] of Object.entries(networks)) {
+        checks[`rpc:${name}`] = async () => ({ details: `block ${await publicClient.getBlockNumber()}` });
+        checks[`wallet:${name}`] = async () => {
+            const { level, signers } = balances.status()[name];
+            const summary = signers.map(({ address, balance, level: signerLevel }) =>
+                `${address}: ${balance === null ? 'not checked yet' : `${balance} IP (${signerLevel})`}`).join(', ');
+            if (level === 'critical') {
+                throw new Error(`every signer is below the critical balance - ${summary}`);
+            }
+            return { details: summary };
+        };
+    }
+    if (SIGNER_BACKEND === 'remote') {
+        const addresses = Object.values(networks)[0].signers.addresses;
+        checks.signer = async () => ({ details: await checkSigningService(addresses) });
+    }
+
+    async function runCheck(name, check) {
+        const startedAt = Date.now();
+        try {
+            const result = await withTimeout(check(), READY_CHECK_TIMEOUT_MS);
+            metrics.dependencyUp.set({ dependency: name }, 1);
+            return { ok: true, ...result, durationMs: Date.now() - startedAt };
+        } catch (error) {
+            metrics.dependencyUp.set({ dependency: name }, 0);
+            return { ok: false, error: error.message, durationMs: Date.now() - startedAt };
+        }
+    }
+
+    // Run every check concurrently. Returns { ready, checks: { <name>: { ok, ... } } }
+    async function check() {
+        const entries = Object.entries(checks);
+        const results = await Promise.all(entries.map(([name, fn]) => runCheck(name, fn)));
+        const byName = Object.fromEntries(entries.map(([name], i) => [name, results[i]]));
+        return { ready: results.every(result => result.ok), checks: byName };
+    }
+
+    return { check };
+}
+
+module.exports = { createReadinessCheck };
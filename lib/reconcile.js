@@ -0,0 +1,169 @@
+/**
+ * Database reconciliation
+ * Matches rows of the images table with the IP assets registered for them,
+ * using the server's own registration records and, when a block range is
+ * given, the IPRegistered logs of our SPG collections (each token's NFT
+ * metadata names the image CID it was minted for).
+ *
+ * Used by the admin CLI (check-supabase.js) to backfill rows missing ip/tx_hash
+ * and to report rows whose stored registration disagrees with the chain.
+ * A reconciler covers one network profile.
+ */
+
+const { isAddress } = require('viem');
+const store = require('./store');
+const { fetchFromIPFS } = require('./ipfs');
+const { syncImageRegistration } = require('./db');
+const { isRegisteredIp, listCollectionRegistrations, registrationsFromReceipt } = require('./chain');
+const { DEFAULT_NETWORK, explorerIpUrl } = require('./networks');
+const { logger } = require('./logger');
+
+const REGISTRATIONS_NAMESPACE = 'registrations';
+
+// The ip column stores the explorer URL of the asset (the bare ipId without an explorer)
+const ipIdOfRow = (row) => row.ip.split('/').pop();
+
+async function listAllRegistrations() {
+    const records = [];
+    for (let offset = 0; ; offset += 500) {
+        const page = await store.list(REGISTRATIONS_NAMESPACE, { where: { status: 'registered' }, limit: 500, offset });
+        records.push(...page);
+        if (page.length < 500) return records;
+    }
+}
+
+// Image CID named in a token's NFT metadata (null if it cannot be read)
+async function imageCidOfToken(uri) {
+    const match = /^ipfs:\/\/(.+)$/.exec(uri) || /\/ipfs\/([^/?#]+)/.exec(uri);
+    if (!match) {
+        return null;
+    }
+    try {
+        const metadata = await fetchFromIPFS(match[1]);
+        const attribute = (metadata.attributes || []).find(entry => entry.trait_type === 'Image CID');
+        return attribute ? attribute.value : null;
+    } catch (error) {
+        logger.warn('Could not read token metadata', { uri, error: error.message });
+        return null;
+    }
+}
+
+function createReconciler({ publicClient, collections, network }) {
+    // imageCid -> { server: { ipId, txHash } | undefined, chain: [{ ipId, txHash, blockNumber }] }
+    async function buildIndex({ fromBlock, toBlock, blockRange } = {}) {
+        const index = new Map();
+        const entryFor = (imageCid) => {
+            if (!index.has(imageCid)) index.set(imageCid, { chain: [] });
+            return index.get(imageCid);
+        };
+
+        for (const record of await listAllRegistrations()) {
+            // Records from before network profiles were made on the deployment's network
+            if ((record.network || DEFAULT_NETWORK) !== network.name) continue;
+            entryFor(record.imageCid).server = { ipId: record.ipId, txHash: record.txHash };
+        }
+
+        if (fromBlock !== undefined) {
+            const contracts = (await collections.listCollections())
+                .map(collection => collection.spgNftContract)
+                .filter(Boolean);
+            const lastBlock = toBlock !== undefined ? BigInt(toBlock) : await publicClient.getBlockNumber();
+            logger.info('Scanning collections for registrations', { network: network.name, collections: contracts.length, fromBlock: String(fromBlock), toBlock: String(lastBlock) });
+
+            const registrations = contracts.length > 0
+                ? await listCollectionRegistrations(publicClient, contracts, { fromBlock, toBlock: lastBlock, blockRange })
+                : [];
+            for (const registration of registrations) {
+                const imageCid = await imageCidOfToken(registration.uri);
+                if (imageCid) {
+                    entryFor(imageCid).chain.push(registration);
+                }
+            }
+            logger.info('Found on-chain registrations', { network: network.name, count: registrations.length });
+        }
+        return index;
+    }
+
+    // The registration a row should point at: the server's current record if it
+    // is registered on-chain, otherwise the most recent one found on-chain
+    async function expectedRegistration(entry) {
+        if (entry.server && await isRegisteredIp(publicClient, entry.server.ipId)) {
+            return { ...entry.server, source: 'server' };
+        }
+        const latest = entry.chain[entry.chain.length - 1];
+        return latest ? { ipId: latest.ipId, txHash: latest.txHash, source: 'chain' } : null;
+    }
+
+    // Fill in ip/tx_hash of rows that are missing them.
+    // Returns { backfilled, unmatched, failed } (backfilled = would be, in a dry run).
+    async function backfill(rows, index, { dryRun = false } = {}) {
+        const report = { backfilled: [], unmatched: [], failed: [] };
+        for (const row of rows) {
+            const entry = index.get(row.image_cid);
+            const expected = entry ? await expectedRegistration(entry) : null;
+            if (!expected) {
+                report.unmatched.push({ imageCid: row.image_cid });
+                continue;
+            }
+
+            const item = { imageCid: row.image_cid, ipId: expected.ipId, txHash: expected.txHash, source: expected.source };
+            if (dryRun) {
+                report.backfilled.push(item);
+                continue;
+            }
+            try {
+                await syncImageRegistration({
+                    imageCid: row.image_cid,
+                    walletAddress: row.wallet_address,
+                    metadataCid: row.metadata_cid,
+                    ip: explorerIpUrl(network, expected.ipId) || expected.ipId,
+                    txHash: expected.txHash,
+                });
+                report.backfilled.push(item);
+            } catch (error) {
+                report.failed.push({ ...item, error: error.message });
+            }
+        }
+        return report;
+    }
+
+    // Rows whose ip/tx_hash disagree with the chain or with the server's records.
+    // Returns [{ imageCid, ip, txHash, problems: [...] }].
+    async function findMismatches(rows, index) {
+        const mismatches = [];
+        for (const row of rows) {
+            const problems = [];
+            const ipId = ipIdOfRow(row);
+
+            if (!isAddress(ipId)) {
+                problems.push('ip is not an IP asset explorer URL or ipId');
+            } else if (!await isRegisteredIp(publicClient, ipId)) {
+                problems.push('IP asset is not registered on-chain');
+            } else {
+                const receipt = await publicClient.getTransactionReceipt({ hash: row.tx_hash }).catch(() => null);
+                if (!receipt) {
+                    problems.push('tx_hash not found on-chain');
+                } else if (!registrationsFromReceipt(receipt).some(registered => registered.ipId.toLowerCase() === ipId.toLowerCase())) {
+                    problems.push('tx_hash did not register this IP asset');
+                }
+
+                const entry = index.get(row.image_cid);
+                if (entry && entry.server && entry.server.ipId.toLowerCase() !== ipId.toLowerCase()) {
+                    problems.push(`server records ${entry.server.ipId} for this image`);
+                } else if (entry && !entry.server && entry.chain.length > 0
+                    && !entry.chain.some(registration => registration.ipId.toLowerCase() === ipId.toLowerCase())) {
+                    problems.push(`image is registered on-chain as ${entry.chain.map(registration => registration.ipId).join(', ')}`);
+                }
+            }
+
+            if (problems.length > 0) {
+                mismatches.push({ imageCid: row.image_cid, ip: row.ip, txHash: row.tx_hash, problems });
+            }
+        }
+        return mismatches;
+    }
+
+    return { buildIndex, backfill, findMismatches };
+}
+
+module.exports = { createReconciler };
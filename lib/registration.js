@@ -0,0 +1,660 @@
+/**
+ * IP registration pipeline
+ * Splits a /register-ip request into resumable stages (pinning, minting,
+ * provenance, db-sync).
+ * Each stage receives the job input plus the outputs of earlier stages and
+ * returns a JSON-serialisable output, so a job can resume after a crash.
+ */
+
+const { WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
+const { parseEther, isAddress, getAddress } = require('viem');
+const { createHash } = require('crypto');
+const { uploadJSONToIPFS, metadataUri, gatewayUrl } = require('./ipfs');
+const { parseCid, fetchVerifiedContent } = require('./content');
+const { isDatabaseConfigured, syncImageRegistration } = require('./db');
+const { enqueueWrite } = require('./outbox');
+const { emitEvent } = require('./webhooks');
+const { recordRegistration, annotateRegistration } = require('./idempotency');
+const { parseLicenseSpecs, offChainTerms, buildLicenseTerms } = require('./licenses');
+const { findRegistrationByMetadataHash } = require('./chain');
+const { validateDepthMetadata, depthMetadataFromDocument, promotedFields } = require('./captureSchema');
+const { MANIFEST_FORMAT, signManifest, buildCaptureManifest, buildRegistrationManifest } = require('./provenance');
+const { explorerIpUrl, transactionUrl } = require('./networks');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Default values (can be overridden per request)
+const DEFAULT_MINTING_FEE = process.env.DEFAULT_MINTING_FEE || "0.1";
+const DEFAULT_COMMERCIAL_REV_SHARE = parseInt(process.env.DEFAULT_COMMERCIAL_REV_SHARE || "10");
+// Most the server pays (in IP tokens) for the parents' licenses of one derivative -
+// the default for requests without maxMintingFee and the cap for those with one
+const DERIVATIVE_MAX_MINTING_FEE_WEI = parseEther(process.env.DERIVATIVE_MAX_MINTING_FEE || "1");
+if (DERIVATIVE_MAX_MINTING_FEE_WEI <= 0n) {
+    throw new Error('DERIVATIVE_MAX_MINTING_FEE must be positive - the SDK reads 0 as no limit');
+}
+
+// Story allows at most 16 parents per derivative
+const MAX_PARENT_IPS = 16;
+const DERIVATIVE_TYPES = ['crop', 'annotation', 'enhancement', 'depth-reconstruction', 'redaction', 'other'];
+
+// Validate a /register-ip body and normalise it into job input.
+// Returns { error } with a 400 payload, or { input }.
+function parseRegistrationRequest(body, collections) {
+    const {
+        imageCid,           // IPFS CID of the original image (from IPFS service)
+        metadataCid,        // IPFS CID of the metadata JSON (from IPFS service) - OPTIONAL
+        depthMetadata,      // Depth information metadata (if not using metadataCid), see schemas/depth-capture.v1.json
+        deviceAddress,      // Device wallet address (for attribution)
+        licenses,           // License specs to attach (see lib/licenses.js) - OPTIONAL
+        tenant,             // Tenant ID - selects the collection when COLLECTION_PARTITION=tenant
+        deviceClass,        // Device class - selects the collection when COLLECTION_PARTITION=deviceClass
+        force               // Re-register even if this imageCid is already registered
+    } = body;
+
+    // Validation - need either imageCid or both
+    if (!imageCid || !deviceAddress) {
+        return {
+            error: {
+                error: 'Missing required fields',
+                required: ['imageCid', 'deviceAddress']
+            }
+        };
+    }
+
+    // CIDs must be parseable - their content is fetched and verified in the pinning stage
+    for (const [field, cid] of [['imageCid', imageCid], ['metadataCid', metadataCid]]) {
+        if (!cid) continue;
+        try {
+            parseCid(cid);
+        } catch (error) {
+            return { error: { error: `Invalid ${field}`, provided: cid, details: error.message } };
+        }
+    }
+
+    // Inline depth metadata must match the capture schema (metadataCid documents are checked by checkCaptureMetadata)
+    if (depthMetadata !== undefined && depthMetadata !== null) {
+        const checked = validateDepthMetadata(depthMetadata);
+        if (checked.error) {
+            return { error: checked.error };
+        }
+    }
+
+    // License terms - a list of specs, or the legacy mintingFee/commercialRevShare fields
+    const parsedLicenses = parseLicenseSpecs(body, {
+        mintingFee: DEFAULT_MINTING_FEE,
+        commercialRevShare: DEFAULT_COMMERCIAL_REV_SHARE,
+    });
+    if (parsedLicenses.error) {
+        return { error: parsedLicenses.error };
+    }
+
+    return {
+        input: {
+            imageCid,
+            metadataCid: metadataCid || null,
+            depthMetadata: depthMetadata || null,
+            deviceAddress,
+            licenses: parsedLicenses.specs,
+            collectionKey: collections.resolveKey({ tenant, deviceClass }),
+            force: force === true || force === 'true',
+            supersedes: null,   // filled in by the caller when force replaces an earlier registration
+            deviceSignature: null,  // filled in by the caller after verifying the device signature
+        },
+    };
+}
+
+// Validate a /register-derivative body: a registration body plus the parents it derives from.
+// Derivatives inherit their license terms from the parents, so licenses (and the
+// legacy mintingFee/commercialRevShare fields) do not apply. Returns { error } or { input } with input.derivative set.
+function parseDerivativeRequest(body, collections) {
+    if (body.licenses !== undefined) {
+        return { error: { error: 'Derivatives inherit their license terms from the parents; licenses cannot be set' } };
+    }
+
+    const parsed = parseRegistrationRequest(body, collections);
+    if (parsed.error) {
+        return parsed;
+    }
+
+    const {
+        parentIpIds,        // ipIds of the original captures this one derives from
+        licenseTermsIds,    // License terms of each parent to derive under (same order as parentIpIds)
+        derivativeType,     // crop, annotation, enhancement, depth-reconstruction, redaction or other
+        maxMintingFee,      // Most the server may pay (in IP tokens) for the parents' licenses, capped at DERIVATIVE_MAX_MINTING_FEE
+        maxRevenueShare,    // Highest parent revenue share (%) accepted, an integer 0-100
+    } = body;
+
+    if (!Array.isArray(parentIpIds) || parentIpIds.length === 0 || !Array.isArray(licenseTermsIds)) {
+        return {
+            error: {
+                error: 'Missing required fields',
+                required: ['parentIpIds', 'licenseTermsIds']
+            }
+        };
+    }
+    if (parentIpIds.length > MAX_PARENT_IPS) {
+        return { error: { error: `A derivative can have at most ${MAX_PARENT_IPS} parents`, provided: parentIpIds.length } };
+    }
+    if (licenseTermsIds.length !== parentIpIds.length) {
+        return {
+            error: {
+                error: 'licenseTermsIds must have one entry per parent ipId',
+                parentIpIds: parentIpIds.length,
+                licenseTermsIds: licenseTermsIds.length
+            }
+        };
+    }
+
+    const invalidParent = parentIpIds.find(ipId => !isAddress(String(ipId)));
+    if (invalidParent !== undefined) {
+        return { error: { error: 'parentIpIds must be IP asset addresses', provided: invalidParent } };
+    }
+    const parents = parentIpIds.map(ipId => getAddress(ipId));
+    if (new Set(parents).size !== parents.length) {
+        return { error: { error: 'parentIpIds must not contain duplicates' } };
+    }
+
+    const invalidTerms = licenseTermsIds.find(id => !/^[1-9]\d*$/.test(String(id)));
+    if (invalidTerms !== undefined) {
+        return { error: { error: 'licenseTermsIds must be positive integers', provided: invalidTerms } };
+    }
+
+    if (derivativeType !== undefined && !DERIVATIVE_TYPES.includes(derivativeType)) {
+        return { error: { error: 'Invalid derivativeType', provided: derivativeType, allowed: DERIVATIVE_TYPES } };
+    }
+
+    let maxMintingFeeWei = DERIVATIVE_MAX_MINTING_FEE_WEI;
+    if (maxMintingFee !== undefined && maxMintingFee !== null && maxMintingFee !== '') {
+        let requested;
+        try {
+            requested = parseEther(String(maxMintingFee));
+        } catch (error) {
+            return { error: { error: 'maxMintingFee must be a decimal amount of IP tokens', provided: maxMintingFee } };
+        }
+        // The SDK reads 0 as no limit
+        if (requested <= 0n) {
+            return { error: { error: 'maxMintingFee must be positive', provided: maxMintingFee } };
+        }
+        if (requested < maxMintingFeeWei) {
+            maxMintingFeeWei = requested;
+        }
+    }
+
+    if (maxRevenueShare !== undefined && !(/^\d{1,3}$/.test(String(maxRevenueShare)) && Number(maxRevenueShare) <= 100)) {
+        return { error: { error: 'maxRevenueShare must be an integer between 0 and 100', provided: maxRevenueShare } };
+    }
+    const finalMaxRevenueShare = maxRevenueShare !== undefined ? Number(maxRevenueShare) : 100;
+
+    return {
+        input: {
+            ...parsed.input,
+            licenses: null,
+            derivative: {
+                parentIpIds: parents,
+                licenseTermsIds: licenseTermsIds.map(String),
+                derivativeType: derivativeType || 'other',
+                maxMintingFeeWei: maxMintingFeeWei.toString(),
+                maxRevenueShare: finalMaxRevenueShare,
+            },
+        },
+    };
+}
+
+// Validate the depth metadata behind metadataCid before a registration is queued, so an
+// invalid document gets a 400. Content that cannot be fetched right now is checked again
+// in the pinning stage. Returns { error } or {}.
+async function checkCaptureMetadata(input) {
+    if (!input.metadataCid || input.depthMetadata) {
+        return {};
+    }
+    let media;
+    try {
+        media = await fetchVerifiedContent(input.metadataCid);
+    } catch (error) {
+        logger.warn('Could not fetch metadataCid yet, validating it when pinning', { metadataCid: input.metadataCid, error: error.message });
+        return {};
+    }
+    const checked = depthMetadataFromDocument(media.bytes);
+    return checked.error ? { error: checked.error } : {};
+}
+
+// License specs of a job - jobs queued before license specs existed carry mintingFeeWei/commercialRevShare
+function licenseSpecsOf(input) {
+    if (input.licenses) {
+        return input.licenses;
+    }
+    return [{
+        flavor: 'commercialRemix',
+        mintingFeeWei: input.mintingFeeWei,
+        commercialRevShare: input.commercialRevShare,
+        currency: WIP_TOKEN_ADDRESS,
+        expiration: 0,
+        territory: [],
+    }];
+}
+
+// `network` is the profile (lib/networks.js) of the chain storyClient talks to,
+// `signers` the signer pool (lib/transactions.js) registrations are sent from. Its
+// primary account receives the minted NFTs and signs provenance manifests.
+function createRegistrationPipeline({ storyClient, publicClient, collections, network, signers }) {
+    const signer = signers.primary.account;
+
+    // Stage 1: resolve depth metadata, build IP/NFT metadata and pin both to IPFS
+    async function pinning(input) {
+        const { imageCid, metadataCid, deviceAddress } = input;
+
+        // Fetch the real content (verified against its CID) so the on-chain hashes
+        // cover the image and depth bytes rather than the CID strings
+        const image = await fetchVerifiedContent(imageCid);
+        const media = metadataCid ? await fetchVerifiedContent(metadataCid) : image;
+        logger.info('Content fetched and verified', { imageCid, mediaType: image.mediaType, size: image.size, sha256: image.sha256 });
+
+        // Depth metadata from the request, else from the metadataCid document (captures without either have none).
+        // Invalid metadata cannot become valid by retrying, so it fails the job straight away.
+        const depth = input.depthMetadata
+            ? validateDepthMetadata(input.depthMetadata)
+            : metadataCid ? depthMetadataFromDocument(media.bytes) : { metadata: null, version: null };
+        if (depth.error) {
+            throw Object.assign(
+                new Error(`${depth.error.error}: ${depth.error.details.map(d => `${d.path} ${d.message}`).join('; ')}`),
+                { permanent: true }
+            );
+        }
+        const captureFields = promotedFields(depth);
+
+        // Capture time: the device-signed capturedAt, else the one in validated depth metadata
+        const capturedAt = input.deviceSignature
+            ? new Date(Number(input.deviceSignature.capturedAt) * 1000)
+            : depth.version ? new Date(depth.metadata.capturedAt) : new Date();
+
+        const describe = ({ sha256, size, mediaType, verified }) => ({ sha256, size, mediaType, verified });
+        const content = { image: describe(image), media: describe(media) };
+
+        // Signed capture manifest, referenced from the IP metadata (see lib/provenance.js)
+        const captureManifest = await signManifest(buildCaptureManifest({ input, content, depth, capturedAt, network }), signer);
+        const captureManifestCid = await uploadJSONToIPFS(captureManifest);
+        logger.info('Capture manifest uploaded', { captureManifestCid });
+
+        // Prepare IPFS URLs - use HTTP gateway for browser compatibility
+        const imageHttpUrl = gatewayUrl(imageCid);
+        const metadataHttpUrl = metadataCid ? gatewayUrl(metadataCid) : imageHttpUrl;
+
+
+        // Create IP Metadata - Story Protocol format
+        // CRITICAL: Use ipfs:// protocol in the metadata JSON itself (not HTTP!)
+        // But we'll upload this JSON and use HTTP gateway for the URI
+        const { derivative } = input;
+        const ipMetadata = storyClient.ipAsset.generateIpMetadata({
+            title: `DeepShare Evidence - ${capturedAt.getTime()}`,
+            description: metadataCid
+                ? `Evidence capture with depth mapping. Full depth data stored at: ${metadataHttpUrl}`
+                : `Evidence capture. Device: ${deviceAddress}`,
+            createdAt: Math.floor(capturedAt.getTime() / 1000).toString(),
+            creators: [{
+                name: 'DeepShare Device',
+                address: deviceAddress,
+                contributionPercent: 100,
+            }],
+            image: `ipfs://${imageCid}`,  // Use ipfs:// in the metadata JSON
+            imageHash: image.sha256,
+            mediaUrl: metadataCid ? `ipfs://${metadataCid}` : `ipfs://${imageCid}`,  // Link to full depth data
+            mediaHash: media.sha256,
+            mediaType: media.mediaType,
+            provenance: {
+                format: MANIFEST_FORMAT,
+                manifest: `ipfs://${captureManifestCid}`,
+                digest: captureManifest.signature.digest,
+            },
+            attributes: [
+                { key: 'Platform', value: 'DeepShare' },
+                { key: 'Type', value: derivative ? 'Derivative Evidence' : 'Evidence with Depth Mapping' },
+                { key: 'Device', value: deviceAddress },
+                { key: 'ImageCID', value: imageCid },
+                { key: 'MetadataCID', value: metadataCid || 'N/A' },
+                { key: 'DepthDataURL', value: metadataCid ? metadataHttpUrl : 'N/A' },
+                { key: 'ImageMediaType', value: image.mediaType },
+                { key: 'ContentVerified', value: image.verified && media.verified ? 'CID' : 'No' },
+                { key: 'CapturedAt', value: capturedAt.toISOString() },
+                { key: 'ProvenanceManifest', value: `ipfs://${captureManifestCid}` },
+                ...captureFields,
+                ...(input.supersedes ? [{ key: 'Supersedes', value: input.supersedes.ipId }] : []),
+                ...(derivative ? [] : [
+                    { key: 'Licenses', value: licenseSpecsOf(input).map(spec => spec.flavor).join(',') },
+                ]),
+                ...(derivative ? [
+                    { key: 'DerivativeType', value: derivative.derivativeType },
+                    { key: 'ParentIpIds', value: derivative.parentIpIds.join(',') },
+                ] : []),
+                ...(input.deviceSignature ? [
+                    { key: 'DeviceSignature', value: input.deviceSignature.signature },
+                    { key: 'SignatureType', value: input.deviceSignature.signatureType },
+                    { key: 'SignedCaptureTime', value: String(input.deviceSignature.capturedAt) },
+                    { key: 'SignatureNonce', value: input.deviceSignature.nonce },
+                ] : []),
+            ],
+        });
+
+        // Upload IP metadata JSON to IPFS
+        const ipIpfsHash = await uploadJSONToIPFS(ipMetadata);
+        const ipHash = createHash('sha256').update(JSON.stringify(ipMetadata)).digest('hex');
+
+        // Create NFT Metadata - OpenSea compatible
+        const nftMetadata = {
+            name: `DeepShare Evidence ${capturedAt.getTime()}`,
+            description: metadataCid
+                ? `Evidence captured with depth mapping technology. Full depth data available in metadata.`
+                : 'Evidence captured with depth mapping technology',
+            image: `ipfs://${imageCid}`,  // Use ipfs:// in the metadata JSON
+            animation_url: metadataCid ? `ipfs://${metadataCid}` : undefined,
+            external_url: metadataCid ? metadataHttpUrl : imageHttpUrl,
+            attributes: [
+                { trait_type: 'Platform', value: 'DeepShare' },
+                { trait_type: 'Device', value: deviceAddress },
+                { trait_type: 'Timestamp', value: capturedAt.toISOString() },
+                { trait_type: 'Has Depth Data', value: depth.metadata ? 'Yes' : 'No' },
+                ...captureFields.map(({ key, value }) => ({ trait_type: key.replace(/([a-z])([A-Z])/g, '$1 $2'), value })),
+                ...(derivative ? [{ trait_type: 'Derivative Type', value: derivative.derivativeType }] : []),
+                { trait_type: 'Image CID', value: imageCid },
+                { trait_type: 'Metadata CID', value: metadataCid || 'N/A' },
+            ],
+        };
+
+        // Upload NFT metadata JSON to IPFS
+        const nftIpfsHash = await uploadJSONToIPFS(nftMetadata);
+        const nftHash = createHash('sha256').update(JSON.stringify(nftMetadata)).digest('hex');
+
+        logger.info('Metadata uploaded', { ipMetadataCid: ipIpfsHash, nftMetadataCid: nftIpfsHash });
+
+        // Off-chain license terms (territory restrictions) referenced from the PIL terms uri
+        const licenseTermsUris = [];
+        for (const spec of input.derivative ? [] : licenseSpecsOf(input)) {
+            const document = offChainTerms(spec);
+            licenseTermsUris.push(document ? metadataUri(await uploadJSONToIPFS(document)) : '');
+        }
+
+        return {
+            depthMetadata: depth.metadata,
+            captureSchemaVersion: depth.version,
+            content,
+            captureManifest,
+            captureManifestCid,
+            imageHttpUrl,
+            metadataHttpUrl,
+            ipIpfsHash,
+            ipHash,
+            nftIpfsHash,
+            nftHash,
+            licenseTermsUris,
+        };
+    }
+
+    // License terms attached to the registered capture, one entry per license spec
+    function licenseTermsFor(input, pinned) {
+        const uris = pinned.licenseTermsUris || [];
+        return licenseSpecsOf(input).map((spec, i) => ({
+            terms: buildLicenseTerms(spec, uris[i]),
+        }));
+    }
+
+    function ipMetadataFor(pinned) {
+        return {
+            ipMetadataURI: metadataUri(pinned.ipIpfsHash),  // Points to uploaded Story Protocol metadata
+            ipMetadataHash: `0x${pinned.ipHash}`,
+            nftMetadataURI: metadataUri(pinned.nftIpfsHash),  // Points to uploaded NFT metadata
+            nftMetadataHash: `0x${pinned.nftHash}`,
+        };
+    }
+
+    // Look for an asset minted by an earlier, interrupted attempt (matched by metadata hash)
+    async function recoverMinted(pinned, fromBlock) {
+        const existing = await findRegistrationByMetadataHash(publicClient, `0x${pinned.ipHash}`, fromBlock);
+        if (!existing) {
+            return null;
+        }
+        logger.info('Found IP asset from earlier attempt', { ipId: existing.ipId, txHash: existing.txHash });
+        return {
+            ipId: existing.ipId,
+            tokenId: existing.tokenId,
+            licenseTermsIds: undefined,
+            txHash: existing.txHash,
+            nftContract: existing.nftContract,
+        };
+    }
+
+    // Replace the imageCid claim with the minted asset (device and metadata CIDs kept for lookups)
+    async function record(input, pinned, minted, jobId) {
+        await recordRegistration(input.imageCid, {
+            ...minted,
+            jobId,
+            deviceAddress: getAddress(input.deviceAddress),
+            metadataCid: input.metadataCid,
+            imageHash: pinned.content ? pinned.content.image.sha256 : undefined,
+            ipMetadataCid: pinned.ipIpfsHash,
+            nftMetadataCid: pinned.nftIpfsHash,
+            parentIpIds: input.derivative ? input.derivative.parentIpIds : [],
+            supersedes: input.supersedes,
+            network: network.name,
+        });
+        metrics.registrations.inc({ network: network.name, outcome: 'confirmed' });
+        await emitEvent('registration.confirmed', minted.ipId, {
+            jobId,
+            imageCid: input.imageCid,
+            deviceAddress: getAddress(input.deviceAddress),
+            ipId: minted.ipId,
+            tokenId: minted.tokenId,
+            txHash: minted.txHash,
+            nftContract: minted.nftContract,
+            network: network.name,
+            explorerUrl: explorerIpUrl(network, minted.ipId),
+            transactionUrl: transactionUrl(network, minted.txHash),
+            supersedes: input.supersedes || null,
+        });
+    }
+
+    async function currentBlock() {
+        return (await publicClient.getBlockNumber()).toString();
+    }
+
+    async function registerRoot(input, pinned, nftContract) {
+        logger.info('Registering IP asset', { collection: nftContract });
+
+        // Register IP Asset with Commercial License
+        return signers.withSigner(({ storyClient: client }) => client.ipAsset.registerIpAsset({
+            nft: {
+                type: 'mint',
+                spgNftContract: nftContract,
+                recipient: signers.primary.address,
+            },
+            licenseTermsData: licenseTermsFor(input, pinned),
+            ipMetadata: ipMetadataFor(pinned),
+        }));
+    }
+
+    // Derivative workflow: mints the NFT, registers the IP and links it to its parents
+    // (paying the parents' minting fees), recording provenance and royalty flow on-chain
+    async function registerDerivative(input, pinned, nftContract) {
+        const { parentIpIds, licenseTermsIds, maxRevenueShare } = input.derivative;
+        // Jobs queued before the cap existed may carry 0, which the SDK reads as no limit
+        const maxMintingFeeWei = BigInt(input.derivative.maxMintingFeeWei) > 0n
+            ? BigInt(input.derivative.maxMintingFeeWei)
+            : DERIVATIVE_MAX_MINTING_FEE_WEI;
+        logger.info('Registering derivative IP asset', { parentIpIds, collection: nftContract });
+
+        return signers.withSigner(({ storyClient: client }) => client.ipAsset.registerDerivativeIpAsset({
+            nft: {
+                type: 'mint',
+                spgNftContract: nftContract,
+                recipient: signers.primary.address,
+            },
+            derivData: {
+                parentIpIds,
+                licenseTermsIds: licenseTermsIds.map(id => BigInt(id)),
+                maxMintingFee: maxMintingFeeWei,
+                maxRevenueShare,
+            },
+            ipMetadata: ipMetadataFor(pinned),
+        }));
+    }
+
+    // Stage 2: mint the NFT and register the IP asset with its license terms
+    async function minting(input, outputs, { job, checkpoint, saveCheckpoint }) {
+        const pinned = outputs.pinning;
+
+        // An earlier attempt may have sent the transaction before failing or crashing.
+        // Look for our metadata hash on-chain before minting a second asset.
+        if (checkpoint) {
+            const recovered = await recoverMinted(pinned, checkpoint.fromBlock);
+            if (recovered) {
+                await record(input, pinned, recovered, job.id);
+                return recovered;
+            }
+        } else {
+            await saveCheckpoint({ fromBlock: await currentBlock() });
+        }
+
+        // Get (or create on first use) the collection for this tenant/device class
+        const nftContract = await collections.getCollection(input.collectionKey);
+
+        const response = input.derivative
+            ? await registerDerivative(input, pinned, nftContract)
+            : await registerRoot(input, pinned, nftContract);
+
+        // A stuck transaction may have been replaced - keep the hash that was mined
+        const txHash = signers.minedHash(response.txHash);
+        logger.info('IP asset registered', { ipId: response.ipId, txHash });
+
+        const minted = {
+            ipId: response.ipId,
+            tokenId: response.tokenId?.toString(),
+            licenseTermsIds: input.derivative
+                ? input.derivative.licenseTermsIds  // derivatives carry their parents' terms
+                : response.licenseTermsIds?.map(id => id.toString()),
+            txHash,
+            nftContract,
+        };
+        await record(input, pinned, minted, job.id);
+        return minted;
+    }
+
+    // Stage 3: pin the signed registration manifest (the capture manifest plus ipId/txHash)
+    // and note it on the registration record
+    async function provenance(input, outputs) {
+        const pinned = outputs.pinning;
+        if (!pinned.captureManifest) {
+            return { skipped: true };  // pinned before provenance manifests existed
+        }
+        const manifest = await signManifest(buildRegistrationManifest({
+            captureManifest: pinned.captureManifest,
+            captureManifestCid: pinned.captureManifestCid,
+            pinned,
+            minted: outputs.minting,
+            network,
+        }), signer);
+        const manifestCid = await uploadJSONToIPFS(manifest);
+        await annotateRegistration(input.imageCid, outputs.minting.ipId, { provenanceManifestCid: manifestCid });
+        logger.info('Registration manifest uploaded', { manifestCid });
+        return { manifestCid, digest: manifest.signature.digest };
+    }
+
+    // Stage 4: write the explorer URL (the bare ipId on networks without an
+    // explorer) and tx hash back to the images table.
+    // A failed write goes to the outbox and is retried there - the asset is
+    // already on-chain, so the job itself does not fail.
+    async function dbSync(input, outputs) {
+        if (!isDatabaseConfigured()) {
+            logger.debug('Skipping database update (no database configured)');
+            return { skipped: true };
+        }
+
+        const { ipId, txHash } = outputs.minting;
+        const write = {
+            imageCid: input.imageCid,
+            walletAddress: input.deviceAddress,
+            metadataCid: input.metadataCid || null,
+            ip: explorerIpUrl(network, ipId) || ipId,
+            txHash,
+        };
+
+        try {
+            await syncImageRegistration(write);
+            return { updated: true };
+        } catch (error) {
+            logger.error('Database update failed, queued in the outbox', { imageCid: input.imageCid, error: error.message });
+            metrics.dbSyncFailures.inc({ network: network.name });
+            await enqueueWrite('image-registration', input.imageCid, write, error.message);
+            await emitEvent('db_sync.failed', `${input.imageCid}:${txHash}`, {
+                imageCid: input.imageCid,
+                ipId,
+                txHash,
+                network: network.name,
+                error: error.message,
+                queued: true,
+            });
+            return { updated: false, queued: true, error: error.message };
+        }
+    }
+
+    // Shape the final result the same way the synchronous endpoint used to
+    function buildResult(input, outputs) {
+        const pinned = outputs.pinning;
+        const minted = outputs.minting;
+        const licenses = input.derivative ? null : licenseSpecsOf(input);
+
+        return {
+            ipId: minted.ipId,
+            tokenId: minted.tokenId,
+            licenseTermsIds: minted.licenseTermsIds,
+            txHash: minted.txHash,
+            nftContract: minted.nftContract,
+            imageUrl: pinned.imageHttpUrl,
+            imageCid: input.imageCid,
+            metadataUrl: pinned.metadataHttpUrl,
+            metadataCid: input.metadataCid,
+            depthMetadata: pinned.depthMetadata,
+            captureSchemaVersion: pinned.captureSchemaVersion || null,
+            content: pinned.content,
+            provenance: {
+                captureManifestCid: pinned.captureManifestCid || null,
+                manifestCid: outputs.provenance ? outputs.provenance.manifestCid || null : null,
+            },
+            licenses: licenses && licenses.map(spec => ({ ...spec, mintingFee: Number(spec.mintingFeeWei) / 1e18 })),
+            mintingFee: licenses ? Number(licenses[0].mintingFeeWei) / 1e18 : null,
+            commercialRevShare: licenses ? licenses[0].commercialRevShare : null,
+            derivative: input.derivative || null,
+            network: network.name,
+            explorerUrl: explorerIpUrl(network, minted.ipId),
+            transactionUrl: transactionUrl(network, minted.txHash),
+            supersedes: input.supersedes,
+        };
+    }
+
+    return {
+        stages: [
+            { name: 'pinning', run: pinning },
+            { name: 'minting', run: minting },
+            { name: 'provenance', run: provenance },
+            { name: 'db-sync', run: dbSync },
+        ],
+        buildResult,
+        // Building blocks reused by batch registration
+        steps: {
+            pinning,
+            provenance,
+            dbSync,
+            licenseTermsFor,
+            ipMetadataFor,
+            recoverMinted,
+            record,
+            currentBlock,
+        },
+    };
+}
+
+module.exports = {
+    parseRegistrationRequest,
+    parseDerivativeRequest,
+    checkCaptureMetadata,
+    createRegistrationPipeline,
+    DEFAULT_MINTING_FEE,
+    DEFAULT_COMMERCIAL_REV_SHARE,
+};
@@ -0,0 +1,296 @@
+/**
+ * License tokens and royalties
+ * Buyers mint license tokens against the terms attached to a registered capture
+ * and pay for them first: they send the quoted fee to the server wallet (`payTo` in
+ * the quote) in the license's currency token - or as native IP when that is WIP -
+ * and hand in the payment transaction. Each payment is used once (`license_payments`
+ * namespace), the tokens go to the account that sent it, and the server wallet never
+ * pays more for the mint than it was paid. Overpayments are not refunded.
+ *
+ * The minting fees (and royalties paid by derivatives) accrue in the IP's royalty
+ * vault. The IP account holds the royalty tokens, so it is the claimer; claimed
+ * revenue reaches the server wallet (the owner of every IP minted here) and is paid
+ * straight on to the device that registered the capture, or to the payout address
+ * the device signed for. Each claim is recorded in the `revenue_claims` namespace
+ * with its payouts, so failed transfers can be reconciled.
+ */
+
+const { royaltyPolicyLapAddress, WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
+const { parseAbi, parseEventLogs, getAddress, zeroAddress } = require('viem');
+const store = require('./store');
+const { STORY_CHAIN_IDS, listDerivatives } = require('./chain');
+const { LICENSE_POLICY } = require('./licenses');
+const { listRegistrationsByDevice } = require('./idempotency');
+const { logger } = require('./logger');
+
+const CLAIMS_NAMESPACE = 'revenue_claims';
+const PAYMENTS_NAMESPACE = 'license_payments';
+const REGISTRATIONS_NAMESPACE = 'registrations';
+
+const erc20Abi = parseAbi([
+    'event Transfer(address indexed from, address indexed to, uint256 value)',
+    'function transfer(address to, uint256 amount) returns (bool)',
+]);
+
+// `signers` is the signer pool (lib/transactions.js); its primary owns the IPs, receives
+// license payments and claimed revenue, and pays both on. `network` is their profile.
+function createRevenueService({ storyClient, publicClient, chainId, network, signers }) {
+    const lapRoyaltyPolicy = royaltyPolicyLapAddress[STORY_CHAIN_IDS[chainId] || Number(chainId)];
+    const payTo = signers.primary.address;
+    const ownAddresses = signers.addresses.map(address => address.toLowerCase());
+
+    // Fee a buyer pays to mint `amount` license tokens, and where to pay it
+    async function quoteLicense({ ipId, licenseTermsId, amount = 1 }) {
+        const quote = await storyClient.license.predictMintingLicenseFee({
+            licensorIpId: ipId,
+            licenseTermsId: BigInt(licenseTermsId),
+            amount: BigInt(amount),
+        });
+        return {
+            ipId,
+            licenseTermsId: String(licenseTermsId),
+            amount: Number(amount),
+            currencyToken: quote.currencyToken,
+            feeWei: quote.tokenAmount.toString(),
+            fee: Number(quote.tokenAmount) / 1e18,
+            payTo,
+            acceptsNativeIp: getAddress(quote.currencyToken) === getAddress(WIP_TOKEN_ADDRESS),
+        };
+    }
+
+    // What the sender of `paymentTxHash` paid the server wallet in `currencyToken`
+    // (native IP counts for WIP). Returns { payer, amountWei } or { status, error }.
+    async function readPayment(paymentTxHash, currencyToken) {
+        const receipt = await publicClient.getTransactionReceipt({ hash: paymentTxHash }).catch(() => null);
+        if (!receipt) {
+            return { status: 400, error: { error: 'Payment transaction not found or not mined yet', paymentTxHash } };
+        }
+        if (receipt.status !== 'success') {
+            return { status: 400, error: { error: 'Payment transaction reverted', paymentTxHash } };
+        }
+        // Only what the transaction's own sender paid counts, so transfers the server
+        // received as a side effect of other transactions cannot be passed off as payments
+        const payer = getAddress(receipt.from);
+        if (ownAddresses.includes(payer.toLowerCase())) {
+            return { status: 400, error: { error: 'Payment transaction was sent by the server wallet', paymentTxHash } };
+        }
+
+        let amountWei = parseEventLogs({ abi: erc20Abi, eventName: 'Transfer', logs: receipt.logs })
+            .filter(log => getAddress(log.address) === getAddress(currencyToken)
+                && getAddress(log.args.from) === payer
+                && getAddress(log.args.to) === getAddress(payTo))
+            .reduce((sum, log) => sum + log.args.value, 0n);
+        if (getAddress(currencyToken) === getAddress(WIP_TOKEN_ADDRESS) && receipt.to && getAddress(receipt.to) === getAddress(payTo)) {
+            const transaction = await publicClient.getTransaction({ hash: paymentTxHash });
+            amountWei += transaction.value;
+        }
+        if (amountWei === 0n) {
+            return { status: 400, error: { error: 'Payment transaction does not pay the server wallet in the license currency', paymentTxHash, payTo, currencyToken } };
+        }
+        return { payer, amountWei };
+    }
+
+    // Mint license tokens for the buyer who paid for them with `paymentTxHash`.
+    // Returns { status, error } when the payment does not cover the fee or was used before.
+    async function mintPaidLicenseTokens({ ipId, licenseTermsId, amount = 1, paymentTxHash }) {
+        const quote = await quoteLicense({ ipId, licenseTermsId, amount });
+        const payment = await readPayment(paymentTxHash, quote.currencyToken);
+        if (payment.error) {
+            return payment;
+        }
+        if (payment.amountWei < BigInt(quote.feeWei)) {
+            return {
+                status: 402,
+                error: { error: 'Payment does not cover the minting fee', paidWei: payment.amountWei.toString(), feeWei: quote.feeWei, currencyToken: quote.currencyToken },
+            };
+        }
+
+        const paymentId = paymentTxHash.toLowerCase();
+        const record = {
+            paymentTxHash: paymentId,
+            payer: payment.payer,
+            paidWei: payment.amountWei.toString(),
+            ipId,
+            licenseTermsId: String(licenseTermsId),
+            amount: Number(amount),
+            status: 'minting',
+            createdAt: new Date().toISOString(),
+        };
+        if (!(await store.create(PAYMENTS_NAMESPACE, paymentId, record))) {
+            return { status: 409, error: { error: 'Payment was already used', paymentTxHash } };
+        }
+
+        let minted;
+        try {
+            minted = await mintLicenseTokens({ ipId, licenseTermsId, amount, receiver: payment.payer, maxMintingFeeWei: payment.amountWei });
+        } catch (error) {
+            // The payment was not spent - let the buyer try again with it
+            await store.remove(PAYMENTS_NAMESPACE, paymentId).catch(() => {});
+            throw error;
+        }
+        await store.put(PAYMENTS_NAMESPACE, paymentId, { ...record, status: 'minted', licenseTokenIds: minted.licenseTokenIds, txHash: minted.txHash });
+        return { minted: { ...minted, paymentTxHash: paymentId, paidWei: record.paidWei } };
+    }
+
+    // Mint license tokens to `receiver` with the server wallet paying the fee,
+    // refusing to pay more than maxMintingFeeWei (required - the SDK reads 0 as no limit)
+    async function mintLicenseTokens({ ipId, licenseTermsId, amount = 1, receiver, maxMintingFeeWei }) {
+        if (!(BigInt(maxMintingFeeWei) > 0n)) {
+            throw new Error('mintLicenseTokens needs a positive maxMintingFeeWei');
+        }
+        const response = await storyClient.license.mintLicenseTokens({
+            licensorIpId: ipId,
+            licenseTermsId: BigInt(licenseTermsId),
+            amount: BigInt(amount),
+            receiver,
+            maxMintingFee: BigInt(maxMintingFeeWei),
+            maxRevenueShare: 100,
+        });
+        return {
+            ipId,
+            licenseTermsId: String(licenseTermsId),
+            receiver,
+            licenseTokenIds: (response.licenseTokenIds || []).map(id => id.toString()),
+            txHash: response.txHash,
+        };
+    }
+
+    // Revenue waiting in an IP's royalty vault, per currency token.
+    // IPs whose license was never minted have no vault yet (nothing to claim).
+    async function claimableRevenue(ipId, { tokens = LICENSE_POLICY.currencies } = {}) {
+        const vault = await storyClient.royalty.getRoyaltyVaultAddress(ipId);
+        const claimable = [];
+        for (const token of tokens) {
+            const amount = vault === zeroAddress
+                ? 0n
+                : await storyClient.royalty.claimableRevenue({ ipId, claimer: ipId, token });
+            claimable.push({ token, amountWei: amount.toString(), amount: Number(amount) / 1e18 });
+        }
+        return { ipId, royaltyVault: vault === zeroAddress ? null : vault, claimable };
+    }
+
+    // Send claimed tokens from the server wallet on to `payoutAddress`
+    async function payOut(claimedTokens, payoutAddress) {
+        const payouts = [];
+        for (const { token, amountWei } of claimedTokens) {
+            if (BigInt(amountWei) === 0n) continue;
+            try {
+                const receipt = await signers.primary.transactions.execute({
+                    address: token,
+                    abi: erc20Abi,
+                    functionName: 'transfer',
+                    args: [payoutAddress, BigInt(amountWei)],
+                });
+                payouts.push({ token, amountWei, to: payoutAddress, status: 'paid', txHash: receipt.transactionHash });
+            } catch (error) {
+                logger.error('Revenue payout failed', { token, amountWei, to: payoutAddress, error: error.message });
+                payouts.push({ token, amountWei, to: payoutAddress, status: 'failed', error: error.message });
+            }
+        }
+        return payouts;
+    }
+
+    // Claim everything owed to an IP (its own vault plus royalties its derivatives owe it)
+    // and pay it out to `payoutAddress`, by default the device that registered the capture.
+    // Revenue of IPs without a known device stays in the server wallet.
+    async function claimRevenue(ipId, { tokens = LICENSE_POLICY.currencies, payoutAddress } = {}) {
+        const childIpIds = await listDerivatives(publicClient, ipId);
+        const response = await storyClient.royalty.claimAllRevenue({
+            ancestorIpId: ipId,
+            claimer: ipId,
+            childIpIds,
+            royaltyPolicies: childIpIds.map(() => lapRoyaltyPolicy),
+            currencyTokens: tokens,
+            // Keep WIP as a token so it is paid out like any other currency
+            claimOptions: { autoTransferAllClaimedTokensFromIp: true, autoUnwrapIpTokens: false },
+        });
+
+        const registration = await findRegistrationByIpId(network, ipId);
+        const deviceAddress = registration ? registration.deviceAddress || null : null;
+        const claim = {
+            ipId,
+            deviceAddress,
+            imageCid: registration ? registration.imageCid : null,
+            childIpIds,
+            txHashes: response.txHashes,
+            claimedTokens: (response.claimedTokens || []).map(({ token, amount }) => ({
+                token,
+                amountWei: amount.toString(),
+                amount: Number(amount) / 1e18,
+            })),
+            payoutAddress: payoutAddress || deviceAddress,
+            payouts: [],
+            claimedAt: new Date().toISOString(),
+        };
+        if (response.txHashes.length === 0) {
+            return claim;
+        }
+
+        // Recorded before paying out, so a crash in between leaves a trace to reconcile
+        const claimId = response.txHashes[response.txHashes.length - 1];
+        await store.put(CLAIMS_NAMESPACE, claimId, claim);
+        if (claim.payoutAddress) {
+            claim.payouts = await payOut(claim.claimedTokens, claim.payoutAddress);
+            await store.put(CLAIMS_NAMESPACE, claimId, claim);
+        }
+        return claim;
+    }
+
+    // Claimable revenue across every asset registered by a device
+    async function deviceRevenue(deviceAddress, { limit, offset } = {}) {
+        const registrations = await listRegistrationsByDevice(deviceAddress, { network: network.name, limit, offset });
+        const assets = [];
+        for (const registration of registrations) {
+            assets.push({ imageCid: registration.imageCid, ...(await claimableRevenue(registration.ipId)) });
+        }
+        return { deviceAddress, assets, totals: sumClaimable(assets.map(asset => asset.claimable)) };
+    }
+
+    async function claimDeviceRevenue(deviceAddress, { payoutAddress = deviceAddress, limit, offset } = {}) {
+        const registrations = await listRegistrationsByDevice(deviceAddress, { network: network.name, limit, offset });
+        const claims = [];
+        for (const registration of registrations) {
+            try {
+                claims.push(await claimRevenue(registration.ipId, { payoutAddress }));
+            } catch (error) {
+                claims.push({ ipId: registration.ipId, error: error.message });
+            }
+        }
+        return { deviceAddress, payoutAddress, claims };
+    }
+
+    async function listClaims({ deviceAddress, ipId, limit, offset } = {}) {
+        const where = {};
+        if (deviceAddress) where.deviceAddress = deviceAddress;
+        if (ipId) where.ipId = ipId;
+        return store.list(CLAIMS_NAMESPACE, { where, limit, offset });
+    }
+
+    return {
+        quoteLicense,
+        mintPaidLicenseTokens,
+        mintLicenseTokens,
+        claimableRevenue,
+        claimRevenue,
+        deviceRevenue,
+        claimDeviceRevenue,
+        listClaims,
+    };
+}
+
+async function findRegistrationByIpId(network, ipId) {
+    const [registration] = await store.list(REGISTRATIONS_NAMESPACE, { where: { network: network.name, ipId }, limit: 1 });
+    return registration || null;
+}
+
+function sumClaimable(lists) {
+    const totals = new Map();
+    for (const list of lists) {
+        for (const { token, amountWei } of list) {
+            totals.set(token, (totals.get(token) || 0n) + BigInt(amountWei));
+        }
+    }
+    return [...totals].map(([token, amount]) => ({ token, amountWei: amount.toString(), amount: Number(amount) / 1e18 }));
+}
+
+module.exports = { createRevenueService };
@@ -0,0 +1,119 @@
+/**
+ * Signer accounts
+ * Where the keys that sign the server's transactions come from:
+ *
+ *   SIGNER_BACKEND=local (default) - PRIVATE_KEY, plus SIGNER_POOL_KEYS (comma-separated
+ *       private keys) to spread registrations over a pool of wallets
+ *   SIGNER_BACKEND=remote - an external signing service at SIGNER_SERVICE_URL holds the
+ *       keys of SIGNER_ADDRESSES (comma-separated); no key ever enters this process.
+ *       signer-service.js is a local stand-in for development and tests.
+ *
+ * The first signer is the primary: it owns the SPG collections and the minted NFTs and
+ * signs provenance manifests. The others only send (and pay gas for) registrations.
+ *
+ * Signing service API - JSON, `Authorization: Bearer <SIGNER_SERVICE_TOKEN>`:
+ *   GET  /accounts -> { addresses }
+ *   POST /sign { address, kind, payload } -> { signature }
+ *        kind "transaction": payload is the unsigned serialized transaction, the
+ *                            signature is the signed serialized transaction
+ *        kind "message":     payload is { message } (a string or { raw: hex })
+ *        kind "typedData":   payload is the EIP-712 typed data (bigints encoded, see encodeJSON)
+ */
+
+const axios = require('axios');
+const { getAddress, isAddress, serializeTransaction, toHex } = require('viem');
+const { privateKeyToAccount, toAccount } = require('viem/accounts');
+require('dotenv').config();
+
+const SIGNER_BACKEND = process.env.SIGNER_BACKEND || 'local';
+const SIGNER_SERVICE_URL = (process.env.SIGNER_SERVICE_URL || '').replace(/\/+$/, '');
+const SIGNER_SERVICE_TOKEN = process.env.SIGNER_SERVICE_TOKEN;
+const SIGNER_SERVICE_TIMEOUT_MS = parseInt(process.env.SIGNER_SERVICE_TIMEOUT_MS || '10000');
+
+const withPrefix = (key) => key.startsWith('0x') ? key : `0x${key}`;
+const splitList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// JSON cannot carry bigints (typed data uints, transaction values) - tag them
+function encodeJSON(value) {
+    return JSON.parse(JSON.stringify(value, (key, entry) => typeof entry === 'bigint' ? { $bigint: entry.toString() } : entry));
+}
+
+function decodeJSON(value) {
+    return JSON.parse(JSON.stringify(value), (key, entry) =>
+        entry && typeof entry === 'object' && Object.keys(entry).length === 1 && typeof entry.$bigint === 'string'
+            ? BigInt(entry.$bigint)
+            : entry);
+}
+
+function serviceRequest(method, path, data) {
+    return axios({
+        method,
+        url: `${SIGNER_SERVICE_URL}${path}`,
+        data,
+        headers: SIGNER_SERVICE_TOKEN ? { Authorization: `Bearer ${SIGNER_SERVICE_TOKEN}` } : {},
+        timeout: SIGNER_SERVICE_TIMEOUT_MS,
+    }).then(response => response.data).catch(error => {
+        const details = error.response && error.response.data && error.response.data.error;
+        throw new Error(`Signing service ${method.toUpperCase()} ${path} failed: ${details || error.message}`);
+    });
+}
+
+// A viem account whose signatures are made by the signing service
+function remoteAccount(address) {
+    const sign = async (kind, payload) => (await serviceRequest('post', '/sign', { address, kind, payload })).signature;
+    return toAccount({
+        address,
+        signMessage: ({ message }) => sign('message', {
+            message: typeof message === 'string' ? message : { raw: typeof message.raw === 'string' ? message.raw : toHex(message.raw) },
+        }),
+        signTransaction: (transaction) => sign('transaction', serializeTransaction(transaction)),
+        signTypedData: ({ account, ...typedData }) => sign('typedData', encodeJSON(typedData)),
+    });
+}
+
+// The signer accounts, primary first. Throws when the configuration is unusable.
+function loadSigners() {
+    if (SIGNER_BACKEND === 'local') {
+        if (!process.env.PRIVATE_KEY) {
+            throw new Error('PRIVATE_KEY not found in .env file - add PRIVATE_KEY=your_key_here to .env');
+        }
+        const keys = [process.env.PRIVATE_KEY, ...splitList(process.env.SIGNER_POOL_KEYS)];
+        const accounts = keys.map(key => privateKeyToAccount(withPrefix(key)));
+        return { backend: 'local', accounts: dedupe(accounts) };
+    }
+    if (SIGNER_BACKEND === 'remote') {
+        if (!SIGNER_SERVICE_URL) {
+            throw new Error('SIGNER_BACKEND=remote needs SIGNER_SERVICE_URL');
+        }
+        const addresses = splitList(process.env.SIGNER_ADDRESSES);
+        if (addresses.length === 0 || !addresses.every(address => isAddress(address))) {
+            throw new Error('SIGNER_BACKEND=remote needs SIGNER_ADDRESSES (comma-separated addresses held by the signing service)');
+        }
+        return { backend: 'remote', accounts: dedupe(addresses.map(address => remoteAccount(getAddress(address)))) };
+    }
+    throw new Error(`Unknown SIGNER_BACKEND "${SIGNER_BACKEND}" (expected local or remote)`);
+}
+
+function dedupe(accounts) {
+    const seen = new Set();
+    return accounts.filter(account => !seen.has(account.address) && seen.add(account.address));
+}
+
+// Readiness check of the signing service: it answers and holds every configured address
+async function checkSigningService(addresses) {
+    const { addresses: held = [] } = await serviceRequest('get', '/accounts');
+    const heldSet = new Set(held.map(address => getAddress(address)));
+    const missing = addresses.filter(address => !heldSet.has(address));
+    if (missing.length > 0) {
+        throw new Error(`signing service does not hold ${missing.join(', ')}`);
+    }
+    return `${addresses.length} signer(s) available`;
+}
+
+module.exports = {
+    SIGNER_BACKEND,
+    loadSigners,
+    checkSigningService,
+    encodeJSON,
+    decodeJSON,
+};
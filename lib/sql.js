@@ -0,0 +1,125 @@
+/**
+ * SQL connections
+ * Shared connection for the `postgres` (DATABASE_URL) and `sqlite` (SQLITE_PATH)
+ * database backends. Queries are written once with Postgres-style $1
+ * placeholders and run on either; `query()` resolves to the result rows.
+ *
+ * Postgres tables come from migrations/. SQLite is meant for development and
+ * creates its tables itself when the file is opened.
+ */
+
+const path = require('path');
+const fs = require('fs');
+require('dotenv').config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const SQLITE_PATH = process.env.SQLITE_PATH || path.join(DATA_DIR, 'deepshare.sqlite');
+
+// supabase | postgres | sqlite | none
+const DB_BACKEND = process.env.DB_BACKEND
+    || (SUPABASE_URL && SUPABASE_KEY ? 'supabase' : process.env.DATABASE_URL ? 'postgres' : 'none');
+
+const SQLITE_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS server_state (
+        namespace TEXT NOT NULL,
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (namespace, id)
+    );
+    CREATE INDEX IF NOT EXISTS server_state_namespace_created_idx ON server_state (namespace, created_at);
+    CREATE TABLE IF NOT EXISTS images (
+        image_cid TEXT PRIMARY KEY,
+        wallet_address TEXT,
+        metadata_cid TEXT,
+        ip TEXT,
+        tx_hash TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+`;
+
+function openPostgres() {
+    let pg;
+    try {
+        pg = require('pg');
+    } catch (error) {
+        throw new Error('DB_BACKEND=postgres needs the "pg" package (npm install pg)');
+    }
+    if (!process.env.DATABASE_URL) {
+        throw new Error('DB_BACKEND=postgres needs DATABASE_URL');
+    }
+    const pool = new pg.Pool({
+        connectionString: process.env.DATABASE_URL,
+        max: parseInt(process.env.DATABASE_POOL_SIZE || '5'),
+    });
+
+    return {
+        type: 'postgres',
+        async query(text, params = []) {
+            const result = await pool.query(text, params);
+            return result.rows;
+        },
+        // JSON field of a jsonb column, as text
+        jsonField: (column, key) => `${column}->>'${key}'`,
+        // JSON field of a jsonb column, as a number
+        jsonNumber: (column, key) => `(${column}->>'${key}')::numeric`,
+        parseJson: (value) => value,
+        close: () => pool.end(),
+    };
+}
+
+function openSqlite() {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        throw new Error('DB_BACKEND=sqlite needs the "better-sqlite3" package (npm install better-sqlite3)');
+    }
+    fs.mkdirSync(path.dirname(SQLITE_PATH), { recursive: true });
+    const db = new Database(SQLITE_PATH);
+    db.pragma('journal_mode = WAL');
+    db.exec(SQLITE_SCHEMA);
+
+    return {
+        type: 'sqlite',
+        // Synchronous under the hood, so every statement is atomic within this process
+        async query(text, params = []) {
+            const statement = db.prepare(text.replace(/\$(\d+)/g, '@p$1'));
+            const named = Object.fromEntries(params.map((value, i) => [`p${i + 1}`, value]));
+            if (statement.reader) {
+                return statement.all(named);
+            }
+            statement.run(named);
+            return [];
+        },
+        jsonField: (column, key) => `json_extract(${column}, '$.${key}')`,
+        jsonNumber: (column, key) => `json_extract(${column}, '$.${key}')`,
+        parseJson: (value) => JSON.parse(value),
+        close: async () => db.close(),
+    };
+}
+
+let connection = null;
+
+// The shared connection for DB_BACKEND, opened on first use
+function getSql() {
+    if (!connection) {
+        if (DB_BACKEND === 'postgres') {
+            connection = openPostgres();
+        } else if (DB_BACKEND === 'sqlite') {
+            connection = openSqlite();
+        } else {
+            throw new Error(`DB_BACKEND "${DB_BACKEND}" is not an SQL backend`);
+        }
+    }
+    return connection;
+}
+
+function isSqlBackend() {
+    return DB_BACKEND === 'postgres' || DB_BACKEND === 'sqlite';
+}
+
+module.exports = { DB_BACKEND, getSql, isSqlBackend };
@@ -0,0 +1,284 @@
+/**
+ * Persistent state store
+ * Small document store for server state that must survive restarts and be
+ * shared between instances (collections, jobs, ...).
+ *
+ * Uses the `server_state` table of the configured database (DB_BACKEND:
+ * Supabase REST, Postgres or SQLite - see migrations/001_server_state.sql),
+ * otherwise JSON files in DATA_DIR.
+ *
+ * `list()` returns documents oldest first; with `due` (a timestamp in ms) it only
+ * returns documents whose `nextAttemptAt` is at most `due`, soonest due first, so
+ * retry queues never get stuck behind a page of backed-off entries.
+ *
+ * `update()` and `remove()` take a `match` ({ field: value }): they only change
+ * the document while its fields still hold those values, and return whether they
+ * did. Leases and locks are taken over and released this way (compare-and-swap).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { DB_BACKEND, getSql, isSqlBackend } = require('./sql');
+require('dotenv').config();
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const STATE_TABLE = process.env.STATE_TABLE || 'server_state';
+
+// Supabase REST backend - one row per (namespace, id), document kept in `data` jsonb
+function createSupabaseStore() {
+    const baseUrl = `${SUPABASE_URL}/rest/v1/${STATE_TABLE}`;
+    const headers = {
+        'apikey': SUPABASE_KEY,
+        'Authorization': `Bearer ${SUPABASE_KEY}`,
+        'Content-Type': 'application/json',
+    };
+    const rowFilter = (namespace, id) =>
+        `namespace=eq.${encodeURIComponent(namespace)}&id=eq.${encodeURIComponent(id)}`;
+    const matchFilter = (match) => Object.entries(match)
+        .map(([key, value]) => `&data->>${key}=eq.${encodeURIComponent(value)}`)
+        .join('');
+
+    return {
+        type: 'supabase',
+
+        async get(namespace, id) {
+            const response = await axios.get(
+                `${baseUrl}?${rowFilter(namespace, id)}&select=data`,
+                { headers, timeout: 10000 }
+            );
+            return response.data.length > 0 ? response.data[0].data : null;
+        },
+
+        // Insert only if the row does not exist yet. Returns false on conflict.
+        async create(namespace, id, data) {
+            try {
+                await axios.post(baseUrl, { namespace, id, data }, {
+                    headers: { ...headers, 'Prefer': 'return=minimal' },
+                    timeout: 10000,
+                });
+                return true;
+            } catch (error) {
+                if (error.response && error.response.status === 409) {
+                    return false;
+                }
+                throw error;
+            }
+        },
+
+        async put(namespace, id, data) {
+            await axios.post(baseUrl, { namespace, id, data, updated_at: new Date().toISOString() }, {
+                headers: { ...headers, 'Prefer': 'resolution=merge-duplicates,return=minimal' },
+                timeout: 10000,
+            });
+            return data;
+        },
+
+        // Replace an existing row whose document matches `match`. Returns false otherwise.
+        async update(namespace, id, data, { match = {} } = {}) {
+            const response = await axios.patch(
+                `${baseUrl}?${rowFilter(namespace, id)}${matchFilter(match)}&select=id`,
+                { data, updated_at: new Date().toISOString() },
+                { headers: { ...headers, 'Prefer': 'return=representation' }, timeout: 10000 }
+            );
+            return response.data.length > 0;
+        },
+
+        async list(namespace, { where = {}, due, limit = 100, offset = 0 } = {}) {
+            const filters = matchFilter(where);
+            // data->nextAttemptAt stays jsonb, so it is compared and ordered as a number
+            const dueFilter = due === undefined ? '' : `&data->nextAttemptAt=lte.${Number(due)}`;
+            const order = due === undefined ? 'created_at.asc' : 'data->nextAttemptAt.asc,created_at.asc';
+            const response = await axios.get(
+                `${baseUrl}?namespace=eq.${encodeURIComponent(namespace)}${filters}${dueFilter}` +
+                `&select=id,data&order=${order}&limit=${limit}&offset=${offset}`,
+                { headers, timeout: 10000 }
+            );
+            return response.data.map(row => row.data);
+        },
+
+        async remove(namespace, id, { match = {} } = {}) {
+            const response = await axios.delete(
+                `${baseUrl}?${rowFilter(namespace, id)}${matchFilter(match)}&select=id`,
+                { headers: { ...headers, 'Prefer': 'return=representation' }, timeout: 10000 }
+            );
+            return response.data.length > 0;
+        },
+    };
+}
+
+// Postgres / SQLite backend - same table layout as the Supabase one
+function createSqlStore() {
+    const sql = getSql();
+    const fieldName = (key) => {
+        if (!/^\w+$/.test(key)) throw new Error(`Invalid field name "${key}"`);
+        return key;
+    };
+    // ` AND <field> = $n` for every { field: value }, appending the values to `params`
+    const matchFilters = (match, params) => Object.entries(match).map(([key, value]) => {
+        params.push(String(value));
+        return ` AND ${sql.jsonField('data', fieldName(key))} = $${params.length}`;
+    }).join('');
+
+    return {
+        type: sql.type,
+
+        async get(namespace, id) {
+            const rows = await sql.query(
+                `SELECT data FROM ${STATE_TABLE} WHERE namespace = $1 AND id = $2`,
+                [namespace, id]
+            );
+            return rows.length > 0 ? sql.parseJson(rows[0].data) : null;
+        },
+
+        // Insert only if the row does not exist yet. Returns false on conflict.
+        async create(namespace, id, data) {
+            const now = new Date().toISOString();
+            const rows = await sql.query(
+                `INSERT INTO ${STATE_TABLE} (namespace, id, data, created_at, updated_at) VALUES ($1, $2, $3, $4, $4)
+                 ON CONFLICT (namespace, id) DO NOTHING RETURNING id`,
+                [namespace, id, JSON.stringify(data), now]
+            );
+            return rows.length > 0;
+        },
+
+        async put(namespace, id, data) {
+            const now = new Date().toISOString();
+            await sql.query(
+                `INSERT INTO ${STATE_TABLE} (namespace, id, data, created_at, updated_at) VALUES ($1, $2, $3, $4, $4)
+                 ON CONFLICT (namespace, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+                [namespace, id, JSON.stringify(data), now]
+            );
+            return data;
+        },
+
+        // Replace an existing row whose document matches `match`. Returns false otherwise.
+        async update(namespace, id, data, { match = {} } = {}) {
+            const params = [namespace, id, JSON.stringify(data), new Date().toISOString()];
+            const rows = await sql.query(
+                `UPDATE ${STATE_TABLE} SET data = $3, updated_at = $4
+                 WHERE namespace = $1 AND id = $2${matchFilters(match, params)} RETURNING id`,
+                params
+            );
+            return rows.length > 0;
+        },
+
+        async list(namespace, { where = {}, due, limit = 100, offset = 0 } = {}) {
+            const params = [namespace];
+            let filters = matchFilters(where, params);
+            let order = 'created_at ASC';
+            if (due !== undefined) {
+                const nextAttemptAt = sql.jsonNumber('data', 'nextAttemptAt');
+                params.push(Number(due));
+                filters += ` AND ${nextAttemptAt} <= $${params.length}`;
+                order = `${nextAttemptAt} ASC, created_at ASC`;
+            }
+            params.push(limit, offset);
+            const rows = await sql.query(
+                `SELECT data FROM ${STATE_TABLE} WHERE namespace = $1${filters}
+                 ORDER BY ${order} LIMIT $${params.length - 1} OFFSET $${params.length}`,
+                params
+            );
+            return rows.map(row => sql.parseJson(row.data));
+        },
+
+        async remove(namespace, id, { match = {} } = {}) {
+            const params = [namespace, id];
+            const rows = await sql.query(
+                `DELETE FROM ${STATE_TABLE} WHERE namespace = $1 AND id = $2${matchFilters(match, params)} RETURNING id`,
+                params
+            );
+            return rows.length > 0;
+        },
+    };
+}
+
+// Local JSON file backend - one file per namespace, for development only
+function createFileStore() {
+    const fileFor = (namespace) => path.join(DATA_DIR, `${namespace}.json`);
+
+    const load = (namespace) => {
+        try {
+            return JSON.parse(fs.readFileSync(fileFor(namespace), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+    };
+
+    // Write to a temp file and rename so a crash never leaves a truncated file
+    const save = (namespace, rows) => {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const file = fileFor(namespace);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(rows, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    };
+
+    const matches = (data, match) => Object.entries(match).every(([key, value]) => String(data[key]) === String(value));
+
+    // All operations are synchronous, so each one is atomic within this process
+    return {
+        type: 'file',
+
+        async get(namespace, id) {
+            const row = load(namespace)[id];
+            return row ? row.data : null;
+        },
+
+        async create(namespace, id, data) {
+            const rows = load(namespace);
+            if (rows[id]) return false;
+            const now = new Date().toISOString();
+            rows[id] = { data, createdAt: now, updatedAt: now };
+            save(namespace, rows);
+            return true;
+        },
+
+        async put(namespace, id, data) {
+            const rows = load(namespace);
+            const now = new Date().toISOString();
+            rows[id] = { data, createdAt: rows[id] ? rows[id].createdAt : now, updatedAt: now };
+            save(namespace, rows);
+            return data;
+        },
+
+        async update(namespace, id, data, { match = {} } = {}) {
+            const rows = load(namespace);
+            if (!rows[id] || !matches(rows[id].data, match)) return false;
+            rows[id] = { ...rows[id], data, updatedAt: new Date().toISOString() };
+            save(namespace, rows);
+            return true;
+        },
+
+        async list(namespace, { where = {}, due, limit = 100, offset = 0 } = {}) {
+            const rows = Object.values(load(namespace))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                .map(row => row.data)
+                .filter(data => matches(data, where));
+            const selected = due === undefined ? rows : rows
+                .filter(data => typeof data.nextAttemptAt === 'number' && data.nextAttemptAt <= due)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+            return selected.slice(offset, offset + limit);
+        },
+
+        async remove(namespace, id, { match = {} } = {}) {
+            const rows = load(namespace);
+            if (!rows[id] || !matches(rows[id].data, match)) return false;
+            delete rows[id];
+            save(namespace, rows);
+            return true;
+        },
+    };
+}
+
+function createStore() {
+    if (DB_BACKEND === 'supabase' && SUPABASE_URL && SUPABASE_KEY) return createSupabaseStore();
+    if (isSqlBackend()) return createSqlStore();
+    return createFileStore();
+}
+
+const store = createStore();
+
+module.exports = store;
@@ -0,0 +1,361 @@
+/**
+ * Transaction manager and signer pool
+ * Every transaction the server sends goes through the transaction manager of its
+ * signer instead of a plain viem wallet client, so that concurrent registrations
+ * cannot collide on nonces and one stuck transaction does not block the rest:
+ *
+ *   - nonces are allocated one broadcast at a time per signer, and resynced from
+ *     the chain when the node rejects one
+ *   - a transaction that is not mined within TX_STUCK_AFTER_MS is re-sent with the
+ *     same nonce and fees raised by TX_GAS_BUMP_PERCENT (at most TX_MAX_REPLACEMENTS
+ *     times, never above TX_MAX_FEE_GWEI)
+ *   - waiting for a receipt follows the replacements, and minedHash() maps the hash
+ *     the SDK was given to the one that was actually mined
+ *
+ * A signer pool holds one manager (and Story client) per signer account; registrations
+ * run on the least busy signer.
+ *
+ * Every instance uses the same signer keys, so the next nonce of a signer lives in
+ * the state store (`signer_nonces`) and is only read and advanced under a lock
+ * (`signer_nonce_locks`, see lib/locks.js) held while the transaction is signed -
+ * possibly by the remote signing service - and broadcast. The lock is extended while
+ * held and expires NONCE_LOCK_TTL_MS after its holder crashed. The stored nonce is
+ * only dropped (and re-read from the chain) when the node rejects a nonce.
+ */
+
+const { randomUUID } = require('crypto');
+const { encodeFunctionData, keccak256 } = require('viem');
+const store = require('./store');
+const { createLockManager } = require('./locks');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const TX_STUCK_AFTER_MS = parseInt(process.env.TX_STUCK_AFTER_MS || '60000');
+const TX_GAS_BUMP_PERCENT = parseInt(process.env.TX_GAS_BUMP_PERCENT || '20');
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS || '5');
+const TX_MAX_FEE_WEI = BigInt(Math.round(parseFloat(process.env.TX_MAX_FEE_GWEI || '1000') * 1e9));
+const TX_WAIT_TIMEOUT_MS = parseInt(process.env.TX_WAIT_TIMEOUT_MS || '600000');
+const TX_POLL_INTERVAL_MS = parseInt(process.env.TX_POLL_INTERVAL_MS || '2000');
+// Headroom added to estimated gas limits
+const TX_GAS_LIMIT_PERCENT = BigInt(parseInt(process.env.TX_GAS_LIMIT_PERCENT || '120'));
+const NONCE_LOCK_TTL_MS = parseInt(process.env.NONCE_LOCK_TTL_MS || '60000');
+// Longer than the TTL, so waiting out the lock of a crashed holder does not time out
+const NONCE_LOCK_WAIT_MS = parseInt(process.env.NONCE_LOCK_WAIT_MS || '90000');
+const NONCE_LOCK_POLL_MS = 100;
+
+const NONCES_NAMESPACE = 'signer_nonces';
+const NONCE_LOCKS_NAMESPACE = 'signer_nonce_locks';
+const INSTANCE_ID = `${process.env.K_REVISION || 'local'}-${process.pid}-${randomUUID().slice(0, 8)}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const max = (a, b) => a > b ? a : b;
+
+const isNonceError = (error) => /nonce too low|nonce has already been used|invalid nonce/i.test(error.message);
+const isAlreadyKnown = (error) => /already known|already imported/i.test(error.message);
+
+const nonceLocks = createLockManager({ namespace: NONCE_LOCKS_NAMESPACE, owner: INSTANCE_ID, ttlMs: NONCE_LOCK_TTL_MS });
+
+// The shared nonce counter of one signer on one network
+function createNonceCounter({ address, network }) {
+    const id = `${network.name}:${address.toLowerCase()}`;
+
+    async function acquireLock() {
+        const deadline = Date.now() + NONCE_LOCK_WAIT_MS;
+        for (;;) {
+            const lock = await nonceLocks.acquire(id);
+            if (lock) {
+                return lock;
+            }
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the nonce lock of ${address}`);
+            }
+            await sleep(NONCE_LOCK_POLL_MS);
+        }
+    }
+
+    // Run fn({ read, advance, reset }) while holding the signer's nonce lock. Once the
+    // lock is lost to another instance the counter is theirs, and is no longer written.
+    async function withLock(fn) {
+        const lock = await acquireLock();
+        const unlessLost = (write) => async (...args) => {
+            if (lock.lost) {
+                logger.warn('Nonce lock lost, not writing the nonce counter', { signer: address });
+                return;
+            }
+            await write(...args);
+        };
+        try {
+            return await fn({
+                // The next nonce to use, null when it has to be read from the chain
+                read: async () => {
+                    const record = await store.get(NONCES_NAMESPACE, id);
+                    return record ? record.nextNonce : null;
+                },
+                advance: unlessLost((nextNonce) => store.put(NONCES_NAMESPACE, id, { signer: address, network: network.name, nextNonce, updatedAt: new Date().toISOString() })),
+                reset: unlessLost(() => store.remove(NONCES_NAMESPACE, id)),
+            });
+        } finally {
+            await lock.release();
+        }
+    }
+
+    return { withLock };
+}
+
+function createTransactionManager({ account, publicClient, chainId, network }) {
+    const address = account.address;
+    const nonces = createNonceCounter({ address, network });
+    let nextNonce = null;          // last nonce allocated here + 1 (for describe())
+    let queue = Promise.resolve(); // serialises this process' broadcasts; the nonce lock serialises instances
+    const pending = new Map();     // nonce -> transaction not yet mined
+    const byHash = new Map();      // every hash we broadcast -> its transaction
+
+    const labels = { network: network.name, signer: address };
+
+    function serialized(fn) {
+        const run = queue.then(fn, fn);
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function currentFees() {
+        const { maxFeePerGas, maxPriorityFeePerGas } = await publicClient.estimateFeesPerGas();
+        return { maxFeePerGas, maxPriorityFeePerGas };
+    }
+
+    // Sign and broadcast `tx` with its current nonce and fees; returns the hash
+    async function broadcast(tx) {
+        const signed = await account.signTransaction({
+            type: 'eip1559',
+            chainId,
+            nonce: tx.nonce,
+            ...tx.request,
+            ...tx.fees,
+        });
+        const hash = keccak256(signed);
+        try {
+            await publicClient.request({ method: 'eth_sendRawTransaction', params: [signed] });
+        } catch (error) {
+            if (!isAlreadyKnown(error)) throw error;
+        }
+        tx.hashes.push(hash);
+        tx.sentAt = Date.now();
+        byHash.set(hash, tx);
+        return hash;
+    }
+
+    // Send { to, data, value, gas? }. Resolves with the hash once broadcast (not mined).
+    async function sendTransaction({ to, data, value = 0n, gas }) {
+        // Estimating first means a transaction that would revert never takes a nonce
+        const gasLimit = gas || (await publicClient.estimateGas({ account: address, to, data, value })) * TX_GAS_LIMIT_PERCENT / 100n;
+        const request = { to, data, value: BigInt(value), gas: BigInt(gasLimit) };
+
+        return serialized(() => nonces.withLock(async (counter) => {
+            for (let attempt = 1; ; attempt++) {
+                let nonce = await counter.read();
+                if (nonce === null) {
+                    nonce = await publicClient.getTransactionCount({ address, blockTag: 'pending' });
+                }
+                const tx = { nonce, request, fees: await currentFees(), hashes: [], replacements: 0, minedHash: null };
+                try {
+                    const hash = await broadcast(tx);
+                    nextNonce = nonce + 1;
+                    // Sent either way - a stale counter gets resynced by the next nonce error
+                    await counter.advance(nextNonce).catch(error =>
+                        logger.warn('Could not save the next nonce', { signer: address, nonce: nextNonce, error: error.message }));
+                    pending.set(tx.nonce, tx);
+                    metrics.transactions.inc({ ...labels, event: 'sent' });
+                    metrics.pendingTransactions.set(labels, pending.size);
+                    logger.info('Transaction sent', { signer: address, nonce: tx.nonce, hash, to });
+                    return hash;
+                } catch (error) {
+                    // Any other failure leaves the nonce unused, and the counter with it
+                    if (!isNonceError(error)) throw error;
+                    // Another sender used our nonce (or the node forgot our pending ones) - resync and retry once
+                    nextNonce = null;
+                    await counter.reset();
+                    if (attempt >= 2) throw error;
+                    logger.warn('Nonce rejected, resyncing from the chain', { signer: address, nonce: tx.nonce, error: error.message });
+                }
+            }
+        }));
+    }
+
+    // Re-send a stuck transaction with the same nonce and higher fees
+    async function replace(tx) {
+        const current = await currentFees();
+        const bump = (value) => value * BigInt(100 + TX_GAS_BUMP_PERCENT) / 100n;
+        const fees = {
+            maxFeePerGas: max(bump(tx.fees.maxFeePerGas), current.maxFeePerGas),
+            maxPriorityFeePerGas: max(bump(tx.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas),
+        };
+        if (fees.maxFeePerGas > TX_MAX_FEE_WEI) {
+            logger.warn('Stuck transaction not replaced, fee cap reached', { signer: address, nonce: tx.nonce, maxFeePerGas: fees.maxFeePerGas });
+            tx.replacements = TX_MAX_REPLACEMENTS;
+            return;
+        }
+
+        tx.replacements++;
+        const previous = tx.fees;
+        tx.fees = fees;
+        try {
+            await serialized(async () => {
+                const hash = await broadcast(tx);
+                metrics.transactions.inc({ ...labels, event: 'replaced' });
+                logger.warn('Replaced stuck transaction', {
+                    signer: address, nonce: tx.nonce, hash, replaces: tx.hashes[tx.hashes.length - 2], replacement: tx.replacements, maxFeePerGas: fees.maxFeePerGas,
+                });
+            });
+        } catch (error) {
+            // "underpriced" needs a bigger bump next time; "nonce too low" means one of our hashes was mined
+            tx.fees = /underpriced/i.test(error.message) ? fees : previous;
+            tx.sentAt = Date.now();
+            logger.warn('Could not replace stuck transaction', { signer: address, nonce: tx.nonce, error: error.message });
+        }
+    }
+
+    // Wait until one of the hashes of the transaction behind `hash` is mined, replacing
+    // it while it is stuck. Resolves with the mined hash (hashes we did not send as is).
+    async function waitForMined(hash) {
+        const tx = byHash.get(hash);
+        if (!tx) {
+            return hash;
+        }
+        const deadline = Date.now() + TX_WAIT_TIMEOUT_MS;
+        while (!tx.minedHash) {
+            for (const candidate of tx.hashes) {
+                const receipt = await publicClient.getTransactionReceipt({ hash: candidate }).catch(() => null);
+                if (receipt) {
+                    tx.minedHash = candidate;
+                    break;
+                }
+            }
+            if (tx.minedHash) break;
+
+            if (Date.now() > deadline) {
+                throw new Error(`Transaction ${hash} (nonce ${tx.nonce}) not mined after ${TX_WAIT_TIMEOUT_MS / 1000}s`);
+            }
+            if (Date.now() - tx.sentAt >= TX_STUCK_AFTER_MS) {
+                // The nonce was used by a transaction we did not send (e.g. another instance on the same key)
+                const mined = await publicClient.getTransactionCount({ address, blockTag: 'latest' });
+                if (mined > tx.nonce) {
+                    await sleep(TX_POLL_INTERVAL_MS);  // our receipt may just have landed
+                    if (!(await anyReceipt(tx))) {
+                        pending.delete(tx.nonce);
+                        metrics.pendingTransactions.set(labels, pending.size);
+                        throw new Error(`Nonce ${tx.nonce} of ${address} was used by another transaction`);
+                    }
+                    continue;
+                }
+                if (tx.replacements < TX_MAX_REPLACEMENTS && !tx.replacing) {
+                    tx.replacing = true;
+                    await replace(tx).finally(() => { tx.replacing = false; });
+                }
+            }
+            await sleep(TX_POLL_INTERVAL_MS);
+        }
+
+        pending.delete(tx.nonce);
+        metrics.pendingTransactions.set(labels, pending.size);
+        if (tx.minedHash !== tx.hashes[0]) {
+            logger.info('Replacement transaction mined', { signer: address, nonce: tx.nonce, hash: tx.minedHash, original: tx.hashes[0] });
+        }
+        return tx.minedHash;
+    }
+
+    async function anyReceipt(tx) {
+        for (const candidate of tx.hashes) {
+            if (await publicClient.getTransactionReceipt({ hash: candidate }).catch(() => null)) {
+                tx.minedHash = candidate;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // The hash that was mined for a transaction first sent as `hash` (null if not ours / not mined yet)
+    function minedHash(hash) {
+        const tx = byHash.get(hash);
+        return tx ? tx.minedHash : null;
+    }
+
+    // Send a contract call and wait for it to be mined; returns the receipt
+    async function execute({ abi, address: to, functionName, args, value }) {
+        const hash = await sendTransaction({ to, data: encodeFunctionData({ abi, functionName, args }), value });
+        return publicClient.waitForTransactionReceipt({ hash: await waitForMined(hash) });
+    }
+
+    // The wallet handed to the Story SDK (it only needs writeContract and signTypedData)
+    const wallet = {
+        account,
+        writeContract: ({ abi, address: to, functionName, args, value, gas }) =>
+            sendTransaction({ to, data: encodeFunctionData({ abi, functionName, args }), value, gas }),
+        signTypedData: ({ account: ignored, ...typedData }) => account.signTypedData(typedData),
+    };
+
+    function describe() {
+        return {
+            address,
+            nextNonce,
+            pending: [...pending.values()].map(tx => ({
+                nonce: tx.nonce,
+                hashes: tx.hashes,
+                replacements: tx.replacements,
+                sentAt: new Date(tx.sentAt).toISOString(),
+            })),
+        };
+    }
+
+    return { address, account, wallet, sendTransaction, waitForMined, minedHash, execute, describe };
+}
+
+// `createClient({ wallet, txHashResolver })` builds the Story client of one signer
+function createSignerPool({ accounts, publicClient, network, createClient }) {
+    const members = accounts.map(account => {
+        const transactions = createTransactionManager({ account, publicClient, chainId: network.chainId, network });
+        return {
+            address: account.address,
+            account,
+            transactions,
+            storyClient: createClient({ wallet: transactions.wallet, txHashResolver: transactions.waitForMined }),
+            active: 0,
+        };
+    });
+    let turn = 0;
+
+    // Run fn(member) on the signer with the fewest registrations in progress
+    async function withSigner(fn) {
+        const start = turn++ % members.length;
+        const member = [...members.slice(start), ...members.slice(0, start)]
+            .reduce((best, candidate) => candidate.active < best.active ? candidate : best);
+        member.active++;
+        try {
+            return await fn(member);
+        } finally {
+            member.active--;
+        }
+    }
+
+    function minedHash(hash) {
+        for (const member of members) {
+            const mined = member.transactions.minedHash(hash);
+            if (mined) return mined;
+        }
+        return hash;
+    }
+
+    function describe() {
+        return members.map(member => ({ ...member.transactions.describe(), primary: member === members[0], active: member.active }));
+    }
+
+    return {
+        primary: members[0],
+        members,
+        addresses: members.map(member => member.address),
+        withSigner,
+        minedHash,
+        describe,
+    };
+}
+
+module.exports = { createTransactionManager, createSignerPool };
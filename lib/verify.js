@@ -0,0 +1,229 @@
+/**
+ * Evidence verification
+ * Answers "is this the image DeepShare registered?" for courts and third parties
+ * (POST /verify). The image - raw bytes, or a CID whose content is fetched and
+ * checked against it - is hashed and matched to a registration, which is then
+ * compared with what was committed on-chain: the IP/NFT metadata hashes set in
+ * the registration transaction, the pinned metadata behind them and the image
+ * hash inside that metadata.
+ *
+ * Raw bytes are matched through the image hash kept on each registration record;
+ * registrations recorded before it was kept can only be found by CID.
+ */
+
+const { createHash } = require('crypto');
+const { fetchFromIPFS } = require('./ipfs');
+const { fetchVerifiedContent, detectMediaType, formatCid } = require('./content');
+const { findExistingRegistration, findRegistrationsByImageHash } = require('./idempotency');
+const { readIpAsset, listParents, registrationsFromReceipt } = require('./chain');
+const { DEFAULT_NETWORK, explorerIpUrl, transactionUrl } = require('./networks');
+const { pinnedOutputFor } = require('./query');
+
+// How far up the parent chain a derivative's lineage is followed
+const MAX_LINEAGE_DEPTH = parseInt(process.env.VERIFY_MAX_LINEAGE_DEPTH || '10');
+
+const sha256Hex = (bytes) => `0x${createHash('sha256').update(bytes).digest('hex')}`;
+
+// CIDv1 (raw leaf) of a single-block file - how registrations made before image
+// hashes were recorded can still be found from raw bytes
+function rawLeafCid(bytes) {
+    const digest = createHash('sha256').update(bytes).digest();
+    return formatCid({ version: 1, bytes: Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), digest]) });
+}
+
+function attribute(ipMetadata, key) {
+    const entry = ((ipMetadata && ipMetadata.attributes) || []).find(item => item.key === key);
+    return entry ? entry.value : null;
+}
+
+// verified when every check passed, mismatch when one failed, inconclusive when some could not run
+function verdictOf(checks) {
+    const results = Object.values(checks).map(check => check.ok);
+    if (results.includes(false)) return 'mismatch';
+    if (results.includes(null)) return 'inconclusive';
+    return 'verified';
+}
+
+// `contextFor(network)` returns { profile, publicClient } of an enabled network, or null
+function createEvidenceVerifier({ contextFor, getJob }) {
+    async function describeContent({ bytes, cid }) {
+        if (bytes) {
+            return { cid: null, sha256: sha256Hex(bytes), size: bytes.length, mediaType: detectMediaType(bytes), verified: false };
+        }
+        try {
+            const { sha256, size, mediaType, verified } = await fetchVerifiedContent(cid);
+            return { cid, sha256, size, mediaType, verified };
+        } catch (error) {
+            return { cid, sha256: null, error: error.message };
+        }
+    }
+
+    // The registration for the content: by CID first, then by image hash (newest first)
+    async function findRegistrations(content, bytes) {
+        const byHash = content.sha256 ? await findRegistrationsByImageHash(content.sha256) : [];
+        let record = content.cid ? await findExistingRegistration(content.cid, getJob) : null;
+        if (!record && byHash.length === 0 && bytes) {
+            record = await findExistingRegistration(rawLeafCid(bytes), getJob);
+        }
+        const matches = record ? [record, ...byHash.filter(entry => entry.ipId !== record.ipId)] : byHash;
+        return { record: matches[0] || null, others: matches.slice(1) };
+    }
+
+    // Ancestors of a derivative, nearest first: [{ ipId, parentIpIds }]
+    async function ancestorsOf(publicClient, parentIpIds) {
+        const ancestors = [];
+        const seen = new Set();
+        let level = parentIpIds;
+        for (let depth = 0; depth < MAX_LINEAGE_DEPTH && level.length > 0; depth++) {
+            const next = [];
+            for (const ipId of level) {
+                if (seen.has(ipId.toLowerCase())) continue;
+                seen.add(ipId.toLowerCase());
+                const parents = await listParents(publicClient, ipId);
+                ancestors.push({ ipId, parentIpIds: parents });
+                next.push(...parents);
+            }
+            level = next;
+        }
+        return ancestors;
+    }
+
+    async function pinnedMetadata(cid) {
+        if (!cid) {
+            return { error: 'no metadata CID recorded' };
+        }
+        try {
+            const document = await fetchFromIPFS(cid);
+            return typeof document === 'object' ? { document } : { error: `${cid} is not JSON` };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    // Compare a pinned metadata document with the hash committed on-chain
+    function hashCheck(name, pinned, onChainHash) {
+        if (pinned.error) return { ok: null, details: `${name} unavailable: ${pinned.error}` };
+        if (!onChainHash) return { ok: null, details: `no on-chain ${name} hash to compare with` };
+        const hash = sha256Hex(JSON.stringify(pinned.document));
+        return hash === onChainHash.toLowerCase()
+            ? { ok: true, details: `pinned ${name} matches the on-chain hash` }
+            : { ok: false, details: `pinned ${name} hashes to ${hash}, on-chain hash is ${onChainHash}` };
+    }
+
+    async function verifyRegistration(record, content) {
+        const network = record.network || DEFAULT_NETWORK;
+        const context = contextFor(network);
+        const checks = {};
+
+        let { ipMetadataCid, nftMetadataCid } = record;
+        if (!ipMetadataCid && record.jobId) {
+            const pinned = pinnedOutputFor(await getJob(record.jobId), record.imageCid);
+            ipMetadataCid = pinned ? pinned.ipIpfsHash : undefined;
+            nftMetadataCid = pinned ? pinned.nftIpfsHash : undefined;
+        }
+        const ipMetadata = await pinnedMetadata(ipMetadataCid);
+        const nftMetadata = await pinnedMetadata(nftMetadataCid);
+
+        let asset = null;
+        let receipt = null;
+        let onChain = null;
+        if (!context) {
+            checks.registered = { ok: null, details: `network ${network} is not enabled on this server` };
+        } else {
+            asset = await readIpAsset(context.publicClient, record.ipId);
+            checks.registered = asset.registered
+                ? { ok: true, details: 'ipId is a registered IP asset' }
+                : { ok: false, details: 'ipId is not registered on-chain' };
+
+            receipt = record.txHash
+                ? await context.publicClient.getTransactionReceipt({ hash: record.txHash }).catch(() => null)
+                : null;
+            onChain = receipt && registrationsFromReceipt(receipt)
+                .find(entry => entry.ipId.toLowerCase() === record.ipId.toLowerCase());
+            checks.transaction = !receipt ? { ok: null, details: 'registration transaction not found' }
+                : !onChain ? { ok: false, details: 'transaction did not register this ipId' }
+                    : { ok: true, details: 'transaction registered this ipId' };
+        }
+
+        checks.ipMetadataHash = hashCheck('IP metadata', ipMetadata, onChain && onChain.metadataHash);
+        checks.nftMetadataHash = hashCheck('NFT metadata', nftMetadata, onChain && onChain.nftMetadataHash);
+
+        // The image itself against the hash inside the (hash-committed) IP metadata
+        const imageHash = ipMetadata.document ? ipMetadata.document.imageHash : null;
+        checks.content = !content.sha256 ? { ok: null, details: `image content unavailable: ${content.error}` }
+            : !imageHash ? { ok: null, details: 'IP metadata has no imageHash' }
+                : imageHash.toLowerCase() === content.sha256
+                    ? { ok: true, details: 'image matches the imageHash in the IP metadata' }
+                    : { ok: false, details: `image hashes to ${content.sha256}, IP metadata has ${imageHash}` };
+
+        const nftImage = nftMetadata.document ? nftMetadata.document.image : null;
+        checks.nftImage = !nftImage ? { ok: null, details: 'NFT metadata has no image' }
+            : nftImage === `ipfs://${record.imageCid}`
+                ? { ok: true, details: 'NFT metadata points at the registered image' }
+                : { ok: false, details: `NFT metadata image is ${nftImage}` };
+
+        const profile = context ? context.profile : null;
+        const capturedAt = attribute(ipMetadata.document, 'CapturedAt');
+        return {
+            verdict: verdictOf(checks),
+            ipId: record.ipId,
+            network,
+            explorerUrl: profile ? explorerIpUrl(profile, record.ipId) : null,
+            imageCid: record.imageCid,
+            registeredAt: onChain && onChain.registrationDate
+                ? new Date(Number(onChain.registrationDate) * 1000).toISOString()
+                : record.registeredAt || null,
+            capturedAt: capturedAt || null,
+            device: {
+                address: record.deviceAddress || attribute(ipMetadata.document, 'Device'),
+                signatureType: attribute(ipMetadata.document, 'SignatureType'),
+                signature: attribute(ipMetadata.document, 'DeviceSignature'),
+            },
+            transaction: {
+                hash: record.txHash || null,
+                url: profile && record.txHash ? transactionUrl(profile, record.txHash) : null,
+                blockNumber: receipt ? receipt.blockNumber.toString() : null,
+            },
+            metadata: {
+                ipMetadataCid: ipMetadataCid || null,
+                nftMetadataCid: nftMetadataCid || null,
+                ipMetadataHash: onChain ? onChain.metadataHash : null,
+                nftMetadataHash: onChain && onChain.nftMetadataHash ? onChain.nftMetadataHash : null,
+                provenanceManifestCid: record.provenanceManifestCid || null,
+            },
+            lineage: {
+                parentIpIds: asset && asset.registered ? asset.parentIpIds : [],
+                ancestors: asset && asset.registered ? await ancestorsOf(context.publicClient, asset.parentIpIds) : [],
+                derivativeIpIds: asset && asset.registered ? asset.derivativeIpIds : [],
+                supersedes: record.supersedes || null,
+                previousRegistrations: (record.previousRegistrations || [])
+                    .map(({ ipId, txHash, registeredAt }) => ({ ipId, txHash, registeredAt })),
+            },
+            checks,
+        };
+    }
+
+    // Verify image bytes or the content of a CID. Returns the verdict document.
+    async function verify({ bytes, cid }) {
+        const content = await describeContent({ bytes, cid });
+        const { record, others } = await findRegistrations(content, bytes);
+
+        if (!record) {
+            return { verdict: 'unregistered', image: content, registration: null };
+        }
+        if (record.status !== 'registered') {
+            return { verdict: 'pending', image: content, registration: { imageCid: record.imageCid, jobId: record.jobId } };
+        }
+        const result = await verifyRegistration(record, content);
+        return {
+            verdict: result.verdict,
+            image: content,
+            ...result,
+            alsoRegisteredAs: others.map(({ ipId, imageCid, network }) => ({ ipId, imageCid, network: network || DEFAULT_NETWORK })),
+        };
+    }
+
+    return { verify };
+}
+
+module.exports = { createEvidenceVerifier };
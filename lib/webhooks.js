@@ -0,0 +1,286 @@
+/**
+ * Webhook notifications
+ * Subscribers (registered through /admin/webhooks) get a POST for registration
+ * lifecycle events instead of polling jobs or the images table:
+ *
+ *   registration.started    - a capture was admitted and its job queued
+ *   registration.confirmed  - the IP asset is minted on-chain
+ *   registration.failed     - the job (or the capture's batch item) gave up
+ *   db_sync.failed          - the images table write failed and went to the outbox
+ *
+ * Each delivery is a JSON payload signed with the subscription's secret:
+ * X-DeepShare-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">.
+ * Deliveries live in the state store (`webhook_deliveries`), doubling as the
+ * delivery log, and are retried with exponential backoff by a background worker.
+ * Events carry a stable id, so an event emitted twice (e.g. by a retried stage)
+ * is queued once. Delivery is at-least-once: subscribers should ignore an
+ * X-DeepShare-Delivery id they have already processed.
+ */
+
+const axios = require('axios');
+const { createHmac, randomBytes, randomUUID } = require('crypto');
+const store = require('./store');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+const SUBSCRIPTIONS_NAMESPACE = 'webhook_subscriptions';
+const DELIVERIES_NAMESPACE = 'webhook_deliveries';
+
+const WEBHOOK_EVENTS = ['registration.started', 'registration.confirmed', 'registration.failed', 'db_sync.failed'];
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '10');
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000');
+const WEBHOOK_BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '10000');
+const WEBHOOK_BACKOFF_MAX_MS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '3600000');
+// Finished deliveries are kept in the log this long
+const WEBHOOK_LOG_TTL_MS = parseInt(process.env.WEBHOOK_LOG_TTL_DAYS || '30') * 24 * 60 * 60 * 1000;
+// Attempts kept per delivery in the log
+const MAX_LOGGED_ATTEMPTS = 20;
+
+// The started worker, woken up when new deliveries are queued
+let activeWorker = null;
+
+function backoffDelay(attempts) {
+    return Math.min(WEBHOOK_BACKOFF_BASE_MS * 2 ** (attempts - 1), WEBHOOK_BACKOFF_MAX_MS);
+}
+
+// Subscriptions without their secret (it is only returned when created)
+function describeSubscription({ secret, ...subscription }) {
+    return subscription;
+}
+
+// Check a subscription request. Returns { error } or { url, events, description }.
+function parseSubscription({ url, events, description } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return { error: { error: 'url must be an absolute http(s) URL', provided: url } };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { error: { error: 'url must be an absolute http(s) URL', provided: url } };
+    }
+
+    const selected = events === undefined ? ['*'] : events;
+    if (!Array.isArray(selected) || selected.length === 0) {
+        return { error: { error: 'events must be a non-empty array', allowed: ['*', ...WEBHOOK_EVENTS] } };
+    }
+    const unknown = selected.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return { error: { error: `Unknown event(s): ${unknown.join(', ')}`, allowed: ['*', ...WEBHOOK_EVENTS] } };
+    }
+    return { url: parsed.toString(), events: selected, description: description || null };
+}
+
+async function createSubscription({ url, events, description }) {
+    const subscription = {
+        id: randomUUID(),
+        url,
+        events,
+        description,
+        secret: `whsec_${randomBytes(24).toString('hex')}`,
+        status: 'active',
+        createdAt: new Date().toISOString(),
+    };
+    await store.put(SUBSCRIPTIONS_NAMESPACE, subscription.id, subscription);
+    return subscription;
+}
+
+async function listSubscriptions({ limit, offset } = {}) {
+    const subscriptions = await store.list(SUBSCRIPTIONS_NAMESPACE, { where: { status: 'active' }, limit, offset });
+    return subscriptions.map(describeSubscription);
+}
+
+// Disable a subscription - it stops receiving events, its delivery log is kept
+async function removeSubscription(id) {
+    const subscription = await store.get(SUBSCRIPTIONS_NAMESPACE, id);
+    if (!subscription || subscription.status !== 'active') {
+        return null;
+    }
+    const removed = { ...subscription, status: 'removed', removedAt: new Date().toISOString() };
+    await store.put(SUBSCRIPTIONS_NAMESPACE, id, removed);
+    return describeSubscription(removed);
+}
+
+async function listDeliveries(subscriptionId, { status, limit, offset } = {}) {
+    const where = status ? { subscriptionId, status } : { subscriptionId };
+    return store.list(DELIVERIES_NAMESPACE, { where, limit, offset });
+}
+
+// Queue an event for every subscription that wants it. `key` identifies the event
+// (the same type and key is only queued once). Never throws - a notification
+// problem must not fail the registration that triggered it.
+async function emitEvent(type, key, data) {
+    try {
+        const event = { id: `${type}:${key}`, type, createdAt: new Date().toISOString(), data };
+        const subscriptions = await store.list(SUBSCRIPTIONS_NAMESPACE, { where: { status: 'active' }, limit: 1000 });
+        for (const subscription of subscriptions) {
+            if (!subscription.events.includes('*') && !subscription.events.includes(type)) continue;
+            await store.create(DELIVERIES_NAMESPACE, `${subscription.id}:${event.id}`, {
+                id: `${subscription.id}:${event.id}`,
+                subscriptionId: subscription.id,
+                eventId: event.id,
+                type,
+                url: subscription.url,
+                payload: event,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: Date.now(),
+                lastError: null,
+                log: [],
+                createdAt: event.createdAt,
+            });
+        }
+        if (activeWorker) setImmediate(() => activeWorker.poll());
+    } catch (error) {
+        logger.error('Could not queue webhooks', { type, error: error.message });
+    }
+}
+
+// X-DeepShare-Signature header for a request body
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+async function attemptDelivery(delivery) {
+    const subscription = await store.get(SUBSCRIPTIONS_NAMESPACE, delivery.subscriptionId);
+    if (!subscription || subscription.status !== 'active') {
+        await store.put(DELIVERIES_NAMESPACE, delivery.id, {
+            ...delivery, status: 'failed', lastError: 'Subscription was removed', nextAttemptAt: null,
+        });
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString() };
+    try {
+        const response = await axios.post(subscription.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'DeepShare-Webhooks/1',
+                'X-DeepShare-Event': delivery.type,
+                'X-DeepShare-Delivery': delivery.id,
+                'X-DeepShare-Signature': signPayload(subscription.secret, body),
+            },
+            timeout: WEBHOOK_TIMEOUT_MS,
+            maxRedirects: 0,
+        });
+        const log = [...delivery.log, { ...attempt, responseStatus: response.status, durationMs: Date.now() - startedAt }];
+        await store.put(DELIVERIES_NAMESPACE, delivery.id, {
+            ...delivery,
+            status: 'delivered',
+            attempts,
+            lastError: null,
+            nextAttemptAt: null,
+            deliveredAt: new Date().toISOString(),
+            log: log.slice(-MAX_LOGGED_ATTEMPTS),
+        });
+        metrics.webhookDeliveries.inc({ outcome: 'delivered' });
+        logger.info('Webhook delivered', { id: delivery.id, type: delivery.type, url: subscription.url, responseStatus: response.status });
+    } catch (error) {
+        const responseStatus = error.response ? error.response.status : null;
+        const message = responseStatus ? `HTTP ${responseStatus}` : error.message;
+        const log = [...delivery.log, { ...attempt, responseStatus, error: message, durationMs: Date.now() - startedAt }];
+        const giveUp = attempts >= WEBHOOK_MAX_ATTEMPTS;
+        const delay = backoffDelay(attempts);
+        await store.put(DELIVERIES_NAMESPACE, delivery.id, {
+            ...delivery,
+            status: giveUp ? 'failed' : 'pending',
+            attempts,
+            lastError: message,
+            nextAttemptAt: giveUp ? null : Date.now() + delay,
+            log: log.slice(-MAX_LOGGED_ATTEMPTS),
+        });
+        metrics.webhookDeliveries.inc({ outcome: giveUp ? 'failed' : 'retry' });
+        logger.warn(giveUp ? 'Webhook delivery failed, giving up' : 'Webhook delivery failed, retrying', {
+            id: delivery.id, type: delivery.type, url: subscription.url, attempts, error: message, ...(giveUp ? {} : { delayMs: delay }),
+        });
+    }
+}
+
+// Send a failed delivery again (admin retry); returns null if there is no such delivery
+async function redeliver(id) {
+    const delivery = await store.get(DELIVERIES_NAMESPACE, id);
+    if (!delivery) {
+        return null;
+    }
+    const queued = { ...delivery, status: 'pending', attempts: 0, nextAttemptAt: Date.now() };
+    await store.put(DELIVERIES_NAMESPACE, id, queued);
+    if (activeWorker) setImmediate(() => activeWorker.poll());
+    return queued;
+}
+
+function createWebhookWorker() {
+    let timer = null;
+    let polling = false;
+
+    // Drop finished deliveries older than WEBHOOK_LOG_TTL_DAYS
+    async function prune() {
+        const cutoff = new Date(Date.now() - WEBHOOK_LOG_TTL_MS).toISOString();
+        for (const status of ['delivered', 'failed']) {
+            // Page through all of them; removed entries no longer count towards the offset
+            let offset = 0;
+            for (;;) {
+                const finished = await store.list(DELIVERIES_NAMESPACE, { where: { status }, limit: 100, offset });
+                for (const delivery of finished) {
+                    if (delivery.createdAt < cutoff) {
+                        await store.remove(DELIVERIES_NAMESPACE, delivery.id);
+                    } else {
+                        offset++;
+                    }
+                }
+                if (finished.length < 100) break;
+            }
+        }
+    }
+
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            const due = await store.list(DELIVERIES_NAMESPACE, { where: { status: 'pending' }, due: Date.now(), limit: 50 });
+            for (const delivery of due) {
+                await attemptDelivery(delivery);
+            }
+            await prune();
+        } catch (error) {
+            logger.error('Webhook poll failed', { error: error.message });
+        } finally {
+            polling = false;
+        }
+    }
+
+    function start() {
+        if (!timer) {
+            activeWorker = worker;
+            timer = setInterval(() => poll(), WEBHOOK_POLL_INTERVAL_MS);
+            setImmediate(() => poll());
+        }
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+        activeWorker = null;
+    }
+
+    const worker = { start, stop, poll };
+    return worker;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    parseSubscription,
+    createSubscription,
+    listSubscriptions,
+    removeSubscription,
+    listDeliveries,
+    redeliver,
+    emitEvent,
+    signPayload,
+    createWebhookWorker,
+};
@@ -0,0 +1,12 @@
+-- Persistent server state (collections, jobs, ...) used by lib/store.js
+CREATE TABLE IF NOT EXISTS server_state (
+    namespace TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (namespace, id)
+);
+
+CREATE INDEX IF NOT EXISTS server_state_namespace_created_idx
+    ON server_state (namespace, created_at);
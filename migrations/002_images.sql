@@ -0,0 +1,10 @@
+-- Images table shared with the IPFS upload service (lib/db.js). Supabase
+-- projects already have it; this creates it on a plain Postgres database.
+CREATE TABLE IF NOT EXISTS images (
+    image_cid TEXT PRIMARY KEY,
+    wallet_address TEXT,
+    metadata_cid TEXT,
+    ip TEXT,
+    tx_hash TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
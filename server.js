@@ -4,470 +4,1542 @@
  */
 
 const express = require('express');
-const { StoryClient, PILFlavor, WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
-const { http, parseEther, zeroAddress } = require('viem');
-const { privateKeyToAccount } = require('viem/accounts');
-const { createHash } = require('crypto');
-const axios = require('axios');
+const { StoryClient } = require('@story-protocol/core-sdk');
+const { http, createPublicClient, isAddress, getAddress, isHash, parseEther } = require('viem');
+const { randomUUID } = require('crypto');
 require('dotenv').config();
+const { createCollectionManager } = require('./lib/collections');
+const { parseRegistrationRequest, parseDerivativeRequest, checkCaptureMetadata, createRegistrationPipeline, DEFAULT_MINTING_FEE, DEFAULT_COMMERCIAL_REV_SHARE } = require('./lib/registration');
+const { createJobQueue } = require('./lib/jobs');
+const { createBatchPipeline, BATCH_MAX_ITEMS } = require('./lib/batch');
+const { checkDerivativeParents } = require('./lib/chain');
+const { describeLicensePolicy } = require('./lib/licenses');
+const { describeCaptureSchemas } = require('./lib/captureSchema');
+const { verifyManifest } = require('./lib/provenance');
+const { createRevenueService } = require('./lib/revenue');
+const { createCaseService, parseCase, parseIpIds } = require('./lib/cases');
+const { createDisputeService, parseDispute } = require('./lib/disputes');
+const { createEvidenceQueries } = require('./lib/query');
+const { createEvidenceVerifier } = require('./lib/verify');
+const { MAX_CONTENT_BYTES, parseCid } = require('./lib/content');
+const { describeStorage, fetchFromIPFS } = require('./lib/ipfs');
+const { logger, withLogContext } = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { createBalanceMonitor } = require('./lib/balance');
+const { createReadinessCheck } = require('./lib/readiness');
+const { SIGNER_BACKEND, loadSigners } = require('./lib/signers');
+const { createSignerPool } = require('./lib/transactions');
+const { describeDatabase } = require('./lib/db');
+const {
+    REQUIRE_API_AUTH,
+    parseClient,
+    createClient,
+    getClient,
+    listClients,
+    updateClient,
+    rotateClientKey,
+    revokeClient,
+    authenticateRequest,
+    checkClientPolicy,
+} = require('./lib/clients');
+const { rateLimit, reserveQuota, releaseQuota, getUsage, listUsage, describeLimits } = require('./lib/quotas');
+const { recordAudit, listAudit } = require('./lib/audit');
+const { listOutbox, createOutboxWorker } = require('./lib/outbox');
+const {
+    parseSubscription,
+    createSubscription,
+    listSubscriptions,
+    removeSubscription,
+    listDeliveries,
+    redeliver,
+    emitEvent,
+    createWebhookWorker,
+} = require('./lib/webhooks');
+const { DEFAULT_NETWORK, ENABLED_NETWORKS, getNetworkProfile, resolveNetwork, allowedNetworks, describeNetworks, dispatchByNetwork } = require('./lib/networks');
+const {
+    hashRequest,
+    lookupIdempotencyKey,
+    rememberIdempotencyKey,
+    findExistingRegistration,
+    claimRegistration,
+    releaseRegistration,
+} = require('./lib/idempotency');
+const {
+    CAPTURE_TYPES,
+    CLAIM_TYPES,
+    signingDomain,
+    captureMessage,
+    verifyDeviceSignature,
+    verifyClaimSignature,
+    consumeNonce,
+    releaseNonce,
+    enrollDevice,
+    revokeDevice,
+    listDevices,
+} = require('./lib/deviceAuth');
 
 const app = express();
+
+const PROBE_PATHS = ['/health', '/ready', '/metrics'];
+
+// Every request gets an ID (the caller's X-Request-Id, or a new one) that is echoed
+// back and added to every log line written while handling it, plus an access log
+// line and HTTP metrics once the response is sent
+app.use((req, res, next) => {
+    const requestId = /^[\w.:-]{1,128}$/.test(req.get('x-request-id') || '') ? req.get('x-request-id') : randomUUID();
+    const startedAt = process.hrtime.bigint();
+    req.requestId = requestId;
+    res.set('X-Request-Id', requestId);
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+        metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        metrics.httpDuration.observe({ method: req.method, route }, seconds);
+        const fields = { requestId, method: req.method, path: req.path, route, status: res.statusCode, durationMs: Math.round(seconds * 1000) };
+        if (res.statusCode >= 500) {
+            logger.warn('Request failed', fields);
+        } else {
+            // Probes and scrapes only at debug level
+            (PROBE_PATHS.includes(req.path) ? logger.debug : logger.info)('Request completed', fields);
+        }
+    });
+    next();
+});
+
+// Body parsers lose the async context, so it is entered after them
+function withRequestContext(req, res, next) {
+    withLogContext({ requestId: req.requestId }, next);
+}
+
 app.use(express.json());
+app.use(withRequestContext);
 
 // Configuration (from .env file)
 const PORT = process.env.PORT || 3003;
-const RPC_URL = process.env.RPC_URL || "https://aeneid.storyrpc.io";
-const CHAIN_ID = process.env.CHAIN_ID || "aeneid";
-
-// Server's private key for Story Protocol transactions
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-if (!PRIVATE_KEY) {
-    console.error('❌ ERROR: PRIVATE_KEY not found in .env file!');
-    console.error('   Add PRIVATE_KEY=your_key_here to .env');
+
+// Accounts that sign the server's transactions: PRIVATE_KEY (plus a pool), or a signing service (see lib/signers.js)
+let signerAccounts;
+try {
+    signerAccounts = loadSigners().accounts;
+} catch (error) {
+    logger.error('Could not load signers', { backend: SIGNER_BACKEND, error: error.message });
     process.exit(1);
 }
 
-// IPFS Gateway for fetching metadata (Pinata gateway)
-const IPFS_GATEWAY = process.env.IPFS_GATEWAY || "https://gateway.pinata.cloud";
-
-// Pinata credentials for uploading metadata
-const PINATA_API_KEY = process.env.PINATA_API_KEY || "0ff2ea6684694884ba5e";
-const PINATA_SECRET_KEY = process.env.PINATA_SECRET_KEY || "2ca0f5efa68114d777c1439af366d408c9c9091777e6d9f229fa46d516c1a213";
-
-// Supabase configuration for storing IP registration data
+// Database for the images table (Supabase, Postgres or SQLite)
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const database = describeDatabase();
 
-console.log('\n🔍 Checking Supabase Configuration...');
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-    console.warn('❌ WARNING: Supabase credentials NOT found in .env');
-    console.warn('   IP registration will work, but data won\'t be saved to database');
-    console.warn('   Add these to story-server/.env:');
-    console.warn('   SUPABASE_URL=https://your-project.supabase.co');
-    console.warn('   SUPABASE_SERVICE_ROLE_KEY=your_key_here\n');
+if (database.backend === 'none') {
+    logger.warn('No database configured - IP registration will work, but data won\'t be saved to the images table', {
+        hint: 'set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (or DB_BACKEND=postgres with DATABASE_URL, DB_BACKEND=sqlite for development)',
+    });
+} else if (database.backend !== 'supabase') {
+    logger.info('Database configured', { backend: database.backend });
 } else {
-    console.log('✅ Supabase credentials loaded');
-    console.log(`   URL: ${SUPABASE_URL}`);
-    console.log(`   Key: ${SUPABASE_KEY.substring(0, 20)}...`);
-    
     // Check which key is being used
     const isServiceRole = process.env.SUPABASE_SERVICE_ROLE_KEY ? true : false;
+    logger.info('Database configured', { backend: database.backend, url: SUPABASE_URL, key: isServiceRole ? 'service_role' : 'anon' });
     if (!isServiceRole) {
-        console.warn('⚠️  WARNING: Using SUPABASE_ANON_KEY instead of SERVICE_ROLE_KEY');
-        console.warn('   This may cause RLS policy issues with updates.');
-        console.warn('   Recommended: Use SUPABASE_SERVICE_ROLE_KEY for server operations.');
-    } else {
-        console.log('✅ Using SERVICE_ROLE_KEY (bypasses RLS)');
+        logger.warn('Using SUPABASE_ANON_KEY instead of SUPABASE_SERVICE_ROLE_KEY - this may cause RLS policy issues with updates');
     }
 }
 
-// Ensure private key has 0x prefix
-const formattedPrivateKey = PRIVATE_KEY.startsWith('0x') ? PRIVATE_KEY : `0x${PRIVATE_KEY}`;
+// Admin key for /admin/* endpoints (admin endpoints are disabled when unset)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
 
-// Default values (can be overridden per request)
-const DEFAULT_MINTING_FEE = process.env.DEFAULT_MINTING_FEE || "0.1";
-const DEFAULT_COMMERCIAL_REV_SHARE = parseInt(process.env.DEFAULT_COMMERCIAL_REV_SHARE || "10");
-
-// Initialize Story Protocol client once with server's key
-let storyClient = null;
-let spgNftContract = null;
+// Story Protocol clients per enabled network profile (see lib/networks.js), all using the server's signers
+const networks = {};
+let registrationJobs = null;
+let batchJobs = null;
 let serverWalletAddress = null;
+const outboxWorker = createOutboxWorker();
+const webhookWorker = createWebhookWorker();
+
+function createNetworkContext(profile, accounts) {
+    const publicClient = createPublicClient({ transport: http(profile.rpcUrl) });
+    // One Story client per signer, each sending through its transaction manager (lib/transactions.js)
+    const signers = createSignerPool({
+        accounts,
+        publicClient,
+        network: profile,
+        createClient: ({ wallet, txHashResolver }) => StoryClient.newClientUseWallet({
+            wallet,
+            txHashResolver,
+            transport: http(profile.rpcUrl),
+            chainId: profile.sdkChainId,
+        }),
+    });
+    const storyClient = signers.primary.storyClient;
+    const collections = createCollectionManager({ storyClient, publicClient, network: profile, signers });
+    const registration = createRegistrationPipeline({ storyClient, publicClient, collections, network: profile, signers });
+    return {
+        profile,
+        storyClient,
+        publicClient,
+        signers,
+        collections,
+        registration,
+        batch: createBatchPipeline({ collections, registration, signers }),
+        revenue: createRevenueService({ storyClient, publicClient, chainId: profile.chainId, network: profile, signers }),
+        cases: createCaseService({ storyClient, publicClient, network: profile }),
+        disputes: createDisputeService({ storyClient, publicClient, network: profile }),
+        evidence: createEvidenceQueries({ storyClient, publicClient, network: profile, getJob: getAnyJob }),
+    };
+}
 
-// Initialize client on startup
+// Initialize clients on startup
 try {
-    const account = privateKeyToAccount(formattedPrivateKey);
-    serverWalletAddress = account.address;
-    
-    storyClient = StoryClient.newClient({
-        account,
-        transport: http(RPC_URL),
-        chainId: CHAIN_ID,
+    serverWalletAddress = signerAccounts[0].address;
+
+    for (const name of ENABLED_NETWORKS) {
+        networks[name] = createNetworkContext(getNetworkProfile(name), signerAccounts);
+    }
+    const pipelines = (pick) => Object.fromEntries(Object.entries(networks).map(([name, context]) => [name, pick(context)]));
+
+    // One queue per job kind; each job runs on the pipeline of its network
+    registrationJobs = createJobQueue({
+        namespace: 'registration_jobs',
+        ...dispatchByNetwork(pipelines(context => context.registration)),
+        onFailed: notifyJobFailed,
+    });
+    batchJobs = createJobQueue({
+        namespace: 'batch_jobs',
+        ...dispatchByNetwork(pipelines(context => context.batch)),
+        onFailed: notifyJobFailed,
+    });
+
+    logger.info('Story Protocol client initialized', {
+        networks: ENABLED_NETWORKS,
+        wallet: serverWalletAddress,
+        signerBackend: SIGNER_BACKEND,
+        signerPool: signerAccounts.map(account => account.address),
     });
-    
-    console.log(`✅ Story Protocol client initialized`);
-    console.log(`   Server Wallet: ${serverWalletAddress}`);
 } catch (error) {
-    console.error('❌ Failed to initialize Story Protocol client:', error.message);
+    logger.error('Failed to initialize Story Protocol client', { error: error.message });
     process.exit(1);
 }
 
-// Health check
+// Signer wallet balances on every enabled network, checked periodically (see lib/balance.js)
+const balanceMonitor = createBalanceMonitor({ networks });
+const readiness = createReadinessCheck({ networks, balances: balanceMonitor });
+
+// Jobs live in two queues (single and batch registrations); ids are unique across both
+async function getAnyJob(jobId) {
+    return (await registrationJobs.getJob(jobId)) || (await batchJobs.getJob(jobId));
+}
+
+// Webhook subscribers hear about every capture of a job that gave up before minting
+// (captures that were minted have had their registration.confirmed already, including
+// the items of a batch checkpointed by its minting stage)
+async function notifyJobFailed(job) {
+    if (job.outputs.minting) {
+        return;
+    }
+    const minted = ((job.checkpoints || {}).minting || {}).minted || {};
+    for (const { index, input } of job.input.items || [{ input: job.input }]) {
+        if (index !== undefined && minted[index]) continue;
+        metrics.registrations.inc({ network: input.network, outcome: 'failed' });
+        await emitEvent('registration.failed', `${job.id}:${input.imageCid}`, {
+            jobId: job.id,
+            imageCid: input.imageCid,
+            deviceAddress: input.deviceAddress,
+            network: input.network,
+            stage: job.stage,
+            error: job.lastError,
+        });
+    }
+}
+
+async function notifyJobStarted(job, input) {
+    await emitEvent('registration.started', `${job.id}:${input.imageCid}`, {
+        jobId: job.id,
+        imageCid: input.imageCid,
+        deviceAddress: input.deviceAddress,
+        network: input.network,
+        derivative: Boolean(input.derivative),
+        batch: Boolean(job.input.items),
+        statusUrl: `/jobs/${job.id}`,
+    });
+}
+
+// Registrations are verified on the network they were made on
+const verifier = createEvidenceVerifier({ contextFor: name => networks[name] || null, getJob: getAnyJob });
+
+// Health check (liveness - the process is up)
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', service: 'DeepShare IP Registration' });
+    res.json({ status: 'ok', service: 'DeepShare IP Registration', network: DEFAULT_NETWORK });
 });
 
-// Helper function to fetch metadata from IPFS
-async function fetchFromIPFS(cid) {
-    const url = `${IPFS_GATEWAY}/ipfs/${cid}`;
-    
+// Readiness - 503 while a dependency (store, database, IPFS, RPC, wallet balance) is failing
+app.get('/ready', async (req, res) => {
+    const { ready, checks } = await readiness.check();
+    res.status(ready ? 200 : 503).json({ ready, checks, timestamp: new Date().toISOString() });
+});
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
     try {
-        const response = await axios.get(url, { timeout: 30000 });
-        return response.data;
+        const { contentType, body } = await metrics.renderMetrics();
+        res.set('Content-Type', contentType).send(body);
     } catch (error) {
-        console.error(`   ✗ Failed to fetch from IPFS: ${error.message}`);
-        throw new Error(`Failed to fetch CID ${cid} from IPFS: ${error.message}`);
+        res.status(500).json({ success: false, error: error.message });
     }
+});
+
+// Last wallet balance reading per network and signer
+app.get('/admin/balance', requireAdmin, (req, res) => {
+    res.json({ success: true, data: balanceMonitor.status() });
+});
+
+// Signer pool of every network: next nonce and transactions waiting to be mined
+app.get('/admin/signers', requireAdmin, (req, res) => {
+    const pools = Object.fromEntries(Object.entries(networks).map(([name, context]) => [name, context.signers.describe()]));
+    res.json({ success: true, data: { backend: SIGNER_BACKEND, networks: pools } });
+});
+
+// Network profiles requests can pick with `network` (body) or ?network=
+app.get('/networks', (req, res) => {
+    res.json(describeNetworks());
+});
+
+// Resolve the network of a request from ?network= or the body's network/tenant
+// (default: the deployment's) and attach its clients as req.network.
+// Writes by non-admin callers are limited to the networks they are allowed.
+function withNetwork(req, res, next) {
+    const body = req.body || {};
+    const caller = req.method === 'GET' || isAdminRequest(req) ? null : { client: req.client || null };
+    const resolved = resolveNetwork({ network: req.query.network || body.network, tenant: body.tenant }, { caller });
+    if (resolved.error) {
+        return res.status(resolved.status).json(resolved.error);
+    }
+    req.network = networks[resolved.network];
+    next();
+}
+
+// Whether the request carries the admin key
+function isAdminRequest(req) {
+    return Boolean(ADMIN_API_KEY) && req.get('x-admin-key') === ADMIN_API_KEY;
+}
+
+// Guard for admin endpoints - requires the x-admin-key header to match ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled (ADMIN_API_KEY not set)' });
+    }
+    if (req.get('x-admin-key') !== ADMIN_API_KEY) {
+        return res.status(401).json({ error: 'Invalid admin key' });
+    }
+    next();
 }
 
-// Helper function to upload JSON to Pinata
-async function uploadJSONToIPFS(jsonData) {
-    console.log('   Uploading JSON to Pinata...');
-    
-    const url = 'https://api.pinata.cloud/pinning/pinJSONToIPFS';
-    
-    try {
-        const response = await axios.post(url, jsonData, {
-            headers: {
-                'Content-Type': 'application/json',
-                'pinata_api_key': PINATA_API_KEY,
-                'pinata_secret_api_key': PINATA_SECRET_KEY,
-            },
+// Identify the API client of a registration request as req.client (null for anonymous
+// callers, who are turned away unless REQUIRE_API_AUTH=false) - see lib/clients.js
+async function authenticate(req, res, next) {
+    try {
+        const { client, status, error } = await authenticateRequest(req);
+        if (error) {
+            return res.status(status).json(error);
+        }
+        req.client = client;
+        next();
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// List known SPG NFT collections (from config and persistent storage)
+app.get('/admin/collections', requireAdmin, withNetwork, async (req, res) => {
+    try {
+        res.json({ success: true, data: await req.network.collections.listCollections() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// One-time setup: create the SPG NFT collection for a key, or import an existing address
+app.post('/admin/collections', requireAdmin, withNetwork, async (req, res) => {
+    try {
+        const { collections } = req.network;
+        const { tenant, deviceClass, spgNftContract } = req.body;
+        const key = req.body.key || collections.resolveKey({ tenant, deviceClass });
+
+        if (collections.isConfigured(key)) {
+            return res.status(409).json({
+                error: `Collection "${key}" is pinned in config and cannot be changed here`,
+                spgNftContract: await collections.getCollection(key),
+            });
+        }
+
+        const address = spgNftContract
+            ? await collections.importCollection(key, spgNftContract)
+            : await collections.getCollection(key, { create: true });
+
+        res.json({ success: true, data: { network: req.network.profile.name, key, spgNftContract: address } });
+    } catch (error) {
+        logger.error('Error creating collection', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Enrolled devices (used when REQUIRE_ENROLLED_DEVICE=true)
+app.get('/admin/devices', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await listDevices({ limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/admin/devices', requireAdmin, async (req, res) => {
+    try {
+        const { address, label, deviceClass } = req.body;
+        if (!isAddress(address || '')) {
+            return res.status(400).json({ error: 'address is not a valid address', provided: address });
+        }
+        res.json({ success: true, data: await enrollDevice(address, { label, deviceClass }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/devices/:address', requireAdmin, async (req, res) => {
+    try {
+        const device = await revokeDevice(req.params.address);
+        if (!device) {
+            return res.status(404).json({ success: false, error: 'Device not found' });
+        }
+        res.json({ success: true, data: device });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// API clients of the registration endpoints (see lib/clients.js)
+app.get('/admin/clients', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        const clients = await listClients({ status: req.query.status, limit, offset });
+        res.json({ success: true, data: clients.map(client => ({ ...client, limits: describeLimits(client) })) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a client - { name, description?, rateLimitPerMinute?, dailyQuota?, policy? }.
+// The response holds the API key, which is not shown again.
+app.post('/admin/clients', requireAdmin, async (req, res) => {
+    try {
+        const { error, fields } = parseClient(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        const { client, apiKey } = await createClient(fields);
+        await recordAudit({ action: 'client.created', outcome: 'ok', actor: 'admin', req, details: { clientId: client.id, name: client.name } });
+        res.status(201).json({ success: true, data: { ...client, apiKey } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/admin/clients/:id', requireAdmin, async (req, res) => {
+    try {
+        const client = await getClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'API client not found' });
+        }
+        res.json({ success: true, data: { ...client, limits: describeLimits(client) } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Change a client's name, description, limits or policy (a policy given replaces the old one)
+app.patch('/admin/clients/:id', requireAdmin, async (req, res) => {
+    try {
+        const { error, fields } = parseClient(req.body, { partial: true });
+        if (error) {
+            return res.status(400).json(error);
+        }
+        const client = await updateClient(req.params.id, fields);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'API client not found' });
+        }
+        await recordAudit({ action: 'client.updated', outcome: 'ok', actor: 'admin', req, details: { clientId: client.id, changed: fields } });
+        res.json({ success: true, data: { ...client, limits: describeLimits(client) } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Issue a new API key - the old key stops working at once
+app.post('/admin/clients/:id/rotate-key', requireAdmin, async (req, res) => {
+    try {
+        const rotated = await rotateClientKey(req.params.id);
+        if (!rotated) {
+            return res.status(404).json({ success: false, error: 'API client not found' });
+        }
+        await recordAudit({ action: 'client.key_rotated', outcome: 'ok', actor: 'admin', req, details: { clientId: rotated.client.id } });
+        res.json({ success: true, data: { ...rotated.client, apiKey: rotated.apiKey } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/clients/:id', requireAdmin, async (req, res) => {
+    try {
+        const client = await revokeClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'API client not found' });
+        }
+        await recordAudit({ action: 'client.revoked', outcome: 'ok', actor: 'admin', req, details: { clientId: client.id } });
+        res.json({ success: true, data: client });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Registrations counted against a client's daily quota (?days=, default 30)
+app.get('/admin/clients/:id/usage', requireAdmin, async (req, res) => {
+    try {
+        const client = await getClient(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'API client not found' });
+        }
+        const days = Math.min(Math.max(parseInt(req.query.days || '30') || 30, 1), 90);
+        res.json({ success: true, data: { clientId: client.id, limits: describeLimits(client), usage: await listUsage(client.id, days) } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Audit trail (?clientId=, ?action=, ?jobId= - clientId "anonymous" for unauthenticated calls)
+app.get('/admin/audit', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        const { clientId, action, jobId } = req.query;
+        res.json({ success: true, data: await listAudit({ clientId, action, jobId, limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The calling API client, its limits, the networks it may register on and today's usage
+app.get('/client', authenticate, async (req, res) => {
+    try {
+        if (!req.client) {
+            return res.status(401).json({ error: 'Authentication required - send an API key (X-API-Key) or a bearer token' });
+        }
+        res.json({
+            success: true,
+            data: { ...req.client, limits: describeLimits(req.client), allowedNetworks: allowedNetworks(req.client), usage: await getUsage(req.client.id) },
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Describes what devices have to sign (EIP-712 domain/types and the EIP-191 message format)
+app.get('/device-signing', withNetwork, (req, res) => {
+    res.json({
+        network: req.network.profile.name,
+        eip712: {
+            domain: signingDomain(req.network.profile.chainId),
+            primaryType: 'Capture',
+            types: CAPTURE_TYPES,
+        },
+        eip191: {
+            message: captureMessage({ imageCid: '<imageCid>', metadataCid: '<metadataCid or empty>', capturedAt: '<unix seconds>', nonce: '<nonce>' }),
+        },
+        requestFields: ['signature', 'signatureType', 'capturedAt', 'nonce', 'network'],
+        revenueClaim: {
+            domain: signingDomain(req.network.profile.chainId),
+            primaryType: 'RevenueClaim',
+            types: CLAIM_TYPES,
+            requestFields: ['signature', 'issuedAt', 'nonce', 'payoutAddress'],
+        },
+    });
+});
+
+// License flavors, currencies and limits accepted in the `licenses` field of registrations
+app.get('/license-policy', (req, res) => {
+    res.json(describeLicensePolicy());
+});
+
+// Versioned JSON schemas for depth metadata (depthMetadata / metadataCid documents)
+app.get('/capture-schema', (req, res) => {
+    res.json(describeCaptureSchemas());
+});
+
+// Shape a registration job for API responses
+function formatJob(job) {
+    const minted = job.outputs.minting || {};
+    return {
+        jobId: job.id,
+        status: job.status,
+        stage: job.stage,
+        attempts: job.attempts,
+        lastError: job.lastError,
+        nextAttemptAt: job.nextAttemptAt ? new Date(job.nextAttemptAt).toISOString() : null,
+        ipId: minted.ipId || null,
+        txHash: minted.txHash || null,
+        result: job.result,
+        history: job.history,
+        statusUrl: `/jobs/${job.id}`,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+}
+
+// Run a capture through the admission checks shared by single and batch registration:
+// network, validation (including the depth metadata schema), the API client's policy, device signature,
+// duplicate detection, nonce replay and the imageCid claim.
+// Captures inside a batch fall back to the batch's network/tenant and must end up on its network.
+// Returns { status, error } (rejected), { duplicate } (already registered) or { input }.
+async function admitRegistration(body, jobId, { parse = parseRegistrationRequest, batch = null, client = null } = {}) {
+    const resolved = resolveNetwork({
+        network: body.network || (batch && batch.network),
+        tenant: body.tenant || (batch && batch.tenant),
+    }, { caller: { client } });
+    if (resolved.error) {
+        return { status: resolved.status, error: resolved.error };
+    }
+    if (batch && resolved.network !== batch.resolvedNetwork) {
+        return { status: 400, error: { error: `Capture is for network "${resolved.network}", the batch for "${batch.resolvedNetwork}"` } };
+    }
+    const { profile, collections, publicClient } = networks[resolved.network];
+
+    const { error, input } = parse(body, collections);
+    if (error) {
+        return { status: 400, error };
+    }
+    input.network = profile.name;
+
+    // Unknown tenants/device classes must not get a new collection minted with the server's gas
+    const collectionError = await collections.checkKey(input.collectionKey);
+    if (collectionError) {
+        return { status: 400, error: collectionError };
+    }
+
+    // The calling API client can be held to narrower fees and revenue shares than the server's policy
+    const violations = checkClientPolicy(client, input);
+    if (violations.length > 0) {
+        metrics.apiRejections.inc({ client: client.id, reason: 'policy' });
+        return { status: 403, error: { error: 'Request is outside the license policy of this API client', violations } };
+    }
+    input.clientId = client ? client.id : null;
+
+    const captureMetadata = await checkCaptureMetadata(input);
+    if (captureMetadata.error) {
+        return { status: 400, error: captureMetadata.error };
+    }
+
+    // Derivatives can only be linked to registered parents that offer the chosen terms
+    if (input.derivative) {
+        const problems = await checkDerivativeParents(publicClient, input.derivative.parentIpIds, input.derivative.licenseTermsIds);
+        if (problems.length > 0) {
+            return { status: 400, error: { error: 'Invalid parent IP assets', parents: problems } };
+        }
+    }
+
+    // The device must have signed this capture - deviceAddress alone proves nothing
+    const verified = await verifyDeviceSignature(body, { chainId: profile.chainId });
+    if (verified.error) {
+        return { status: verified.status, error: verified.error };
+    }
+    input.deviceSignature = verified.signature;
+
+    // Already registered (or in flight) - return the original instead of minting again
+    const existing = await findExistingRegistration(input.imageCid, getAnyJob);
+    if (existing && !input.force) {
+        return { duplicate: existing };
+    }
+
+    if (existing) {
+        input.supersedes = { ipId: existing.ipId || null, txHash: existing.txHash || null, jobId: existing.jobId || null };
+    }
+
+    if (!(await consumeNonce(input.deviceSignature))) {
+        return { status: 409, error: { error: 'Signature nonce was already used (replay)', nonce: input.deviceSignature.nonce } };
+    }
+
+    let claim;
+    try {
+        claim = await claimRegistration(input.imageCid, jobId, {
+            force: input.force,
+            previous: existing,
+            getJob: getAnyJob,
         });
-        
-        const ipfsHash = response.data.IpfsHash;
-        console.log(`   ✓ Uploaded to IPFS: ${ipfsHash}`);
-        
-        return ipfsHash;
     } catch (error) {
-        console.error('   ✗ Pinata upload failed:', error.message);
-        throw new Error(`Failed to upload JSON to IPFS: ${error.message}`);
+        await releaseNonce(input.deviceSignature).catch(() => {});
+        throw error;
+    }
+    if (!claim.claimed) {
+        // Lost the race against a concurrent request for the same image - nothing was
+        // registered under this signature, so a retry must not be taken for a replay
+        await releaseNonce(input.deviceSignature).catch(() => {});
+        return { duplicate: claim.existing };
     }
+
+    return { input };
 }
 
-// Helper function to update Supabase with IP registration data
-async function updateSupabaseWithIPData(imageCid, ipUrl, txHash) {
-    if (!SUPABASE_URL || !SUPABASE_KEY) {
-        console.log('   ⚠️  Skipping Supabase update (credentials not configured)');
-        return null;
-    }
-
-    console.log(`\n📊 Updating Supabase database...`);
-    console.log(`   Table: images`);
-    console.log(`   Looking for image_cid: ${imageCid}`);
-    console.log(`   Will set ip: ${ipUrl}`);
-    console.log(`   Will set tx_hash: ${txHash}`);
-    
-    try {
-        const baseUrl = `${SUPABASE_URL}/rest/v1/images`;
-        const headers = {
-            'apikey': SUPABASE_KEY,
-            'Authorization': `Bearer ${SUPABASE_KEY}`,
-            'Content-Type': 'application/json',
-            'Prefer': 'return=representation'
+// Undo the nonce and imageCid claim of an admitted capture that did not get queued,
+// so the client's retry is admitted again instead of being taken for a replay
+async function releaseAdmission(input, jobId) {
+    try {
+        await releaseRegistration(input.imageCid, jobId);
+        await releaseNonce(input.deviceSignature);
+    } catch (error) {
+        logger.error('Could not release admitted capture', { jobId, imageCid: input.imageCid, error: error.message });
+    }
+}
+
+// Replay the job stored for an Idempotency-Key. Returns a response payload, or null if the key is new.
+async function replayIdempotencyKey(idempotencyKey, requestHash) {
+    const seen = await lookupIdempotencyKey(idempotencyKey, requestHash);
+    if (seen && seen.conflict) {
+        return {
+            status: 422,
+            body: { error: 'Idempotency-Key was already used with a different request body' },
         };
-        
-        // First, check if row exists
-        console.log(`   Checking if row exists...`);
-        const checkUrl = `${baseUrl}?image_cid=eq.${imageCid}&select=wallet_address,image_cid,metadata_cid`;
-        const checkResponse = await axios.get(checkUrl, { headers });
-        
-        if (!checkResponse.data || checkResponse.data.length === 0) {
-            console.error(`   ✗ ERROR: No row found with image_cid = ${imageCid}`);
-            console.error(`   Make sure IPFS service created the row first!`);
-            return null;
-        }
-        
-        console.log(`   ✓ Found existing row:`, checkResponse.data[0]);
-        
-        // Update the row
-        const updateUrl = `${baseUrl}?image_cid=eq.${imageCid}`;
-        const updateData = {
-            ip: ipUrl,
-            tx_hash: txHash
+    }
+    const job = seen ? await getAnyJob(seen.jobId) : null;
+    if (job) {
+        return {
+            status: 200,
+            body: { success: true, replayed: true, data: formatJob(job), timestamp: new Date().toISOString() },
         };
-        
-        console.log(`   Sending PATCH request to: ${updateUrl}`);
-        console.log(`   Data:`, updateData);
-        
-        const response = await axios.patch(updateUrl, updateData, { 
-            headers,
-            timeout: 10000 
+    }
+    return null;
+}
+
+// Idempotency keys are scoped to the API client - two clients may pick the same key
+function idempotencyKeyOf(req) {
+    const key = req.get('Idempotency-Key');
+    return key && req.client ? `${req.client.id}:${key}` : key;
+}
+
+// Reserve `count` captures of the caller's daily quota (anonymous callers have none).
+// Returns true, or answers 429 and returns false.
+async function takeQuota(req, res, count, action) {
+    if (!req.client) {
+        return true;
+    }
+    const { allowed, quota, used } = await reserveQuota(req.client, count);
+    if (allowed) {
+        return true;
+    }
+    metrics.apiRejections.inc({ client: req.client.id, reason: 'daily_quota' });
+    await recordAudit({ action, outcome: 'rejected', client: req.client, req, details: { status: 429, error: 'Daily registration quota exceeded', quota, used, requested: count } });
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    res.set('Retry-After', String(Math.ceil((midnight.getTime() - Date.now()) / 1000)));
+    res.status(429).json({ error: `Daily registration quota of ${quota} exceeded`, quota, used, requested: count });
+    return false;
+}
+
+// Give back quota reserved for captures that were not queued
+async function returnQuota(client, count) {
+    if (client && count > 0) {
+        await releaseQuota(client, count).catch(error => logger.warn('Could not release quota', { clientId: client.id, count, error: error.message }));
+    }
+}
+
+// Validate a registration request and queue its job. Repeats (same Idempotency-Key,
+// or an imageCid that is already registered) get the original registration back
+// unless `force` is set. Every outcome goes into the audit trail.
+async function queueRegistration(req, res, parse) {
+    const { client } = req;
+    const action = parse === parseDerivativeRequest ? 'derivative_registration' : 'registration';
+    const audit = (outcome, fields) => recordAudit({ action, outcome, client, req, imageCid: (req.body || {}).imageCid || null, ...fields });
+    let reserved = 0;
+    try {
+        const idempotencyKey = idempotencyKeyOf(req);
+        const requestHash = hashRequest(req.body);
+
+        if (idempotencyKey) {
+            const replay = await replayIdempotencyKey(idempotencyKey, requestHash);
+            if (replay) {
+                await audit(replay.status === 200 ? 'replayed' : 'rejected', {
+                    jobId: replay.body.data ? replay.body.data.jobId : null,
+                    details: replay.status === 200 ? undefined : { status: replay.status, error: replay.body },
+                });
+                return res.status(replay.status).json(replay.body);
+            }
+        }
+
+        if (!(await takeQuota(req, res, 1, action))) {
+            return;
+        }
+        reserved = client ? 1 : 0;
+
+        const jobId = randomUUID();
+        const admitted = await admitRegistration(req.body, jobId, { parse, client });
+        if (admitted.error) {
+            await audit('rejected', { details: { status: admitted.status, error: admitted.error } });
+            return res.status(admitted.status).json(admitted.error);
+        }
+
+        if (admitted.duplicate) {
+            const existing = admitted.duplicate;
+            const job = existing.jobId ? await getAnyJob(existing.jobId) : null;
+            if (idempotencyKey && job) {
+                await rememberIdempotencyKey(idempotencyKey, requestHash, job.id);
+            }
+            await audit('duplicate', { jobId: existing.jobId || null, details: { ipId: existing.ipId || null } });
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                data: job ? formatJob(job) : existing,
+                timestamp: new Date().toISOString(),
+            });
+        }
+
+        const { input } = admitted;
+        let job;
+        try {
+            job = await registrationJobs.enqueue(input, { id: jobId, requestId: req.requestId });
+        } catch (error) {
+            await releaseAdmission(input, jobId);
+            throw error;
+        }
+        reserved = 0;
+        if (idempotencyKey) {
+            await rememberIdempotencyKey(idempotencyKey, requestHash, job.id);
+        }
+        await notifyJobStarted(job, input);
+        await audit('queued', { jobId: job.id, network: input.network });
+
+        logger.info(input.derivative ? 'Queued derivative IP registration' : 'Queued IP registration', {
+            jobId: job.id,
+            imageCid: input.imageCid,
+            network: input.network,
+            deviceAddress: input.deviceAddress,
+            clientId: input.clientId || undefined,
+            ...(input.derivative
+                ? { parentIpIds: input.derivative.parentIpIds, licenseTermsIds: input.derivative.licenseTermsIds }
+                : { licenses: input.licenses.map(spec => ({ flavor: spec.flavor, mintingFeeWei: spec.mintingFeeWei, commercialRevShare: spec.commercialRevShare })) }),
+            supersedes: input.supersedes ? input.supersedes.ipId : undefined,
         });
-        
-        console.log(`   Response status: ${response.status}`);
-        console.log(`   Response data:`, response.data);
-        
-        // Verify the update actually worked by fetching the row again
-        console.log(`   Verifying update...`);
-        const verifyResponse = await axios.get(
-            `${baseUrl}?image_cid=eq.${imageCid}&select=image_cid,ip,tx_hash`,
-            { headers, timeout: 5000 }
-        );
-        
-        if (verifyResponse.data && verifyResponse.data.length > 0) {
-            const row = verifyResponse.data[0];
-            console.log(`   Verification result:`, row);
-            
-            if (row.ip === ipUrl && row.tx_hash === txHash) {
-                console.log(`   ✅ CONFIRMED: Data successfully written to Supabase!`);
-                return row;
-            } else {
-                console.error(`   ❌ VERIFICATION FAILED: Data not written!`);
-                console.error(`   Expected ip: ${ipUrl}`);
-                console.error(`   Got ip: ${row.ip}`);
-                console.error(`   Expected tx_hash: ${txHash}`);
-                console.error(`   Got tx_hash: ${row.tx_hash}`);
-                console.error(`   This might be an RLS (Row Level Security) policy issue.`);
-                console.error(`   Make sure your SUPABASE_SERVICE_ROLE_KEY has update permissions.`);
-                return null;
+
+        res.status(202).json({
+            success: true,
+            data: formatJob(job),
+            timestamp: new Date().toISOString(),
+        });
+
+    } catch (error) {
+        logger.error('Error queueing IP registration', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+        });
+    } finally {
+        await returnQuota(client, reserved);
+    }
+}
+
+// Register IP Asset endpoint - queues a registration job for an original capture
+app.post('/register-ip', authenticate, rateLimit, (req, res) => queueRegistration(req, res, parseRegistrationRequest));
+
+// Register a derivative (crop, annotation, enhancement, redaction, ...) of one or more
+// registered captures. Takes the /register-ip fields plus parentIpIds and the
+// licenseTermsIds to derive under; the asset is linked to its parents on-chain.
+app.post('/register-derivative', authenticate, rateLimit, (req, res) => queueRegistration(req, res, parseDerivativeRequest));
+
+// Batch registration - { captures: [ <register-ip body>, ... ], network? } queued as a single job
+// on one network. Every capture is admitted on its own; the response lists which were queued, which are
+// duplicates and which were rejected (with the same errors /register-ip would return).
+// Queued captures are minted together, see lib/batch.js.
+app.post('/register-ip/batch', authenticate, rateLimit, async (req, res) => {
+    const { client } = req;
+    let reserved = 0;
+    try {
+        const { captures } = req.body;
+        if (!Array.isArray(captures) || captures.length === 0) {
+            return res.status(400).json({ error: 'captures must be a non-empty array of registration requests' });
+        }
+        if (captures.length > BATCH_MAX_ITEMS) {
+            return res.status(400).json({ error: `A batch can hold at most ${BATCH_MAX_ITEMS} captures`, provided: captures.length });
+        }
+
+        const idempotencyKey = idempotencyKeyOf(req);
+        const requestHash = hashRequest(req.body);
+
+        if (idempotencyKey) {
+            const replay = await replayIdempotencyKey(idempotencyKey, requestHash);
+            if (replay) {
+                await recordAudit({
+                    action: 'batch_registration',
+                    outcome: replay.status === 200 ? 'replayed' : 'rejected',
+                    client,
+                    req,
+                    jobId: replay.body.data ? replay.body.data.jobId : null,
+                    details: replay.status === 200 ? undefined : { status: replay.status, error: replay.body },
+                });
+                return res.status(replay.status).json(replay.body);
             }
-        } else {
-            console.error(`   ❌ Row disappeared after update! This shouldn't happen.`);
-            return null;
         }
+
+        const batchNetwork = resolveNetwork(req.body, { caller: { client } });
+        if (batchNetwork.error) {
+            return res.status(batchNetwork.status).json(batchNetwork.error);
+        }
+        const batch = { network: req.body.network, tenant: req.body.tenant, resolvedNetwork: batchNetwork.network };
+
+        // Every capture counts against the quota; the ones that are not queued are given back
+        if (!(await takeQuota(req, res, captures.length, 'batch_registration'))) {
+            return;
+        }
+        reserved = client ? captures.length : 0;
+
+        const jobId = randomUUID();
+        const items = [];
+        const admission = [];
+
+        // If the batch fails before its job is queued, the captures admitted so far are released again
+        const releaseAdmitted = () => Promise.all(items.map(item => releaseAdmission(item.input, jobId)));
+
+        try {
+            for (const [index, capture] of captures.entries()) {
+                const admitted = await admitRegistration(capture || {}, jobId, { batch, client });
+                if (admitted.error) {
+                    admission.push({ index, imageCid: capture && capture.imageCid, status: 'rejected', httpStatus: admitted.status, error: admitted.error });
+                } else if (admitted.duplicate) {
+                    admission.push({ index, imageCid: capture.imageCid, status: 'duplicate', existing: admitted.duplicate });
+                } else {
+                    items.push({ index, input: admitted.input });
+                    admission.push({ index, imageCid: capture.imageCid, status: 'queued' });
+                }
+            }
+        } catch (error) {
+            await releaseAdmitted();
+            throw error;
+        }
+
+        // One audit entry per capture, pointing at the batch job for the queued ones
+        const auditBatch = (queuedJobId) => Promise.all(admission.map(item => recordAudit({
+            action: 'batch_registration',
+            outcome: item.status,
+            client,
+            req,
+            jobId: item.status === 'queued' ? queuedJobId : (item.existing && item.existing.jobId) || null,
+            imageCid: typeof item.imageCid === 'string' ? item.imageCid : null,
+            network: batch.resolvedNetwork,
+            details: item.status === 'rejected' ? { index: item.index, status: item.httpStatus, error: item.error } : { index: item.index },
+        })));
+
+        if (items.length === 0) {
+            await auditBatch(null);
+            return res.status(200).json({
+                success: true,
+                data: { jobId: null, queued: 0, items: admission },
+                timestamp: new Date().toISOString(),
+            });
+        }
+
+        let job;
+        try {
+            job = await batchJobs.enqueue({ items, network: batch.resolvedNetwork }, { id: jobId, requestId: req.requestId });
+        } catch (error) {
+            await releaseAdmitted();
+            throw error;
+        }
+        reserved -= client ? items.length : 0;
+        if (idempotencyKey) {
+            await rememberIdempotencyKey(idempotencyKey, requestHash, job.id);
+        }
+        for (const item of items) {
+            await notifyJobStarted(job, item.input);
+        }
+        await auditBatch(job.id);
+
+        logger.info('Queued batch registration', { jobId: job.id, queued: items.length, captures: captures.length, network: batch.resolvedNetwork, clientId: client ? client.id : undefined });
+
+        res.status(202).json({
+            success: true,
+            data: { ...formatJob(job), queued: items.length, items: admission },
+            timestamp: new Date().toISOString(),
+        });
+
     } catch (error) {
-        console.error(`   ✗ Failed to update Supabase:`);
-        console.error(`   Error: ${error.message}`);
-        if (error.response) {
-            console.error(`   Status: ${error.response.status}`);
-            console.error(`   Response:`, JSON.stringify(error.response.data, null, 2));
+        logger.error('Error queueing batch registration', { error: error.message });
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString(),
+        });
+    } finally {
+        await returnQuota(client, reserved);
+    }
+});
+
+// Registration job status (single or batch) - stage is one of pinning, minting, provenance, db-sync or done
+app.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await getAnyJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
         }
-        // Don't throw - we don't want Supabase errors to break IP registration
-        return null;
+
+        res.json({
+            success: true,
+            data: formatJob(job),
+            timestamp: new Date().toISOString(),
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
+
+// Reject requests whose :ipId / :address path parameter is not an address
+function requireAddressParam(name) {
+    return (req, res, next) => {
+        if (!isAddress(req.params[name] || '')) {
+            return res.status(400).json({ error: `${name} is not a valid address`, provided: req.params[name] });
+        }
+        req.params[name] = getAddress(req.params[name]);
+        next();
+    };
 }
 
-// Get or create SPG NFT Collection (called once on first registration)
-async function getOrCreateCollection() {
-    // Check if we already have a collection
-    if (spgNftContract) {
-        return spgNftContract;
-    }
-
-    console.log('\n📦 Creating new SPG NFT Collection for DeepShare...');
-    
-    const newCollection = await storyClient.nftClient.createNFTCollection({
-        name: 'DeepShare Evidence Collection',
-        symbol: 'DEEPSHARE',
-        isPublicMinting: false, // Only server can mint
-        mintOpen: true,
-        mintFeeRecipient: zeroAddress,
-        contractURI: '',
-    });
+// Parse an optional comma-separated ?tokens= list of currency tokens
+function tokensFromQuery(req) {
+    if (!req.query.tokens) {
+        return undefined;
+    }
+    const tokens = String(req.query.tokens).split(',').map(token => token.trim());
+    return tokens.every(token => isAddress(token)) ? tokens.map(token => getAddress(token)) : null;
+}
 
-    spgNftContract = newCollection.spgNftContract;
-    console.log(`✅ Collection created: ${spgNftContract}`);
-    console.log(`   Transaction: ${newCollection.txHash}`);
-    
-    return spgNftContract;
+// Pagination from ?limit=&offset= (limit capped because every item is read from chain)
+function pageFromQuery(req) {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit || '20') || 20, 50));
+    const offset = Math.max(0, parseInt(req.query.offset || '0') || 0);
+    return { limit, offset };
 }
 
-// Register IP Asset endpoint
-app.post('/register-ip', async (req, res) => {
+// Registered evidence: stored registration details plus on-chain owner, license terms and lineage
+app.get('/ip/:ipId', requireAddressParam('ipId'), withNetwork, async (req, res) => {
     try {
-        const { 
-            imageCid,           // IPFS CID of the original image (from IPFS service)
-            metadataCid,        // IPFS CID of the metadata JSON (from IPFS service) - OPTIONAL
-            depthMetadata,      // Depth information metadata (if not using metadataCid)
-            deviceAddress,      // Device wallet address (for attribution)
-            mintingFee,         // Minting fee in IP tokens (e.g., "0.1") - SET BY USER
-            commercialRevShare  // Revenue share percentage (e.g., 10) - SET BY USER
-        } = req.body;
+        const data = await req.network.evidence.getIp(req.params.ipId);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'IP asset not found' });
+        }
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Validation - need either imageCid or both
-        if (!imageCid || !deviceAddress) {
+app.get('/images/:imageCid', withNetwork, async (req, res) => {
+    try {
+        const data = await req.network.evidence.getImage(req.params.imageCid);
+        if (!data) {
+            return res.status(404).json({ success: false, error: 'Image not found' });
+        }
+        res.json({ success: true, data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/devices/:address/ips', requireAddressParam('address'), withNetwork, async (req, res) => {
+    try {
+        res.json({ success: true, data: await req.network.evidence.listDeviceIps(req.params.address, pageFromQuery(req)) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Public evidence check: is this the image that was registered? Takes the image bytes
+// (Content-Type image/* or application/octet-stream) or a JSON body { cid }.
+app.post('/verify', express.raw({ type: ['image/*', 'application/octet-stream'], limit: MAX_CONTENT_BYTES }), withRequestContext, async (req, res) => {
+    try {
+        const bytes = Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : null;
+        const cid = !bytes && req.body ? req.body.cid : null;
+        if (!bytes && !cid) {
             return res.status(400).json({
-                error: 'Missing required fields',
-                required: ['imageCid', 'deviceAddress']
+                error: 'Send the image bytes (Content-Type image/* or application/octet-stream) or a JSON body with cid'
             });
         }
+        if (cid) {
+            try {
+                parseCid(cid);
+            } catch (error) {
+                return res.status(400).json({ error: 'Invalid cid', provided: cid, details: error.message });
+            }
+        }
 
-        // If metadataCid provided, fetch it from IPFS
-        let finalDepthMetadata = depthMetadata;
-        if (metadataCid && !depthMetadata) {
-            console.log(`   Fetching metadata from IPFS: ${metadataCid}`);
+        res.json({ success: true, data: await verifier.verify({ bytes, cid }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Client for the network a manifest's registration names (by profile name, else chain ID)
+function publicClientFor({ network, chainId }) {
+    const context = networks[network] && networks[network].profile.chainId === Number(chainId)
+        ? networks[network]
+        : Object.values(networks).find(candidate => candidate.profile.chainId === Number(chainId));
+    return context ? context.publicClient : null;
+}
+
+// Check a provenance manifest - { manifestCid } or { manifest } - against its signatures and the chain
+app.post('/provenance/verify', async (req, res) => {
+    try {
+        const { manifestCid, manifest } = req.body;
+        if (!manifestCid && !(manifest && typeof manifest === 'object')) {
+            return res.status(400).json({ error: 'Provide manifestCid or manifest' });
+        }
+
+        let document = manifest;
+        if (!document) {
             try {
-                const fullMetadata = await fetchFromIPFS(metadataCid);
-                // Extract depth data from the full metadata
-                if (fullMetadata.data && fullMetadata.data.depthData) {
-                    finalDepthMetadata = fullMetadata.data.depthData;
-                } else {
-                    finalDepthMetadata = fullMetadata;
-                }
+                document = await fetchFromIPFS(manifestCid);
             } catch (error) {
-                console.warn(`   Warning: Could not fetch metadata CID, will use basic info`);
-                finalDepthMetadata = { metadataCid };
+                return res.status(404).json({ success: false, error: `Could not fetch manifest ${manifestCid}: ${error.message}` });
+            }
+            if (!document || typeof document !== 'object') {
+                return res.status(422).json({ success: false, error: `${manifestCid} is not a JSON manifest` });
             }
         }
 
-        if (!finalDepthMetadata) {
-            finalDepthMetadata = { note: 'No depth metadata provided' };
+        const verification = await verifyManifest(document, { publicClientFor, serverAddress: serverWalletAddress });
+        res.json({ success: true, data: { manifestCid: manifestCid || null, ...verification } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Registration manifest of an IP asset, with its verification
+app.get('/ip/:ipId/provenance', requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const manifestCid = await req.network.evidence.findProvenanceManifest(req.params.ipId);
+        if (!manifestCid) {
+            return res.status(404).json({ success: false, error: 'No provenance manifest recorded for this IP asset' });
         }
+        const manifest = await fetchFromIPFS(manifestCid);
+        const verification = await verifyManifest(manifest, { publicClientFor, serverAddress: serverWalletAddress });
+        res.json({ success: true, data: { manifestCid, manifest, verification } });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Use provided values or defaults
-        const finalMintingFee = mintingFee ? parseEther(mintingFee.toString()) : parseEther(DEFAULT_MINTING_FEE);
-        const finalRevShare = commercialRevShare !== undefined ? parseInt(commercialRevShare) : DEFAULT_COMMERCIAL_REV_SHARE;
+// Minting fee for license tokens of an IP asset
+app.get('/ip/:ipId/license-quote', requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const { licenseTermsId, amount = '1' } = req.query;
+        if (!/^[1-9]\d*$/.test(licenseTermsId || '') || !/^[1-9]\d*$/.test(amount)) {
+            return res.status(400).json({ error: 'licenseTermsId and amount must be positive integers' });
+        }
+        res.json({ success: true, data: await req.network.revenue.quoteLicense({ ipId: req.params.ipId, licenseTermsId, amount }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Validate ranges
-        if (finalRevShare < 0 || finalRevShare > 100) {
-            return res.status(400).json({
-                error: 'Commercial revenue share must be between 0 and 100',
-                provided: finalRevShare
-            });
+// Mint license tokens for a buyer who paid the quoted fee to the server wallet -
+// { licenseTermsId, amount?, paymentTxHash }. The tokens go to the payment's sender.
+app.post('/ip/:ipId/license-tokens', requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const { licenseTermsId, amount = 1, paymentTxHash } = req.body;
+        if (!/^[1-9]\d*$/.test(String(licenseTermsId || '')) || !/^[1-9]\d*$/.test(String(amount))) {
+            return res.status(400).json({ error: 'licenseTermsId and amount must be positive integers' });
+        }
+        if (typeof paymentTxHash !== 'string' || !isHash(paymentTxHash)) {
+            return res.status(400).json({ error: 'paymentTxHash must be the hash of the transaction paying the fee (see /ip/:ipId/license-quote)', provided: paymentTxHash });
         }
 
-        console.log(`\n📝 Registering IP for image: ${imageCid}`);
-        console.log(`   Device: ${deviceAddress}`);
-        console.log(`   Minting Fee: ${Number(finalMintingFee) / 1e18} IP tokens`);
-        console.log(`   Revenue Share: ${finalRevShare}%`);
-
-        // Get or create collection
-        const nftContract = await getOrCreateCollection();
-
-        // Prepare IPFS URLs - use HTTP gateway for browser compatibility
-        const imageHttpUrl = `https://gateway.pinata.cloud/ipfs/${imageCid}`;
-        const metadataHttpUrl = metadataCid ? `https://gateway.pinata.cloud/ipfs/${metadataCid}` : imageHttpUrl;
-
-        console.log(`   Image URL: ${imageHttpUrl}`);
-        console.log(`   Metadata URL: ${metadataHttpUrl}`);
-
-        // Create IP Metadata - Story Protocol format
-        // CRITICAL: Use ipfs:// protocol in the metadata JSON itself (not HTTP!)
-        // But we'll upload this JSON and use HTTP gateway for the URI
-        const ipMetadata = storyClient.ipAsset.generateIpMetadata({
-            title: `DeepShare Evidence - ${Date.now()}`,
-            description: metadataCid 
-                ? `Evidence capture with depth mapping. Full depth data stored at: ${metadataHttpUrl}`
-                : `Evidence capture. Device: ${deviceAddress}`,
-            createdAt: Math.floor(Date.now() / 1000).toString(),
-            creators: [{
-                name: 'DeepShare Device',
-                address: deviceAddress,
-                contributionPercent: 100,
-            }],
-            image: `ipfs://${imageCid}`,  // Use ipfs:// in the metadata JSON
-            imageHash: `0x${createHash('sha256').update(imageCid).digest('hex')}`,
-            mediaUrl: metadataCid ? `ipfs://${metadataCid}` : `ipfs://${imageCid}`,  // Link to full depth data
-            mediaHash: metadataCid ? `0x${createHash('sha256').update(metadataCid).digest('hex')}` : `0x${createHash('sha256').update(imageCid).digest('hex')}`,
-            mediaType: metadataCid ? 'application/json' : 'image/jpeg',
-            attributes: [
-                { key: 'Platform', value: 'DeepShare' },
-                { key: 'Type', value: 'Evidence with Depth Mapping' },
-                { key: 'Device', value: deviceAddress },
-                { key: 'ImageCID', value: imageCid },
-                { key: 'MetadataCID', value: metadataCid || 'N/A' },
-                { key: 'DepthDataURL', value: metadataCid ? metadataHttpUrl : 'N/A' },
-            ],
+        logger.info('Minting paid license tokens', { ipId: req.params.ipId, licenseTermsId, amount, paymentTxHash });
+        const { minted, status, error } = await req.network.revenue.mintPaidLicenseTokens({
+            ipId: req.params.ipId,
+            licenseTermsId,
+            amount,
+            paymentTxHash,
         });
+        if (error) {
+            return res.status(status).json(error);
+        }
+        logger.info('License tokens minted', { ipId: req.params.ipId, receiver: minted.receiver, licenseTokenIds: minted.licenseTokenIds });
+        res.json({ success: true, data: minted, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error minting license tokens', { ipId: req.params.ipId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Upload IP metadata JSON to IPFS
-        const ipIpfsHash = await uploadJSONToIPFS(ipMetadata);
-        const ipHash = createHash('sha256').update(JSON.stringify(ipMetadata)).digest('hex');
-
-        // Create NFT Metadata - OpenSea compatible
-        const nftMetadata = {
-            name: `DeepShare Evidence ${Date.now()}`,
-            description: metadataCid 
-                ? `Evidence captured with depth mapping technology. Full depth data available in metadata.`
-                : 'Evidence captured with depth mapping technology',
-            image: `ipfs://${imageCid}`,  // Use ipfs:// in the metadata JSON
-            animation_url: metadataCid ? `ipfs://${metadataCid}` : undefined,
-            external_url: metadataCid ? metadataHttpUrl : imageHttpUrl,
-            attributes: [
-                { trait_type: 'Platform', value: 'DeepShare' },
-                { trait_type: 'Device', value: deviceAddress },
-                { trait_type: 'Timestamp', value: new Date().toISOString() },
-                { trait_type: 'Has Depth Data', value: metadataCid ? 'Yes' : 'No' },
-                { trait_type: 'Image CID', value: imageCid },
-                { trait_type: 'Metadata CID', value: metadataCid || 'N/A' },
-            ],
-        };
+// Grant license tokens with the server wallet paying the fee - { licenseTermsId, amount?, receiver, maxMintingFee }
+app.post('/admin/ip/:ipId/license-tokens', requireAdmin, requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const { licenseTermsId, amount = 1, receiver, maxMintingFee } = req.body;
+        if (!/^[1-9]\d*$/.test(String(licenseTermsId || '')) || !/^[1-9]\d*$/.test(String(amount))) {
+            return res.status(400).json({ error: 'licenseTermsId and amount must be positive integers' });
+        }
+        if (!isAddress(receiver || '')) {
+            return res.status(400).json({ error: 'receiver is not a valid address', provided: receiver });
+        }
+        let maxMintingFeeWei;
+        try {
+            maxMintingFeeWei = parseEther(String(maxMintingFee));
+        } catch (error) {
+            maxMintingFeeWei = 0n;
+        }
+        if (!(maxMintingFeeWei > 0n)) {
+            return res.status(400).json({ error: 'maxMintingFee must be a positive amount of IP tokens (the most the server wallet may pay)', provided: maxMintingFee });
+        }
 
-        // Upload NFT metadata JSON to IPFS
-        const nftIpfsHash = await uploadJSONToIPFS(nftMetadata);
-        const nftHash = createHash('sha256').update(JSON.stringify(nftMetadata)).digest('hex');
-        
-        console.log(`   IP metadata uploaded: ${ipIpfsHash}`);
-        console.log(`   NFT metadata uploaded: ${nftIpfsHash}`);
-
-        console.log('   Registering IP Asset on Story Protocol...');
-
-        // Register IP Asset with Commercial License
-        const response = await storyClient.ipAsset.registerIpAsset({
-            nft: {
-                type: 'mint',
-                spgNftContract: nftContract,
-            },
-            licenseTermsData: [{
-                terms: PILFlavor.commercialRemix({
-                    commercialRevShare: finalRevShare,
-                    defaultMintingFee: finalMintingFee,
-                    currency: WIP_TOKEN_ADDRESS,
-                }),
-            }],
-            ipMetadata: {
-                ipMetadataURI: `https://ipfs.io/ipfs/${ipIpfsHash}`,  // Points to uploaded Story Protocol metadata
-                ipMetadataHash: `0x${ipHash}`,
-                nftMetadataURI: `https://ipfs.io/ipfs/${nftIpfsHash}`,  // Points to uploaded NFT metadata
-                nftMetadataHash: `0x${nftHash}`,
-            },
+        logger.info('Granting license tokens', { ipId: req.params.ipId, licenseTermsId, amount, receiver });
+        const minted = await req.network.revenue.mintLicenseTokens({
+            ipId: req.params.ipId,
+            licenseTermsId,
+            amount,
+            receiver: getAddress(receiver),
+            maxMintingFeeWei,
         });
+        logger.info('License tokens minted', { ipId: req.params.ipId, licenseTokenIds: minted.licenseTokenIds });
+        res.json({ success: true, data: minted, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error minting license tokens', { ipId: req.params.ipId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        console.log(`✅ IP Asset registered: ${response.ipId}`);
-        console.log(`   Transaction: ${response.txHash}`);
+// Revenue claimable by an IP asset (defaults to the allowed license currencies)
+app.get('/ip/:ipId/revenue', requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const tokens = tokensFromQuery(req);
+        if (tokens === null) {
+            return res.status(400).json({ error: 'tokens must be a comma-separated list of token addresses' });
+        }
+        res.json({ success: true, data: await req.network.revenue.claimableRevenue(req.params.ipId, { tokens }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Claim an IP's revenue and pay it out to the device that registered it
+app.post('/ip/:ipId/revenue/claim', requireAdmin, requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        logger.info('Claiming revenue', { ipId: req.params.ipId });
+        const claim = await req.network.revenue.claimRevenue(req.params.ipId);
+        res.json({ success: true, data: claim, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error claiming revenue', { ipId: req.params.ipId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        // Construct IP explorer URL
-        const ipExplorerUrl = `https://aeneid.explorer.story.foundation/ipa/${response.ipId}`;
-        
-        // Update Supabase with IP URL and transaction hash
-        await updateSupabaseWithIPData(imageCid, ipExplorerUrl, response.txHash);
+// Claimable revenue across every asset a device registered
+app.get('/devices/:address/revenue', requireAddressParam('address'), withNetwork, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await req.network.revenue.deviceRevenue(req.params.address, { limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Claim the revenue of every asset a device registered and pay it out to the device.
+// The device authorizes its own claims with a signed RevenueClaim (see /device-signing),
+// which can name another payoutAddress; admins can claim to the device's address.
+app.post('/devices/:address/revenue/claim', requireAddressParam('address'), withNetwork, async (req, res) => {
+    try {
+        const deviceAddress = req.params.address;
+        let payoutAddress = deviceAddress;
+        if (!isAdminRequest(req)) {
+            const verified = await verifyClaimSignature(deviceAddress, req.body || {}, { chainId: req.network.profile.chainId });
+            if (verified.error) {
+                return res.status(verified.status).json(verified.error);
+            }
+            if (!(await consumeNonce(verified.signature))) {
+                return res.status(409).json({ error: 'Signature nonce was already used (replay)', nonce: req.body.nonce });
+            }
+            payoutAddress = verified.payoutAddress;
+        }
 
-        // Return success response
+        logger.info('Claiming device revenue', { deviceAddress, payoutAddress });
+        const result = await req.network.revenue.claimDeviceRevenue(deviceAddress, { payoutAddress });
+        res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error claiming device revenue', { deviceAddress: req.params.address, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Claims made so far (filter by ?deviceAddress= or ?ipId=)
+app.get('/admin/revenue-claims', requireAdmin, withNetwork, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        const { deviceAddress, ipId } = req.query;
         res.json({
             success: true,
-            data: {
-                ipId: response.ipId,
-                tokenId: response.tokenId?.toString(),
-                licenseTermsIds: response.licenseTermsIds?.map(id => id.toString()),
-                txHash: response.txHash,
-                nftContract,
-                imageUrl: imageHttpUrl,
-                imageCid,
-                metadataUrl: metadataHttpUrl,
-                metadataCid: metadataCid || null,
-                depthMetadata: finalDepthMetadata,
-                mintingFee: Number(finalMintingFee) / 1e18,
-                commercialRevShare: finalRevShare,
-                explorerUrl: ipExplorerUrl,
-                transactionUrl: `https://aeneid.storyscan.io/tx/${response.txHash}`,
-            },
-            timestamp: new Date().toISOString(),
+            data: await req.network.revenue.listClaims({
+                deviceAddress: deviceAddress && isAddress(deviceAddress) ? getAddress(deviceAddress) : deviceAddress,
+                ipId: ipId && isAddress(ipId) ? getAddress(ipId) : ipId,
+                limit,
+                offset,
+            }),
         });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
+// Evidence cases - IP groups bundling the captures of one case (see lib/cases.js)
+app.get('/cases', requireAdmin, withNetwork, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await req.network.cases.listCases({ limit, offset }) });
     } catch (error) {
-        console.error('❌ Error registering IP:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString(),
-        });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Create a case - { name, description?, licenseTermsId, ipIds? }. Members must carry the
+// PIL terms licenseTermsId, which are attached to the group.
+app.post('/cases', requireAdmin, withNetwork, async (req, res) => {
+    try {
+        const { error, ...fields } = parseCase(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        logger.info('Creating case', { name: fields.name, ipIds: fields.ipIds });
+        const created = await req.network.cases.createCase(fields);
+        if (created.error) {
+            return res.status(created.status).json(created.error);
+        }
+        res.status(201).json({ success: true, data: created.case, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error creating case', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/cases/:groupIpId', requireAdmin, requireAddressParam('groupIpId'), withNetwork, async (req, res) => {
+    try {
+        const found = await req.network.cases.getCase(req.params.groupIpId);
+        if (!found) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        res.json({ success: true, data: found });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Add registered IP assets to a case - { ipIds }
+app.post('/cases/:groupIpId/ips', requireAdmin, requireAddressParam('groupIpId'), withNetwork, async (req, res) => {
+    try {
+        const { error, ipIds } = parseIpIds(req.body.ipIds);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        const result = await req.network.cases.addToCase(req.params.groupIpId, ipIds);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        if (result.error) {
+            return res.status(result.status).json(result.error);
+        }
+        res.json({ success: true, data: { ...result.case, txHash: result.txHash }, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error adding IP assets to case', { groupIpId: req.params.groupIpId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Remove IP assets from a case - { ipIds }
+app.delete('/cases/:groupIpId/ips', requireAdmin, requireAddressParam('groupIpId'), withNetwork, async (req, res) => {
+    try {
+        const { error, ipIds } = parseIpIds(req.body.ipIds);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        const result = await req.network.cases.removeFromCase(req.params.groupIpId, ipIds);
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Case not found' });
+        }
+        if (result.error) {
+            return res.status(result.status).json(result.error);
+        }
+        res.json({ success: true, data: { ...result.case, txHash: result.txHash }, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error removing IP assets from case', { groupIpId: req.params.groupIpId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Raise a dispute against an IP asset (see lib/disputes.js) -
+// { targetTag, statement, evidenceCids?, ipIds?, caseIpId?, liveness?, bond? }.
+// The evidence document is pinned and the server wallet posts the bond.
+app.post('/ip/:ipId/disputes', requireAdmin, requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const { error, ...dispute } = parseDispute(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        logger.info('Raising dispute', { targetIpId: req.params.ipId, targetTag: dispute.targetTag });
+        const raised = await req.network.disputes.raiseDispute(req.params.ipId, dispute);
+        if (raised.error) {
+            return res.status(raised.status).json(raised.error);
+        }
+        res.status(201).json({ success: true, data: raised.dispute, timestamp: new Date().toISOString() });
+    } catch (error) {
+        logger.error('Error raising dispute', { targetIpId: req.params.ipId, error: error.message });
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Disputes raised from here against an IP asset, with their status, and whether it is tagged
+app.get('/ip/:ipId/disputes', requireAddressParam('ipId'), withNetwork, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await req.network.disputes.listDisputes(req.params.ipId, { limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Dispute status (open, upheld or dismissed) read from the dispute module
+app.get('/disputes/:disputeId', withNetwork, async (req, res) => {
+    try {
+        if (!/^\d+$/.test(req.params.disputeId)) {
+            return res.status(400).json({ error: 'disputeId must be a number', provided: req.params.disputeId });
+        }
+        const dispute = await req.network.disputes.getDispute(req.params.disputeId);
+        if (!dispute) {
+            return res.status(404).json({ success: false, error: 'Dispute not found' });
+        }
+        res.json({ success: true, data: dispute });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Database writes waiting in the outbox for a retry
+app.get('/admin/outbox', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await listOutbox({ limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Retry every outbox entry now instead of waiting for its backoff
+app.post('/admin/outbox/retry', requireAdmin, async (req, res) => {
+    try {
+        await outboxWorker.poll({ all: true });
+        res.json({ success: true, data: await listOutbox({ limit: 1000 }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Webhook subscriptions for registration lifecycle events (see lib/webhooks.js)
+app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await listSubscriptions({ limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Check wallet balance on startup
-storyClient.getWalletBalance().then(balance => {
-    const balanceInIP = Number(balance) / 1e18;
-    console.log(`   Balance: ${balanceInIP.toFixed(4)} IP tokens`);
-    
-    if (balanceInIP < 0.1) {
-        console.warn(`\n⚠️  WARNING: Low balance! You need IP tokens for gas fees.`);
-        console.warn(`   Get testnet tokens: https://faucet.story.foundation/`);
-        console.warn(`   Your address: ${serverWalletAddress}\n`);
+// Subscribe a URL - { url, events?, description? }. The response holds the signing
+// secret, which is not shown again.
+app.post('/admin/webhooks', requireAdmin, async (req, res) => {
+    try {
+        const { error, ...subscription } = parseSubscription(req.body);
+        if (error) {
+            return res.status(400).json(error);
+        }
+        res.status(201).json({ success: true, data: await createSubscription(subscription) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+    try {
+        const subscription = await removeSubscription(req.params.id);
+        if (!subscription) {
+            return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+        }
+        res.json({ success: true, data: subscription });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery log of a subscription (?status=pending|delivered|failed)
+app.get('/admin/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit || '100'), 1000);
+        const offset = parseInt(req.query.offset || '0');
+        res.json({ success: true, data: await listDeliveries(req.params.id, { status: req.query.status, limit, offset }) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Send a delivery again now (e.g. one that failed for good while the subscriber was down)
+app.post('/admin/webhooks/deliveries/:deliveryId/retry', requireAdmin, async (req, res) => {
+    try {
+        const delivery = await redeliver(req.params.deliveryId);
+        if (!delivery) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        res.json({ success: true, data: delivery });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-}).catch(err => {
-    console.error('   Could not check balance:', err.message);
 });
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`\n🚀 DeepShare IP Registration Server`);
-    console.log(`   Port: ${PORT}`);
-    console.log(`   Network: ${CHAIN_ID}`);
-    console.log(`   RPC: ${RPC_URL}`);
-    console.log(`   Default License Fee: ${DEFAULT_MINTING_FEE} IP tokens`);
-    console.log(`   Default Revenue Share: ${DEFAULT_COMMERCIAL_REV_SHARE}%`);
-    console.log(`   Note: Users can override these per capture`);
-    console.log(`\n✅ Server ready to register IP assets\n`);
+    const storage = describeStorage();
+    logger.info('DeepShare IP Registration Server started', {
+        port: Number(PORT),
+        networks: Object.values(networks).map(({ profile }) => ({
+            name: profile.name,
+            default: profile.name === DEFAULT_NETWORK,
+            chainId: profile.chainId,
+            rpcUrl: profile.rpcUrl,
+        })),
+        ipfs: { pinning: storage.pinningBackend, gateways: storage.gateways },
+        defaultMintingFee: DEFAULT_MINTING_FEE,
+        defaultCommercialRevShare: DEFAULT_COMMERCIAL_REV_SHARE,
+        apiAuth: REQUIRE_API_AUTH ? 'required' : 'optional',
+    });
+    if (!REQUIRE_API_AUTH) {
+        logger.warn('API authentication is off (REQUIRE_API_AUTH=false) - anonymous callers can queue registrations without a daily quota');
+    }
+
+    // Start processing queued registrations (including ones left over from a restart)
+    registrationJobs.start();
+    batchJobs.start();
+    // Retry database writes that failed earlier
+    outboxWorker.start();
+    // Deliver (and retry) webhook notifications
+    webhookWorker.start();
+    // Watch the server wallet balance
+    balanceMonitor.start();
 });
 
 module.exports = app;
@@ -0,0 +1,97 @@
+/**
+ * Local stand-in for the external signing service (SIGNER_BACKEND=remote)
+ * Implements the signing API described in lib/signers.js with keys held in
+ * memory - for development and tests only, use a real KMS/HSM-backed service
+ * in production.
+ *
+ * Usage:
+ *   SIGNER_SERVICE_KEYS=0xkey1,0xkey2 SIGNER_SERVICE_TOKEN=secret node signer-service.js
+ * then run the server with SIGNER_BACKEND=remote, SIGNER_SERVICE_URL=http://localhost:3010,
+ * the same SIGNER_SERVICE_TOKEN and SIGNER_ADDRESSES set to the printed addresses.
+ *
+ * It signs anything for whoever holds the token, so it does not start without
+ * SIGNER_SERVICE_TOKEN and only listens on 127.0.0.1 unless SIGNER_SERVICE_HOST says otherwise.
+ */
+
+const express = require('express');
+const { parseTransaction } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { decodeJSON } = require('./lib/signers');
+const { logger } = require('./lib/logger');
+require('dotenv').config();
+
+const PORT = process.env.SIGNER_SERVICE_PORT || 3010;
+const HOST = process.env.SIGNER_SERVICE_HOST || '127.0.0.1';
+
+// The signing service app for `keys` (private keys), accepting requests bearing `token`
+function createSignerService({ keys, token }) {
+    if (!token) {
+        throw new Error('The signing service needs a token');
+    }
+    const accounts = new Map(keys
+        .map(key => privateKeyToAccount(key.startsWith('0x') ? key : `0x${key}`))
+        .map(account => [account.address.toLowerCase(), account]));
+
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    app.use((req, res, next) => {
+        if (req.get('authorization') !== `Bearer ${token}`) {
+            return res.status(401).json({ error: 'Invalid signing service token' });
+        }
+        next();
+    });
+
+    app.get('/accounts', (req, res) => {
+        res.json({ addresses: [...accounts.values()].map(account => account.address) });
+    });
+
+    app.post('/sign', async (req, res) => {
+        const { address, kind, payload } = req.body || {};
+        const account = accounts.get(String(address || '').toLowerCase());
+        if (!account) {
+            return res.status(404).json({ error: `No key for ${address}` });
+        }
+        try {
+            let signature;
+            if (kind === 'transaction') {
+                signature = await account.signTransaction(parseTransaction(payload));
+            } else if (kind === 'message') {
+                signature = await account.signMessage({ message: payload.message });
+            } else if (kind === 'typedData') {
+                signature = await account.signTypedData(decodeJSON(payload));
+            } else {
+                return res.status(400).json({ error: `Unknown kind "${kind}" (expected transaction, message or typedData)` });
+            }
+            logger.info('Signed', { kind, signer: account.address });
+            res.json({ signature });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    app.locals.addresses = [...accounts.values()].map(account => account.address);
+    return app;
+}
+
+if (require.main === module) {
+    const keys = (process.env.SIGNER_SERVICE_KEYS || '').split(',').map(key => key.trim()).filter(Boolean);
+    if (keys.length === 0) {
+        console.error('❌ SIGNER_SERVICE_KEYS is empty - set comma-separated private keys');
+        process.exit(1);
+    }
+    if (!process.env.SIGNER_SERVICE_TOKEN) {
+        console.error('❌ SIGNER_SERVICE_TOKEN is not set - the signing service does not run without a token');
+        process.exit(1);
+    }
+
+    const app = createSignerService({ keys, token: process.env.SIGNER_SERVICE_TOKEN });
+    app.listen(PORT, HOST, () => {
+        console.log(`🔐 Signing service stand-in on ${HOST}:${PORT}`);
+        for (const address of app.locals.addresses) {
+            console.log(`   ${address}`);
+        }
+    });
+}
+
+module.exports = { createSignerService };
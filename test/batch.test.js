@@ -0,0 +1,123 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Jobs, claims and webhook deliveries go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.JOB_MAX_ATTEMPTS = '3';
+process.env.JOB_BACKOFF_BASE_MS = '20';
+process.env.JOB_POLL_INTERVAL_MS = '20';
+process.env.BATCH_MINT_CHUNK = '2';
+
+const store = require('../lib/store');
+const { createJobQueue } = require('../lib/jobs');
+const { createBatchPipeline } = require('../lib/batch');
+const { claimRegistration, findExistingRegistration } = require('../lib/idempotency');
+
+const queues = [];
+after(() => {
+    queues.forEach(queue => queue.stop());
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const ipId = (n) => `0x${(0xa000 + n).toString(16).padStart(40, '0')}`;
+
+// A chain where the batched call always fails and single registrations fail while
+// `failing(imageCid, attempt)` says so
+function setup(namespace, failing) {
+    const attempts = new Map();
+    const recorded = [];
+    const storyClient = {
+        ipAsset: {
+            batchRegisterIpAssetsWithOptimizedWorkflows: async () => { throw new Error('multicall reverted'); },
+            registerIpAsset: async ({ ipMetadata }) => {
+                const imageCid = ipMetadata.imageCid;
+                const attempt = (attempts.get(imageCid) || 0) + 1;
+                attempts.set(imageCid, attempt);
+                if (failing(imageCid, attempt)) throw new Error(`mint of ${imageCid} reverted`);
+                return { ipId: ipId(recorded.length), tokenId: 1n, txHash: `0x${imageCid}` };
+            },
+        },
+    };
+    const steps = {
+        pinning: async (input) => ({ ipHash: input.imageCid }),
+        licenseTermsFor: () => [],
+        ipMetadataFor: (pinned) => ({ imageCid: pinned.ipHash }),
+        recoverMinted: async () => null,
+        currentBlock: async () => '1',
+        record: async (input, pinned, minted) => recorded.push({ imageCid: input.imageCid, ...minted }),
+    };
+    const pipeline = createBatchPipeline({
+        collections: { getCollection: async () => '0x00000000000000000000000000000000000000c1' },
+        registration: { steps, buildResult: (input, outputs) => ({ imageCid: input.imageCid, ipId: outputs.minting.ipId }) },
+        signers: {
+            primary: { address: '0x00000000000000000000000000000000000005e1' },
+            withSigner: (fn) => fn({ storyClient }),
+            minedHash: (hash) => hash,
+        },
+    });
+    const queue = createJobQueue({ namespace, ...pipeline });
+    queue.start();
+    queues.push(queue);
+    return { queue, attempts, recorded };
+}
+
+async function runBatch(queue, imageCids) {
+    const items = imageCids.map((imageCid, index) => ({
+        index,
+        input: { imageCid, deviceAddress: '0x00000000000000000000000000000000000000d1', network: 'aeneid', collectionKey: 'default' },
+    }));
+    const job = await queue.enqueue({ items });
+    for (const { input } of items) {
+        await claimRegistration(input.imageCid, job.id, { getJob: queue.getJob });
+    }
+    for (;;) {
+        const current = await queue.getJob(job.id);
+        if (['completed', 'failed'].includes(current.status)) return current;
+        await sleep(20);
+    }
+}
+
+async function failedEvents() {
+    const deliveries = await store.list('webhook_deliveries', { limit: 1000 });
+    return deliveries.filter(delivery => delivery.type === 'registration.failed').map(delivery => delivery.payload.data.imageCid);
+}
+
+// A subscriber to failures, so each registration.failed leaves a delivery behind
+before(async () => {
+    await store.put('webhook_subscriptions', 'sub-1', { id: 'sub-1', url: 'http://127.0.0.1:9/hook', events: ['registration.failed'], status: 'active' });
+});
+
+test('items that fail to mint are retried without minting the others again', async () => {
+    const { queue, attempts, recorded } = setup('test_batch_retry', (imageCid, attempt) => imageCid === 'QmR2' && attempt < 3);
+    const job = await runBatch(queue, ['QmR1', 'QmR2', 'QmR3']);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.succeeded, 3);
+    assert.equal(attempts.get('QmR1'), 1);
+    assert.equal(attempts.get('QmR3'), 1);
+    assert.equal(attempts.get('QmR2'), 3);
+    assert.deepEqual(recorded.map(entry => entry.imageCid).sort(), ['QmR1', 'QmR2', 'QmR3']);
+    assert.deepEqual(await failedEvents(), []);
+});
+
+test('items still failing on the last attempt are released and reported once', async () => {
+    const { queue, attempts } = setup('test_batch_exhausted', (imageCid) => imageCid === 'QmX2');
+    const job = await runBatch(queue, ['QmX1', 'QmX2']);
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.result.succeeded, 1);
+    assert.deepEqual(job.result.items.map(item => item.status), ['registered', 'failed']);
+    assert.equal(attempts.get('QmX1'), 1);
+    assert.equal(attempts.get('QmX2'), 3);
+    assert.deepEqual(await failedEvents(), ['QmX2']);
+
+    // The failed capture can be registered again, the minted one stays claimed
+    assert.equal(await findExistingRegistration('QmX2', queue.getJob), null);
+    assert.ok(await findExistingRegistration('QmX1', queue.getJob));
+});
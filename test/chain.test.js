@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findRegistrationByMetadataHash, listCollectionRegistrations } = require('../lib/chain');
+
+const HASH = `0x${'ab'.repeat(32)}`;
+const IP_ID = '0x00000000000000000000000000000000000000a1';
+
+// A public client whose getLogs returns `logsAt(fromBlock, toBlock)` and records every query
+function fakeClient(logsAt, latest = 25000n) {
+    const queries = [];
+    return {
+        queries,
+        getBlockNumber: async () => latest,
+        getLogs: async ({ fromBlock, toBlock }) => {
+            queries.push([fromBlock, toBlock]);
+            return logsAt(fromBlock, toBlock);
+        },
+        getTransactionReceipt: async () => ({ logs: [] }),
+    };
+}
+
+test('scans logs in block windows up to the latest block', async () => {
+    const client = fakeClient(() => []);
+    assert.equal(await findRegistrationByMetadataHash(client, HASH, 0n), null);
+    assert.deepEqual(client.queries, [[0n, 9999n], [10000n, 19999n], [20000n, 25000n]]);
+});
+
+test('stops at the window holding the metadata hash', async () => {
+    const log = { args: { ipId: IP_ID, metadataHash: HASH.toUpperCase().replace('0X', '0x'), metadataURI: 'ipfs://meta' }, transactionHash: '0x01' };
+    const client = fakeClient((from, to) => (from <= 12345n && 12345n <= to ? [log] : []));
+
+    const found = await findRegistrationByMetadataHash(client, HASH, 0n);
+    assert.equal(found.ipId, IP_ID);
+    assert.equal(found.metadataURI, 'ipfs://meta');
+    assert.equal(client.queries.length, 2);
+});
+
+test('lists collection registrations over all windows', async () => {
+    const mint = (blockNumber) => ({
+        args: { ipId: IP_ID, tokenContract: '0x00000000000000000000000000000000000000c1', tokenId: 7n, uri: 'ipfs://token' },
+        transactionHash: '0x02',
+        blockNumber,
+    });
+    const client = fakeClient((from) => [mint(from)]);
+
+    const registrations = await listCollectionRegistrations(client, ['0x00000000000000000000000000000000000000c1'], { fromBlock: 100n, toBlock: 250n, blockRange: 100 });
+    assert.deepEqual(client.queries, [[100n, 199n], [200n, 250n]]);
+    assert.deepEqual(registrations.map(registration => registration.blockNumber), ['100', '200']);
+    assert.equal(registrations[0].tokenId, '7');
+});
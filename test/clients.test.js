@@ -0,0 +1,96 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHmac } = require('crypto');
+
+// Clients go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.AUTH_JWT_SECRET = 'test-secret';
+process.env.AUTH_JWT_ISSUER = 'https://auth.example';
+process.env.AUTH_JWT_AUDIENCE = 'deepshare';
+delete process.env.REQUIRE_API_AUTH;
+
+const clients = require('../lib/clients');
+
+const SECRET = process.env.AUTH_JWT_SECRET;
+const now = () => Math.floor(Date.now() / 1000);
+const segment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function jwt(claims, { secret = SECRET, alg = 'HS256' } = {}) {
+    const unsigned = `${segment({ alg, typ: 'JWT' })}.${segment(claims)}`;
+    return `${unsigned}.${createHmac('sha256', secret).update(unsigned).digest('base64url')}`;
+}
+
+// Just enough of an Express request for authenticateRequest
+const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+const bearer = (token) => request({ authorization: `Bearer ${token}` });
+
+let client;
+let apiKey;
+const claims = () => ({ sub: client.id, iss: 'https://auth.example', aud: 'deepshare', exp: now() + 600 });
+
+before(async () => {
+    ({ client, apiKey } = await clients.createClient(clients.parseClient({ name: 'camera app' }).fields));
+});
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('accepts a valid JWT for an active client', async () => {
+    const result = await clients.authenticateRequest(bearer(jwt(claims())));
+    assert.equal(result.error, undefined);
+    assert.equal(result.client.id, client.id);
+    assert.equal(result.client.keyHash, undefined);
+
+    // aud may also be a list
+    const listed = await clients.authenticateRequest(bearer(jwt({ ...claims(), aud: ['other', 'deepshare'] })));
+    assert.equal(listed.client.id, client.id);
+});
+
+test('rejects JWTs that do not verify', async () => {
+    const cases = [
+        [jwt(claims(), { secret: 'wrong-secret' }), /Invalid token signature/],
+        [jwt(claims(), { alg: 'none' }), /Unsupported token algorithm/],
+        [`${jwt(claims()).split('.').slice(0, 2).join('.')}.`, /Invalid token signature/],
+        [jwt({ ...claims(), exp: now() - 3600 }), /expired/],
+        [jwt({ ...claims(), exp: undefined }), /no exp claim/],
+        [jwt({ ...claims(), nbf: now() + 3600 }), /not valid yet/],
+        [jwt({ ...claims(), iss: 'https://evil.example' }), /issuer/],
+        [jwt({ ...claims(), aud: 'someone-else' }), /audience/],
+        [jwt({ ...claims(), sub: undefined }), /no sub claim/],
+        ['a.b.c', /Malformed token/],
+    ];
+    for (const [token, message] of cases) {
+        const result = await clients.authenticateRequest(bearer(token));
+        assert.equal(result.status, 401);
+        assert.match(result.error.error, message);
+    }
+});
+
+test('tolerates a minute of clock skew', async () => {
+    const result = await clients.authenticateRequest(bearer(jwt({ ...claims(), exp: now() - 30 })));
+    assert.equal(result.client.id, client.id);
+});
+
+test('rejects tokens of unknown or revoked clients', async () => {
+    const unknown = await clients.authenticateRequest(bearer(jwt({ ...claims(), sub: 'no-such-client' })));
+    assert.equal(unknown.status, 401);
+
+    const { client: revoked } = await clients.createClient(clients.parseClient({ name: 'old app' }).fields);
+    await clients.revokeClient(revoked.id);
+    const result = await clients.authenticateRequest(bearer(jwt({ ...claims(), sub: revoked.id })));
+    assert.equal(result.status, 401);
+    assert.match(result.error.error, /unknown or revoked/);
+});
+
+test('accepts API keys and requires credentials by default', async () => {
+    assert.equal((await clients.authenticateRequest(request({ 'x-api-key': apiKey }))).client.id, client.id);
+    assert.equal((await clients.authenticateRequest(bearer(apiKey))).client.id, client.id);
+    assert.equal((await clients.authenticateRequest(request({ 'x-api-key': 'dsk_wrong' }))).status, 401);
+
+    assert.equal(clients.REQUIRE_API_AUTH, true);
+    assert.equal((await clients.authenticateRequest(request({}))).status, 401);
+    assert.equal((await clients.authenticateRequest(request({ authorization: 'Basic abc' }))).status, 401);
+});
@@ -0,0 +1,93 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Leases go to a throwaway file store shared by every manager ("instance") below
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.NETWORK = 'aeneid';
+process.env.COLLECTION_PARTITION = 'tenant';
+process.env.COLLECTION_PARTITION_VALUES = 'a,b,c,d';
+process.env.COLLECTION_LEASE_TTL_MS = '60000';
+delete process.env.SPG_NFT_CONTRACT;
+delete process.env.SPG_NFT_CONTRACTS;
+
+const store = require('../lib/store');
+const { createCollectionManager } = require('../lib/collections');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const address = (n) => `0x${n.toString(16).padStart(40, '0')}`;
+
+// A Story client whose collection deploys take `delayMs` and are counted
+function fakeStoryClient({ delayMs = 50, onCreate = async () => {} } = {}) {
+    const client = {
+        created: [],
+        nftClient: {
+            createNFTCollection: async ({ name }) => {
+                client.created.push(name);
+                await sleep(delayMs);
+                await onCreate();
+                return { spgNftContract: address(0xc000 + client.created.length), txHash: '0x01' };
+            },
+        },
+    };
+    return client;
+}
+
+function instance(storyClient) {
+    return createCollectionManager({ storyClient, publicClient: {} });
+}
+
+test('concurrent first uses on two instances deploy one collection', async () => {
+    const client = fakeStoryClient();
+    const [first, second] = await Promise.all([
+        instance(client).getCollection('tenant:a'),
+        instance(client).getCollection('tenant:a'),
+    ]);
+    assert.equal(client.created.length, 1);
+    assert.equal(first, second);
+    assert.equal((await store.get('spg_collections', 'tenant:a')).status, 'ready');
+});
+
+test('an expired lease is taken over by one instance only', async () => {
+    await store.put('spg_collections', 'tenant:b', { key: 'tenant:b', status: 'creating', startedAt: new Date(Date.now() - 120000).toISOString() });
+
+    const client = fakeStoryClient();
+    const [first, second] = await Promise.all([
+        instance(client).getCollection('tenant:b'),
+        instance(client).getCollection('tenant:b'),
+    ]);
+    assert.equal(client.created.length, 1);
+    assert.equal(first, second);
+});
+
+test('a creator whose lease was taken over keeps the newer collection', async () => {
+    const newer = address(0xbeef);
+    const client = fakeStoryClient({
+        // Another instance takes over and finishes while this deploy is in flight
+        onCreate: () => store.put('spg_collections', 'tenant:c', { key: 'tenant:c', status: 'ready', spgNftContract: newer }),
+    });
+    assert.equal(await instance(client).getCollection('tenant:c'), newer);
+    assert.equal((await store.get('spg_collections', 'tenant:c')).spgNftContract, newer);
+});
+
+test('a failed deploy releases only its own lease', async () => {
+    const client = fakeStoryClient({ onCreate: async () => { throw new Error('deploy reverted'); } });
+    await assert.rejects(instance(client).getCollection('tenant:d'), /deploy reverted/);
+    assert.equal(await store.get('spg_collections', 'tenant:d'), null);
+
+    const newer = { key: 'tenant:d', status: 'creating', startedAt: new Date(Date.now() + 1000).toISOString() };
+    const failing = fakeStoryClient({
+        onCreate: async () => {
+            await store.put('spg_collections', 'tenant:d', newer);
+            throw new Error('deploy reverted');
+        },
+    });
+    await assert.rejects(instance(failing).getCollection('tenant:d'), /deploy reverted/);
+    assert.deepEqual(await store.get('spg_collections', 'tenant:d'), newer);
+});
@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createHash } = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+
+const blocks = new Map();  // CID -> block bytes served by the local gateway
+let gateway;
+let content;
+
+const sha256 = (bytes) => createHash('sha256').update(bytes).digest();
+
+function varint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+        bytes.push((value & 0x7f) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+// Protobuf length-delimited / varint fields
+const bytesField = (field, value) => Buffer.concat([varint(field * 8 + 2), varint(value.length), value]);
+const varintField = (field, value) => Buffer.concat([varint(field * 8), varint(value)]);
+
+function cidV1(codec, block) {
+    return Buffer.concat([varint(1), varint(codec), Buffer.from([0x12, 0x20]), sha256(block)]);
+}
+
+function add(cidBytes, block) {
+    const cid = content.formatCid({ version: cidBytes[0] === 0x12 ? 0 : 1, bytes: cidBytes });
+    blocks.set(cid, block);
+    return cid;
+}
+
+before(async () => {
+    gateway = http.createServer((req, res) => {
+        const cid = decodeURIComponent(new URL(req.url, 'http://localhost').pathname.replace('/ipfs/', ''));
+        if (!blocks.has(cid)) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/vnd.ipld.raw' }).end(blocks.get(cid));
+    }).listen(0, '127.0.0.1');
+    await new Promise(resolve => gateway.once('listening', resolve));
+    // lib/ipfs reads its gateways when loaded
+    process.env.IPFS_GATEWAY = `http://127.0.0.1:${gateway.address().port}`;
+    content = require('../lib/content');
+});
+
+after(() => gateway.close());
+
+test('parses CIDv0 and CIDv1 and formats them back', () => {
+    const v0 = 'QmZJPSwHMujwk9wEvgoGicV7H6NTxDmbkuMdjkkEkRz7qq';
+    const parsed = content.parseCid(v0);
+    assert.equal(parsed.version, 0);
+    assert.equal(parsed.codec, 0x70);
+    assert.equal(parsed.digest.length, 32);
+    assert.equal(content.formatCid(parsed), v0);
+
+    const v1 = content.formatCid({ version: 1, bytes: cidV1(0x55, Buffer.from('x')) });
+    assert.match(v1, /^b[a-z2-7]+$/);
+    const reparsed = content.parseCid(v1);
+    assert.equal(reparsed.version, 1);
+    assert.equal(reparsed.codec, 0x55);
+    assert.deepEqual(Buffer.from(reparsed.digest), sha256(Buffer.from('x')));
+
+    assert.throws(() => content.parseCid('not-a-cid'), /Unsupported CID encoding/);
+});
+
+test('detects media types from magic bytes', () => {
+    assert.equal(content.detectMediaType(Buffer.from([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(content.detectMediaType(Buffer.from('\x89PNG\r\n\x1a\n....', 'latin1')), 'image/png');
+    assert.equal(content.detectMediaType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1')), 'image/webp');
+    assert.equal(content.detectMediaType(Buffer.from('\0\0\0\x18ftypheic', 'latin1')), 'image/heic');
+    assert.equal(content.detectMediaType(Buffer.from('{"depth": [1, 2]}')), 'application/json');
+    assert.equal(content.detectMediaType(Buffer.from('{not json')), 'application/octet-stream');
+});
+
+test('hashes the verified bytes of a raw block', async () => {
+    const bytes = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.from('image data')]);
+    const cid = add(cidV1(0x55, bytes), bytes);
+
+    const result = await content.fetchVerifiedContent(cid);
+    assert.equal(result.verified, true);
+    assert.equal(result.size, bytes.length);
+    assert.equal(result.mediaType, 'image/jpeg');
+    assert.equal(result.sha256, `0x${sha256(bytes).toString('hex')}`);
+});
+
+test('reassembles a chunked UnixFS file in link order', async () => {
+    const chunks = [Buffer.from('\x89PNG\r\n\x1a\nfirst ', 'latin1'), Buffer.from('second')];
+    const links = chunks.map(chunk => {
+        const cidBytes = cidV1(0x55, chunk);
+        add(cidBytes, chunk);
+        return bytesField(2, bytesField(1, cidBytes));
+    });
+    const root = Buffer.concat([...links, bytesField(1, varintField(1, 2))]);  // UnixFS File
+    const cid = add(Buffer.concat([Buffer.from([0x12, 0x20]), sha256(root)]), root);
+    assert.match(cid, /^Qm/);
+
+    const result = await content.fetchVerifiedContent(cid);
+    const file = Buffer.concat(chunks);
+    assert.equal(result.mediaType, 'image/png');
+    assert.equal(result.size, file.length);
+    assert.equal(result.sha256, `0x${sha256(file).toString('hex')}`);
+});
+
+test('rejects a block that does not match its CID', async () => {
+    const cidBytes = cidV1(0x55, Buffer.from('original'));
+    const cid = add(cidBytes, Buffer.from('tampered'));
+    await assert.rejects(content.fetchVerifiedContent(cid), /does not match its CID/);
+});
+
+test('rejects CIDs it cannot verify', async () => {
+    const cid = content.formatCid({ version: 1, bytes: cidV1(0x71, Buffer.from('cbor')) });
+    await assert.rejects(content.fetchVerifiedContent(cid), /Cannot verify CID/);
+    await assert.rejects(content.fetchVerifiedContent('zzz'), /Invalid CID/);
+});
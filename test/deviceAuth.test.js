@@ -0,0 +1,109 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Nonces go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+
+const { privateKeyToAccount } = require('viem/accounts');
+const deviceAuth = require('../lib/deviceAuth');
+
+const device = privateKeyToAccount('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const other = privateKeyToAccount('0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d');
+const CHAIN_ID = 1315;
+const IMAGE_CID = 'QmZJPSwHMujwk9wEvgoGicV7H6NTxDmbkuMdjkkEkRz7qq';
+const now = () => Math.floor(Date.now() / 1000);
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+async function signCapture(account, { nonce, capturedAt = now(), signatureType = 'eip712' }) {
+    const payload = { imageCid: IMAGE_CID, metadataCid: '', capturedAt, nonce };
+    const signature = signatureType === 'eip191'
+        ? await account.signMessage({ message: deviceAuth.captureMessage(payload) })
+        : await account.signTypedData({
+            domain: deviceAuth.signingDomain(CHAIN_ID),
+            types: deviceAuth.CAPTURE_TYPES,
+            primaryType: 'Capture',
+            message: { ...payload, capturedAt: BigInt(capturedAt) },
+        });
+    return { imageCid: IMAGE_CID, deviceAddress: device.address, signature, signatureType, capturedAt, nonce };
+}
+
+async function signClaim(account, { nonce, payoutAddress = device.address, issuedAt = now() }) {
+    const signature = await account.signTypedData({
+        domain: deviceAuth.signingDomain(CHAIN_ID),
+        types: deviceAuth.CLAIM_TYPES,
+        primaryType: 'RevenueClaim',
+        message: { device: device.address, payoutAddress, issuedAt: BigInt(issuedAt), nonce },
+    });
+    return { payoutAddress, issuedAt, nonce, signature };
+}
+
+test('accepts EIP-712 and EIP-191 capture signatures of the device', async () => {
+    for (const signatureType of ['eip712', 'eip191']) {
+        const body = await signCapture(device, { nonce: `ok-${signatureType}`, signatureType });
+        const { error, signature } = await deviceAuth.verifyDeviceSignature(body, { chainId: CHAIN_ID });
+        assert.equal(error, undefined);
+        assert.equal(signature.signer, device.address);
+        assert.equal(signature.signatureType, signatureType);
+        assert.equal(signature.nonce, `ok-${signatureType}`);
+    }
+});
+
+test('rejects signatures by another key, on another chain or without one', async () => {
+    const forged = await signCapture(other, { nonce: 'forged' });
+    assert.equal((await deviceAuth.verifyDeviceSignature(forged, { chainId: CHAIN_ID })).status, 401);
+
+    const otherChain = await signCapture(device, { nonce: 'chain' });
+    assert.equal((await deviceAuth.verifyDeviceSignature(otherChain, { chainId: 1514 })).status, 401);
+
+    const unsigned = { imageCid: IMAGE_CID, deviceAddress: device.address };
+    assert.equal((await deviceAuth.verifyDeviceSignature(unsigned, { chainId: CHAIN_ID })).status, 401);
+});
+
+test('rejects malformed requests with 400', async () => {
+    const body = await signCapture(device, { nonce: 'bad' });
+    const cases = [
+        { ...body, deviceAddress: 'not-an-address' },
+        { ...body, signatureType: 'eip2098' },
+        { ...body, capturedAt: 'yesterday' },
+        { ...body, capturedAt: now() + 3600 },
+        { ...body, signature: '0x1234' },
+    ];
+    for (const request of cases) {
+        assert.equal((await deviceAuth.verifyDeviceSignature(request, { chainId: CHAIN_ID })).status, 400);
+    }
+});
+
+test('nonces are single-use until released', async () => {
+    const body = await signCapture(device, { nonce: 'once' });
+    const { signature } = await deviceAuth.verifyDeviceSignature(body, { chainId: CHAIN_ID });
+    assert.equal(await deviceAuth.consumeNonce(signature), true);
+    assert.equal(await deviceAuth.consumeNonce(signature), false);
+    await deviceAuth.releaseNonce(signature);
+    assert.equal(await deviceAuth.consumeNonce(signature), true);
+    assert.equal(await deviceAuth.consumeNonce(null), true);
+});
+
+test('verifies revenue claim signatures', async () => {
+    const payoutAddress = other.address;
+    const claim = await signClaim(device, { nonce: 'c1', payoutAddress });
+    const verified = await deviceAuth.verifyClaimSignature(device.address, claim, { chainId: CHAIN_ID });
+    assert.equal(verified.payoutAddress, payoutAddress);
+    assert.deepEqual(verified.signature, { signer: device.address, nonce: 'claim:c1' });
+
+    // The payout address is part of what the device signed
+    const redirected = { ...claim, payoutAddress: device.address };
+    assert.equal((await deviceAuth.verifyClaimSignature(device.address, redirected, { chainId: CHAIN_ID })).status, 401);
+
+    const byOther = await signClaim(other, { nonce: 'c2' });
+    assert.equal((await deviceAuth.verifyClaimSignature(device.address, byOther, { chainId: CHAIN_ID })).status, 401);
+
+    const stale = await signClaim(device, { nonce: 'c3', issuedAt: now() - 3600 });
+    assert.equal((await deviceAuth.verifyClaimSignature(device.address, stale, { chainId: CHAIN_ID })).status, 401);
+
+    assert.equal((await deviceAuth.verifyClaimSignature(device.address, {}, { chainId: CHAIN_ID })).status, 401);
+});
@@ -0,0 +1,105 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Claims go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const store = require('../lib/store');
+const idempotency = require('../lib/idempotency');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+// Jobs by id, as the job queue would report them
+const jobs = new Map();
+const getJob = async (jobId) => jobs.get(jobId) || null;
+
+test('hashes request bodies independently of key order', () => {
+    assert.equal(idempotency.hashRequest({ a: 1, b: { c: [1, 2], d: null } }), idempotency.hashRequest({ b: { d: null, c: [1, 2] }, a: 1 }));
+    assert.notEqual(idempotency.hashRequest({ a: 1 }), idempotency.hashRequest({ a: 2 }));
+    assert.equal(idempotency.hashRequest(undefined), idempotency.hashRequest({}));
+});
+
+test('an Idempotency-Key returns its job, or a conflict for another body', async () => {
+    const hash = idempotency.hashRequest({ imageCid: 'Qm1' });
+    assert.equal(await idempotency.lookupIdempotencyKey('key-1', hash), null);
+    await idempotency.rememberIdempotencyKey('key-1', hash, 'job-1');
+    assert.deepEqual(await idempotency.lookupIdempotencyKey('key-1', hash), { jobId: 'job-1' });
+    assert.deepEqual(await idempotency.lookupIdempotencyKey('key-1', idempotency.hashRequest({ imageCid: 'Qm2' })), { conflict: true });
+
+    await store.put('idempotency_keys', 'key-2', { key: 'key-2', requestHash: hash, jobId: 'job-2', expiresAt: Date.now() - 1 });
+    assert.equal(await idempotency.lookupIdempotencyKey('key-2', hash), null);
+});
+
+test('one live claim per imageCid', async () => {
+    jobs.set('job-a', { status: 'running', outputs: {} });
+    assert.deepEqual(await idempotency.claimRegistration('QmA', 'job-a', { getJob }), { claimed: true });
+
+    const second = await idempotency.claimRegistration('QmA', 'job-b', { getJob });
+    assert.equal(second.claimed, false);
+    assert.equal(second.existing.jobId, 'job-a');
+    assert.equal((await idempotency.findExistingRegistration('QmA', getJob)).jobId, 'job-a');
+});
+
+test('a claim whose job failed before minting can be taken over', async () => {
+    jobs.set('job-c', { status: 'running', outputs: {} });
+    await idempotency.claimRegistration('QmC', 'job-c', { getJob });
+    jobs.set('job-c', { status: 'failed', outputs: {} });
+
+    assert.equal(await idempotency.findExistingRegistration('QmC', getJob), null);
+    assert.deepEqual(await idempotency.claimRegistration('QmC', 'job-d', { getJob }), { claimed: true });
+
+    // A failed job that already minted still holds its claim
+    jobs.set('job-d', { status: 'failed', outputs: { minting: { ipId: '0x01' } } });
+    assert.equal((await idempotency.claimRegistration('QmC', 'job-e', { getJob })).claimed, false);
+});
+
+test('a claim whose job was never queued expires after a minute', async () => {
+    await store.put('registrations', 'QmE', {
+        imageCid: 'QmE', jobId: 'job-lost', status: 'pending', claimedAt: new Date(Date.now() - 120000).toISOString(), previousRegistrations: [],
+    });
+    assert.deepEqual(await idempotency.claimRegistration('QmE', 'job-f', { getJob }), { claimed: true });
+});
+
+test('recorded registrations are found, and only released while pending', async () => {
+    jobs.set('job-g', { status: 'running', outputs: {} });
+    await idempotency.claimRegistration('QmG', 'job-g', { getJob });
+    await idempotency.recordRegistration('QmG', { ipId: '0x02', txHash: '0xabc', deviceAddress: '0xdevice' });
+
+    const existing = await idempotency.findExistingRegistration('QmG', getJob);
+    assert.equal(existing.status, 'registered');
+    assert.equal(existing.ipId, '0x02');
+    assert.equal((await idempotency.listRegistrationsByDevice('0xdevice')).length, 1);
+
+    await idempotency.releaseRegistration('QmG', 'job-g');
+    assert.equal((await idempotency.findExistingRegistration('QmG', getJob)).ipId, '0x02');
+});
+
+test('releasing a failed claim frees the imageCid', async () => {
+    jobs.set('job-h', { status: 'running', outputs: {} });
+    await idempotency.claimRegistration('QmH', 'job-h', { getJob });
+    await idempotency.releaseRegistration('QmH', 'someone-else');
+    assert.ok(await idempotency.findExistingRegistration('QmH', getJob));
+    await idempotency.releaseRegistration('QmH', 'job-h');
+    assert.equal(await idempotency.findExistingRegistration('QmH', getJob), null);
+});
+
+test('releasing a re-registration restores the previous registration', async () => {
+    jobs.set('job-i', { status: 'running', outputs: {} });
+    await idempotency.claimRegistration('QmI', 'job-i', { getJob });
+    await idempotency.recordRegistration('QmI', { ipId: '0x03', txHash: '0xdef' });
+
+    const previous = await idempotency.findExistingRegistration('QmI', getJob);
+    jobs.set('job-j', { status: 'running', outputs: {} });
+    assert.deepEqual(await idempotency.claimRegistration('QmI', 'job-j', { getJob, force: true, previous }), { claimed: true });
+    await idempotency.releaseRegistration('QmI', 'job-j');
+
+    const restored = await idempotency.findExistingRegistration('QmI', getJob);
+    assert.equal(restored.status, 'registered');
+    assert.equal(restored.ipId, '0x03');
+    assert.deepEqual(restored.previousRegistrations, []);
+});
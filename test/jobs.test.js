@@ -0,0 +1,159 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Jobs and locks go to a throwaway file store shared by every queue ("worker") below
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+process.env.JOB_MAX_ATTEMPTS = '3';
+process.env.JOB_BACKOFF_BASE_MS = '100';
+process.env.JOB_POLL_INTERVAL_MS = '20';
+process.env.JOB_LOCK_TTL_MS = '300';
+
+const store = require('../lib/store');
+const { createJobQueue } = require('../lib/jobs');
+const { createLockManager } = require('../lib/locks');
+
+const queues = [];
+after(() => {
+    queues.forEach(queue => queue.stop());
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function startQueue(namespace, stages, options = {}) {
+    const queue = createJobQueue({ namespace, stages, buildResult: (input, outputs) => outputs, ...options });
+    queue.start();
+    queues.push(queue);
+    return queue;
+}
+
+async function waitFor(queue, jobId, statuses = ['completed', 'failed'], timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const job = await queue.getJob(jobId);
+        if (statuses.includes(job.status)) return job;
+        if (Date.now() > deadline) throw new Error(`Job still ${job.status}`);
+        await sleep(20);
+    }
+}
+
+test('runs the stages in order and passes their outputs on', async () => {
+    const queue = startQueue('test_jobs_order', [
+        { name: 'first', run: async (input) => input.value + 1 },
+        { name: 'second', run: async (input, outputs) => outputs.first * 2 },
+    ]);
+    const job = await waitFor(queue, (await queue.enqueue({ value: 1 })).id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.result, { first: 2, second: 4 });
+    assert.deepEqual(job.history.map(entry => entry.stage), ['first', 'second']);
+});
+
+test('retries failed stages with backoff, resuming at the failed stage', async () => {
+    let firstRuns = 0;
+    const attempts = [];
+    const queue = startQueue('test_jobs_backoff', [
+        { name: 'first', run: async () => ++firstRuns },
+        {
+            name: 'second',
+            run: async () => {
+                attempts.push(Date.now());
+                if (attempts.length < 3) throw new Error('flaky');
+                return 'ok';
+            },
+        },
+    ]);
+    const queued = await queue.enqueue({});
+
+    const retrying = await waitFor(queue, queued.id, ['retrying']);
+    assert.equal(retrying.lastError, 'flaky');
+    assert.ok(retrying.nextAttemptAt > Date.now() - 50);
+
+    const job = await waitFor(queue, queued.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(firstRuns, 1);
+    assert.equal(attempts.length, 3);
+    // 100ms, then 200ms
+    assert.ok(attempts[1] - attempts[0] >= 100);
+    assert.ok(attempts[2] - attempts[1] >= 200);
+});
+
+test('fails a job for good after its attempts or on a permanent error', async () => {
+    const failed = [];
+    const queue = startQueue('test_jobs_failing', [{
+        name: 'only',
+        run: async (input) => {
+            const error = new Error(input.permanent ? 'invalid' : 'down');
+            error.permanent = input.permanent;
+            throw error;
+        },
+    }], { onFailed: async (job) => failed.push(job.id) });
+
+    const permanent = await waitFor(queue, (await queue.enqueue({ permanent: true })).id);
+    assert.equal(permanent.status, 'failed');
+    assert.equal(permanent.history.length, 1);
+
+    const exhausted = await waitFor(queue, (await queue.enqueue({ permanent: false })).id);
+    assert.equal(exhausted.status, 'failed');
+    assert.equal(exhausted.history.length, 3);
+    assert.deepEqual(failed, [permanent.id, exhausted.id]);
+});
+
+test('two workers run each stage once, with the lock extended during long stages', async () => {
+    const runs = [];
+    const stages = [
+        // Longer than the lock TTL - the holder keeps extending it
+        { name: 'slow', run: async (input) => { runs.push(input.n); await sleep(700); return input.n; } },
+    ];
+    const first = startQueue('test_jobs_shared', stages);
+    startQueue('test_jobs_shared', stages);
+
+    const jobs = await Promise.all([1, 2, 3].map(n => first.enqueue({ n })));
+    for (const job of jobs) {
+        assert.equal((await waitFor(first, job.id)).status, 'completed');
+    }
+    assert.deepEqual(runs.sort(), [1, 2, 3]);
+});
+
+test('locks expire, are taken over by one worker, and are released by their holder only', async () => {
+    const mine = createLockManager({ namespace: 'test_locks', owner: 'worker-a', ttlMs: 60000 });
+    const theirs = createLockManager({ namespace: 'test_locks', owner: 'worker-b', ttlMs: 60000 });
+
+    const held = await mine.acquire('job-1');
+    assert.ok(held);
+    assert.equal(await theirs.acquire('job-1'), null);
+    await held.release();
+    const next = await theirs.acquire('job-1');
+    assert.ok(next);
+    await next.release();
+
+    // An expired lock - only one of two contenders gets it
+    await store.put('test_locks', 'job-2', { owner: 'crashed', leaseId: 'old', expiresAt: Date.now() - 1 });
+    const contenders = await Promise.all([mine.acquire('job-2'), theirs.acquire('job-2')]);
+    assert.equal(contenders.filter(Boolean).length, 1);
+
+    // The old holder's release does not remove the new holder's lock
+    const stale = await mine.acquire('job-3');
+    await store.put('test_locks', 'job-3', { ...(await store.get('test_locks', 'job-3')), expiresAt: Date.now() - 1 });
+    const taken = await theirs.acquire('job-3');
+    await stale.release();
+    assert.equal((await store.get('test_locks', 'job-3')).owner, 'worker-b');
+
+    contenders.filter(Boolean).forEach(lock => lock.release());
+    await taken.release();
+    assert.equal(await store.get('test_locks', 'job-3'), null);
+});
+
+test('a holder whose lock was taken over finds it lost', async () => {
+    const locks = createLockManager({ namespace: 'test_locks', owner: 'worker-a', ttlMs: 90 });
+    const lock = await locks.acquire('job-4');
+    await store.put('test_locks', 'job-4', { owner: 'worker-b', leaseId: 'other', expiresAt: Date.now() + 60000 });
+    await sleep(100);
+    assert.equal(lock.lost, true);
+    await lock.release();
+    assert.equal((await store.get('test_locks', 'job-4')).owner, 'worker-b');
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
+const { parseEther } = require('viem');
+const { LICENSE_FLAVORS, parseLicenseSpecs, buildLicenseTerms, offChainTerms, describeLicensePolicy } = require('../lib/licenses');
+
+const DEFAULTS = { mintingFee: '0.1', commercialRevShare: 10 };
+const POLICY = {
+    flavors: Object.keys(LICENSE_FLAVORS),
+    currencies: [WIP_TOKEN_ADDRESS],
+    maxMintingFee: '5',
+    maxCommercialRevShare: 50,
+    maxSpecs: 2,
+    territories: [],
+};
+
+const parse = (body, policy = POLICY) => parseLicenseSpecs(body, DEFAULTS, policy);
+
+test('the legacy fields describe one commercial remix license', () => {
+    const { error, specs } = parse({ mintingFee: '0.5', commercialRevShare: 20 });
+    assert.equal(error, undefined);
+    assert.deepEqual(specs, [{
+        flavor: 'commercialRemix',
+        mintingFeeWei: parseEther('0.5').toString(),
+        commercialRevShare: 20,
+        currency: WIP_TOKEN_ADDRESS,
+        expiration: 0,
+        territory: [],
+    }]);
+});
+
+test('server defaults fill in what a spec leaves out', () => {
+    const { specs: [spec] } = parse({ licenses: [{ flavor: 'commercialRemix' }] });
+    assert.equal(spec.mintingFeeWei, parseEther('0.1').toString());
+    assert.equal(spec.commercialRevShare, 10);
+});
+
+test('flavors only take the parameters they support', () => {
+    const { specs } = parse({ licenses: [{ flavor: 'commercialUse', mintingFee: 1 }, { flavor: 'nonCommercialSocialRemixing' }] });
+    assert.equal(specs[0].commercialRevShare, 0);
+    assert.equal(specs[1].currency, null);
+    assert.equal(specs[1].mintingFeeWei, '0');
+
+    assert.match(parse({ licenses: [{ flavor: 'commercialUse', commercialRevShare: 5 }] }).error.error, /does not take a revenue share/);
+    assert.match(parse({ licenses: [{ flavor: 'creativeCommonsAttribution', mintingFee: 1 }] }).error.error, /does not take a minting fee/);
+});
+
+test('rejects specs outside the policy with the offending index', () => {
+    const cases = [
+        [{ licenses: [] }, /non-empty array/],
+        [{ licenses: [{}, {}, {}] }, /At most 2 licenses/],
+        [{ licenses: [{ flavor: 'exclusive' }] }, /Unknown license flavor/],
+        [{ licenses: [{ mintingFee: 'abc' }] }, /decimal amount/],
+        [{ licenses: [{ mintingFee: '-1' }] }, /must not be negative/],
+        [{ licenses: [{ mintingFee: '6' }] }, /exceeds the allowed maximum of 5/],
+        [{ licenses: [{ commercialRevShare: 101 }] }, /between 0 and 100/],
+        [{ licenses: [{ commercialRevShare: 60 }] }, /exceeds the allowed maximum of 50/],
+        [{ licenses: [{ currency: '0x0000000000000000000000000000000000000001' }] }, /not an allowed license currency/],
+        [{ licenses: [{ expiration: -1 }] }, /whole number of seconds/],
+    ];
+    for (const [body, message] of cases) {
+        const { error } = parse(body);
+        assert.ok(error, `expected ${message} to be rejected`);
+        assert.match(error.error, message);
+    }
+    assert.equal(parse({ licenses: [{}, { flavor: 'exclusive' }] }).error.index, 1);
+
+    const noRemix = { ...POLICY, flavors: ['commercialUse'] };
+    assert.match(parse({ licenses: [{ flavor: 'commercialRemix' }] }, noRemix).error.error, /not allowed on this server/);
+});
+
+test('territories are checked and kept off-chain', () => {
+    const policy = { ...POLICY, territories: ['DE', 'FR'] };
+    const { specs: [spec] } = parse({ licenses: [{ territory: ['de'] }] }, policy);
+    assert.deepEqual(spec.territory, ['DE']);
+    assert.deepEqual(offChainTerms(spec).territory, ['DE']);
+    assert.match(parse({ licenses: [{ territory: 'US' }] }, policy).error.error, /Territory "US" is not allowed/);
+
+    const { specs: [unrestricted] } = parse({ licenses: [{}] });
+    assert.equal(offChainTerms(unrestricted), null);
+});
+
+test('builds PIL terms for each flavor', () => {
+    const { specs } = parse({ licenses: [{ mintingFee: '1', commercialRevShare: 25, expiration: 3600 }, { flavor: 'nonCommercialSocialRemixing' }] });
+    const remix = buildLicenseTerms(specs[0], 'ipfs://terms');
+    assert.equal(remix.commercialUse, true);
+    assert.equal(remix.defaultMintingFee, parseEther('1'));
+    assert.equal(remix.commercialRevShare, 25);
+    assert.equal(remix.expiration, 3600n);
+    assert.equal(remix.uri, 'ipfs://terms');
+
+    const nonCommercial = buildLicenseTerms(specs[1], '');
+    assert.equal(nonCommercial.commercialUse, false);
+    assert.throws(() => buildLicenseTerms({ ...specs[1], flavor: 'exclusive' }), /Unknown license flavor/);
+});
+
+test('describes the policy', () => {
+    const described = describeLicensePolicy(POLICY);
+    assert.equal(described.territories, 'any');
+    assert.deepEqual(described.flavors[0], { flavor: 'commercialRemix', fee: true, revShare: true });
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.NETWORK = 'aeneid';
+process.env.ENABLED_NETWORKS = 'mainnet,local';
+process.env.PUBLIC_NETWORKS = 'aeneid';
+process.env.TENANT_NETWORKS = JSON.stringify({ studio: 'mainnet' });
+process.env.NETWORK_LOCAL_RPC_URL = 'http://127.0.0.1:9545';
+
+const networks = require('../lib/networks');
+
+const anonymous = { client: null };
+const studio = { client: { id: 'c1', tenant: 'studio' } };
+const scoped = { client: { id: 'c2', networks: ['local'] } };
+
+test('loads the enabled profiles with their overrides', () => {
+    assert.equal(networks.DEFAULT_NETWORK, 'aeneid');
+    assert.deepEqual(networks.ENABLED_NETWORKS, ['aeneid', 'mainnet', 'local']);
+    assert.equal(networks.getNetworkProfile('local').rpcUrl, 'http://127.0.0.1:9545');
+    assert.equal(networks.getNetworkProfile('mainnet').chainId, 1514);
+    assert.equal(networks.getNetworkProfile('unknown'), null);
+});
+
+test('reads and admin requests may select any enabled network', () => {
+    assert.deepEqual(networks.resolveNetwork({}), { network: 'aeneid' });
+    assert.deepEqual(networks.resolveNetwork({ network: 'local' }), { network: 'local' });
+    assert.deepEqual(networks.resolveNetwork({ tenant: 'studio' }), { network: 'mainnet' });
+    assert.equal(networks.resolveNetwork({ network: 'sepolia' }).status, 400);
+});
+
+test('anonymous callers write to the public networks only', () => {
+    assert.deepEqual(networks.allowedNetworks(null), ['aeneid']);
+    assert.deepEqual(networks.resolveNetwork({}, { caller: anonymous }), { network: 'aeneid' });
+    assert.equal(networks.resolveNetwork({ network: 'mainnet' }, { caller: anonymous }).status, 403);
+});
+
+test('a caller cannot claim a tenant that is not its own', () => {
+    assert.equal(networks.resolveNetwork({ tenant: 'studio' }, { caller: anonymous }).status, 403);
+    assert.equal(networks.resolveNetwork({ tenant: 'other' }, { caller: studio }).status, 403);
+});
+
+test('tenant clients write to their tenant network and the public ones', () => {
+    assert.deepEqual(networks.allowedNetworks(studio.client), ['mainnet', 'aeneid']);
+    assert.deepEqual(networks.resolveNetwork({}, { caller: studio }), { network: 'mainnet' });
+    assert.deepEqual(networks.resolveNetwork({ tenant: 'studio', network: 'aeneid' }, { caller: studio }), { network: 'aeneid' });
+    assert.equal(networks.resolveNetwork({ network: 'local' }, { caller: studio }).status, 403);
+});
+
+test('a client with its own network list is held to it', () => {
+    assert.deepEqual(networks.resolveNetwork({ network: 'local' }, { caller: scoped }), { network: 'local' });
+    assert.equal(networks.resolveNetwork({}, { caller: scoped }).status, 403);
+    assert.equal(networks.resolveNetwork({ network: 'mainnet' }, { caller: scoped }).status, 403);
+});
+
+test('describes the networks without their RPC URLs', () => {
+    const description = networks.describeNetworks();
+    assert.equal(description.default, 'aeneid');
+    assert.deepEqual(description.public, ['aeneid']);
+    assert.deepEqual(description.tenants, { studio: 'mainnet' });
+    assert.ok(description.networks.every(profile => !('rpcUrl' in profile)));
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+process.env.IPFS_GATEWAY = 'http://127.0.0.1:9';
+
+const { privateKeyToAccount, generatePrivateKey } = require('viem/accounts');
+const { signManifest, verifyManifest } = require('../lib/provenance');
+
+const server = privateKeyToAccount(generatePrivateKey());
+const IP_ID = '0x00000000000000000000000000000000000000a1';
+const HASH = `0x${'ab'.repeat(32)}`;
+
+// A registration manifest with the given registration assertion fields, signed by the server
+function registrationManifest(fields) {
+    return signManifest({
+        format: 'deepshare.provenance/v1',
+        type: 'registration',
+        assertions: [{
+            label: 'deepshare.story.registration',
+            data: { network: 'aeneid', chainId: 1315, ipId: IP_ID, txHash: HASH, ipMetadataCid: 'QmMeta', ipMetadataHash: HASH, ...fields },
+        }],
+        ingredients: [],
+    }, server);
+}
+
+// A chain that knows nothing - only reached once the assertion is well-formed
+const chainReads = [];
+const publicClient = {
+    readContract: async (call) => { chainReads.push(call.functionName); return false; },
+    getTransactionReceipt: async () => { throw new Error('not found'); },
+};
+const verify = (manifest) => verifyManifest(manifest, { publicClientFor: () => publicClient, serverAddress: server.address });
+
+test('malformed registration fields give an invalid verdict without touching the chain', async () => {
+    for (const fields of [
+        { ipId: 'not-an-address' },
+        { ipId: 42 },
+        { txHash: '0x1234' },
+        { txHash: null },
+        { ipMetadataHash: `0x${'zz'.repeat(32)}` },
+        { ipMetadataHash: undefined },
+    ]) {
+        const result = await verify(await registrationManifest(fields));
+        assert.equal(result.valid, false);
+        assert.equal(result.checks.signature.ok, true);
+        assert.match(result.checks.registration.details, /^malformed registration assertion/);
+        assert.equal(result.ipId, null);
+    }
+    assert.deepEqual(chainReads, []);
+});
+
+test('a well-formed registration is checked on-chain', async () => {
+    const result = await verify(await registrationManifest({}));
+    assert.equal(result.valid, false);
+    assert.equal(result.ipId, IP_ID);
+    assert.equal(result.checks.registered.ok, false);
+    assert.equal(result.checks.transaction.ok, false);
+    assert.deepEqual(chainReads, ['isRegistered']);
+});
+
+test('a malformed signer address is reported, not thrown', async () => {
+    const manifest = await registrationManifest({});
+    const result = await verify({ ...manifest, signature: { ...manifest.signature, signer: 'nobody' } });
+    assert.equal(result.valid, false);
+    assert.match(result.checks.signature.details, /signer is not an address/);
+});
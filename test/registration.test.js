@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DB_BACKEND = 'none';
+process.env.LOG_LEVEL = 'error';
+process.env.DERIVATIVE_MAX_MINTING_FEE = '2';
+
+const { parseDerivativeRequest } = require('../lib/registration');
+
+const collections = { resolveKey: () => 'default' };
+const IMAGE_CID = 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy';
+const PARENT = '0x00000000000000000000000000000000000000a1';
+
+const derivative = (fields = {}) => parseDerivativeRequest({
+    imageCid: IMAGE_CID,
+    deviceAddress: '0x00000000000000000000000000000000000000d1',
+    parentIpIds: [PARENT],
+    licenseTermsIds: [1],
+    ...fields,
+}, collections);
+
+test('derivatives default to the server minting fee cap', () => {
+    const { input } = derivative();
+    assert.equal(input.derivative.maxMintingFeeWei, 2000000000000000000n.toString());
+    assert.equal(input.derivative.maxRevenueShare, 100);
+});
+
+test('maxMintingFee is positive and clamped to the server cap', () => {
+    assert.equal(derivative({ maxMintingFee: '0.5' }).input.derivative.maxMintingFeeWei, 500000000000000000n.toString());
+    assert.equal(derivative({ maxMintingFee: 50 }).input.derivative.maxMintingFeeWei, 2000000000000000000n.toString());
+    for (const maxMintingFee of [0, '0', '-1', 'lots']) {
+        assert.equal(derivative({ maxMintingFee }).error.error.startsWith('maxMintingFee must be'), true, String(maxMintingFee));
+    }
+});
+
+test('maxRevenueShare is an integer between 0 and 100', () => {
+    assert.equal(derivative({ maxRevenueShare: 0 }).input.derivative.maxRevenueShare, 0);
+    assert.equal(derivative({ maxRevenueShare: '25' }).input.derivative.maxRevenueShare, 25);
+    for (const maxRevenueShare of [101, -1, 12.5, '10abc', '', null, true]) {
+        assert.ok(derivative({ maxRevenueShare }).error, String(maxRevenueShare));
+    }
+});
@@ -0,0 +1,139 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Payments and claims go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const { WIP_TOKEN_ADDRESS } = require('@story-protocol/core-sdk');
+const { getAddress } = require('viem');
+const store = require('../lib/store');
+const { createRevenueService } = require('../lib/revenue');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const SERVER = '0x00000000000000000000000000000000000005e1';
+const BUYER = '0x00000000000000000000000000000000000000b1';
+const DEVICE = '0x00000000000000000000000000000000000000d1';
+const IP_ID = '0x00000000000000000000000000000000000000a1';
+const FEE = 10n;
+
+// Native IP payments to the server wallet, by transaction hash
+const payments = new Map();
+function pay(txHash, { from = BUYER, value = FEE, status = 'success' } = {}) {
+    payments.set(txHash, { from, value, status });
+    return txHash;
+}
+
+const publicClient = {
+    getTransactionReceipt: async ({ hash }) => {
+        const payment = payments.get(hash);
+        if (!payment) throw new Error('not found');
+        return { status: payment.status, from: payment.from, to: SERVER, logs: [] };
+    },
+    getTransaction: async ({ hash }) => ({ value: payments.get(hash).value }),
+    // No derivatives
+    readContract: async () => 0n,
+};
+
+const mints = [];
+const transfers = [];
+let failNextMint = false;
+const storyClient = {
+    license: {
+        predictMintingLicenseFee: async ({ amount }) => ({ currencyToken: WIP_TOKEN_ADDRESS, tokenAmount: FEE * amount }),
+        mintLicenseTokens: async (request) => {
+            if (failNextMint) {
+                failNextMint = false;
+                throw new Error('execution reverted');
+            }
+            mints.push(request);
+            return { licenseTokenIds: [BigInt(mints.length)], txHash: `0xmint${mints.length}` };
+        },
+    },
+    royalty: {
+        claimAllRevenue: async ({ currencyTokens }) => ({
+            txHashes: ['0xclaim1'],
+            claimedTokens: currencyTokens.map(token => ({ token, amount: 5n })),
+        }),
+    },
+};
+const signers = {
+    primary: {
+        address: SERVER,
+        transactions: {
+            execute: async ({ address, args }) => {
+                transfers.push({ token: address, to: args[0], amount: args[1] });
+                return { transactionHash: `0xpay${transfers.length}` };
+            },
+        },
+    },
+    addresses: [SERVER],
+};
+
+const revenue = createRevenueService({ storyClient, publicClient, chainId: 1315, network: { name: 'aeneid' }, signers });
+
+test('quotes the fee and where to pay it', async () => {
+    const quote = await revenue.quoteLicense({ ipId: IP_ID, licenseTermsId: 1, amount: 2 });
+    assert.equal(quote.feeWei, '20');
+    assert.equal(quote.payTo, SERVER);
+    assert.equal(quote.acceptsNativeIp, true);
+});
+
+test('mints to the payer, capping the fee at what was paid', async () => {
+    const { minted } = await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: pay('0xP1', { value: 12n }) });
+    assert.deepEqual(minted.licenseTokenIds, ['1']);
+    assert.equal(minted.paidWei, '12');
+
+    const request = mints[mints.length - 1];
+    assert.equal(request.receiver, getAddress(BUYER));
+    assert.equal(request.maxMintingFee, 12n);
+});
+
+test('each payment is used once', async () => {
+    const paymentTxHash = pay('0xP2');
+    assert.ok((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash })).minted);
+
+    const again = await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: paymentTxHash.toUpperCase().replace('0X', '0x') });
+    assert.equal(again.status, 409);
+    assert.equal((await store.get('license_payments', '0xp2')).status, 'minted');
+});
+
+test('a mint that fails leaves the payment usable', async () => {
+    const paymentTxHash = pay('0xP3');
+    failNextMint = true;
+    await assert.rejects(revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash }), /reverted/);
+    assert.ok((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash })).minted);
+});
+
+test('rejects payments that do not cover the fee or are not payments', async () => {
+    const count = mints.length;
+    assert.equal((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, amount: 2, paymentTxHash: pay('0xP4') })).status, 402);
+    assert.equal((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: '0xunknown' })).status, 400);
+    assert.equal((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: pay('0xP5', { status: 'reverted' }) })).status, 400);
+    assert.equal((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: pay('0xP6', { from: SERVER }) })).status, 400);
+    assert.equal((await revenue.mintPaidLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, paymentTxHash: pay('0xP7', { value: 0n }) })).status, 400);
+    assert.equal(mints.length, count);
+});
+
+test('refuses to mint without a positive fee cap', async () => {
+    for (const maxMintingFeeWei of [0, 0n, '0', -1n]) {
+        await assert.rejects(revenue.mintLicenseTokens({ ipId: IP_ID, licenseTermsId: 1, receiver: BUYER, maxMintingFeeWei }), /positive maxMintingFeeWei/);
+    }
+});
+
+test('pays claimed revenue out to the registering device', async () => {
+    // The same ipId on another network is not this one's registration
+    await store.put('registrations', 'QmM', { imageCid: 'QmM', ipId: IP_ID, deviceAddress: BUYER, status: 'registered', network: 'mainnet' });
+    await store.put('registrations', 'QmR', { imageCid: 'QmR', ipId: IP_ID, deviceAddress: DEVICE, status: 'registered', network: 'aeneid' });
+
+    const claim = await revenue.claimRevenue(IP_ID);
+    assert.equal(claim.payoutAddress, DEVICE);
+    assert.ok(claim.payouts.length > 0);
+    assert.ok(claim.payouts.every(payout => payout.status === 'paid' && payout.to === DEVICE && payout.amountWei === '5'));
+    assert.deepEqual(await store.get('revenue_claims', '0xclaim1'), claim);
+});
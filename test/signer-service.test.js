@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { recoverMessageAddress, recoverTypedDataAddress, parseTransaction, recoverTransactionAddress } = require('viem');
+const { privateKeyToAccount } = require('viem/accounts');
+const { createSignerService } = require('../signer-service');
+
+const KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+const TOKEN = 'test-token';
+const local = privateKeyToAccount(KEY);
+
+let server;
+let url;
+let signers;
+
+before(async () => {
+    server = createSignerService({ keys: [KEY], token: TOKEN }).listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+
+    // lib/signers reads its configuration when loaded (signer-service.js has loaded it already)
+    delete require.cache[require.resolve('../lib/signers')];
+    Object.assign(process.env, {
+        SIGNER_BACKEND: 'remote',
+        SIGNER_SERVICE_URL: url,
+        SIGNER_SERVICE_TOKEN: TOKEN,
+        SIGNER_ADDRESSES: local.address,
+    });
+    signers = require('../lib/signers');
+});
+
+after(() => server.close());
+
+test('rejects requests without the token', async () => {
+    const response = await fetch(`${url}/accounts`);
+    assert.equal(response.status, 401);
+    const wrong = await fetch(`${url}/accounts`, { headers: { Authorization: 'Bearer nope' } });
+    assert.equal(wrong.status, 401);
+});
+
+test('lists its accounts to the server', async () => {
+    assert.equal(await signers.checkSigningService([local.address]), '1 signer(s) available');
+    await assert.rejects(signers.checkSigningService(['0x70997970C51812dc3A010C7d01b50e0d17dc79C8']), /does not hold/);
+});
+
+test('signs messages, typed data and transactions for the remote account', async () => {
+    const { backend, accounts: [account] } = signers.loadSigners();
+    assert.equal(backend, 'remote');
+    assert.equal(account.address, local.address);
+
+    const message = 'hello';
+    assert.equal(await recoverMessageAddress({ message, signature: await account.signMessage({ message }) }), local.address);
+
+    const typedData = {
+        domain: { name: 'Test', version: '1', chainId: 1315 },
+        types: { Item: [{ name: 'amount', type: 'uint256' }] },
+        primaryType: 'Item',
+        message: { amount: 10n ** 18n },
+    };
+    const typedSignature = await account.signTypedData(typedData);
+    assert.equal(typedSignature, await local.signTypedData(typedData));
+    assert.equal(await recoverTypedDataAddress({ ...typedData, signature: typedSignature }), local.address);
+
+    const transaction = {
+        type: 'eip1559',
+        chainId: 1315,
+        nonce: 3,
+        to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+        value: 1n,
+        gas: 21000n,
+        maxFeePerGas: 2n,
+        maxPriorityFeePerGas: 1n,
+    };
+    const signed = await account.signTransaction(transaction);
+    assert.equal(parseTransaction(signed).nonce, 3);
+    assert.equal(await recoverTransactionAddress({ serializedTransaction: signed }), local.address);
+});
+
+test('answers 404 for keys it does not hold', async () => {
+    const response = await fetch(`${url}/sign`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', kind: 'message', payload: { message: 'x' } }),
+    });
+    assert.equal(response.status, 404);
+});
+
+test('does not start without a token', () => {
+    assert.throws(() => createSignerService({ keys: [KEY] }), /needs a token/);
+    const env = { ...process.env, SIGNER_SERVICE_KEYS: KEY };
+    delete env.SIGNER_SERVICE_TOKEN;
+    const run = spawnSync(process.execPath, [path.join(__dirname, '..', 'signer-service.js')], { env, cwd: os.tmpdir(), timeout: 10000 });
+    assert.equal(run.status, 1);
+    assert.match(String(run.stderr), /SIGNER_SERVICE_TOKEN is not set/);
+});
@@ -0,0 +1,93 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Nonce counters and locks go to a throwaway file store shared by both "instances" below
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const { parseTransaction } = require('viem');
+const { privateKeyToAccount, generatePrivateKey } = require('viem/accounts');
+const store = require('../lib/store');
+const { createTransactionManager } = require('../lib/transactions');
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const network = { name: 'aeneid' };
+const TO = '0x00000000000000000000000000000000000000c1';
+
+// A node that accepts transactions unless `reject` says otherwise, and records their nonces
+function fakeNode({ chainNonce = 7 } = {}) {
+    const node = {
+        sent: [],
+        chainReads: 0,
+        reject: null,
+        estimateGas: async () => 21000n,
+        estimateFeesPerGas: async () => ({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n }),
+        getTransactionCount: async () => {
+            node.chainReads++;
+            return chainNonce + node.sent.length;
+        },
+        request: async ({ params: [signed] }) => {
+            const { nonce } = parseTransaction(signed);
+            const error = node.reject && node.reject(nonce);
+            if (error) throw new Error(error);
+            node.sent.push(nonce);
+        },
+    };
+    return node;
+}
+
+function manager(account, node) {
+    return createTransactionManager({ account, publicClient: node, chainId: 1315, network });
+}
+
+const storedNonce = async (account) => {
+    const record = await store.get('signer_nonces', `aeneid:${account.address.toLowerCase()}`);
+    return record ? record.nextNonce : null;
+};
+
+test('reads the nonce from the chain once, then from the shared counter', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const node = fakeNode();
+    const transactions = manager(account, node);
+
+    await transactions.sendTransaction({ to: TO, data: '0x' });
+    await transactions.sendTransaction({ to: TO, data: '0x' });
+    assert.deepEqual(node.sent, [7, 8]);
+    assert.equal(node.chainReads, 1);
+    assert.equal(await storedNonce(account), 9);
+});
+
+test('instances sharing a signer never reuse a nonce', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const node = fakeNode({ chainNonce: 0 });
+    const instances = [manager(account, node), manager(account, node)];
+
+    await Promise.all([0, 1, 2, 3, 4, 5].map(i => instances[i % 2].sendTransaction({ to: TO, data: '0x' })));
+    assert.deepEqual([...node.sent].sort((a, b) => a - b), [0, 1, 2, 3, 4, 5]);
+});
+
+test('only a rejected nonce resets the counter', async () => {
+    const account = privateKeyToAccount(generatePrivateKey());
+    const node = fakeNode();
+    const transactions = manager(account, node);
+    await transactions.sendTransaction({ to: TO, data: '0x' });
+
+    // Failures unrelated to the nonce leave it unused and the counter as it was
+    node.reject = () => 'insufficient funds for gas * price + value';
+    await assert.rejects(transactions.sendTransaction({ to: TO, data: '0x' }), /insufficient funds/);
+    assert.equal(await storedNonce(account), 8);
+    assert.equal(node.chainReads, 1);
+
+    // A stale counter is dropped and the nonce re-read from the chain
+    await store.put('signer_nonces', `aeneid:${account.address.toLowerCase()}`, { nextNonce: 3 });
+    node.reject = (nonce) => nonce < 8 && 'nonce too low';
+    await transactions.sendTransaction({ to: TO, data: '0x' });
+    assert.deepEqual(node.sent, [7, 8]);
+    assert.equal(node.chainReads, 2);
+    assert.equal(await storedNonce(account), 9);
+});
@@ -0,0 +1,156 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createHash } = require('crypto');
+
+// Registrations go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const { parseAbiItem, encodeEventTopics, encodeAbiParameters } = require('viem');
+
+const documents = new Map();  // CID -> JSON document served by the local gateway
+let gateway;
+let store;
+let verifier;
+
+const sha256Hex = (bytes) => `0x${createHash('sha256').update(bytes).digest('hex')}`;
+const IP_ID = '0x00000000000000000000000000000000000000a1';
+const NFT = '0x00000000000000000000000000000000000000c1';
+const TX_HASH = `0x${'12'.repeat(32)}`;
+
+const metadataUriSet = parseAbiItem('event MetadataURISet(address indexed ipId, string metadataURI, bytes32 metadataHash)');
+const nftTokenUriSet = parseAbiItem('event NFTTokenURISet(address indexed ipId, string nftTokenURI, bytes32 nftMetadataHash)');
+const ipRegistered = parseAbiItem('event IPRegistered(address ipId, uint256 indexed chainId, address indexed tokenContract, uint256 indexed tokenId, string name, string uri, uint256 registrationDate)');
+
+function log(event, indexed, types, values) {
+    return {
+        address: '0x0000000000000000000000000000000000000001',
+        topics: encodeEventTopics({ abi: [event], eventName: event.name, args: indexed }),
+        data: encodeAbiParameters(types, values),
+    };
+}
+
+// The registration transaction as the chain reports it, committing to the given metadata hashes
+function registrationReceipt(metadataHash, nftMetadataHash) {
+    return {
+        blockNumber: 42n,
+        logs: [
+            log(ipRegistered, { chainId: 1315n, tokenContract: NFT, tokenId: 1n },
+                [{ type: 'address' }, { type: 'string' }, { type: 'string' }, { type: 'uint256' }],
+                [IP_ID, 'capture', 'ipfs://nft', 1700000000n]),
+            log(metadataUriSet, { ipId: IP_ID }, [{ type: 'string' }, { type: 'bytes32' }], ['ipfs://ip', metadataHash]),
+            log(nftTokenUriSet, { ipId: IP_ID }, [{ type: 'string' }, { type: 'bytes32' }], ['ipfs://nft', nftMetadataHash]),
+        ],
+    };
+}
+
+let receipt = null;
+const publicClient = {
+    readContract: async ({ functionName }) => ({
+        isRegistered: true,
+        token: [1315n, NFT, 1n],
+        ownerOf: '0x00000000000000000000000000000000000005e1',
+    })[functionName] ?? 0n,
+    getTransactionReceipt: async () => {
+        if (!receipt) throw new Error('not found');
+        return receipt;
+    },
+};
+const profile = { name: 'aeneid', chainId: 1315, explorerUrl: 'https://explorer', scanUrl: 'https://scan' };
+
+before(async () => {
+    gateway = http.createServer((req, res) => {
+        const cid = new URL(req.url, 'http://localhost').pathname.replace('/ipfs/', '');
+        if (!documents.has(cid)) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify(documents.get(cid)));
+    });
+    await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+    process.env.IPFS_GATEWAY = `http://127.0.0.1:${gateway.address().port}`;
+
+    store = require('../lib/store');
+    const { createEvidenceVerifier } = require('../lib/verify');
+    verifier = createEvidenceVerifier({
+        contextFor: name => name === 'aeneid' ? { profile, publicClient } : null,
+        getJob: async () => null,
+    });
+});
+
+after(() => {
+    gateway.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// Pin metadata for `image` and record its registration; returns the on-chain metadata hashes
+async function register(imageCid, image, { network = 'aeneid' } = {}) {
+    const ipMetadata = { title: imageCid, imageHash: sha256Hex(image), attributes: [{ key: 'CapturedAt', value: '2026-01-01T00:00:00Z' }] };
+    const nftMetadata = { name: imageCid, image: `ipfs://${imageCid}` };
+    documents.set(`ip-${imageCid}`, ipMetadata);
+    documents.set(`nft-${imageCid}`, nftMetadata);
+    await store.put('registrations', imageCid, {
+        imageCid,
+        status: 'registered',
+        ipId: IP_ID,
+        txHash: TX_HASH,
+        network,
+        deviceAddress: '0x00000000000000000000000000000000000000d1',
+        imageHash: sha256Hex(image),
+        ipMetadataCid: `ip-${imageCid}`,
+        nftMetadataCid: `nft-${imageCid}`,
+    });
+    return { metadataHash: sha256Hex(JSON.stringify(ipMetadata)), nftMetadataHash: sha256Hex(JSON.stringify(nftMetadata)) };
+}
+
+test('unknown images are unregistered', async () => {
+    const result = await verifier.verify({ bytes: Buffer.from('never registered') });
+    assert.equal(result.verdict, 'unregistered');
+    assert.equal(result.image.sha256, sha256Hex(Buffer.from('never registered')));
+});
+
+test('images still being registered are pending', async () => {
+    await store.put('registrations', 'QmPending', { imageCid: 'QmPending', status: 'pending', jobId: 'job-1', claimedAt: new Date().toISOString() });
+    const result = await verifier.verify({ cid: 'QmPending' });
+    assert.equal(result.verdict, 'pending');
+    assert.deepEqual(result.registration, { imageCid: 'QmPending', jobId: 'job-1' });
+});
+
+test('an image matching its registration and the chain is verified', async () => {
+    const image = Buffer.from('registered image');
+    const { metadataHash, nftMetadataHash } = await register('QmGood', image);
+    receipt = registrationReceipt(metadataHash, nftMetadataHash);
+
+    const result = await verifier.verify({ bytes: image });
+    assert.equal(result.verdict, 'verified', JSON.stringify(result.checks));
+    assert.equal(result.ipId, IP_ID);
+    assert.equal(result.transaction.blockNumber, '42');
+    assert.equal(result.registeredAt, new Date(1700000000 * 1000).toISOString());
+    assert.equal(result.capturedAt, '2026-01-01T00:00:00Z');
+});
+
+test('metadata that differs from the on-chain hash is a mismatch', async () => {
+    const image = Buffer.from('tampered image');
+    const { nftMetadataHash } = await register('QmTampered', image);
+    receipt = registrationReceipt(`0x${'00'.repeat(32)}`, nftMetadataHash);
+
+    const result = await verifier.verify({ bytes: image });
+    assert.equal(result.verdict, 'mismatch');
+    assert.equal(result.checks.ipMetadataHash.ok, false);
+    assert.equal(result.checks.content.ok, true);
+});
+
+test('registrations on networks this server does not run are inconclusive', async () => {
+    const image = Buffer.from('mainnet image');
+    await register('QmMainnet', image, { network: 'mainnet' });
+
+    const result = await verifier.verify({ bytes: image });
+    assert.equal(result.verdict, 'inconclusive');
+    assert.equal(result.network, 'mainnet');
+    assert.equal(result.checks.registered.ok, null);
+});
@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createHmac } = require('crypto');
+
+// Subscriptions and deliveries go to a throwaway file store
+process.env.DB_BACKEND = 'none';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'deepshare-test-'));
+process.env.LOG_LEVEL = 'error';
+
+const store = require('../lib/store');
+const webhooks = require('../lib/webhooks');
+
+const received = [];
+let subscriber;
+let url;
+
+before(async () => {
+    subscriber = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(204).end();
+        });
+    }).listen(0, '127.0.0.1');
+    await new Promise(resolve => subscriber.once('listening', resolve));
+    url = `http://127.0.0.1:${subscriber.address().port}/hooks`;
+});
+
+after(() => {
+    subscriber.close();
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// How a subscriber checks X-DeepShare-Signature
+function verify(secret, header, body) {
+    const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const expected = createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+    return v1 === expected ? Number(t) : null;
+}
+
+test('signs the timestamp and body with the subscription secret', () => {
+    const body = JSON.stringify({ id: 'registration.started:job-1' });
+    const header = webhooks.signPayload('whsec_test', body, 1700000000);
+    assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+    assert.equal(verify('whsec_test', header, body), 1700000000);
+    assert.equal(verify('whsec_other', header, body), null);
+    assert.equal(verify('whsec_test', header, `${body} `), null);
+    assert.notEqual(webhooks.signPayload('whsec_test', body, 1700000001), header);
+});
+
+test('checks subscription requests', () => {
+    assert.deepEqual(webhooks.parseSubscription({ url: 'https://example.com/hook' }), {
+        url: 'https://example.com/hook', events: ['*'], description: null,
+    });
+    assert.ok(webhooks.parseSubscription({ url: 'ftp://example.com' }).error);
+    assert.ok(webhooks.parseSubscription({ url: 'not a url' }).error);
+    assert.ok(webhooks.parseSubscription({ url: 'https://example.com', events: [] }).error);
+    assert.match(webhooks.parseSubscription({ url: 'https://example.com', events: ['ip.sold'] }).error.error, /Unknown event/);
+});
+
+test('delivers signed events, once per event id', async () => {
+    const subscription = await webhooks.createSubscription({ ...webhooks.parseSubscription({ url, events: ['registration.confirmed'] }) });
+    await webhooks.emitEvent('registration.confirmed', 'job-1', { ipId: '0x01' });
+    await webhooks.emitEvent('registration.confirmed', 'job-1', { ipId: '0x01' });
+    await webhooks.emitEvent('registration.failed', 'job-2', {});
+
+    await webhooks.createWebhookWorker().poll();
+
+    assert.equal(received.length, 1);
+    const [{ headers, body }] = received;
+    assert.equal(headers['x-deepshare-event'], 'registration.confirmed');
+    assert.equal(headers['x-deepshare-delivery'], `${subscription.id}:registration.confirmed:job-1`);
+    assert.ok(verify(subscription.secret, headers['x-deepshare-signature'], body));
+    assert.deepEqual(JSON.parse(body).data, { ipId: '0x01' });
+
+    const [delivery] = await webhooks.listDeliveries(subscription.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+});
+
+test('backed-off deliveries do not hold up due ones', async () => {
+    const subscription = await webhooks.createSubscription({ url, events: ['*'], description: null });
+    const later = Date.now() + 60 * 60 * 1000;
+    for (let i = 0; i < 60; i++) {
+        await store.put('webhook_deliveries', `backoff-${i}`, {
+            id: `backoff-${i}`, subscriptionId: subscription.id, eventId: `old:${i}`, type: 'registration.failed',
+            url, payload: {}, status: 'pending', attempts: 3, nextAttemptAt: later, lastError: 'timeout', log: [],
+            createdAt: new Date(0).toISOString(),
+        });
+    }
+    received.length = 0;
+    await webhooks.emitEvent('registration.started', 'job-3', {});
+
+    await webhooks.createWebhookWorker().poll();
+
+    assert.deepEqual(received.map(({ headers }) => headers['x-deepshare-event']), ['registration.started']);
+});
+
+test('prunes every finished delivery past the log TTL', async () => {
+    const old = new Date(0).toISOString();
+    for (let i = 0; i < 250; i++) {
+        await store.put('webhook_deliveries', `finished-${i}`, {
+            id: `finished-${i}`, subscriptionId: 'gone', eventId: `finished:${i}`, type: 'registration.completed',
+            url, payload: {}, status: i % 2 ? 'failed' : 'delivered', attempts: 1, nextAttemptAt: null, lastError: null, log: [],
+            // A recent one ahead of the old ones in store order must not stop the pruning
+            createdAt: i === 0 ? new Date().toISOString() : old,
+        });
+    }
+
+    await webhooks.createWebhookWorker().poll();
+
+    const left = (await store.list('webhook_deliveries', { limit: 1000 })).filter(entry => entry.id.startsWith('finished-'));
+    assert.deepEqual(left.map(entry => entry.id), ['finished-0']);
+});